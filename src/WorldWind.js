@@ -35,11 +35,15 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         './layer/BMNGRestLayer',
         './geom/BoundingBox',
         './gesture/ClickRecognizer',
+        './layer/CloudOptimizedGeoTiffLayer',
         './formats/collada/ColladaLoader',
         './util/Color',
+        './render/ComparisonClip',
+        './layer/ComparisonControlsLayer',
         './shapes/Compass',
         './layer/CompassLayer',
         './layer/CoordinatesDisplayLayer',
+        './shapes/DataDrivenStyle',
         './util/Date',
         './layer/DigitalGlobeTiledImageLayer',
         './gesture/DragRecognizer',
@@ -57,6 +61,7 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         './shapes/GeographicMesh',
         './projections/GeographicProjection',
         './shapes/GeographicText',
+        './formats/geojson/GeoJSONExporter',
         './formats/geojson/GeoJSONGeometry',
         './formats/geojson/GeoJSONGeometryCollection',
         './formats/geojson/GeoJSONGeometryLineString',
@@ -66,10 +71,13 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         './formats/geojson/GeoJSONGeometryPoint',
         './formats/geojson/GeoJSONGeometryPolygon',
         './formats/geojson/GeoJSONParser',
+        './formats/geojson/GeoJSONWorkerParser',
+        './globe/GeoTiffElevationModel',
         './formats/geotiff/GeoTiffReader',
         './gesture/GestureRecognizer',
         './globe/Globe',
         './globe/Globe2D',
+        './formats/gml/GmlParser',
         './util/GoToAnimator',
         './shaders/GpuProgram',
         './cache/GpuResourceCache',
@@ -83,6 +91,8 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         './util/Insets',
         './formats/kml/util/ItemIcon',
         './formats/kml/KmlAbstractView',
+        './formats/kml/tour/KmlAnimatedUpdate',
+        './formats/kml/controls/KmlBalloons',
         './formats/kml/styles/KmlBalloonStyle',
         './formats/kml/KmlCamera',
         './formats/kml/styles/KmlColorStyle',
@@ -90,8 +100,10 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         './formats/kml/controls/KmlControls',
         './formats/kml/features/KmlDocument',
         './formats/kml/KmlElements',
+        './formats/kml/KmlExporter',
         './formats/kml/features/KmlFeature',
         './formats/kml/KmlFile',
+        './formats/kml/tour/KmlFlyTo',
         './formats/kml/features/KmlFolder',
         './formats/kml/geom/KmlGeometry',
         './formats/kml/features/KmlGroundOverlay',
@@ -110,12 +122,14 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         './formats/kml/KmlLod',
         './formats/kml/KmlLookAt',
         './formats/kml/geom/KmlMultiGeometry',
+        './formats/kml/geom/KmlMultiTrack',
         './formats/kml/features/KmlNetworkLink',
         './formats/kml/KmlObject',
         './formats/kml/KmlOrientation',
         './formats/kml/features/KmlOverlay',
         './formats/kml/features/KmlPhotoOverlay',
         './formats/kml/features/KmlPlacemark',
+        './formats/kml/tour/KmlPlaylist',
         './formats/kml/geom/KmlPoint',
         './formats/kml/geom/KmlPolygon',
         './formats/kml/styles/KmlPolyStyle',
@@ -129,8 +143,12 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         './formats/kml/KmlTimeSpan',
         './formats/kml/KmlTimeStamp',
         './formats/kml/features/KmlTour',
+        './formats/kml/tour/KmlTourControl',
+        './formats/kml/tour/KmlTourPlayer',
+        './formats/kml/tour/KmlTourPrimitive',
         './formats/kml/geom/KmlTrack',
         './formats/kml/controls/KmlTreeVisibility',
+        './formats/kml/tour/KmlWait',
         './layer/LandsatRestLayer',
         './layer/Layer',
         './util/measure/LengthMeasurer',
@@ -146,6 +164,8 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         './cache/MemoryCache',
         './cache/MemoryCacheListener',
         './layer/MercatorTiledImageLayer',
+        './layer/MvtLayer',
+        './formats/mvt/MvtTile',
         './navigate/Navigator',
         './navigate/NavigatorState',
         './util/NominatimGeocoder',
@@ -156,6 +176,7 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         './gesture/PanRecognizer',
         './shapes/Path',
         './util/PeriodicTimeSequence',
+        './cache/PersistentTileCache',
         './pick/PickedObject',
         './pick/PickedObjectList',
         './gesture/PinchRecognizer',
@@ -171,6 +192,7 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         './projections/ProjectionPolarEquidistant',
         './projections/ProjectionUPS',
         './projections/ProjectionWgs84',
+        './render/RasterAdjustments',
         './geom/Rectangle',
         './render/Renderable',
         './layer/RenderableLayer',
@@ -183,6 +205,7 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         './geom/Sector',
         './shapes/ShapeAttributes',
         './formats/shapefile/Shapefile',
+        './formats/shapefile/ShapefileExporter',
         './layer/ShowTessellationLayer',
         './shaders/SkyProgram',
         './layer/StarFieldLayer',
@@ -226,6 +249,7 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         './formats/kml/util/ViewVolume',
         './util/WcsTileUrlBuilder',
         './ogc/WfsCapabilities',
+        './layer/WfsLayer',
         './formats/wkt/Wkt',
         './formats/wkt/WktElements',
         './formats/wkt/geom/WktGeometryCollection',
@@ -252,6 +276,7 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         './util/WWMessage',
         './util/WWUtil',
         './util/XmlDocument',
+        './layer/XyzTiledImageLayer',
         './globe/ZeroElevationModel'],
     function (AbstractError,
               Angle,
@@ -274,11 +299,15 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
               BMNGRestLayer,
               BoundingBox,
               ClickRecognizer,
+              CloudOptimizedGeoTiffLayer,
               ColladaLoader,
               Color,
+              ComparisonClip,
+              ComparisonControlsLayer,
               Compass,
               CompassLayer,
               CoordinatesDisplayLayer,
+              DataDrivenStyle,
               DateWW,
               DigitalGlobeTiledImageLayer,
               DragRecognizer,
@@ -296,6 +325,7 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
               GeographicMesh,
               GeographicProjection,
               GeographicText,
+              GeoJSONExporter,
               GeoJSONGeometry,
               GeoJSONGeometryCollection,
               GeoJSONGeometryLineString,
@@ -305,10 +335,13 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
               GeoJSONGeometryPoint,
               GeoJSONGeometryPolygon,
               GeoJSONParser,
+              GeoJSONWorkerParser,
+              GeoTiffElevationModel,
               GeoTiffReader,
               GestureRecognizer,
               Globe,
               Globe2D,
+              GmlParser,
               GoToAnimator,
               GpuProgram,
               GpuResourceCache,
@@ -322,6 +355,8 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
               Insets,
               ItemIcon,
               KmlAbstractView,
+              KmlAnimatedUpdate,
+              KmlBalloons,
               KmlBalloonStyle,
               KmlCamera,
               KmlColorStyle,
@@ -329,8 +364,10 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
               KmlControls,
               KmlDocument,
               KmlElements,
+              KmlExporter,
               KmlFeature,
               KmlFile,
+              KmlFlyTo,
               KmlFolder,
               KmlGeometry,
               KmlGroundOverlay,
@@ -349,12 +386,14 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
               KmlLod,
               KmlLookAt,
               KmlMultiGeometry,
+              KmlMultiTrack,
               KmlNetworkLink,
               KmlObject,
               KmlOrientation,
               KmlOverlay,
               KmlPhotoOverlay,
               KmlPlacemark,
+              KmlPlaylist,
               KmlPoint,
               KmlPolygon,
               KmlPolyStyle,
@@ -368,8 +407,12 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
               KmlTimeSpan,
               KmlTimeStamp,
               KmlTour,
+              KmlTourControl,
+              KmlTourPlayer,
+              KmlTourPrimitive,
               KmlTrack,
               KmlTreeVisibility,
+              KmlWait,
               LandsatRestLayer,
               Layer,
               LengthMeasurer,
@@ -385,6 +428,8 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
               MemoryCache,
               MemoryCacheListener,
               MercatorTiledImageLayer,
+              MvtLayer,
+              MvtTile,
               Navigator,
               NavigatorState,
               NominatimGeocoder,
@@ -395,6 +440,7 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
               PanRecognizer,
               Path,
               PeriodicTimeSequence,
+              PersistentTileCache,
               PickedObject,
               PickedObjectList,
               PinchRecognizer,
@@ -410,6 +456,7 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
               ProjectionPolarEquidistant,
               ProjectionUPS,
               ProjectionWgs84,
+              RasterAdjustments,
               Rectangle,
               Renderable,
               RenderableLayer,
@@ -422,6 +469,7 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
               Sector,
               ShapeAttributes,
               Shapefile,
+              ShapefileExporter,
               ShowTessellationLayer,
               SkyProgram,
               StarFieldLayer,
@@ -465,6 +513,7 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
               ViewVolume,
               WcsTileUrlBuilder,
               WfsCapabilities,
+              WfsLayer,
               Wkt,
               WktElements,
               WktGeometryCollection,
@@ -491,6 +540,7 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
               WWMessage,
               WWUtil,
               XmlDocument,
+              XyzTiledImageLayer,
               ZeroElevationModel) {
         "use strict";
         /**
@@ -532,6 +582,32 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
              */
             BEGAN: "began",
 
+            /**
+             * Indicates that a layer's imagery is subtracted from the imagery beneath it, and the absolute value of
+             * the difference drawn.
+             * @constant
+             */
+            BLEND_DIFFERENCE: "difference",
+
+            /**
+             * Indicates that a layer's imagery is multiplied with the imagery beneath it, darkening it.
+             * @constant
+             */
+            BLEND_MULTIPLY: "multiply",
+
+            /**
+             * Indicates that a layer's imagery is drawn over the imagery beneath it according to its alpha.
+             * @constant
+             */
+            BLEND_NORMAL: "normal",
+
+            /**
+             * Indicates that the inverses of a layer's imagery and the imagery beneath it are multiplied, lightening
+             * the imagery beneath it.
+             * @constant
+             */
+            BLEND_SCREEN: "screen",
+
             /**
              * The CANCELLED gesture recognizer state. Continuous gesture recognizers may transition to this state from
              * the BEGAN state or the CHANGED state when the touch events are cancelled.
@@ -694,6 +770,18 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
              */
             SOUTH: "south",
 
+            /**
+             * Indicates a comparison clip that draws a layer inside a circular lens.
+             * @constant
+             */
+            SPYGLASS: "spyglass",
+
+            /**
+             * Indicates a comparison clip that draws a layer on one side of a vertical divider.
+             * @constant
+             */
+            SWIPE: "swipe",
+
             /**
              * Indicates the cardinal direction west.
              * @constant
@@ -722,11 +810,15 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         WorldWind['BMNGRestLayer'] = BMNGRestLayer;
         WorldWind['BoundingBox'] = BoundingBox;
         WorldWind['ClickRecognizer'] = ClickRecognizer;
+        WorldWind['CloudOptimizedGeoTiffLayer'] = CloudOptimizedGeoTiffLayer;
         WorldWind['ColladaLoader'] = ColladaLoader;
         WorldWind['Color'] = Color;
+        WorldWind['ComparisonClip'] = ComparisonClip;
+        WorldWind['ComparisonControlsLayer'] = ComparisonControlsLayer;
         WorldWind['Compass'] = Compass;
         WorldWind['CompassLayer'] = CompassLayer;
         WorldWind['CoordinatesDisplayLayer'] = CoordinatesDisplayLayer;
+        WorldWind['DataDrivenStyle'] = DataDrivenStyle;
         WorldWind['DateWW'] = DateWW;
         WorldWind['DigitalGlobeTiledImageLayer'] = DigitalGlobeTiledImageLayer;
         WorldWind['DragRecognizer'] = DragRecognizer;
@@ -744,6 +836,7 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         WorldWind['GeographicMesh'] = GeographicMesh;
         WorldWind['GeographicProjection'] = GeographicProjection;
         WorldWind['GeographicText'] = GeographicText;
+        WorldWind['GeoJSONExporter'] = GeoJSONExporter;
         WorldWind['GeoJSONGeometry'] = GeoJSONGeometry;
         WorldWind['GeoJSONGeometryCollection'] = GeoJSONGeometryCollection;
         WorldWind['GeoJSONGeometryLineString'] = GeoJSONGeometryLineString;
@@ -753,10 +846,13 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         WorldWind['GeoJSONGeometryPoint'] = GeoJSONGeometryPoint;
         WorldWind['GeoJSONGeometryPolygon'] = GeoJSONGeometryPolygon;
         WorldWind['GeoJSONParser'] = GeoJSONParser;
+        WorldWind['GeoJSONWorkerParser'] = GeoJSONWorkerParser;
+        WorldWind['GeoTiffElevationModel'] = GeoTiffElevationModel;
         WorldWind['GeoTiffReader'] = GeoTiffReader;
         WorldWind['GestureRecognizer'] = GestureRecognizer;
         WorldWind['Globe'] = Globe;
         WorldWind['Globe2D'] = Globe2D;
+        WorldWind['GmlParser'] = GmlParser;
         WorldWind['GoToAnimator'] = GoToAnimator;
         WorldWind['GpuProgram'] = GpuProgram;
         WorldWind['GpuResourceCache'] = GpuResourceCache;
@@ -767,7 +863,9 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         WorldWind['ImageSource'] = ImageSource;
         WorldWind['ImageTile'] = ImageTile;
         WorldWind['Insets'] = Insets;
+        WorldWind['KmlBalloons'] = KmlBalloons;
         WorldWind['KmlControls'] = KmlControls;
+        WorldWind['KmlExporter'] = KmlExporter;
         WorldWind['KmlFile'] = KmlFile;
         WorldWind['KmlTreeVisibility'] = KmlTreeVisibility;
         WorldWind['LandsatRestLayer'] = LandsatRestLayer;
@@ -785,6 +883,8 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         WorldWind['MemoryCache'] = MemoryCache;
         WorldWind['MemoryCacheListener'] = MemoryCacheListener;
         WorldWind['MercatorTiledImageLayer'] = MercatorTiledImageLayer;
+        WorldWind['MvtLayer'] = MvtLayer;
+        WorldWind['MvtTile'] = MvtTile;
         WorldWind['Navigator'] = Navigator;
         WorldWind['NavigatorState'] = NavigatorState;
         WorldWind['NominatimGeocoder'] = NominatimGeocoder;
@@ -794,6 +894,7 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         WorldWind['PanRecognizer'] = PanRecognizer;
         WorldWind['Path'] = Path;
         WorldWind['PeriodicTimeSequence'] = PeriodicTimeSequence;
+        WorldWind['PersistentTileCache'] = PersistentTileCache;
         WorldWind['PickedObject'] = PickedObject;
         WorldWind['PickedObjectList'] = PickedObjectList;
         WorldWind['PinchRecognizer'] = PinchRecognizer;
@@ -809,6 +910,7 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         WorldWind['ProjectionPolarEquidistant'] = ProjectionPolarEquidistant;
         WorldWind['ProjectionUPS'] = ProjectionUPS;
         WorldWind['ProjectionWgs84'] = ProjectionWgs84;
+        WorldWind['RasterAdjustments'] = RasterAdjustments;
         WorldWind['Rectangle'] = Rectangle;
         WorldWind['Renderable'] = Renderable;
         WorldWind['RenderableLayer'] = RenderableLayer;
@@ -819,6 +921,7 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         WorldWind['Sector'] = Sector;
         WorldWind['ShapeAttributes'] = ShapeAttributes;
         WorldWind['Shapefile'] = Shapefile;
+        WorldWind['ShapefileExporter'] = ShapefileExporter;
         WorldWind['ShowTessellationLayer'] = ShowTessellationLayer;
         WorldWind['SkyProgram'] = SkyProgram;
         WorldWind['StarFieldLayer'] = StarFieldLayer;
@@ -861,6 +964,7 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         WorldWind['ViewControlsLayer'] = ViewControlsLayer;
         WorldWind['WcsTileUrlBuilder'] = WcsTileUrlBuilder;
         WorldWind['WfsCapabilities'] = WfsCapabilities;
+        WorldWind['WfsLayer'] = WfsLayer;
         WorldWind['Wkt'] = Wkt;
         WorldWind['WktElements'] = WktElements;
         WorldWind['WktGeometryCollection'] = WktGeometryCollection;
@@ -886,6 +990,7 @@ define([ // PLEASE KEEP ALL THIS IN ALPHABETICAL ORDER BY MODULE NAME (not direc
         WorldWind['WWMessage'] = WWMessage;
         WorldWind['WWUtil'] = WWUtil;
         WorldWind['WorldWindow'] = WorldWindow;
+        WorldWind['XyzTiledImageLayer'] = XyzTiledImageLayer;
         WorldWind['ZeroElevationModel'] = ZeroElevationModel;
 
         /**
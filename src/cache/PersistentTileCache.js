@@ -0,0 +1,518 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports PersistentTileCache
+ */
+define([
+        '../error/ArgumentError',
+        '../util/Logger',
+        '../util/Promise'
+    ],
+    function (ArgumentError,
+              Logger,
+              Promise) {
+        "use strict";
+
+        /**
+         * Constructs a persistent tile cache of a specified size.
+         * @alias PersistentTileCache
+         * @constructor
+         * @classdesc Stores retrieved imagery and elevation tiles in the browser's IndexedDB database so that they
+         * survive page reloads and are available offline. Layers and elevation models use an instance of this class
+         * when it is assigned to their <code>persistentCache</code> property, see
+         * [TiledImageLayer.persistentCache]{@link TiledImageLayer#persistentCache} and
+         * [ElevationModel.persistentCache]{@link ElevationModel#persistentCache}. One cache may be shared by any
+         * number of layers and elevation models.
+         * <p>
+         * Entries are the retrieved resources' bytes, keyed by the tiles' image paths. When the size of the stored
+         * entries exceeds the cache's capacity, the least recently used entries are removed until the size is below
+         * the cache's low-water value.
+         * <p>
+         * The cache's functions are asynchronous and return promises. The database is opened on first use.
+         * @param {String} databaseName The name of the IndexedDB database in which to store the tiles.
+         * @param {Number} capacity The cache's capacity, in bytes.
+         * @param {Number} lowWater The size in bytes to clear the cache to when its capacity is exceeded.
+         * @throws {ArgumentError} If the database name is null, undefined or empty, if either the capacity is 0 or
+         * negative or the low-water value is greater than or equal to the capacity or less than 1.
+         */
+        var PersistentTileCache = function (databaseName, capacity, lowWater) {
+            if (!databaseName) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "PersistentTileCache", "constructor",
+                    "The specified database name is null, undefined or empty."));
+            }
+
+            if (!capacity || capacity < 1) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "PersistentTileCache", "constructor",
+                    "The specified capacity is undefined, zero or negative"));
+            }
+
+            if (!lowWater || lowWater >= capacity || lowWater < 1) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "PersistentTileCache", "constructor",
+                    "The specified low-water value is undefined, greater than or equal to the capacity, or less than 1"));
+            }
+
+            /**
+             * The name of the IndexedDB database in which this cache stores its entries.
+             * @type {String}
+             * @readonly
+             */
+            this.databaseName = databaseName;
+
+            /**
+             * This cache's capacity, in bytes.
+             * @type {Number}
+             */
+            this.capacity = capacity;
+
+            /**
+             * The size in bytes to clear this cache to when its capacity is exceeded.
+             * @type {Number}
+             */
+            this.lowWater = lowWater;
+
+            /**
+             * The number of bytes currently used by this cache's entries. This value is known once the database has
+             * been opened.
+             * @type {Number}
+             * @readonly
+             */
+            this.usedCapacity = 0;
+
+            /**
+             * The maximum number of concurrent requests made by [seed]{@link PersistentTileCache#seed}.
+             * @type {Number}
+             * @default 4
+             */
+            this.maxConcurrentRequests = 4;
+
+            // Internal. Intentionally not documented. The promise of the open database.
+            this.databasePromise = null;
+        };
+
+        /**
+         * The name of the object store holding the cache entries.
+         * @type {String}
+         * @constant
+         */
+        PersistentTileCache.STORE_NAME = "tiles";
+
+        /**
+         * Indicates whether the current browser supports persistent tile caches.
+         * @returns {Boolean} true if IndexedDB is available, otherwise false.
+         */
+        PersistentTileCache.isSupported = function () {
+            return typeof window !== "undefined" && !!window.indexedDB;
+        };
+
+        /**
+         * Opens this cache's database, creating it if it does not exist. The cache's functions call this function
+         * as needed, so applications need not call it.
+         * @returns {Promise} A promise resolved with the IndexedDB database, or rejected if it cannot be opened.
+         */
+        PersistentTileCache.prototype.open = function () {
+            if (this.databasePromise) {
+                return this.databasePromise;
+            }
+
+            var cache = this;
+            this.databasePromise = new Promise(function (resolve, reject) {
+                if (!PersistentTileCache.isSupported()) {
+                    reject(new Error("IndexedDB is not supported."));
+                    return;
+                }
+
+                var request = window.indexedDB.open(cache.databaseName, 1);
+
+                request.onupgradeneeded = function () {
+                    var store = request.result.createObjectStore(PersistentTileCache.STORE_NAME, {keyPath: "key"});
+                    store.createIndex("lastUsed", "lastUsed", {unique: false});
+                };
+
+                request.onsuccess = function () {
+                    var database = request.result;
+                    cache.computeUsedCapacity(database).then(function () {
+                        resolve(database);
+                    }, reject);
+                };
+
+                request.onerror = function () {
+                    Logger.log(Logger.LEVEL_WARNING, "Unable to open tile cache database " + cache.databaseName);
+                    reject(request.error);
+                };
+            });
+
+            return this.databasePromise;
+        };
+
+        /**
+         * Returns the entry for a specified key.
+         * @param {String} key The key of the entry to return.
+         * @param {Date} expiration Optional time at which entries expire. Entries stored at or before this time
+         * are removed rather than returned. Entries do not expire when this argument is null or undefined.
+         * @returns {Promise} A promise resolved with the entry, or with null if this cache contains no unexpired
+         * entry for the key. An entry is an object with the properties <code>data</code>, the entry's bytes as an
+         * ArrayBuffer, <code>contentType</code> and <code>time</code>, the time the entry was stored in
+         * milliseconds since midnight Jan 1, 1970.
+         */
+        PersistentTileCache.prototype.entryForKey = function (key, expiration) {
+            var cache = this;
+
+            return this.open().then(function (database) {
+                return new Promise(function (resolve, reject) {
+                    var transaction = database.transaction(PersistentTileCache.STORE_NAME, "readwrite"),
+                        store = transaction.objectStore(PersistentTileCache.STORE_NAME),
+                        request = store.get(key),
+                        result = null;
+
+                    request.onsuccess = function () {
+                        var entry = request.result;
+                        if (!entry) {
+                            return;
+                        }
+
+                        if (expiration && entry.time <= expiration.getTime()) {
+                            store.delete(key);
+                            cache.usedCapacity -= entry.size;
+                        } else {
+                            entry.lastUsed = Date.now();
+                            store.put(entry);
+                            result = {data: entry.data, contentType: entry.contentType, time: entry.time};
+                        }
+                    };
+
+                    transaction.oncomplete = function () {
+                        resolve(result);
+                    };
+
+                    transaction.onerror = transaction.onabort = function () {
+                        reject(transaction.error);
+                    };
+                });
+            });
+        };
+
+        /**
+         * Adds an entry to this cache, replacing any existing entry for the same key. The least recently used
+         * entries are removed when the cache's capacity is exceeded.
+         * @param {String} key The entry's key.
+         * @param {ArrayBuffer} data The entry's bytes.
+         * @param {String} contentType The MIME type of the entry's bytes.
+         * @returns {Promise} A promise resolved when the entry has been stored.
+         * @throws {ArgumentError} If the key or data is null or undefined.
+         */
+        PersistentTileCache.prototype.putEntry = function (key, data, contentType) {
+            if (!key) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "PersistentTileCache", "putEntry",
+                    "missingKey"));
+            }
+
+            if (!data) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "PersistentTileCache", "putEntry",
+                    "The specified data is null or undefined."));
+            }
+
+            var cache = this,
+                now = Date.now(),
+                entry = {key: key, data: data, contentType: contentType, size: data.byteLength, time: now, lastUsed: now};
+
+            return this.open().then(function (database) {
+                return new Promise(function (resolve, reject) {
+                    var transaction = database.transaction(PersistentTileCache.STORE_NAME, "readwrite"),
+                        store = transaction.objectStore(PersistentTileCache.STORE_NAME),
+                        request = store.get(key);
+
+                    request.onsuccess = function () {
+                        if (request.result) {
+                            cache.usedCapacity -= request.result.size;
+                        }
+                        store.put(entry);
+                        cache.usedCapacity += entry.size;
+                    };
+
+                    transaction.oncomplete = function () {
+                        resolve();
+                    };
+
+                    transaction.onerror = transaction.onabort = function () {
+                        reject(transaction.error);
+                    };
+                });
+            }).then(function () {
+                if (cache.usedCapacity > cache.capacity) {
+                    return cache.trim(cache.lowWater);
+                }
+            });
+        };
+
+        /**
+         * Indicates whether this cache contains an entry for a specified key.
+         * @param {String} key The key to test.
+         * @returns {Promise} A promise resolved with true if this cache contains an entry for the key, otherwise
+         * false.
+         */
+        PersistentTileCache.prototype.containsKey = function (key) {
+            return this.open().then(function (database) {
+                return new Promise(function (resolve, reject) {
+                    var request = database.transaction(PersistentTileCache.STORE_NAME, "readonly")
+                        .objectStore(PersistentTileCache.STORE_NAME).count(key);
+
+                    request.onsuccess = function () {
+                        resolve(request.result > 0);
+                    };
+
+                    request.onerror = function () {
+                        reject(request.error);
+                    };
+                });
+            });
+        };
+
+        /**
+         * Removes the entry for a specified key.
+         * @param {String} key The key of the entry to remove.
+         * @returns {Promise} A promise resolved when the entry has been removed.
+         */
+        PersistentTileCache.prototype.removeEntry = function (key) {
+            var cache = this;
+
+            return this.open().then(function (database) {
+                return new Promise(function (resolve, reject) {
+                    var transaction = database.transaction(PersistentTileCache.STORE_NAME, "readwrite"),
+                        store = transaction.objectStore(PersistentTileCache.STORE_NAME),
+                        request = store.get(key);
+
+                    request.onsuccess = function () {
+                        if (request.result) {
+                            cache.usedCapacity -= request.result.size;
+                            store.delete(key);
+                        }
+                    };
+
+                    transaction.oncomplete = function () {
+                        resolve();
+                    };
+
+                    transaction.onerror = transaction.onabort = function () {
+                        reject(transaction.error);
+                    };
+                });
+            });
+        };
+
+        /**
+         * Removes all entries from this cache.
+         * @returns {Promise} A promise resolved when the entries have been removed.
+         */
+        PersistentTileCache.prototype.clear = function () {
+            var cache = this;
+
+            return this.open().then(function (database) {
+                return new Promise(function (resolve, reject) {
+                    var transaction = database.transaction(PersistentTileCache.STORE_NAME, "readwrite");
+                    transaction.objectStore(PersistentTileCache.STORE_NAME).clear();
+
+                    transaction.oncomplete = function () {
+                        cache.usedCapacity = 0;
+                        resolve();
+                    };
+
+                    transaction.onerror = transaction.onabort = function () {
+                        reject(transaction.error);
+                    };
+                });
+            });
+        };
+
+        /**
+         * Removes the least recently used entries until the size of this cache's entries is no more than a
+         * specified size.
+         * @param {Number} size The size in bytes to reduce this cache to.
+         * @returns {Promise} A promise resolved when the entries have been removed.
+         */
+        PersistentTileCache.prototype.trim = function (size) {
+            var cache = this;
+
+            return this.open().then(function (database) {
+                return new Promise(function (resolve, reject) {
+                    var transaction = database.transaction(PersistentTileCache.STORE_NAME, "readwrite"),
+                        request = transaction.objectStore(PersistentTileCache.STORE_NAME).index("lastUsed").openCursor();
+
+                    request.onsuccess = function () {
+                        var cursor = request.result;
+                        if (cursor && cache.usedCapacity > size) {
+                            cache.usedCapacity -= cursor.value.size;
+                            cursor.delete();
+                            cursor.continue();
+                        }
+                    };
+
+                    transaction.oncomplete = function () {
+                        resolve();
+                    };
+
+                    transaction.onerror = transaction.onabort = function () {
+                        reject(transaction.error);
+                    };
+                });
+            });
+        };
+
+        /**
+         * Retrieves resources and stores them in this cache, typically to make tiles available offline. Resources
+         * already in the cache and not expired are not retrieved again. Layers and elevation models form the
+         * resource list for a sector and range of levels, see
+         * [TiledImageLayer.seedPersistentCache]{@link TiledImageLayer#seedPersistentCache} and
+         * [ElevationModel.seedPersistentCache]{@link ElevationModel#seedPersistentCache}.
+         * @param {Object[]} resources The resources to store, each an object with a <code>key</code> property
+         * identifying the cache entry and a <code>url</code> property identifying the resource to retrieve.
+         * @param {Object} options Optional seeding options, an object with the following optional properties:
+         * <ul>
+         *     <li><code>expiration</code> - A Date before which cached entries are considered expired and
+         *     retrieved again.</li>
+         *     <li><code>acceptsContentType</code> - A function called with a response's content type that returns
+         *     true if the response should be stored, typically used to reject server error messages. All responses
+         *     are stored when not specified.</li>
+         *     <li><code>withCredentials</code> - true to send credentials with cross-origin requests.</li>
+         *     <li><code>progress</code> - A function called as each resource completes, with the number of
+         *     completed resources and the total number of resources.</li>
+         * </ul>
+         * @returns {Promise} A promise resolved when all resources have been processed, with an object whose
+         * <code>retrieved</code>, <code>cached</code> and <code>failed</code> properties indicate the number of
+         * resources retrieved, already in the cache and that could not be retrieved.
+         * @throws {ArgumentError} If the specified resources array is null or undefined.
+         */
+        PersistentTileCache.prototype.seed = function (resources, options) {
+            if (!resources) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "PersistentTileCache", "seed",
+                    "The specified resources array is null or undefined."));
+            }
+
+            options = options || {};
+
+            var cache = this,
+                result = {retrieved: 0, cached: 0, failed: 0},
+                next = 0,
+                completed = 0;
+
+            var seedResource = function (resource) {
+                return cache.entryForKey(resource.key, options.expiration).then(function (entry) {
+                    if (entry) {
+                        result.cached++;
+                        return;
+                    }
+
+                    return PersistentTileCache.retrieve(resource.url, options.withCredentials).then(function (response) {
+                        if (options.acceptsContentType && !options.acceptsContentType(response.contentType)) {
+                            throw new Error("Unexpected content type " + response.contentType);
+                        }
+
+                        return cache.putEntry(resource.key, response.data, response.contentType);
+                    }).then(function () {
+                        result.retrieved++;
+                    });
+                }).then(null, function (error) {
+                    result.failed++;
+                    Logger.log(Logger.LEVEL_WARNING, "Tile cache seeding failed for " + resource.url + ": " + error);
+                }).then(function () {
+                    completed++;
+                    if (options.progress) {
+                        options.progress(completed, resources.length);
+                    }
+                });
+            };
+
+            // Each worker processes resources one at a time until none remain.
+            var work = function () {
+                if (next >= resources.length) {
+                    return Promise.resolve();
+                }
+
+                return seedResource(resources[next++]).then(work);
+            };
+
+            var workers = [];
+            for (var i = 0; i < Math.max(1, this.maxConcurrentRequests); i++) {
+                workers.push(work());
+            }
+
+            return Promise.all(workers).then(function () {
+                return result;
+            });
+        };
+
+        // Internal. Intentionally not documented. Sums the sizes of the stored entries.
+        PersistentTileCache.prototype.computeUsedCapacity = function (database) {
+            var cache = this;
+
+            return new Promise(function (resolve, reject) {
+                var transaction = database.transaction(PersistentTileCache.STORE_NAME, "readonly"),
+                    request = transaction.objectStore(PersistentTileCache.STORE_NAME).openCursor(),
+                    size = 0;
+
+                request.onsuccess = function () {
+                    var cursor = request.result;
+                    if (cursor) {
+                        size += cursor.value.size;
+                        cursor.continue();
+                    }
+                };
+
+                transaction.oncomplete = function () {
+                    cache.usedCapacity = size;
+                    resolve();
+                };
+
+                transaction.onerror = transaction.onabort = function () {
+                    reject(transaction.error);
+                };
+            });
+        };
+
+        /**
+         * Retrieves a resource's bytes.
+         * @param {String} url The resource's URL.
+         * @param {Boolean} withCredentials true to send credentials with cross-origin requests.
+         * @returns {Promise} A promise resolved with an object whose <code>data</code> property holds the response
+         * as an ArrayBuffer and <code>contentType</code> property holds its MIME type, or rejected if the request
+         * fails.
+         */
+        PersistentTileCache.retrieve = function (url, withCredentials) {
+            return new Promise(function (resolve, reject) {
+                var xhr = new XMLHttpRequest();
+
+                xhr.open("GET", url, true);
+                xhr.responseType = 'arraybuffer';
+                xhr.withCredentials = !!withCredentials;
+                xhr.onreadystatechange = function () {
+                    if (xhr.readyState === 4) {
+                        if (xhr.status === 200) {
+                            resolve({data: xhr.response, contentType: xhr.getResponseHeader("content-type")});
+                        } else {
+                            reject(new Error("Retrieval failed (" + xhr.status + " " + xhr.statusText + "): " + url));
+                        }
+                    }
+                };
+
+                xhr.onerror = function () {
+                    reject(new Error("Retrieval failed: " + url));
+                };
+
+                xhr.send(null);
+            });
+        };
+
+        return PersistentTileCache;
+    });
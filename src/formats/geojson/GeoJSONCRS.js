@@ -120,6 +120,7 @@ define(['../../error/ArgumentError',
         GeoJSONCRS.prototype.isDefault = function () {
             if (this.isNamed()){
                 if (this._projectionString === GeoJSONConstants.EPSG4326_CRS ||
+                    this._projectionString === GeoJSONConstants.EPSG4326_URN_CRS ||
                     this._projectionString === GeoJSONConstants.WGS84_CRS)
                 {
                     return true;
@@ -57,6 +57,8 @@ define([],
         // such as "EPSG:4326"
         GeoJSONConstants.WGS84_CRS = "urn:ogc:def:crs:OGC:1.3:CRS84";
         GeoJSONConstants.EPSG4326_CRS = "EPSG:4326";
+        // The URN of EPSG:4326 used by WFS servers, whose GeoJSON nevertheless lists longitudes first
+        GeoJSONConstants.EPSG4326_URN_CRS = "urn:ogc:def:crs:EPSG::4326";
 
         return GeoJSONConstants;
     }
@@ -0,0 +1,280 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    '../../error/ArgumentError',
+    './GeoJSONConstants',
+    '../../shapes/GeographicText',
+    '../../globe/Globe',
+    '../../util/Logger',
+    '../../shapes/Path',
+    '../../shapes/Placemark',
+    '../../shapes/Polygon',
+    '../../shapes/SurfaceCircle',
+    '../../shapes/SurfaceEllipse',
+    '../../shapes/SurfacePolygon',
+    '../../shapes/SurfacePolyline',
+    '../../shapes/SurfaceRectangle',
+    '../../shapes/SurfaceSector',
+    '../../globe/ZeroElevationModel'
+], function (ArgumentError,
+             GeoJSONConstants,
+             GeographicText,
+             Globe,
+             Logger,
+             Path,
+             Placemark,
+             Polygon,
+             SurfaceCircle,
+             SurfaceEllipse,
+             SurfacePolygon,
+             SurfacePolyline,
+             SurfaceRectangle,
+             SurfaceSector,
+             ZeroElevationModel) {
+    "use strict";
+
+    /**
+     * Provides export of the renderables to GeoJSON, the inverse of the {@link GeoJSONParser}. Supported
+     * renderables are Placemark, GeographicText, Path, Polygon, SurfacePolyline and SurfacePolygon, as well as
+     * SurfaceCircle, SurfaceEllipse, SurfaceRectangle and SurfaceSector, which GeoJSON doesn't support and which
+     * are therefore exported as polygons approximating their boundaries as drawn on a globe. Other renderables are skipped.
+     * <p>
+     * Every renderable is exported as a Feature. Its properties are the values of the userProperties of the
+     * renderable that JSON can represent; Dates are exported as ISO 8601 strings. The label of a Placemark and the
+     * text of a GeographicText are exported as the name property unless the userProperties specify a name.
+     * Optionally the attributes of the renderables are exported as properties following the
+     * <a href="https://github.com/mapbox/simplestyle-spec">simplestyle specification</a>.
+     * <p>
+     * The exported objects are plain JavaScript objects; use JSON.stringify to serialize them.
+     * @exports GeoJSONExporter
+     */
+    var GeoJSONExporter = {
+        /**
+         * Exports the renderable as a GeoJSON Feature.
+         * @param renderable {Renderable} Renderable to export.
+         * @param options {Object} Optional. Options of the export. If options.simplestyle is true, the attributes
+         * of the renderable are exported as simplestyle properties. The boundaries of circles, ellipses and
+         * rectangles are computed on options.globe, a WGS84 globe by default.
+         * @returns {Object} GeoJSON Feature or null if the renderable isn't supported.
+         * @throws {ArgumentError} If the renderable is null or undefined.
+         */
+        exportRenderable: function (renderable, options) {
+            if (!renderable) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "GeoJSONExporter", "exportRenderable",
+                        "missingRenderable"));
+            }
+
+            var geometry = renderableGeometry(renderable, (options && options.globe) || defaultGlobe());
+            if (!geometry) {
+                Logger.logMessage(Logger.LEVEL_WARNING, "GeoJSONExporter", "exportRenderable",
+                    "Renderable " + renderable.displayName + " isn't supported by the export.");
+                return null;
+            }
+
+            var properties = jsonValue(renderable.userProperties || {}) || {},
+                name = renderable instanceof Placemark ? renderable.label :
+                    renderable instanceof GeographicText ? renderable.text : null;
+            if (name && properties.name === undefined) {
+                properties.name = name;
+            }
+
+            if (options && options.simplestyle && renderable.attributes) {
+                simplestyle(properties, geometry.type, renderable.attributes);
+            }
+
+            var feature = {};
+            feature[GeoJSONConstants.FIELD_TYPE] = GeoJSONConstants.TYPE_FEATURE;
+            feature[GeoJSONConstants.FIELD_GEOMETRY] = geometry;
+            feature[GeoJSONConstants.FIELD_PROPERTIES] = properties;
+            return feature;
+        },
+
+        /**
+         * Exports the renderables as a GeoJSON FeatureCollection. Unsupported renderables are skipped.
+         * @param renderables {Renderable[]} Renderables to export.
+         * @param options {Object} Optional. Options of the export as accepted by
+         * [exportRenderable]{@link GeoJSONExporter#exportRenderable}.
+         * @returns {Object} GeoJSON FeatureCollection.
+         * @throws {ArgumentError} If the renderables are null or undefined.
+         */
+        exportRenderables: function (renderables, options) {
+            if (!renderables) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "GeoJSONExporter", "exportRenderables",
+                        "The specified renderables are null or undefined."));
+            }
+
+            var featureCollection = {};
+            featureCollection[GeoJSONConstants.FIELD_TYPE] = GeoJSONConstants.TYPE_FEATURE_COLLECTION;
+            featureCollection[GeoJSONConstants.FIELD_FEATURES] = renderables.map(function (renderable) {
+                return GeoJSONExporter.exportRenderable(renderable, options);
+            }).filter(function (feature) {
+                return feature !== null;
+            });
+            return featureCollection;
+        },
+
+        /**
+         * Exports the renderables of the layer as a GeoJSON FeatureCollection.
+         * @param layer {RenderableLayer} Layer whose renderables are exported.
+         * @param options {Object} Optional. Options of the export as accepted by
+         * [exportRenderable]{@link GeoJSONExporter#exportRenderable}.
+         * @returns {Object} GeoJSON FeatureCollection.
+         * @throws {ArgumentError} If the layer is null or undefined.
+         */
+        exportLayer: function (layer, options) {
+            if (!layer) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "GeoJSONExporter", "exportLayer",
+                        "The specified layer is null or undefined."));
+            }
+
+            return GeoJSONExporter.exportRenderables(layer.renderables, options);
+        }
+    };
+
+    // Intentionally undocumented. Creates the GeoJSON geometry of the renderable or returns null if the renderable
+    // isn't supported.
+    function renderableGeometry(renderable, globe) {
+        if (renderable instanceof Placemark || renderable instanceof GeographicText) {
+            return geometry(GeoJSONConstants.TYPE_POINT, position(renderable.position));
+        } else if (renderable instanceof Path) {
+            return geometry(GeoJSONConstants.TYPE_LINE_STRING, renderable.positions.map(position));
+        } else if (renderable instanceof SurfacePolyline) {
+            return geometry(GeoJSONConstants.TYPE_LINE_STRING, renderable.boundaries.map(position));
+        } else if (renderable instanceof Polygon || renderable instanceof SurfacePolygon) {
+            return polygon(renderable.boundaries);
+        } else if (renderable instanceof SurfaceCircle || renderable instanceof SurfaceEllipse ||
+            renderable instanceof SurfaceRectangle || renderable instanceof SurfaceSector) {
+            var boundaries = renderable.computeBoundaryLocations(globe);
+            return boundaries ? polygon(boundaries) : null;
+        }
+
+        return null;
+    }
+
+    function geometry(type, coordinates) {
+        var result = {};
+        result[GeoJSONConstants.FIELD_TYPE] = type;
+        result[GeoJSONConstants.FIELD_COORDINATES] = coordinates;
+        return result;
+    }
+
+    function position(location) {
+        return location.altitude !== undefined ? [location.longitude, location.latitude, location.altitude] :
+            [location.longitude, location.latitude];
+    }
+
+    // Intentionally undocumented. Creates the Polygon from the boundaries, which are either single list of
+    // locations or list of the lists of locations. The first boundary is the exterior ring.
+    function polygon(boundaries) {
+        if (boundaries.length > 0 && !Array.isArray(boundaries[0])) {
+            boundaries = [boundaries];
+        }
+
+        return geometry(GeoJSONConstants.TYPE_POLYGON, boundaries.filter(function (boundary) {
+            return boundary.length > 0;
+        }).map(function (boundary, index) {
+            return linearRing(boundary.map(position), index === 0);
+        }));
+    }
+
+    // Intentionally undocumented. Closes the ring and orients it by the right-hand rule of RFC 7946: exterior
+    // rings are counterclockwise, holes are clockwise.
+    function linearRing(ring, isExterior) {
+        var first = ring[0], last = ring[ring.length - 1];
+        if (first[0] !== last[0] || first[1] !== last[1]) {
+            ring = ring.concat([first]);
+        }
+
+        var area = 0;
+        for (var i = 0; i < ring.length - 1; i++) {
+            area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+        }
+
+        // The area is positive for counterclockwise rings.
+        return (area < 0) === isExterior ? ring.reverse() : ring;
+    }
+
+    // Intentionally undocumented. Returns the globe on which the boundaries of the surface shapes are computed
+    // unless the options of the export specify one.
+    var globe = null;
+
+    function defaultGlobe() {
+        if (!globe) {
+            globe = new Globe(new ZeroElevationModel());
+        }
+
+        return globe;
+    }
+
+    // Intentionally undocumented. Converts the value to the value JSON can represent or returns undefined if
+    // there is none.
+    function jsonValue(value) {
+        if (value === null || typeof value === "string" || typeof value === "boolean") {
+            return value;
+        } else if (typeof value === "number") {
+            return isFinite(value) ? value : null;
+        } else if (value instanceof Date) {
+            return isNaN(value.getTime()) ? null : value.toISOString();
+        } else if (Array.isArray(value)) {
+            return value.map(function (element) {
+                var result = jsonValue(element);
+                return result === undefined ? null : result;
+            });
+        } else if (value && Object.getPrototypeOf(value) === Object.prototype) {
+            var result = {};
+            for (var key in value) {
+                if (value.hasOwnProperty(key) && jsonValue(value[key]) !== undefined) {
+                    result[key] = jsonValue(value[key]);
+                }
+            }
+            return result;
+        }
+
+        return undefined;
+    }
+
+    // Intentionally undocumented. Adds the simplestyle properties for the attributes of the renderable.
+    function simplestyle(properties, geometryType, attributes) {
+        if (geometryType === GeoJSONConstants.TYPE_POINT) {
+            if (attributes.imageColor) {
+                properties["marker-color"] = hexColor(attributes.imageColor);
+            }
+            return;
+        }
+
+        properties["stroke"] = hexColor(attributes.outlineColor);
+        properties["stroke-opacity"] = attributes.drawOutline ? attributes.outlineColor.alpha : 0;
+        properties["stroke-width"] = attributes.outlineWidth;
+
+        if (geometryType === GeoJSONConstants.TYPE_POLYGON) {
+            properties["fill"] = hexColor(attributes.interiorColor);
+            properties["fill-opacity"] = attributes.drawInterior ? attributes.interiorColor.alpha : 0;
+        }
+    }
+
+    // Intentionally undocumented. Returns the color in the #rrggbb format used by simplestyle.
+    function hexColor(color) {
+        return "#" + [color.red, color.green, color.blue].map(function (component) {
+            var hex = Math.round(component * 255).toString(16);
+            return hex.length < 2 ? "0" + hex : hex;
+        }).join("");
+    }
+
+    return GeoJSONExporter;
+});
@@ -60,7 +60,13 @@ define(['../../error/ArgumentError',
                         "invalidCoordinatesType"));
             }
 
-            if (coordinates[0][0] !== coordinates[0][coordinates.length - 1]) {
+            // The rings aren't required to be closed, the shapes close them. The holes only need to be positions.
+            var isRing = function (ring) {
+                return Object.prototype.toString.call(ring) === '[object Array]' && ring.length > 0 &&
+                    Object.prototype.toString.call(ring[0]) === '[object Array]';
+            };
+
+            if (!coordinates.every(isRing)) {
                 throw new ArgumentError(
                     Logger.logMessage(Logger.LEVEL_SEVERE, "GeoJSONGeometryPolygon", "constructor",
                         "invalidLinearRing"));
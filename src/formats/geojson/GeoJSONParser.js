@@ -18,6 +18,7 @@
  */
 define(['../../error/ArgumentError',
         '../../util/Color',
+        '../../shapes/DataDrivenStyle',
         './GeoJSONConstants',
         './GeoJSONCRS',
         './GeoJSONFeature',
@@ -44,6 +45,7 @@ define(['../../error/ArgumentError',
     ],
     function (ArgumentError,
               Color,
+              DataDrivenStyle,
               GeoJSONConstants,
               GeoJSONCRS,
               GeoJSONFeature,
@@ -226,11 +228,14 @@ define(['../../error/ArgumentError',
          * that the attributes and other properties of the shape created for it can be assigned.
          * @param {Function} parserCompletionCallback An optional function called when the GeoJSON loading is
          * complete and all the shapes have been added to the layer.
-         * @param {Function} shapeConfigurationCallback An optional function called by the addRenderablesFor*
-         * methods just prior to creating a shape for the indicated GeoJSON geometry. This function
+         * @param {Function|DataDrivenStyle} shapeConfigurationCallback An optional function called by the
+         * addRenderablesFor* methods just prior to creating a shape for the indicated GeoJSON geometry. This function
          * can be used to assign attributes to newly created shapes. The callback function's first argument is the
          * current geometry object.  The second argument to the callback function is the object containing the
-         * properties read from the corresponding GeoJSON properties member, if any.
+         * properties read from the corresponding GeoJSON properties member, if any. A {@link DataDrivenStyle} can be
+         * specified instead, in which case the shapes are configured by the
+         * [styledShapeConfigurationCallback]{@link GeoJSONParser#styledShapeConfigurationCallback} and the style
+         * is assigned to the layer.
          * See the following methods for descriptions of the configuration properties they recognize:
          * <ul>
          *     <li>[addRenderablesForPoint]{@link GeoJSONParser#addRenderablesForPoint}</li>
@@ -250,24 +255,53 @@ define(['../../error/ArgumentError',
          */
 
         GeoJSONParser.prototype.load = function (parserCompletionCallback, shapeConfigurationCallback, layer) {
+            this.prepareLoad(parserCompletionCallback, shapeConfigurationCallback, layer);
+
+            if (this.isDataSourceJson()){
+                this.parse(this.dataSource);
+            }
+            else {
+                this.requestUrl(this.dataSource);
+            }
+        };
+
+        // Assigns the arguments of load. Internal use only.
+        GeoJSONParser.prototype.prepareLoad = function (parserCompletionCallback, shapeConfigurationCallback, layer) {
             if (parserCompletionCallback) {
                 this._parserCompletionCallback = parserCompletionCallback;
             }
 
-            if (shapeConfigurationCallback) {
+            if (shapeConfigurationCallback instanceof DataDrivenStyle) {
+                this._shapeConfigurationCallback = this.styledShapeConfigurationCallback;
+            }
+            else if (shapeConfigurationCallback) {
                 this._shapeConfigurationCallback = shapeConfigurationCallback;
             }
 
             this._layer = layer || new RenderableLayer();
 
-            if (this.isDataSourceJson()){
-                this.parse(this.dataSource);
-            }
-            else {
-                this.requestUrl(this.dataSource);
+            if (shapeConfigurationCallback instanceof DataDrivenStyle &&
+                this._layer.style !== shapeConfigurationCallback) {
+                this._layer.style = shapeConfigurationCallback;
             }
         };
 
+        /**
+         * The [shapeConfigurationCallback]{@link GeoJSONParser#shapeConfigurationCallback} used if a
+         * {@link DataDrivenStyle} was specified to the [load]{@link GeoJSONParser#load} method. In addition to the
+         * configuration of the [default callback]{@link GeoJSONParser#defaultShapeConfigurationCallback}, it assigns
+         * the properties to the userProperties of the shapes, which the style of the layer is applied to.
+         * @param {GeoJSONGeometry} geometry An object containing the geometry associated with this GeoJSON.
+         * @param {Object} properties An object containing the attribute-value pairs found in GeoJSON feature
+         * properties member.
+         * @returns {Object} An object with the configuration of the shape.
+         */
+        GeoJSONParser.prototype.styledShapeConfigurationCallback = function (geometry, properties) {
+            var configuration = this.defaultShapeConfigurationCallback(geometry, properties || {});
+            configuration.userProperties = properties || {};
+            return configuration;
+        };
+
         /**
          * The default [shapeConfigurationCallback]{@link GeoJSONParser#shapeConfigurationCallback} for this GeoJSON.
          * It is called if none was specified to the [load]{@link GeoJSONParser#load} method.
@@ -1097,6 +1131,10 @@ define(['../../error/ArgumentError',
                     'urn:ogc:def:crs:OGC:1.3:CRS84',
                     Proj4.defs('EPSG:4326')
                 ],
+                [
+                    'urn:ogc:def:crs:EPSG::4326',
+                    Proj4.defs('EPSG:4326')
+                ],
                 [
                     'urn:ogc:def:crs:EPSG::3857',
                     Proj4.defs('EPSG:3857')
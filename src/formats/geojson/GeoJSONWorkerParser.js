@@ -0,0 +1,445 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports GeoJSONWorkerParser
+ */
+define(['../../error/ArgumentError',
+        './GeoJSONConstants',
+        './GeoJSONCRS',
+        './GeoJSONFeature',
+        './GeoJSONParser',
+        '../../util/Logger'
+    ],
+    function (ArgumentError,
+              GeoJSONConstants,
+              GeoJSONCRS,
+              GeoJSONFeature,
+              GeoJSONParser,
+              Logger) {
+        "use strict";
+
+        /**
+         * Constructs a GeoJSON parser that parses the GeoJSON in a Web Worker. Call
+         * [load]{@link GeoJSONWorkerParser#load} to retrieve the GeoJSON and create shapes for it.
+         * @alias GeoJSONWorkerParser
+         * @constructor
+         * @augments GeoJSONParser
+         * @classdesc Parses large GeoJSON without blocking the application. The retrieval, the parsing and the
+         * reprojection of the coordinates of the GeoJSON are performed by a Web Worker, which delivers the features
+         * in chunks. The shapes of every chunk are added to the layer before the next chunk is requested, so that
+         * the globe is redrawn while the GeoJSON loads. The shapes are created in the same way as by the
+         * {@link GeoJSONParser}, including the use of the shape configuration callback.
+         * <p>
+         * The progress of the loading is reported to the [progressCallback]{@link GeoJSONWorkerParser#progressCallback},
+         * its failure to the [errorCallback]{@link GeoJSONWorkerParser#errorCallback}, and the loading can be
+         * stopped by [cancel]{@link GeoJSONWorkerParser#cancel}. As the parsed GeoJSON stays
+         * in the worker, the [geoJSONObject]{@link GeoJSONParser#geoJSONObject} of this parser is null.
+         * @param {String} dataSource The data source of the GeoJSON. Can be a string or an URL to a GeoJSON.
+         * @throws {ArgumentError} If the specified data source is null or undefined.
+         */
+        var GeoJSONWorkerParser = function (dataSource) {
+            GeoJSONParser.call(this, dataSource);
+
+            /**
+             * The number of features delivered by the worker at once.
+             * @type {Number}
+             * @default 500
+             */
+            this.chunkSize = 500;
+
+            /**
+             * An optional function called after the shapes of every chunk of features have been added to the layer.
+             * Its arguments are the number of features loaded so far and the number of features of the GeoJSON.
+             * @type {Function}
+             * @default null
+             */
+            this.progressCallback = null;
+
+            /**
+             * An optional function called if the loading fails, e.g. if the GeoJSON can't be retrieved or parsed or
+             * if the worker can't be created. Its argument is a message describing the failure. The completion
+             * callback isn't called in that case.
+             * @type {Function}
+             * @default null
+             */
+            this.errorCallback = null;
+
+            /**
+             * The URL of the proj4 script loaded by the worker to reproject coordinates of GeoJSON that doesn't use
+             * WGS84. If the worker can't load the script, the coordinates are reprojected when the shapes are
+             * created.
+             * @type {String}
+             * @default The proj4 script of the WorldWind sources relative to the
+             * [baseUrl]{@link WorldWind#configuration} of WorldWind.
+             */
+            this.proj4Url = WorldWind.configuration.baseUrl + "src/util/proj4-src.js";
+
+            // Internal use only. The worker parsing the GeoJSON.
+            this.worker = null;
+        };
+
+        GeoJSONWorkerParser.prototype = Object.create(GeoJSONParser.prototype);
+
+        /**
+         * Retrieves the GeoJSON in a Web Worker and creates shapes representing its contents. See
+         * [GeoJSONParser.load]{@link GeoJSONParser#load} for the description of the arguments. The completion
+         * callback is called once all the shapes have been added to the layer; it isn't called if the loading fails,
+         * which is reported to the [errorCallback]{@link GeoJSONWorkerParser#errorCallback}, or is cancelled.
+         * @param {Function} parserCompletionCallback An optional function called when the GeoJSON loading is
+         * complete and all the shapes have been added to the layer.
+         * @param {Function|DataDrivenStyle} shapeConfigurationCallback An optional function called just prior to
+         * creating a shape for the indicated GeoJSON geometry, or a style applied to the shapes.
+         * @param {RenderableLayer} layer A {@link RenderableLayer} to hold the shapes created for each GeoJSON
+         * geometry. If null, a new layer is created and assigned to this object's [layer]{@link GeoJSONParser#layer}
+         * property.
+         */
+        GeoJSONWorkerParser.prototype.load = function (parserCompletionCallback, shapeConfigurationCallback, layer) {
+            this.prepareLoad(parserCompletionCallback, shapeConfigurationCallback, layer);
+
+            this.cancel();
+            try {
+                this.worker = this.createWorker();
+            }
+            catch (e) {
+                this.fail("Unable to create the GeoJSON worker: " + e);
+                return;
+            }
+
+            this.worker.onmessage = this.handleMessage.bind(this, this.worker);
+            this.worker.onerror = this.handleError.bind(this, this.worker);
+            this.worker.postMessage({
+                type: "load",
+                text: this.isDataSourceText() ? this.dataSource : null,
+                url: this.isDataSourceText() ? null : GeoJSONWorkerParser.absoluteUrl(this.dataSource),
+                proj4Url: this.proj4Url ? GeoJSONWorkerParser.absoluteUrl(this.proj4Url) : null,
+                chunkSize: this.chunkSize
+            });
+        };
+
+        /**
+         * Stops loading the GeoJSON. The shapes already added to the layer are kept.
+         */
+        GeoJSONWorkerParser.prototype.cancel = function () {
+            if (this.worker) {
+                this.worker.terminate();
+                this.worker = null;
+            }
+        };
+
+        /**
+         * Indicates whether the data source is GeoJSON text rather than an URL. Unlike
+         * [isDataSourceJson]{@link GeoJSONParser#isDataSourceJson} it doesn't parse the data source.
+         * @returns {Boolean} True if the data source is GeoJSON text.
+         */
+        GeoJSONWorkerParser.prototype.isDataSourceText = function () {
+            return /^\s*\{/.test(this.dataSource);
+        };
+
+        /**
+         * Creates the Web Worker parsing the GeoJSON. The worker runs
+         * [workerScript]{@link GeoJSONWorkerParser.workerScript}, which is bundled with the library, therefore no
+         * separate worker file has to be deployed.
+         * @returns {Worker} The worker.
+         * @protected
+         */
+        GeoJSONWorkerParser.prototype.createWorker = function () {
+            var source = "(" + GeoJSONWorkerParser.workerScript.toString() + ")(self);",
+                url = URL.createObjectURL(new Blob([source], {type: "application/javascript"})),
+                worker = new Worker(url);
+
+            URL.revokeObjectURL(url);
+
+            return worker;
+        };
+
+        // Internal use only. Handles the messages of the worker.
+        GeoJSONWorkerParser.prototype.handleMessage = function (worker, event) {
+            if (worker !== this.worker) {
+                return; // The loading has been cancelled or restarted.
+            }
+
+            var message = event.data;
+            if (message.type === "header") {
+                this._geoJSONType = message.geoJSONType;
+                this._crs = null;
+                if (message.projection) {
+                    // The worker couldn't reproject the coordinates.
+                    this._crs = new GeoJSONCRS(GeoJSONConstants.FIELD_CRS_NAME, {name: message.projection});
+                    this._crs.setCRSString(function () {
+                    });
+                }
+            }
+            else if (message.type === "chunk") {
+                this.addRenderablesForChunk(this.layer, message.features);
+
+                if (typeof this.progressCallback === "function") {
+                    this.progressCallback(message.loaded, message.total);
+                }
+
+                // Send an event to request a redraw.
+                var e = document.createEvent('Event');
+                e.initEvent(WorldWind.REDRAW_EVENT_TYPE, true, true);
+                window.dispatchEvent(e);
+
+                // Let the globe redraw before the shapes of the next chunk are created.
+                if (message.loaded < message.total) {
+                    setTimeout(function () {
+                        worker.postMessage({type: "next"});
+                    }, 0);
+                }
+            }
+            else if (message.type === "end") {
+                this.cancel();
+
+                if (typeof this._parserCompletionCallback === "function") {
+                    this._parserCompletionCallback(this.layer);
+                }
+            }
+            else if (message.type === "error") {
+                this.fail(message.message);
+            }
+        };
+
+        // Internal use only. Handles the errors thrown by the worker.
+        GeoJSONWorkerParser.prototype.handleError = function (worker, event) {
+            if (worker !== this.worker) {
+                return;
+            }
+
+            this.fail("GeoJSON worker error: " + (event.message || "unknown error"));
+        };
+
+        // Internal use only. Stops the loading and reports its failure.
+        GeoJSONWorkerParser.prototype.fail = function (message) {
+            this.cancel();
+            Logger.logMessage(Logger.LEVEL_WARNING, "GeoJSONWorkerParser", "load", message);
+
+            if (typeof this.errorCallback === "function") {
+                this.errorCallback(message);
+            }
+        };
+
+        /**
+         * Creates shapes for a chunk of features delivered by the worker. Features whose shapes can't be created are
+         * skipped.
+         * @param {RenderableLayer} layer The layer in which to place the newly created shapes.
+         * @param {Object[]} features The GeoJSON features of the chunk.
+         */
+        GeoJSONWorkerParser.prototype.addRenderablesForChunk = function (layer, features) {
+            for (var featureIndex = 0; featureIndex < features.length; featureIndex++) {
+                var feature = features[featureIndex];
+                if (!feature[GeoJSONConstants.FIELD_GEOMETRY]) {
+                    continue; // Unlocated feature.
+                }
+
+                try {
+                    this.addRenderablesForFeature(layer, new GeoJSONFeature(
+                        feature[GeoJSONConstants.FIELD_GEOMETRY],
+                        feature[GeoJSONConstants.FIELD_PROPERTIES] || {},
+                        feature[GeoJSONConstants.FIELD_ID],
+                        feature[GeoJSONConstants.FIELD_BBOX]));
+                }
+                catch (e) {
+                    Logger.logMessage(Logger.LEVEL_WARNING, "GeoJSONWorkerParser", "addRenderablesForChunk",
+                        "GeoJSON feature skipped: " + e);
+                }
+            }
+        };
+
+        // Internal use only. Resolves the URL against the location of the document, as the worker can't resolve
+        // relative URLs.
+        GeoJSONWorkerParser.absoluteUrl = function (url) {
+            var anchor = document.createElement("a");
+            anchor.href = url;
+            return anchor.href;
+        };
+
+        /**
+         * The script of the worker. It's serialized to create the worker, therefore it mustn't refer to anything
+         * outside of its body. Internal use only.
+         * <p>
+         * The worker retrieves and parses the GeoJSON given by the load message, reprojects its coordinates to WGS84
+         * and replies with a header message followed by the chunk messages of its features. A single chunk is sent
+         * per next message. The end message follows the last chunk.
+         * @param {Object} scope The global scope of the worker.
+         */
+        GeoJSONWorkerParser.workerScript = function (scope) {
+            var features = null, position = 0, chunkSize = 1, proj4Url = null, converter = null;
+
+            scope.onmessage = function (event) {
+                var message = event.data;
+                if (message.type === "load") {
+                    chunkSize = Math.max(1, message.chunkSize);
+                    proj4Url = message.proj4Url;
+                    if (message.url) {
+                        request(message.url, function (text) {
+                            parse(text);
+                        });
+                    }
+                    else {
+                        parse(message.text);
+                    }
+                }
+                else if (message.type === "next" && features) {
+                    sendChunk();
+                }
+            };
+
+            function fail(message) {
+                features = null;
+                scope.postMessage({type: "error", message: message});
+            }
+
+            function request(url, callback) {
+                var xhr = new XMLHttpRequest();
+                xhr.open("GET", url, true);
+                xhr.responseType = "text";
+                xhr.onload = function () {
+                    if (xhr.status === 200) {
+                        callback(xhr.response);
+                    }
+                    else {
+                        fail("GeoJSON retrieval failed (" + xhr.statusText + "): " + url);
+                    }
+                };
+                xhr.onerror = function () {
+                    fail("GeoJSON retrieval failed: " + url);
+                };
+                xhr.send(null);
+            }
+
+            function parse(text) {
+                var object;
+                try {
+                    object = JSON.parse(text);
+                }
+                catch (e) {
+                    fail("Invalid GeoJSON: " + e);
+                    return;
+                }
+
+                if (!object || typeof object !== "object" || Array.isArray(object) || !object.type) {
+                    fail("The GeoJSON has no type.");
+                    return;
+                }
+
+                if (object.type === "FeatureCollection") {
+                    features = object.features || [];
+                }
+                else if (object.type === "Feature") {
+                    features = [object];
+                }
+                else {
+                    features = [{type: "Feature", geometry: object, properties: null}];
+                }
+
+                var crs = object.crs;
+                if (crs && crs.type === "link" && crs.properties) {
+                    request(crs.properties.href, function (projection) {
+                        start(object.type, projection);
+                    });
+                }
+                else {
+                    start(object.type, crs && crs.properties ? crs.properties.name : null);
+                }
+            }
+
+            function start(geoJSONType, projection) {
+                if (projection === "EPSG:4326" || projection === "urn:ogc:def:crs:EPSG::4326" ||
+                    projection === "urn:ogc:def:crs:OGC:1.3:CRS84") {
+                    projection = null;
+                }
+
+                if (projection) {
+                    converter = createConverter(projection);
+                }
+
+                scope.postMessage({
+                    type: "header",
+                    geoJSONType: geoJSONType,
+                    projection: converter ? null : projection,
+                    total: features.length
+                });
+
+                sendChunk();
+            }
+
+            function createConverter(projection) {
+                try {
+                    if (!scope.proj4) {
+                        // The proj4 script is an AMD module.
+                        scope.define = function (dependencies, factory) {
+                            scope.proj4 = factory();
+                        };
+                        scope.define.amd = {};
+                        scope.importScripts(proj4Url);
+                        scope.proj4.defs("urn:ogc:def:crs:OGC:1.3:CRS84", scope.proj4.defs("EPSG:4326"));
+                        scope.proj4.defs("urn:ogc:def:crs:EPSG::3857", scope.proj4.defs("EPSG:3857"));
+                    }
+
+                    return scope.proj4(projection, "EPSG:4326");
+                }
+                catch (e) {
+                    return null;
+                }
+            }
+
+            function reproject(coordinates) {
+                if (typeof coordinates[0] === "number") {
+                    var location = converter.forward([coordinates[0], coordinates[1]]);
+                    coordinates[0] = location[0];
+                    coordinates[1] = location[1];
+                }
+                else {
+                    coordinates.forEach(reproject);
+                }
+            }
+
+            function reprojectGeometry(geometry) {
+                if (!geometry) {
+                    return;
+                }
+
+                if (geometry.geometries) {
+                    geometry.geometries.forEach(reprojectGeometry);
+                }
+                else if (geometry.coordinates) {
+                    reproject(geometry.coordinates);
+                }
+            }
+
+            function sendChunk() {
+                var chunk = features.slice(position, position + chunkSize);
+                position += chunk.length;
+
+                if (converter) {
+                    chunk.forEach(function (feature) {
+                        reprojectGeometry(feature.geometry);
+                    });
+                }
+
+                scope.postMessage({type: "chunk", features: chunk, loaded: position, total: features.length});
+
+                if (position >= features.length) {
+                    features = null;
+                    scope.postMessage({type: "end"});
+                }
+            }
+        };
+
+        return GeoJSONWorkerParser;
+    }
+);
@@ -0,0 +1,260 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports CloudOptimizedGeoTiff
+ */
+define([
+        '../../util/AbsentResourceList',
+        './GeoTiffReader',
+        '../../util/LevelSet',
+        '../../geom/Location',
+        '../../util/Logger',
+        '../../cache/MemoryCache',
+        '../../util/Promise'
+    ],
+    function (AbsentResourceList,
+              GeoTiffReader,
+              LevelSet,
+              Location,
+              Logger,
+              MemoryCache,
+              Promise) {
+        "use strict";
+
+        /**
+         * Constructs an object retrieving the header and the internal tiles of a Cloud-Optimized GeoTiff.
+         * Applications typically do not call this constructor. It is used by {@link CloudOptimizedGeoTiffLayer} and
+         * {@link GeoTiffElevationModel}.
+         * @alias CloudOptimizedGeoTiff
+         * @constructor
+         * @classdesc Retrieves the header of a GeoTiff and then its internal tiles on demand, using HTTP range
+         * requests, and determines the internal tiles and pixels covering tiles of a level set. Decoded internal
+         * tiles are cached.
+         * @param {String} url The location of the GeoTiff.
+         */
+        var CloudOptimizedGeoTiff = function (url) {
+            /**
+             * The reader retrieving the header and the internal tiles of the GeoTiff.
+             * @type {GeoTiffReader}
+             * @readonly
+             */
+            this.reader = new GeoTiffReader(url);
+
+            /**
+             * The full resolution image followed by the overviews. Null until the header of the file is parsed.
+             * @type {GeoTiffMetadata[]}
+             */
+            this.images = null;
+
+            // Intentionally not documented. Decoded internal tiles of the GeoTiff.
+            this.blockCache = new MemoryCache(50e6, 40e6);
+
+            // Intentionally not documented. Retrievals of internal tiles in progress keyed by image and tile index.
+            this.blockRetrievals = {};
+
+            // Intentionally not documented. Indicates whether the retrieval of the header is in progress or complete.
+            this.headerRequested = false;
+
+            // Intentionally not documented. Delays the next attempt after the header retrieval failed.
+            this.absentResourceList = new AbsentResourceList(3, 50e3);
+        };
+
+        /**
+         * Retrieves and parses the header of the GeoTiff, unless it's already retrieved or being retrieved. Failed
+         * retrievals are logged and attempted again on later calls, after the delay of an absent resource.
+         * @param {Function} callback A function called once the header is parsed and the images are available.
+         */
+        CloudOptimizedGeoTiff.prototype.retrieveHeader = function (callback) {
+            var url = this.reader.url;
+            if (this.headerRequested || this.absentResourceList.isResourceAbsent(url)) {
+                return;
+            }
+
+            var geoTiff = this;
+
+            this.headerRequested = true;
+            this.reader.readHeader(function (error) {
+                if (error) {
+                    geoTiff.retrievalFailed("GeoTiff header retrieval failed: " + url);
+                    return;
+                }
+
+                geoTiff.images = [geoTiff.reader.metadata].concat(geoTiff.reader.overviews);
+                callback();
+            });
+        };
+
+        /**
+         * Records the failure of the retrieval of the header, or of the content read along with it, so that it's
+         * attempted again by [retrieveHeader]{@link CloudOptimizedGeoTiff#retrieveHeader} after the delay of an
+         * absent resource.
+         * @param {String} message The message logged.
+         */
+        CloudOptimizedGeoTiff.prototype.retrievalFailed = function (message) {
+            this.headerRequested = false;
+            this.absentResourceList.markResourceAbsent(this.reader.url);
+            Logger.log(Logger.LEVEL_WARNING, message);
+        };
+
+        /**
+         * Indicates whether all images of the GeoTiff are organized in internal tiles rather than in strips.
+         * @returns {Boolean} true if the images are tiled, otherwise false.
+         */
+        CloudOptimizedGeoTiff.prototype.isTiled = function () {
+            return this.images.every(function (image) {
+                return !!(image.tileWidth && image.tileLength && image.tileOffsets && image.tileByteCounts);
+            });
+        };
+
+        /**
+         * Creates a level set covering the GeoTiff whose last level has the resolution of the GeoTiff.
+         * @param {Number} tileSize The width and height of the tiles of the level set.
+         * @returns {LevelSet} The level set.
+         */
+        CloudOptimizedGeoTiff.prototype.createLevelSet = function (tileSize) {
+            var metadata = this.reader.metadata,
+                sector = metadata.bbox,
+                delta = Math.max(sector.deltaLatitude(), sector.deltaLongitude()),
+                levelZeroDelta = new Location(Math.min(delta, 180), Math.min(delta, 360)),
+                texelSize = Math.min(sector.deltaLatitude() / metadata.imageLength,
+                    sector.deltaLongitude() / metadata.imageWidth),
+                numLevels = Math.max(1, Math.ceil(Math.log(levelZeroDelta.latitude / (tileSize * texelSize)) /
+                    Math.LN2) + 1);
+
+            return new LevelSet(sector, levelZeroDelta, numLevels, tileSize, tileSize);
+        };
+
+        /**
+         * Returns the lowest resolution overview still as detailed as the specified texel size, or the full
+         * resolution image if no overview is detailed enough.
+         * @param {Number} texelSize The longitude extent of a texel, in degrees.
+         * @returns {GeoTiffMetadata} The metadata of the image.
+         */
+        CloudOptimizedGeoTiff.prototype.imageForTexelSize = function (texelSize) {
+            var sector = this.reader.metadata.bbox,
+                result = this.images[0];
+
+            for (var i = 1; i < this.images.length; i++) {
+                if (sector.deltaLongitude() / this.images[i].imageWidth <= texelSize) {
+                    result = this.images[i];
+                }
+            }
+
+            return result;
+        };
+
+        /**
+         * Determines the pixel of the image at every point of a grid covering the specified sector.
+         * @param {Sector} sector The sector covered by the grid.
+         * @param {Number} width The number of columns of the grid.
+         * @param {Number} height The number of rows of the grid.
+         * @param {Boolean} atCorners true if the points are at the corners of the cells of the sector, as for
+         * elevations, false if they are at the centers of the cells, as for image pixels.
+         * @param {GeoTiffMetadata} image The image.
+         * @returns {{blocks: Int32Array, offsets: Int32Array, indices: Number[]}} The index of the internal tile
+         * and the offset of the pixel in it for every point of the grid, ordered by rows starting in the upper left
+         * corner. The block index is -1 for the points outside of the image. Indices lists the distinct internal
+         * tiles used. Images organized in strips are treated as a single internal tile.
+         */
+        CloudOptimizedGeoTiff.prototype.mapGrid = function (sector, width, height, atCorners, image) {
+            var scaleX = image.imageWidth / this.reader.metadata.imageWidth,
+                scaleY = image.imageLength / this.reader.metadata.imageLength,
+                blockWidth = image.tileWidth || image.imageWidth,
+                blockLength = image.tileLength || image.imageLength,
+                blocksAcross = Math.ceil(image.imageWidth / blockWidth),
+                divisorX = atCorners ? width - 1 : width,
+                divisorY = atCorners ? height - 1 : height,
+                shift = atCorners ? 0 : 0.5,
+                blocks = new Int32Array(width * height),
+                offsets = new Int32Array(width * height),
+                indices = [];
+
+            for (var y = 0; y < height; y++) {
+                var latitude = sector.maxLatitude - (y + shift) / divisorY * sector.deltaLatitude();
+                for (var x = 0; x < width; x++) {
+                    var longitude = sector.minLongitude + (x + shift) / divisorX * sector.deltaLongitude(),
+                        point = this.reader.locationToGeoTiffImage(latitude, longitude),
+                        column = Math.floor(point[0] * scaleX),
+                        row = Math.floor(point[1] * scaleY),
+                        k = y * width + x;
+
+                    // Points at the corners on the right and lower edge of the image use its last pixels.
+                    if (atCorners && column === image.imageWidth) {
+                        column--;
+                    }
+                    if (atCorners && row === image.imageLength) {
+                        row--;
+                    }
+
+                    if (column < 0 || row < 0 || column >= image.imageWidth || row >= image.imageLength) {
+                        blocks[k] = -1;
+                        continue;
+                    }
+
+                    blocks[k] = Math.floor(row / blockLength) * blocksAcross + Math.floor(column / blockWidth);
+                    offsets[k] = (row % blockLength) * blockWidth + column % blockWidth;
+
+                    if (indices.indexOf(blocks[k]) < 0) {
+                        indices.push(blocks[k]);
+                    }
+                }
+            }
+
+            return {blocks: blocks, offsets: offsets, indices: indices};
+        };
+
+        /**
+         * Retrieves and decodes an internal tile of the image. Decoded tiles are cached.
+         * @param {GeoTiffMetadata} image The image containing the internal tile.
+         * @param {Number} index The index of the internal tile in the image.
+         * @returns {Promise} A promise of the samples of all pixels of the internal tile. The promise resolves to
+         * null for the tiles missing in the file.
+         */
+        CloudOptimizedGeoTiff.prototype.retrieveBlock = function (image, index) {
+            var key = this.images.indexOf(image) + "/" + index,
+                pixels = this.blockCache.entryForKey(key),
+                geoTiff = this;
+
+            if (pixels) {
+                return Promise.resolve(pixels);
+            }
+
+            // Sparse files don't store the tiles containing only the no data value.
+            if (!image.tileByteCounts[index]) {
+                return Promise.resolve(null);
+            }
+
+            if (!this.blockRetrievals[key]) {
+                this.blockRetrievals[key] = new Promise(function (resolve, reject) {
+                    geoTiff.reader.readTile(image, index, function (pixels) {
+                        delete geoTiff.blockRetrievals[key];
+
+                        if (pixels) {
+                            // Every sample is stored as a number of eight bytes.
+                            geoTiff.blockCache.putEntry(key, pixels, 8 * pixels.length * (image.samplesPerPixel || 1));
+                            resolve(pixels);
+                        } else {
+                            reject(new Error("GeoTiff tile can't be retrieved: " + key));
+                        }
+                    });
+                });
+            }
+
+            return this.blockRetrievals[key];
+        };
+
+        return CloudOptimizedGeoTiff;
+    });
@@ -53,6 +53,9 @@ define([
             // Documented in defineProperties below.
             this._minSampleValue = null;
 
+            // Documented in defineProperties below.
+            this._newSubfileType = 0;
+
             // Documented in defineProperties below.
             this._orientation = 0;
 
@@ -62,6 +65,12 @@ define([
             // Documented in defineProperties below.
             this._planarConfiguration = null;
 
+            // Documented in defineProperties below.
+            this._predictor = null;
+
+            // Documented in defineProperties below.
+            this._jpegTables = null;
+
             // Documented in defineProperties below.
             this._resolutionUnit = null;
 
@@ -279,6 +288,22 @@ define([
                 }
             },
 
+            /**
+             * Contains the kind of data of the image. Bit 0 is set for the reduced resolution versions of another
+             * image and bit 2 for the transparency masks.
+             * @memberof GeoTiffMetadata.prototype
+             * @type {Number}
+             */
+            newSubfileType: {
+                get: function () {
+                    return this._newSubfileType;
+                },
+
+                set: function(value){
+                    this._newSubfileType = value;
+                }
+            },
+
             /**
              * Contains the orientation of the image with respect to the rows and columns.
              * @memberof GeoTiffMetadata.prototype
@@ -324,6 +349,41 @@ define([
                 }
             },
 
+            /**
+             * Contains the predictor applied to the image data before the compression. The specified values are:
+             * <ul>
+             *     <li>1 = No prediction</li>
+             *     <li>2 = Horizontal differencing</li>
+             *     <li>3 = Floating point horizontal differencing</li>
+             * </ul>
+             * @memberof GeoTiffMetadata.prototype
+             * @type {Number}
+             */
+            predictor: {
+                get: function () {
+                    return this._predictor;
+                },
+
+                set: function(value){
+                    this._predictor = value;
+                }
+            },
+
+            /**
+             * Contains the quantization and Huffman tables shared by the JPEG compressed strips or tiles.
+             * @memberof GeoTiffMetadata.prototype
+             * @type {Number[]}
+             */
+            jpegTables: {
+                get: function () {
+                    return this._jpegTables;
+                },
+
+                set: function(value){
+                    this._jpegTables = value;
+                }
+            },
+
             /**
              * Contains the unit of measurement for XResolution and YResolution. The specified values are:
              * <ul>
@@ -26,8 +26,10 @@ define([
         '../../geom/Location',
         '../../geom/Sector',
         '../../util/Logger',
+        '../../util/Promise',
         '../../util/proj4-src',
         './TiffConstants',
+        './TiffDecompressor',
         './TiffIFDEntry',
         '../../util/WWUtil'
     ],
@@ -40,8 +42,10 @@ define([
               Location,
               Sector,
               Logger,
+              Promise,
               Proj4,
               TiffConstants,
+              TiffDecompressor,
               TiffIFDEntry,
               WWUtil) {
         "use strict";
@@ -76,6 +80,9 @@ define([
 
             // Documented in defineProperties below.
             this._metadata = new GeoTiffMetadata();
+
+            // Documented in defineProperties below.
+            this._overviews = [];
         };
 
         Object.defineProperties(GeoTiffReader.prototype, {
@@ -138,44 +145,207 @@ define([
                 get: function () {
                     return this._metadata;
                 }
+            },
+
+            /**
+             * An array containing the metadata of the reduced resolution versions of the image stored in the
+             * geotiff file, ordered from the highest resolution. Transparency masks aren't included.
+             * @memberof GeoTiffReader.prototype
+             * @type {GeoTiffMetadata[]}
+             * @readonly
+             */
+            overviews: {
+                get: function () {
+                    return this._overviews;
+                }
             }
         });
 
-        // Get geotiff file as an array buffer using XMLHttpRequest. Internal use only.
+        /**
+         * The length in bytes of the first range requested by [readHeader]{@link GeoTiffReader#readHeader}. Longer
+         * ranges are requested when the header doesn't fit in it.
+         * @type {Number}
+         */
+        GeoTiffReader.HEADER_LENGTH = 65536;
+
+        // Get geotiff file as an array buffer using XMLHttpRequest. The callback receives an error when the
+        // retrieval fails. Internal use only.
         GeoTiffReader.prototype.requestUrl = function (url, callback) {
-            var xhr = new XMLHttpRequest();
+            var xhr = new XMLHttpRequest(),
+                completed = false;
+
+            // Network errors and timeouts complete the request as well, so make sure the callback is called once.
+            var fail = function (message) {
+                if (!completed) {
+                    completed = true;
+                    Logger.log(Logger.LEVEL_WARNING, message);
+                    callback(new Error(message));
+                }
+            };
 
             xhr.open("GET", url, true);
             xhr.responseType = 'arraybuffer';
             xhr.onreadystatechange = (function () {
-                if (xhr.readyState === 4) {
+                if (xhr.readyState === 4 && !completed) {
                     if (xhr.status === 200) {
                         var arrayBuffer = xhr.response;
                         if (arrayBuffer) {
+                            completed = true;
                             this.parse(arrayBuffer);
-                            callback();
+                            this.prepareBlocks(callback);
+                        }
+                        else {
+                            fail("GeoTiff retrieval returned no content: " + url);
                         }
                     }
                     else {
-                        Logger.log(Logger.LEVEL_WARNING,
-                            "GeoTiff retrieval failed (" + xhr.statusText + "): " + url);
+                        fail("GeoTiff retrieval failed (" + xhr.statusText + "): " + url);
                     }
                 }
             }).bind(this);
 
             xhr.onerror = function () {
-                Logger.log(Logger.LEVEL_WARNING, "GeoTiff retrieval failed: " + url);
+                fail("GeoTiff retrieval failed: " + url);
             };
 
             xhr.ontimeout = function () {
-                Logger.log(Logger.LEVEL_WARNING, "GeoTiff retrieval timed out: " + url);
+                fail("GeoTiff retrieval timed out: " + url);
             };
 
             xhr.send(null);
         };
 
+        // Get part of the geotiff file as an array buffer using HTTP range request. The callback receives null when
+        // the retrieval fails. Internal use only.
+        GeoTiffReader.prototype.requestRange = function (url, offset, length, callback) {
+            var xhr = new XMLHttpRequest();
+
+            xhr.open("GET", url, true);
+            xhr.responseType = 'arraybuffer';
+            xhr.setRequestHeader("Range", "bytes=" + offset + "-" + (offset + length - 1));
+            xhr.onreadystatechange = function () {
+                if (xhr.readyState === 4) {
+                    if (xhr.status === 206 && xhr.response) {
+                        callback(xhr.response);
+                    }
+                    else if (xhr.status === 200 && xhr.response) {
+                        // The server ignored the range and sent the whole file.
+                        callback(xhr.response.slice(offset, offset + length));
+                    }
+                    else {
+                        Logger.log(Logger.LEVEL_WARNING,
+                            "GeoTiff range retrieval failed (" + xhr.statusText + "): " + url);
+                        callback(null);
+                    }
+                }
+            };
+
+            xhr.onerror = function () {
+                Logger.log(Logger.LEVEL_WARNING, "GeoTiff range retrieval failed: " + url);
+            };
+
+            xhr.ontimeout = function () {
+                Logger.log(Logger.LEVEL_WARNING, "GeoTiff range retrieval timed out: " + url);
+            };
+
+            xhr.send(null);
+        };
+
+        /**
+         * Retrieves only the header of the GeoTiff file using HTTP range requests and parses the metadata of the
+         * image and of its overviews. No image data is retrieved, the tiles are retrieved individually by
+         * [readTile]{@link GeoTiffReader#readTile}. This is meant for Cloud-Optimized GeoTiff files, whose image
+         * file directories precede the image data.
+         *
+         * @param {Function} callback A function called when the header parsing is complete. It receives an Error
+         * when the header can't be retrieved or parsed.
+         */
+        GeoTiffReader.prototype.readHeader = function (callback) {
+            this.requestHeader(GeoTiffReader.HEADER_LENGTH, callback);
+        };
+
+        // Request the beginning of the geotiff file and parse it. The request is repeated with a longer range when
+        // the header doesn't fit in the retrieved bytes. Internal use only.
+        GeoTiffReader.prototype.requestHeader = function (length, callback) {
+            this.requestRange(this.url, 0, length, (function (arrayBuffer) {
+                if (!arrayBuffer) {
+                    callback(new Error("GeoTiff header can't be retrieved: " + this.url));
+                    return;
+                }
+
+                try {
+                    this.parse(arrayBuffer);
+                } catch (error) {
+                    // Reading past the end of the retrieved bytes, unless it is the end of the file.
+                    if (error instanceof RangeError && arrayBuffer.byteLength === length) {
+                        this.requestHeader(length * 4, callback);
+                        return;
+                    }
+
+                    Logger.log(Logger.LEVEL_WARNING, "GeoTiff header can't be parsed: " + this.url);
+                    callback(error);
+                    return;
+                }
+
+                callback();
+            }).bind(this));
+        };
+
+        /**
+         * Retrieves one tile of the image or of its overview using HTTP range request and decodes its pixels. The
+         * header must be already parsed, see [readHeader]{@link GeoTiffReader#readHeader}.
+         *
+         * @param {GeoTiffMetadata} metadata The metadata of the image containing the tile. Either the metadata of
+         * this reader or one of its overviews.
+         * @param {Number} tileIndex The index of the tile in the image. The tiles are ordered by rows starting in the
+         * upper left corner.
+         * @param {Function} callback A function called with the array of samples of every pixel of the tile, or
+         * with null if the tile can't be retrieved or decoded.
+         */
+        GeoTiffReader.prototype.readTile = function (metadata, tileIndex, callback) {
+            var samplesPerPixel = metadata.samplesPerPixel || 1;
+            var bitsPerSample = metadata.bitsPerSample;
+            var bytesPerPixel = samplesPerPixel * bitsPerSample[0] / 8;
+            var compression = metadata.compression;
+            if (metadata.sampleFormat) {
+                var sampleFormat = metadata.sampleFormat;
+            }
+            else {
+                var sampleFormat = new Array(samplesPerPixel);
+                WWUtil.fillArray(sampleFormat, TiffConstants.SampleFormat.UNSIGNED);
+            }
+
+            this.requestRange(this.url, metadata.tileOffsets[tileIndex], metadata.tileByteCounts[tileIndex],
+                (function (arrayBuffer) {
+                    if (!arrayBuffer) {
+                        callback(null);
+                        return;
+                    }
+
+                    var compressedBytes = new Uint8Array(arrayBuffer);
+                    if (compression === TiffConstants.Compression.JPEG) {
+                        TiffDecompressor.jpeg(compressedBytes, metadata.jpegTables, samplesPerPixel).then(
+                            (function (samples) {
+                                callback(this.getBlockPixels(new DataView(samples.buffer), false, bytesPerPixel,
+                                    bitsPerSample, sampleFormat));
+                            }).bind(this),
+                            function (error) {
+                                Logger.log(Logger.LEVEL_WARNING, error.message);
+                                callback(null);
+                            });
+                        return;
+                    }
+
+                    var blockData = this.decompressBlock(compressedBytes, compression, bytesPerPixel, metadata);
+                    callback(blockData ?
+                        this.getBlockPixels(blockData, false, bytesPerPixel, bitsPerSample, sampleFormat) : null);
+                }).bind(this));
+        };
+
         // Parse geotiff file. Internal use only
         GeoTiffReader.prototype.parse = function (arrayBuffer) {
+            this._imageFileDirectories = [];
+            this._metadata = new GeoTiffMetadata();
             this._geoTiffData = new DataView(arrayBuffer);
             this.getEndianness();
 
@@ -188,6 +358,7 @@ define([
 
             this.parseImageFileDirectory(firstIFDOffset);
             this.getMetadataFromImageFileDirectory();
+            this.getOverviewsFromImageFileDirectories();
             this.parseGeoKeys();
             this.setBBox();
         };
@@ -240,13 +411,24 @@ define([
          * Retrieves the GeoTiff file, parses it and creates a canvas of its content. The canvas is passed
          * to the callback function as a parameter.
          *
-         * @param {Function} callback A function called when GeoTiff parsing is complete.
+         * @param {Function} callback A function called when GeoTiff parsing is complete. It receives null and the
+         * error instead of the canvas when the image can't be decoded.
          */
         GeoTiffReader.prototype.readAsImage = function (callback) {
-            this.requestUrl(this.url, (function () {
+            this.requestUrl(this.url, (function (error) {
+                if (error) {
+                    callback(null, error);
+                    return;
+                }
+
                 var bitsPerSample = this.metadata.bitsPerSample;
                 var samplesPerPixel = this.metadata.samplesPerPixel;
                 var photometricInterpretation = this.metadata.photometricInterpretation;
+                if (this.metadata.compression === TiffConstants.Compression.JPEG &&
+                    photometricInterpretation === TiffConstants.PhotometricInterpretation.Y_Cb_Cr) {
+                    // The browser converts the decoded JPEG blocks to RGB.
+                    photometricInterpretation = TiffConstants.PhotometricInterpretation.RGB;
+                }
                 var imageLength = this.metadata.imageLength;
                 var imageWidth = this.metadata.imageWidth;
 
@@ -336,6 +518,16 @@ define([
         // Get pixel fill style. Internal use only.
         GeoTiffReader.prototype.getFillStyle = function (pixelSamples, photometricInterpretation, bitsPerSample,
                                                          samplesPerPixel, colorMapValues, colorMapSampleSize) {
+            var rgba = this.getRGBAValues(pixelSamples, photometricInterpretation, bitsPerSample, samplesPerPixel,
+                colorMapValues, colorMapSampleSize);
+
+            return GeoTiffUtil.getRGBAFillValue(rgba[0], rgba[1], rgba[2], rgba[3]);
+        }
+
+        // Get red, green and blue components of the pixel in the range 0-255 and its opacity in the range 0-1.
+        // Internal use only.
+        GeoTiffReader.prototype.getRGBAValues = function (pixelSamples, photometricInterpretation, bitsPerSample,
+                                                          samplesPerPixel, colorMapValues, colorMapSampleSize) {
             var red = 0.0;
             var green = 0.0;
             var blue = 0.0;
@@ -347,8 +539,12 @@ define([
 
             switch (photometricInterpretation) {
                 case TiffConstants.PhotometricInterpretation.WHITE_IS_ZERO:
-                    var invertValue = Math.pow(2, bitsPerSample) - 1;
-                    pixelSamples[0] = invertValue - pixelSamples[0];
+                    // The samples may be shared by several calls, so they are left untouched.
+                    var invertValue = Math.pow(2, bitsPerSample[0]) - 1;
+                    red = green = blue = GeoTiffUtil.clampColorSample(
+                        invertValue - pixelSamples[0],
+                        bitsPerSample[0]);
+                    break;
                 case TiffConstants.PhotometricInterpretation.BLACK_IS_ZERO:
                     red = green = blue = GeoTiffUtil.clampColorSample(
                         pixelSamples[0],
@@ -402,8 +598,8 @@ define([
                     break;
             }
 
-            return GeoTiffUtil.getRGBAFillValue(red, green, blue, opacity);
-        }
+            return [red, green, blue, opacity];
+        };
 
         GeoTiffReader.prototype.createTypedElevationArray = function () {
             var elevationArray = [], typedElevationArray;
@@ -487,10 +683,16 @@ define([
          * Retrieves the GeoTiff file, parses it and creates a typed array of its content. The array is passed
          * to the callback function as a parameter.
          *
-         * @param {Function} callback A function called when GeoTiff parsing is complete.
+         * @param {Function} callback A function called when GeoTiff parsing is complete. It receives null and the
+         * error instead of the array when the image can't be decoded.
          */
         GeoTiffReader.prototype.readAsData = function (callback) {
-            this.requestUrl(this.url, (function () {
+            this.requestUrl(this.url, (function (error) {
+                if (error) {
+                    callback(null, error);
+                    return;
+                }
+
                 callback(
                     this.createTypedElevationArray()
                 );
@@ -508,7 +710,8 @@ define([
                 var sampleFormat = this.metadata.sampleFormat;
             }
             else {
-                var sampleFormat = TiffConstants.SampleFormat.UNSIGNED;
+                var sampleFormat = new Array(samplesPerPixel);
+                WWUtil.fillArray(sampleFormat, TiffConstants.SampleFormat.UNSIGNED);
             }
 
             var bitsPerPixel = samplesPerPixel * bitsPerSample[0];
@@ -530,139 +733,154 @@ define([
         // Parse geotiff block. A block may be a strip or a tile. Internal use only.
         GeoTiffReader.prototype.parseBlock = function (returnElevation, compression, bytesPerPixel, blockByteCount,
                                                        blockOffset, bitsPerSample, sampleFormat) {
+            var blockData = null;
+            if (compression === TiffConstants.Compression.JPEG) {
+                var samples = this._jpegBlocks && this._jpegBlocks[blockOffset];
+                if (samples) {
+                    blockData = new DataView(samples.buffer, samples.byteOffset, samples.byteLength);
+                }
+                else {
+                    Logger.log(Logger.LEVEL_WARNING, "JPEG compressed block wasn't decoded: " + blockOffset);
+                }
+            }
+            else {
+                var compressedBytes = new Uint8Array(this.geoTiffData.buffer,
+                    this.geoTiffData.byteOffset + blockOffset, blockByteCount);
+                blockData = this.decompressBlock(compressedBytes, compression, bytesPerPixel, this.metadata);
+            }
+
+            return this.getBlockPixels(blockData, returnElevation, bytesPerPixel, bitsPerSample, sampleFormat);
+        }
+
+        // Get the samples of all pixels of the uncompressed block. Internal use only.
+        GeoTiffReader.prototype.getBlockPixels = function (blockData, returnElevation, bytesPerPixel, bitsPerSample,
+                                                           sampleFormat) {
             var block = [];
+            if (!blockData) {
+                return block;
+            }
+
+            // Loop through pixels.
+            for (var byteOffset = 0, increment = bytesPerPixel;
+                 byteOffset + increment <= blockData.byteLength; byteOffset += increment) {
+                // Loop through samples (sub-pixels).
+                for (var m = 0, pixel = []; m < bitsPerSample.length; m++) {
+                    var bytesPerSample = bitsPerSample[m] / 8;
+                    var sampleOffset = m * bytesPerSample;
+
+                    pixel.push(GeoTiffUtil.getSampleBytes(
+                        blockData,
+                        byteOffset + sampleOffset,
+                        bytesPerSample,
+                        sampleFormat[m],
+                        this.isLittleEndian));
+                }
+                if (returnElevation) {
+                    block.push(pixel[0]);
+                }
+                else {
+                    block.push(pixel);
+                }
+            }
+
+            return block;
+        };
+
+        // Decompress geotiff block described by the metadata and reverse its predictor. Returns the DataView of the
+        // uncompressed block or null if the compression isn't supported. Internal use only.
+        GeoTiffReader.prototype.decompressBlock = function (compressedBytes, compression, bytesPerPixel, metadata) {
+            var blockWidth, expectedLength;
+            if (metadata.tileOffsets) {
+                blockWidth = metadata.tileWidth;
+                expectedLength = metadata.tileWidth * metadata.tileLength * bytesPerPixel;
+            }
+            else {
+                var rowsPerStrip = metadata.rowsPerStrip || metadata.imageLength;
+                blockWidth = metadata.imageWidth;
+                expectedLength = Math.min(rowsPerStrip, metadata.imageLength) * blockWidth * bytesPerPixel;
+            }
+
+            var bytes;
             switch (compression) {
                 case TiffConstants.Compression.UNCOMPRESSED:
-                    // Loop through pixels.
-                    for (var byteOffset = 0, increment = bytesPerPixel;
-                         byteOffset < blockByteCount; byteOffset += increment) {
-                        // Loop through samples (sub-pixels).
-                        for (var m = 0, pixel = []; m < bitsPerSample.length; m++) {
-                            var bytesPerSample = bitsPerSample[m] / 8;
-                            var sampleOffset = m * bytesPerSample;
-
-                            pixel.push(GeoTiffUtil.getSampleBytes(
-                                this.geoTiffData,
-                                blockOffset + byteOffset + sampleOffset,
-                                bytesPerSample,
-                                sampleFormat[m],
-                                this.isLittleEndian));
-                        }
-                        if (returnElevation) {
-                            block.push(pixel[0]);
-                        }
-                        else {
-                            block.push(pixel);
-                        }
+                    if (!metadata.predictor || metadata.predictor === TiffConstants.Predictor.NONE) {
+                        return new DataView(compressedBytes.buffer, compressedBytes.byteOffset,
+                            compressedBytes.byteLength);
                     }
+                    // The predictor is reversed in place, so the data of the file must stay untouched.
+                    bytes = new Uint8Array(compressedBytes);
                     break;
                 case TiffConstants.Compression.CCITT_1D:
                     //todo
                     Logger.log(Logger.LEVEL_WARNING, "Compression type not yet implemented: CCITT_1D");
-                    break;
+                    return null;
                 case TiffConstants.Compression.GROUP_3_FAX:
                     //todo
                     Logger.log(Logger.LEVEL_WARNING, "Compression type not yet implemented: GROUP_3_FAX");
-                    break;
+                    return null;
                 case TiffConstants.Compression.GROUP_4_FAX:
                     //todo
                     Logger.log(Logger.LEVEL_WARNING, "Compression type not yet implemented: GROUP_4_FAX");
-                    break;
+                    return null;
                 case TiffConstants.Compression.LZW:
-                    //todo
-                    Logger.log(Logger.LEVEL_WARNING, "Compression type not yet implemented: LZW");
+                    bytes = TiffDecompressor.lzw(compressedBytes, expectedLength);
                     break;
                 case TiffConstants.Compression.JPEG:
-                    //todo
-                    Logger.log(Logger.LEVEL_WARNING, "Compression type not yet implemented: JPEG");
+                    Logger.log(Logger.LEVEL_WARNING, "JPEG compressed blocks are decoded asynchronously");
+                    return null;
+                case TiffConstants.Compression.ADOBE_DEFLATE:
+                case TiffConstants.Compression.DEFLATE:
+                    bytes = TiffDecompressor.deflate(compressedBytes);
                     break;
                 case TiffConstants.Compression.PACK_BITS:
-                    if (this.metadata.tileOffsets) {
-                        var tileWidth = this.metadata.tileWidth;
-                        var tileLength = this.metadata.tileWidth;
-                        var arrayBuffer = new ArrayBuffer(tileWidth * tileLength * bytesPerPixel);
-                    }
-                    else {
-                        var rowsPerStrip = this.metadata.rowsPerStrip;
-                        var imageWidth = this.metadata.imageWidth;
-                        var arrayBuffer = new ArrayBuffer(rowsPerStrip * imageWidth * bytesPerPixel);
-                    }
-
-                    var uncompressedDataView = new DataView(arrayBuffer);
-
-                    var newBlock = true;
-                    var pixel = [];
-                    var blockLength = 0;
-                    var numOfIterations = 0;
-                    var uncompressedOffset = 0;
-
-
-                    for (var byteOffset = 0; byteOffset < blockByteCount; byteOffset += 1) {
-
-                        if (newBlock) {
-                            blockLength = 1;
-                            numOfIterations = 1;
-                            newBlock = false;
-
-                            var nextSourceByte = this.geoTiffData.getInt8(blockOffset + byteOffset,
-                                this.isLittleEndian);
+                    bytes = TiffDecompressor.packBits(compressedBytes, expectedLength);
+                    break;
+                default:
+                    Logger.log(Logger.LEVEL_WARNING, "Unknown compression type: " + compression);
+                    return null;
+            }
 
-                            if (nextSourceByte >= 0 && nextSourceByte <= 127) {
-                                blockLength = nextSourceByte + 1;
-                            }
-                            else if (nextSourceByte >= -127 && nextSourceByte <= -1) {
-                                numOfIterations = -nextSourceByte + 1;
-                            }
-                            else {
-                                newBlock = true;
-                            }
-                        }
-                        else {
-                            var currentByte = GeoTiffUtil.getBytes(
-                                this.geoTiffData,
-                                blockOffset + byteOffset,
-                                1,
-                                this.isLittleEndian);
-
-                            for (var currentIteration = 0; currentIteration < numOfIterations; currentIteration++) {
-                                uncompressedDataView.setInt8(uncompressedOffset, currentByte);
-                                uncompressedOffset++;
-                            }
+            if (metadata.predictor && metadata.predictor !== TiffConstants.Predictor.NONE) {
+                var samplesPerPixel = metadata.samplesPerPixel || 1;
+                TiffDecompressor.undoPredictor(bytes, metadata.predictor, blockWidth, samplesPerPixel,
+                    bytesPerPixel / samplesPerPixel, this.isLittleEndian);
+            }
 
-                            blockLength--;
+            return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        };
 
-                            if (blockLength === 0) {
-                                newBlock = true;
-                            }
-                        }
-                    }
+        // Decode the JPEG compressed blocks with the image decoder of the browser before they are parsed. The
+        // callback is called once all blocks are decoded, with the error if a block can't be decoded. Internal use
+        // only.
+        GeoTiffReader.prototype.prepareBlocks = function (callback) {
+            if (this.metadata.compression !== TiffConstants.Compression.JPEG) {
+                callback();
+                return;
+            }
 
-                    for (var byteOffset = 0, increment = bytesPerPixel;
-                         byteOffset < arrayBuffer.byteLength; byteOffset += increment) {
-                        // Loop through samples (sub-pixels).
-                        for (var m = 0, pixel = []; m < bitsPerSample.length; m++) {
-                            var bytesPerSample = bitsPerSample[m] / 8;
-                            var sampleOffset = m * bytesPerSample;
-
-                            pixel.push(GeoTiffUtil.getSampleBytes(
-                                uncompressedDataView,
-                                byteOffset + sampleOffset,
-                                bytesPerSample,
-                                sampleFormat[m],
-                                this.isLittleEndian));
-                        }
-                        if (returnElevation) {
-                            block.push(pixel[0]);
-                        }
-                        else {
-                            block.push(pixel);
-                        }
-                    }
-                    break;
+            var offsets = this.metadata.tileOffsets || this.metadata.stripOffsets,
+                byteCounts = this.metadata.tileByteCounts || this.metadata.stripByteCounts,
+                samplesPerPixel = this.metadata.samplesPerPixel || 1,
+                decodedBlocks = [];
+
+            this._jpegBlocks = {};
+            for (var i = 0; i < offsets.length; i++) {
+                var compressedBytes = new Uint8Array(this.geoTiffData.buffer,
+                    this.geoTiffData.byteOffset + offsets[i], byteCounts[i]);
+                decodedBlocks.push(TiffDecompressor.jpeg(compressedBytes, this.metadata.jpegTables, samplesPerPixel)
+                    .then((function (offset, samples) {
+                        this._jpegBlocks[offset] = samples;
+                    }).bind(this, offsets[i])));
             }
 
-            return block;
-        }
+            Promise.all(decodedBlocks).then(function () {
+                callback();
+            }, (function (error) {
+                Logger.log(Logger.LEVEL_WARNING, "GeoTiff blocks can't be decoded: " + error.message);
+                this._jpegBlocks = null;
+                callback(error);
+            }).bind(this));
+        };
 
         // Parse geotiff tiles. Internal use only
         GeoTiffReader.prototype.parseTiles = function (returnElevation) {
@@ -767,6 +985,43 @@ define([
             return new Location(res[1], res[0]);
         };
 
+        // Translate a geographic location to pixel/line coordinates of the image. This is the inverse of
+        // geoTiffImageToPCS. Internal use only.
+        GeoTiffReader.prototype.locationToGeoTiffImage = function (latitude, longitude) {
+            var res = [longitude, latitude];
+            if (this.metadata.projectedCSType) {
+                res = Proj4('EPSG:4326', 'EPSG:' + this.metadata.projectedCSType, res);
+            }
+
+            var tiePointValues = this.metadata.modelTiepoint;
+            var modelPixelScaleValues = this.metadata.modelPixelScale;
+            var modelTransformationValues = this.metadata.modelTransformation;
+
+            var tiePointCount = tiePointValues ? tiePointValues.length : 0;
+            var modelPixelScaleCount = modelPixelScaleValues ? modelPixelScaleValues.length : 0;
+            var modelTransformationCount = modelTransformationValues ? modelTransformationValues.length : 0;
+
+            if (modelTransformationCount === 16) {
+                var determinant = modelTransformationValues[0] * modelTransformationValues[5] -
+                    modelTransformationValues[1] * modelTransformationValues[4];
+                var x = res[0] - modelTransformationValues[3];
+                var y = res[1] - modelTransformationValues[7];
+
+                res = [
+                    (modelTransformationValues[5] * x - modelTransformationValues[1] * y) / determinant,
+                    (modelTransformationValues[0] * y - modelTransformationValues[4] * x) / determinant
+                ];
+            }
+            else if (modelPixelScaleCount >= 3 && tiePointCount >= 6) {
+                res = [
+                    (res[0] - tiePointValues[3]) / modelPixelScaleValues[0] + tiePointValues[0],
+                    (tiePointValues[4] - res[1]) / modelPixelScaleValues[1] + tiePointValues[1]
+                ];
+            }
+
+            return res;
+        };
+
         /**
          * Set the bounding box of the geotiff file. Internal use only.
          */
@@ -785,109 +1040,136 @@ define([
             );
         }
 
-        // Get metadata from image file directory. Internal use only.
-        GeoTiffReader.prototype.getMetadataFromImageFileDirectory = function () {
-            for (var i = 0; i < this.imageFileDirectories[0].length; i++) {
+        // Get metadata from image file directory. The first directory and the metadata of this reader are used if
+        // not specified. Internal use only.
+        GeoTiffReader.prototype.getMetadataFromImageFileDirectory = function (index, metadata) {
+            var imageFileDirectory = this.imageFileDirectories[index || 0];
+            metadata = metadata || this.metadata;
+
+            for (var i = 0; i < imageFileDirectory.length; i++) {
 
-                switch (this.imageFileDirectories[0][i].tag) {
+                switch (imageFileDirectory[i].tag) {
                     case TiffConstants.Tag.BITS_PER_SAMPLE:
-                        this.metadata.bitsPerSample = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.bitsPerSample = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.COLOR_MAP:
-                        this.metadata.colorMap = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.colorMap = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.COMPRESSION:
-                        this.metadata.compression = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.compression = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.EXTRA_SAMPLES:
-                        this.metadata.extraSamples = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.extraSamples = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.IMAGE_LENGTH:
-                        this.metadata.imageLength = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.imageLength = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.IMAGE_WIDTH:
-                        this.metadata.imageWidth = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.imageWidth = imageFileDirectory[i].getIFDEntryValue()[0];
+                        break;
+                    case TiffConstants.Tag.JPEG_TABLES:
+                        metadata.jpegTables = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.MAX_SAMPLE_VALUE:
-                        this.metadata.maxSampleValue = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.maxSampleValue = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.MIN_SAMPLE_VALUE:
-                        this.metadata.minSampleValue = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.minSampleValue = imageFileDirectory[i].getIFDEntryValue()[0];
+                        break;
+                    case TiffConstants.Tag.NEW_SUBFILE_TYPE:
+                        metadata.newSubfileType = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.ORIENTATION:
-                        this.metadata.orientation = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.orientation = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.PHOTOMETRIC_INTERPRETATION:
-                        this.metadata.photometricInterpretation = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.photometricInterpretation = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.PLANAR_CONFIGURATION:
-                        this.metadata.planarConfiguration = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.planarConfiguration = imageFileDirectory[i].getIFDEntryValue()[0];
+                        break;
+                    case TiffConstants.Tag.PREDICTOR:
+                        metadata.predictor = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.ROWS_PER_STRIP:
-                        this.metadata.rowsPerStrip = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.rowsPerStrip = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.RESOLUTION_UNIT:
-                        this.metadata.resolutionUnit = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.resolutionUnit = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.SAMPLES_PER_PIXEL:
-                        this.metadata.samplesPerPixel = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.samplesPerPixel = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.SAMPLE_FORMAT:
-                        this.metadata.sampleFormat = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.sampleFormat = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.SOFTWARE:
-                        this.metadata.software = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.software = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.STRIP_BYTE_COUNTS:
-                        this.metadata.stripByteCounts = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.stripByteCounts = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.STRIP_OFFSETS:
-                        this.metadata.stripOffsets = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.stripOffsets = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.TILE_BYTE_COUNTS:
-                        this.metadata.tileByteCounts = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.tileByteCounts = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.TILE_OFFSETS:
-                        this.metadata.tileOffsets = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.tileOffsets = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.TILE_LENGTH:
-                        this.metadata.tileLength = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.tileLength = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.TILE_WIDTH:
-                        this.metadata.tileWidth = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.tileWidth = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.X_RESOLUTION:
-                        this.metadata.xResolution = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.xResolution = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.Y_RESOLUTION:
-                        this.metadata.tileWidth = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.yResolution = imageFileDirectory[i].getIFDEntryValue();
                         break;
 
                     //geotiff
                     case GeoTiffConstants.Tag.GEO_ASCII_PARAMS:
-                        this.metadata.geoAsciiParams = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.geoAsciiParams = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case GeoTiffConstants.Tag.GEO_DOUBLE_PARAMS:
-                        this.metadata.geoDubleParams = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.geoDubleParams = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case GeoTiffConstants.Tag.GEO_KEY_DIRECTORY:
-                        this.metadata.geoKeyDirectory = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.geoKeyDirectory = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case GeoTiffConstants.Tag.MODEL_PIXEL_SCALE:
-                        this.metadata.modelPixelScale = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.modelPixelScale = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case GeoTiffConstants.Tag.MODEL_TIEPOINT:
-                        this.metadata.modelTiepoint = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.modelTiepoint = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case GeoTiffConstants.Tag.GDAL_NODATA:
-                        this.metadata.noData = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.noData = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     default:
-                        Logger.log(Logger.LEVEL_WARNING, "Ignored GeoTiff tag: " + this.imageFileDirectories[0][i].tag);
+                        Logger.log(Logger.LEVEL_WARNING, "Ignored GeoTiff tag: " + imageFileDirectory[i].tag);
                 }
             }
         }
 
+        // Get metadata of the overviews from the image file directories following the first one. Internal use only.
+        GeoTiffReader.prototype.getOverviewsFromImageFileDirectories = function () {
+            this._overviews = [];
+            for (var i = 1; i < this.imageFileDirectories.length; i++) {
+                var overview = new GeoTiffMetadata();
+                this.getMetadataFromImageFileDirectory(i, overview);
+
+                // Bit 2 of the subfile type marks the transparency masks.
+                if ((overview.newSubfileType & 4) === 0) {
+                    this._overviews.push(overview);
+                }
+            }
+        };
+
         // Get metadata from GeoKeys. Internal use only.
         GeoTiffReader.prototype.getMetadataFromGeoKeys = function () {
             for (var i = 0; i < this.geoKeys.length; i++) {
@@ -93,6 +93,7 @@ define([],
                 'S_MIN_SAMPLE_VALUE': 340,
                 'S_MAX_SAMPLE_VALUE': 341,
                 'TRANSFER_RANGE': 342,
+                'JPEG_TABLES': 347,
                 'JPEG_PROC': 512,
                 'JPEG_INTERCHANGE_FORMAT': 513,
                 'JPEG_INTERCHANGE_FORMAT_LENGTH': 514,
@@ -121,7 +122,9 @@ define([],
                 'GROUP_4_FAX': 4,
                 'LZW': 5,
                 'JPEG': 6,
-                'PACK_BITS': 32773
+                'ADOBE_DEFLATE': 8,
+                'PACK_BITS': 32773,
+                'DEFLATE': 32946
             },
 
             /**
@@ -166,6 +169,17 @@ define([],
                 'PLANAR': 2
             },
 
+            /**
+             * An object containing all TIFF predictor types.
+             * @memberof Tiff
+             * @type {Object}
+             */
+            Predictor: {
+                'NONE': 1,
+                'HORIZONTAL': 2,
+                'FLOATING_POINT': 3
+            },
+
             /**
              * An object containing all TIFF resolution unit types.
              * @memberof Tiff
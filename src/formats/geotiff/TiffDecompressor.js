@@ -0,0 +1,285 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports TiffDecompressor
+ */
+define([
+        '../../util/jszip',
+        '../../util/Logger',
+        '../../util/Promise',
+        './TiffConstants'
+    ],
+    function (JsZip,
+              Logger,
+              Promise,
+              TiffConstants) {
+        "use strict";
+
+        /**
+         * Decompresses the strips and tiles of TIFF files and reverses the predictors applied to them.
+         * @exports TiffDecompressor
+         */
+        var TiffDecompressor = {
+
+            /**
+             * Decodes the LZW compressed block. The codes are read from the most significant bit and the code
+             * length grows one code early, as required by the TIFF specification.
+             * @param {Uint8Array} bytes Compressed block.
+             * @param {Number} expectedLength Length of the uncompressed block. It is used as the initial size of
+             * the output.
+             * @returns {Uint8Array} Uncompressed block.
+             */
+            lzw: function (bytes, expectedLength) {
+                var CLEAR_CODE = 256, END_OF_INFORMATION = 257, MAX_CODE_LENGTH = 12;
+
+                var output = new Uint8Array(Math.max(expectedLength || 0, bytes.length)), outputLength = 0;
+                var table = [], nextCode, codeLength, previous = null;
+                var bitPosition = 0, totalBits = bytes.length * 8;
+
+                var resetTable = function () {
+                    for (var i = 0; i < 256; i++) {
+                        table[i] = new Uint8Array([i]);
+                    }
+                    table.length = 258;
+                    nextCode = 258;
+                    codeLength = 9;
+                };
+
+                var readCode = function () {
+                    var code = 0;
+                    for (var i = 0; i < codeLength; i++) {
+                        var bit = (bytes[bitPosition >>> 3] >>> (7 - (bitPosition & 7))) & 1;
+                        code = (code << 1) | bit;
+                        bitPosition++;
+                    }
+                    return code;
+                };
+
+                var write = function (entry) {
+                    if (outputLength + entry.length > output.length) {
+                        var larger = new Uint8Array(Math.max(output.length * 2, outputLength + entry.length));
+                        larger.set(output);
+                        output = larger;
+                    }
+                    output.set(entry, outputLength);
+                    outputLength += entry.length;
+                };
+
+                var addEntry = function (prefix, byte) {
+                    var entry = new Uint8Array(prefix.length + 1);
+                    entry.set(prefix);
+                    entry[prefix.length] = byte;
+                    table[nextCode++] = entry;
+                    if (nextCode >= (1 << codeLength) - 1 && codeLength < MAX_CODE_LENGTH) {
+                        codeLength++;
+                    }
+                    return entry;
+                };
+
+                resetTable();
+                while (bitPosition + codeLength <= totalBits) {
+                    var code = readCode();
+                    if (code === END_OF_INFORMATION) {
+                        break;
+                    }
+
+                    if (code === CLEAR_CODE) {
+                        resetTable();
+                        previous = null;
+                        continue;
+                    }
+
+                    var entry;
+                    if (previous === null) {
+                        entry = table[code];
+                    } else if (code < nextCode) {
+                        entry = table[code];
+                        addEntry(table[previous], entry[0]);
+                    } else {
+                        entry = addEntry(table[previous], table[previous][0]);
+                    }
+
+                    if (!entry) {
+                        Logger.log(Logger.LEVEL_WARNING, "Invalid LZW code: " + code);
+                        break;
+                    }
+
+                    write(entry);
+                    previous = code;
+                }
+
+                return output.subarray(0, outputLength);
+            },
+
+            /**
+             * Decodes the Deflate compressed block. Both zlib wrapped and raw deflate streams are accepted.
+             * @param {Uint8Array} bytes Compressed block.
+             * @returns {Uint8Array} Uncompressed block.
+             */
+            deflate: function (bytes) {
+                // The zlib header starts with the compression method 8 and its two bytes are a multiple of 31.
+                var isZlib = bytes.length > 2 && (bytes[0] & 0x0F) === 8 && ((bytes[0] << 8) | bytes[1]) % 31 === 0;
+                var uncompressed = JsZip.compressions.DEFLATE.uncompress(isZlib ? bytes.subarray(2) : bytes);
+                return uncompressed instanceof Uint8Array ? uncompressed : new Uint8Array(uncompressed);
+            },
+
+            /**
+             * Decodes the PackBits compressed block.
+             * @param {Uint8Array} bytes Compressed block.
+             * @param {Number} expectedLength Length of the uncompressed block.
+             * @returns {Uint8Array} Uncompressed block.
+             */
+            packBits: function (bytes, expectedLength) {
+                var output = new Uint8Array(expectedLength), outputLength = 0;
+
+                for (var offset = 0; offset < bytes.length && outputLength < expectedLength;) {
+                    var header = bytes[offset] > 127 ? bytes[offset] - 256 : bytes[offset];
+                    offset++;
+
+                    if (header >= 0) {
+                        // Literal run of header + 1 bytes.
+                        for (var i = 0; i <= header && offset < bytes.length; i++) {
+                            output[outputLength++] = bytes[offset++];
+                        }
+                    } else if (header !== -128) {
+                        // The next byte repeated -header + 1 times.
+                        for (var j = 0; j < -header + 1; j++) {
+                            output[outputLength++] = bytes[offset];
+                        }
+                        offset++;
+                    }
+                }
+
+                return output.subarray(0, Math.min(outputLength, expectedLength));
+            },
+
+            /**
+             * Decodes the JPEG compressed block using the image decoder of the browser. The tables shared by all the
+             * blocks are merged into the block before decoding.
+             * @param {Uint8Array} bytes Compressed block.
+             * @param {Number[]} jpegTables Content of the JPEGTables tag or null.
+             * @param {Number} samplesPerPixel Amount of samples stored for every pixel in the result.
+             * @returns {Promise} Promise of the Uint8Array with the decoded samples of all the pixels.
+             */
+            jpeg: function (bytes, jpegTables, samplesPerPixel) {
+                var jpegBytes = bytes;
+                if (jpegTables && jpegTables.length > 4) {
+                    // Tables without the end of image marker followed by the block without the start of image marker.
+                    jpegBytes = new Uint8Array(jpegTables.length - 2 + bytes.length - 2);
+                    jpegBytes.set(jpegTables.slice(0, jpegTables.length - 2));
+                    jpegBytes.set(bytes.subarray(2), jpegTables.length - 2);
+                }
+
+                return new Promise(function (resolve, reject) {
+                    var url = URL.createObjectURL(new Blob([jpegBytes], {type: "image/jpeg"}));
+                    var image = new Image();
+                    image.onload = function () {
+                        URL.revokeObjectURL(url);
+
+                        var canvas = document.createElement("canvas");
+                        canvas.width = image.width;
+                        canvas.height = image.height;
+                        var ctx = canvas.getContext("2d");
+                        ctx.drawImage(image, 0, 0);
+                        var rgba = ctx.getImageData(0, 0, image.width, image.height).data;
+
+                        var pixels = image.width * image.height, samples = new Uint8Array(pixels * samplesPerPixel);
+                        for (var pixel = 0; pixel < pixels; pixel++) {
+                            for (var sample = 0; sample < samplesPerPixel; sample++) {
+                                samples[pixel * samplesPerPixel + sample] = rgba[pixel * 4 + Math.min(sample, 3)];
+                            }
+                        }
+                        resolve(samples);
+                    };
+                    image.onerror = function () {
+                        URL.revokeObjectURL(url);
+                        reject(new Error("JPEG compressed block can't be decoded."));
+                    };
+                    image.src = url;
+                });
+            },
+
+            /**
+             * Reverses the predictor applied to the uncompressed block. The block is modified in place.
+             * @param {Uint8Array} bytes Uncompressed block.
+             * @param {Number} predictor Predictor of the TIFF file.
+             * @param {Number} width Width of the block in pixels.
+             * @param {Number} samplesPerPixel Amount of samples of every pixel.
+             * @param {Number} bytesPerSample Size of every sample in bytes.
+             * @param {Boolean} isLittleEndian Byte order of the TIFF file.
+             * @returns {Uint8Array} The block without the predictor.
+             */
+            undoPredictor: function (bytes, predictor, width, samplesPerPixel, bytesPerSample, isLittleEndian) {
+                var rowLength = width * samplesPerPixel * bytesPerSample;
+                var rows = Math.floor(bytes.length / rowLength);
+
+                if (predictor === TiffConstants.Predictor.HORIZONTAL) {
+                    var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+                    for (var row = 0; row < rows; row++) {
+                        var rowStart = row * rowLength;
+                        for (var i = samplesPerPixel; i < width * samplesPerPixel; i++) {
+                            var offset = rowStart + i * bytesPerSample,
+                                previousOffset = offset - samplesPerPixel * bytesPerSample;
+                            switch (bytesPerSample) {
+                                case 1:
+                                    bytes[offset] = (bytes[offset] + bytes[previousOffset]) & 0xFF;
+                                    break;
+                                case 2:
+                                    view.setUint16(offset, (view.getUint16(offset, isLittleEndian) +
+                                        view.getUint16(previousOffset, isLittleEndian)) & 0xFFFF, isLittleEndian);
+                                    break;
+                                case 4:
+                                    view.setUint32(offset, (view.getUint32(offset, isLittleEndian) +
+                                        view.getUint32(previousOffset, isLittleEndian)) >>> 0, isLittleEndian);
+                                    break;
+                                default:
+                                    Logger.log(Logger.LEVEL_WARNING, "Horizontal predictor not supported for " +
+                                        bytesPerSample + " bytes per sample");
+                                    return bytes;
+                            }
+                        }
+                    }
+                } else if (predictor === TiffConstants.Predictor.FLOATING_POINT) {
+                    var samplesInRow = width * samplesPerPixel, shuffled = new Uint8Array(rowLength);
+                    for (var floatRow = 0; floatRow < rows; floatRow++) {
+                        var start = floatRow * rowLength;
+
+                        // Bytes are differenced across the whole row with the stride of one pixel.
+                        for (var j = start + samplesPerPixel; j < start + rowLength; j++) {
+                            bytes[j] = (bytes[j] + bytes[j - samplesPerPixel]) & 0xFF;
+                        }
+
+                        // Bytes of the samples are grouped by significance starting with the most significant.
+                        shuffled.set(bytes.subarray(start, start + rowLength));
+                        for (var sample = 0; sample < samplesInRow; sample++) {
+                            for (var byte = 0; byte < bytesPerSample; byte++) {
+                                var significance = isLittleEndian ? bytesPerSample - byte - 1 : byte;
+                                bytes[start + sample * bytesPerSample + byte] =
+                                    shuffled[significance * samplesInRow + sample];
+                            }
+                        }
+                    }
+                } else if (predictor !== TiffConstants.Predictor.NONE) {
+                    Logger.log(Logger.LEVEL_WARNING, "Predictor not supported: " + predictor);
+                }
+
+                return bytes;
+            }
+        };
+
+        return TiffDecompressor;
+    }
+);
@@ -0,0 +1,550 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports GmlParser
+ */
+define(['../../error/ArgumentError',
+        '../geojson/GeoJSONConstants',
+        '../geojson/GeoJSONParser',
+        '../../util/Logger',
+        '../../util/proj4-src'
+    ],
+    function (ArgumentError,
+              GeoJSONConstants,
+              GeoJSONParser,
+              Logger,
+              Proj4) {
+        "use strict";
+
+        /**
+         * Constructs a GML parser for a specified GML data source. Call [load]{@link GmlParser#load} to retrieve the
+         * GML and create shapes for it.
+         * @alias GmlParser
+         * @constructor
+         * @augments GeoJSONParser
+         * @classdesc Parses GML 3.2, GML 3.1 and GML 2 and creates shapes representing its features. The features
+         * and geometries are converted to their GeoJSON counterparts, which are available as the
+         * [geoJSONObject]{@link GeoJSONParser#geoJSONObject} of this parser, and the shapes are created for them in
+         * the same way as by the {@link GeoJSONParser}, including the use of the shape configuration callback.
+         * <p>
+         * The supported geometries are Point, LineString, LinearRing, Polygon, Curve and Ring with line string
+         * segments, Surface with polygon patches, MultiPoint, MultiLineString, MultiCurve, MultiPolygon,
+         * MultiSurface and MultiGeometry. Features are read from WFS and GML feature collections; their simple
+         * properties become the properties of the GeoJSON features and their gml:id the feature id. A GML document
+         * whose root is a feature or a geometry is read as a single feature.
+         * <p>
+         * The coordinates are reprojected to WGS84 by proj4 according to the srsName of the geometries, which is
+         * inherited by the nested geometries. Coordinate reference systems unknown to proj4 can be registered by
+         * Proj4.defs. The axis order follows the form of the srsName: the EPSG:4326 and epsg.xml#4326 forms list the
+         * longitude first, while the URN and the http://www.opengis.net/def/crs forms of geographic coordinate
+         * reference systems list the latitude first as defined by EPSG. Geometries without srsName use the
+         * [defaultSrsName]{@link GmlParser#defaultSrsName}.
+         * @param {String} dataSource The data source of the GML. Can be a string or an URL to a GML.
+         * @throws {ArgumentError} If the specified data source is null or undefined.
+         */
+        var GmlParser = function (dataSource) {
+            GeoJSONParser.call(this, dataSource);
+
+            /**
+             * The srsName of the geometries that neither specify one nor inherit it.
+             * @type {String}
+             * @default "EPSG:4326"
+             */
+            this.defaultSrsName = GeoJSONConstants.EPSG4326_CRS;
+
+            // Internal use only. The coordinate reference systems keyed by srsName.
+            this.crsCache = {};
+
+            /**
+             * The number of features of the parsed document, including the features without geometry, which
+             * aren't part of the [geoJSONObject]{@link GeoJSONParser#geoJSONObject}.
+             * @type {Number}
+             * @readonly
+             */
+            this.numFeatures = 0;
+        };
+
+        GmlParser.prototype = Object.create(GeoJSONParser.prototype);
+
+        /**
+         * Retrieves the GML, parses it and creates shapes representing its features. See
+         * [GeoJSONParser.load]{@link GeoJSONParser#load} for the description of the arguments.
+         * @param {Function} parserCompletionCallback An optional function called when the GML loading is complete
+         * and all the shapes have been added to the layer.
+         * @param {Function|DataDrivenStyle} shapeConfigurationCallback An optional function called just prior to
+         * creating a shape for the indicated geometry, or a style applied to the shapes.
+         * @param {RenderableLayer} layer A {@link RenderableLayer} to hold the shapes created for each geometry. If
+         * null, a new layer is created and assigned to this object's [layer]{@link GeoJSONParser#layer} property.
+         */
+        GmlParser.prototype.load = function (parserCompletionCallback, shapeConfigurationCallback, layer) {
+            this.prepareLoad(parserCompletionCallback, shapeConfigurationCallback, layer);
+
+            if (/^\s*</.test(this.dataSource)) {
+                this.parse(this.dataSource);
+            }
+            else {
+                this.requestUrl(this.dataSource);
+            }
+        };
+
+        // Parses the GML string. Internal use only.
+        GmlParser.prototype.parse = function (gmlString) {
+            var document = new DOMParser().parseFromString(gmlString, "text/xml");
+            if (!document || !document.documentElement ||
+                document.getElementsByTagName("parsererror").length > 0) {
+                Logger.logMessage(Logger.LEVEL_SEVERE, "GmlParser", "parse", "Invalid GML document.");
+                return;
+            }
+
+            this.parseDocument(document);
+        };
+
+        /**
+         * Converts the features of the GML document to a GeoJSON feature collection and creates shapes for them.
+         * Features without geometry, or whose geometry can't be read, are skipped.
+         * @param {Document} document The GML document.
+         */
+        GmlParser.prototype.parseDocument = function (document) {
+            var featureCollection = this.readFeatureCollection(document.documentElement),
+                features = featureCollection[GeoJSONConstants.FIELD_FEATURES],
+                locatedFeatures = features.filter(function (feature) {
+                    return !!feature[GeoJSONConstants.FIELD_GEOMETRY];
+                });
+
+            if (locatedFeatures.length < features.length) {
+                Logger.logMessage(Logger.LEVEL_WARNING, "GmlParser", "parseDocument",
+                    (features.length - locatedFeatures.length) + " GML features without geometry skipped.");
+            }
+            featureCollection[GeoJSONConstants.FIELD_FEATURES] = locatedFeatures;
+            this.numFeatures = features.length;
+
+            this._geoJSONObject = featureCollection;
+            this._geoJSONType = GeoJSONConstants.TYPE_FEATURE_COLLECTION;
+            this._crs = null; // The coordinates have been reprojected.
+
+            this.addRenderablesForGeoJSON(this.layer);
+
+            if (typeof this._parserCompletionCallback === "function") {
+                this._parserCompletionCallback(this.layer);
+            }
+        };
+
+        /**
+         * Reads the features of a GML element as a GeoJSON feature collection.
+         * @param {Element} element A feature collection, a feature or a geometry.
+         * @returns {Object} The GeoJSON feature collection.
+         */
+        GmlParser.prototype.readFeatureCollection = function (element) {
+            var features = [];
+            this.collectFeatures(element, features);
+
+            var featureCollection = {};
+            featureCollection[GeoJSONConstants.FIELD_TYPE] = GeoJSONConstants.TYPE_FEATURE_COLLECTION;
+            featureCollection[GeoJSONConstants.FIELD_FEATURES] = features;
+            return featureCollection;
+        };
+
+        // Internal use only. Adds the features of the element to the array.
+        GmlParser.prototype.collectFeatures = function (element, features) {
+            if (GmlParser.isGeometry(element)) {
+                var geometryFeature = {type: GeoJSONConstants.TYPE_FEATURE, properties: {}};
+                geometryFeature[GeoJSONConstants.FIELD_GEOMETRY] = this.readGeometry(element, GmlParser.context(element));
+                features.push(geometryFeature);
+            }
+            else if (GmlParser.isFeatureCollection(element)) {
+                GmlParser.childElements(element).forEach(function (member) {
+                    if (GmlParser.FEATURE_MEMBERS.indexOf(member.localName) >= 0) {
+                        GmlParser.childElements(member).forEach(function (feature) {
+                            this.collectFeatures(feature, features);
+                        }, this);
+                    }
+                }, this);
+            }
+            else {
+                features.push(this.readFeature(element));
+            }
+        };
+
+        /**
+         * Reads a GML feature as a GeoJSON feature. The first geometry property of the feature is its geometry,
+         * the properties without child elements are its properties.
+         * @param {Element} element The feature.
+         * @returns {Object} The GeoJSON feature.
+         */
+        GmlParser.prototype.readFeature = function (element) {
+            var feature = {type: GeoJSONConstants.TYPE_FEATURE, geometry: null, properties: {}},
+                id = GmlParser.gmlId(element);
+            if (id) {
+                feature[GeoJSONConstants.FIELD_ID] = id;
+            }
+
+            GmlParser.childElements(element).forEach(function (property) {
+                var values = GmlParser.childElements(property);
+                if (values.length > 0 && GmlParser.isGeometry(values[0])) {
+                    if (!feature.geometry) {
+                        feature.geometry = this.readGeometry(values[0], GmlParser.context(values[0]));
+                    }
+                }
+                else if (GmlParser.isGml(property) && property.localName !== "name") {
+                    // Standard properties like boundedBy and description aren't feature properties.
+                }
+                else if (values.length === 0) {
+                    var nil = property.getAttribute("xsi:nil") === "true";
+                    feature.properties[property.localName] = nil ? null :
+                        property.textContent.trim() || property.getAttribute("xlink:href") || "";
+                }
+            }, this);
+
+            return feature;
+        };
+
+        /**
+         * Reads a GML geometry as a GeoJSON geometry with WGS84 coordinates.
+         * @param {Element} element The geometry.
+         * @param {{srsName: String, srsDimension: Number}} context The srsName and the dimension inherited by the
+         * geometry.
+         * @returns {Object} The GeoJSON geometry or null if it can't be read.
+         */
+        GmlParser.prototype.readGeometry = function (element, context) {
+            context = {
+                srsName: element.getAttribute("srsName") || context.srsName,
+                srsDimension: +element.getAttribute("srsDimension") || context.srsDimension
+            };
+
+            var name = element.localName, coordinates, parts;
+            try {
+                if (name === "Point") {
+                    coordinates = this.readPositions(element, context)[0];
+                    return coordinates ? GmlParser.geometry(GeoJSONConstants.TYPE_POINT, coordinates) : null;
+                }
+                else if (name === "LineString" || name === "LinearRing" || name === "Curve" || name === "Ring") {
+                    return GmlParser.geometry(GeoJSONConstants.TYPE_LINE_STRING, this.readLine(element, context));
+                }
+                else if (name === "Polygon" || name === "PolygonPatch") {
+                    return GmlParser.geometry(GeoJSONConstants.TYPE_POLYGON, this.readPolygon(element, context));
+                }
+                else if (name === "Surface") {
+                    parts = this.members(element, ["patches"], context).map(function (patch) {
+                        return patch.coordinates;
+                    });
+                    return parts.length === 1 ? GmlParser.geometry(GeoJSONConstants.TYPE_POLYGON, parts[0]) :
+                        GmlParser.geometry(GeoJSONConstants.TYPE_MULTI_POLYGON, parts);
+                }
+                else if (name === "MultiPoint") {
+                    return this.multiGeometry(GeoJSONConstants.TYPE_MULTI_POINT, GeoJSONConstants.TYPE_POINT,
+                        this.members(element, ["pointMember", "pointMembers"], context));
+                }
+                else if (name === "MultiLineString" || name === "MultiCurve") {
+                    return this.multiGeometry(GeoJSONConstants.TYPE_MULTI_LINE_STRING,
+                        GeoJSONConstants.TYPE_LINE_STRING,
+                        this.members(element, ["lineStringMember", "curveMember", "curveMembers"], context));
+                }
+                else if (name === "MultiPolygon" || name === "MultiSurface") {
+                    return this.multiGeometry(GeoJSONConstants.TYPE_MULTI_POLYGON, GeoJSONConstants.TYPE_POLYGON,
+                        this.members(element, ["polygonMember", "surfaceMember", "surfaceMembers"], context));
+                }
+                else if (name === "MultiGeometry") {
+                    var geometryCollection = {type: GeoJSONConstants.TYPE_GEOMETRY_COLLECTION};
+                    geometryCollection[GeoJSONConstants.FIELD_GEOMETRIES] =
+                        this.members(element, ["geometryMember", "geometryMembers"], context);
+                    return geometryCollection;
+                }
+            }
+            catch (e) {
+                Logger.logMessage(Logger.LEVEL_WARNING, "GmlParser", "readGeometry",
+                    "GML " + name + " skipped: " + e.message);
+                return null;
+            }
+
+            Logger.logMessage(Logger.LEVEL_WARNING, "GmlParser", "readGeometry", "Unsupported GML geometry: " + name);
+            return null;
+        };
+
+        // Internal use only. Reads the geometries of the member properties of the geometry.
+        GmlParser.prototype.members = function (element, memberNames, context) {
+            var geometries = [];
+
+            GmlParser.childElements(element).forEach(function (member) {
+                if (memberNames.indexOf(member.localName) >= 0) {
+                    GmlParser.childElements(member).forEach(function (geometry) {
+                        geometry = this.readGeometry(geometry, context);
+                        if (geometry) {
+                            geometries.push(geometry);
+                        }
+                    }, this);
+                }
+            }, this);
+
+            return geometries;
+        };
+
+        // Internal use only. Creates the GeoJSON multi-geometry from the geometries, flattening the nested
+        // multi-geometries of the same type.
+        GmlParser.prototype.multiGeometry = function (type, memberType, geometries) {
+            var coordinates = [];
+
+            geometries.forEach(function (geometry) {
+                if (geometry.type === memberType) {
+                    coordinates.push(geometry.coordinates);
+                }
+                else if (geometry.type === type) {
+                    coordinates = coordinates.concat(geometry.coordinates);
+                }
+            });
+
+            return GmlParser.geometry(type, coordinates);
+        };
+
+        // Internal use only. Reads the positions of the line string, linear ring, curve or ring.
+        GmlParser.prototype.readLine = function (element, context) {
+            var name = element.localName;
+            if (name === "LineString" || name === "LinearRing") {
+                return this.readPositions(element, context);
+            }
+
+            // The curves consist of segments, the rings of curves. Their joints are listed by both their neighbours.
+            var positions = [];
+            GmlParser.childElements(element).forEach(function (child) {
+                GmlParser.childElements(child).forEach(function (part) {
+                    var partPositions;
+                    if (part.localName === "LineStringSegment") {
+                        partPositions = this.readPositions(part, context);
+                    }
+                    else if (child.localName === "curveMember") {
+                        partPositions = this.readGeometry(part, context).coordinates;
+                    }
+                    else {
+                        throw new Error("Unsupported curve segment " + part.localName);
+                    }
+
+                    var last = positions[positions.length - 1];
+                    if (last && partPositions.length > 0 && last[0] === partPositions[0][0] &&
+                        last[1] === partPositions[0][1]) {
+                        partPositions = partPositions.slice(1);
+                    }
+                    positions = positions.concat(partPositions);
+                }, this);
+            }, this);
+
+            return positions;
+        };
+
+        // Internal use only. Reads the rings of the polygon. The exterior ring comes first.
+        GmlParser.prototype.readPolygon = function (element, context) {
+            var exterior = [], interiors = [];
+
+            GmlParser.childElements(element).forEach(function (boundary) {
+                var name = boundary.localName;
+                if (name === "exterior" || name === "outerBoundaryIs" ||
+                    name === "interior" || name === "innerBoundaryIs") {
+                    GmlParser.childElements(boundary).forEach(function (ring) {
+                        var positions = this.readLine(ring, context);
+                        if (name === "exterior" || name === "outerBoundaryIs") {
+                            exterior.push(positions);
+                        }
+                        else {
+                            interiors.push(positions);
+                        }
+                    }, this);
+                }
+            }, this);
+
+            return exterior.concat(interiors);
+        };
+
+        /**
+         * Reads the positions of a geometry given by its pos, posList, coordinates, coord or pointProperty
+         * elements and converts them to WGS84 longitudes and latitudes.
+         * @param {Element} element The geometry.
+         * @param {{srsName: String, srsDimension: Number}} context The srsName and the dimension of the geometry.
+         * @param {Boolean} raw Whether to return the positions without converting them.
+         * @returns {Number[][]} The longitudes, the latitudes and the optional altitudes of the positions.
+         */
+        GmlParser.prototype.readPositions = function (element, context, raw) {
+            var positions = [];
+
+            GmlParser.childElements(element).forEach(function (child) {
+                var name = child.localName;
+                if (name === "pos") {
+                    positions.push(GmlParser.numbers(child.textContent));
+                }
+                else if (name === "posList") {
+                    var values = GmlParser.numbers(child.textContent),
+                        dimension = +child.getAttribute("srsDimension") || context.srsDimension || 2;
+                    for (var i = 0; i + dimension <= values.length; i += dimension) {
+                        positions.push(values.slice(i, i + dimension));
+                    }
+                }
+                else if (name === "coordinates") {
+                    var decimal = child.getAttribute("decimal") || ".",
+                        cs = child.getAttribute("cs") || ",",
+                        ts = child.getAttribute("ts") || " ";
+                    child.textContent.trim().split(ts === " " ? /\s+/ : ts).forEach(function (tuple) {
+                        if (tuple) {
+                            positions.push(tuple.split(cs).map(function (value) {
+                                return parseFloat(value.split(decimal).join("."));
+                            }));
+                        }
+                    });
+                }
+                else if (name === "coord") {
+                    positions.push(GmlParser.childElements(child).map(function (value) {
+                        return parseFloat(value.textContent);
+                    }));
+                }
+                else if (name === "pointProperty" || name === "pointRep") {
+                    GmlParser.childElements(child).forEach(function (point) {
+                        positions = positions.concat(this.readPositions(point, context, true));
+                    }, this);
+                }
+            }, this);
+
+            return raw ? positions : this.convertPositions(positions, context.srsName);
+        };
+
+        // Internal use only. Converts the positions in the coordinate reference system of the srsName to WGS84
+        // longitudes and latitudes.
+        GmlParser.prototype.convertPositions = function (positions, srsName) {
+            var crs = this.coordinateReferenceSystem(srsName || this.defaultSrsName);
+
+            return positions.map(function (position) {
+                var x = crs.swapAxes ? position[1] : position[0],
+                    y = crs.swapAxes ? position[0] : position[1],
+                    result = crs.converter ? crs.converter.forward([x, y]) : [x, y];
+
+                return position.length > 2 ? [result[0], result[1], position[2]] : [result[0], result[1]];
+            });
+        };
+
+        // Internal use only. Determines the axis order and the converter of the srsName.
+        GmlParser.prototype.coordinateReferenceSystem = function (srsName) {
+            var crs = this.crsCache[srsName];
+            if (crs) {
+                if (crs.error) {
+                    throw new Error(crs.error);
+                }
+                return crs;
+            }
+
+            crs = this.crsCache[srsName] = {swapAxes: false, converter: null};
+
+            if (/CRS:?84$/i.test(srsName)) {
+                return crs;
+            }
+
+            var code = /epsg/i.test(srsName) && srsName.match(/(\d+)\s*$/);
+            if (!code) {
+                crs.error = "Unsupported srsName " + srsName;
+                throw new Error(crs.error);
+            }
+
+            var definition = Proj4.defs("EPSG:" + code[1]);
+            if (!definition) {
+                crs.error = "Unknown coordinate reference system " + srsName;
+                throw new Error(crs.error);
+            }
+
+            var isLegacyForm = /^EPSG:\d+$/i.test(srsName) || /epsg\.xml#/i.test(srsName);
+            crs.swapAxes = !isLegacyForm && definition.projName === "longlat";
+            crs.converter = code[1] === "4326" ? null : Proj4("EPSG:" + code[1], GeoJSONConstants.EPSG4326_CRS);
+
+            return crs;
+        };
+
+        /**
+         * The names of the properties of feature collections containing the features.
+         * @type {String[]}
+         */
+        GmlParser.FEATURE_MEMBERS = ["member", "featureMember", "featureMembers"];
+
+        /**
+         * The names of the supported GML geometries.
+         * @type {String[]}
+         */
+        GmlParser.GEOMETRIES = ["Point", "LineString", "LinearRing", "Polygon", "Curve", "Ring", "Surface",
+            "MultiPoint", "MultiLineString", "MultiCurve", "MultiPolygon", "MultiSurface", "MultiGeometry",
+            "PolygonPatch"];
+
+        // Internal use only.
+        GmlParser.isGml = function (element) {
+            return (element.namespaceURI || "").indexOf("http://www.opengis.net/gml") === 0;
+        };
+
+        // Internal use only.
+        GmlParser.isGeometry = function (element) {
+            return GmlParser.isGml(element) && GmlParser.GEOMETRIES.indexOf(element.localName) >= 0;
+        };
+
+        /**
+         * Indicates whether an element is a WFS or GML feature collection.
+         * @param {Element} element The element.
+         * @returns {Boolean} true if the element is a feature collection, otherwise false.
+         */
+        GmlParser.isFeatureCollection = function (element) {
+            return element.localName === "FeatureCollection" || element.localName === "SimpleFeatureCollection" ||
+                GmlParser.childElements(element).some(function (child) {
+                    return GmlParser.FEATURE_MEMBERS.indexOf(child.localName) >= 0;
+                });
+        };
+
+        // Internal use only. The gml:id of GML 3 or the fid of GML 2.
+        GmlParser.gmlId = function (element) {
+            for (var i = 0; i < element.attributes.length; i++) {
+                var attribute = element.attributes[i];
+                if ((attribute.localName === "id" && GmlParser.isGml(attribute)) || attribute.localName === "fid") {
+                    return attribute.value;
+                }
+            }
+            return null;
+        };
+
+        // Internal use only. Determines the srsName and the dimension inherited by the geometry.
+        GmlParser.context = function (element) {
+            var context = {srsName: null, srsDimension: 0};
+            for (var ancestor = element.parentNode; ancestor && ancestor.getAttribute; ancestor = ancestor.parentNode) {
+                context.srsName = context.srsName || ancestor.getAttribute("srsName");
+                context.srsDimension = context.srsDimension || +ancestor.getAttribute("srsDimension");
+            }
+            return context;
+        };
+
+        // Internal use only.
+        GmlParser.childElements = function (element) {
+            var children = element.children || element.childNodes, elements = [];
+            for (var c = 0; c < children.length; c++) {
+                if (children[c].nodeType === 1) {
+                    elements.push(children[c]);
+                }
+            }
+            return elements;
+        };
+
+        // Internal use only.
+        GmlParser.numbers = function (text) {
+            return text.trim().split(/\s+/).map(parseFloat);
+        };
+
+        // Internal use only.
+        GmlParser.geometry = function (type, coordinates) {
+            var geometry = {};
+            geometry[GeoJSONConstants.FIELD_TYPE] = type;
+            geometry[GeoJSONConstants.FIELD_COORDINATES] = coordinates;
+            return geometry;
+        };
+
+        return GmlParser;
+    }
+);
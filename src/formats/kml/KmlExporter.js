@@ -0,0 +1,392 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    '../../error/ArgumentError',
+    '../../shapes/GeographicText',
+    '../../util/jszip',
+    '../../geom/Location',
+    '../../util/Logger',
+    '../../shapes/Path',
+    '../../shapes/Placemark',
+    '../../shapes/Polygon',
+    '../../shapes/SurfaceCircle',
+    '../../shapes/SurfacePolygon',
+    '../../shapes/SurfacePolyline'
+], function (ArgumentError,
+             GeographicText,
+             JsZip,
+             Location,
+             Logger,
+             Path,
+             Placemark,
+             Polygon,
+             SurfaceCircle,
+             SurfacePolygon,
+             SurfacePolyline) {
+    "use strict";
+
+    /**
+     * Provides export of the renderables to KML and KMZ. Supported renderables are Placemark, Path, Polygon,
+     * SurfacePolygon, SurfacePolyline, SurfaceCircle and GeographicText. Other renderables are skipped. Every
+     * renderable is exported as a KML Placemark with the Style created from its attributes. The highlight
+     * attributes, if present, are exported as the highlight part of the StyleMap. Primitive values from the
+     * userProperties of the renderable are exported as ExtendedData.
+     * @exports KmlExporter
+     */
+    var KmlExporter = {
+        /**
+         * Namespace of the produced KML documents.
+         * @type {String}
+         */
+        NAMESPACE: "http://www.opengis.net/kml/2.2",
+
+        /**
+         * Exports the renderables of the layer as a KML document named after the layer.
+         * @param layer {RenderableLayer} Layer whose renderables are exported.
+         * @returns {String} KML document.
+         * @throws {ArgumentError} If the layer is null or undefined.
+         */
+        exportLayer: function (layer) {
+            if (!layer) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "KmlExporter", "exportLayer",
+                        "The specified layer is null or undefined."));
+            }
+
+            return KmlExporter.exportRenderables(layer.renderables, layer.displayName);
+        },
+
+        /**
+         * Exports the renderables as a KML document.
+         * @param renderables {Renderable[]} Renderables to export.
+         * @param name {String} Optional. Name of the exported document.
+         * @returns {String} KML document.
+         * @throws {ArgumentError} If the renderables are null or undefined.
+         */
+        exportRenderables: function (renderables, name) {
+            if (!renderables) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "KmlExporter", "exportRenderables",
+                        "The specified renderables are null or undefined."));
+            }
+
+            var writer = new KmlWriter();
+            var documentElement = writer.element(writer.root, "Document");
+            if (name) {
+                writer.value(documentElement, "name", name);
+            }
+
+            var placemarks = renderables.map(function (renderable) {
+                return exportRenderable(writer, renderable);
+            });
+
+            // The styles precede the features in the document.
+            writer.styles.concat(placemarks).forEach(function (element) {
+                if (element) {
+                    documentElement.appendChild(element);
+                }
+            });
+
+            return writer.serialize();
+        },
+
+        /**
+         * Exports the renderables of the layer as a KMZ archive containing the KML document as doc.kml.
+         * @param layer {RenderableLayer} Layer whose renderables are exported.
+         * @param type {String} Optional. Type of the generated archive as accepted by JSZip, for example blob,
+         * arraybuffer or base64. Default is blob.
+         * @returns {Blob|ArrayBuffer|String} KMZ archive of the requested type.
+         * @throws {ArgumentError} If the layer is null or undefined.
+         */
+        exportLayerToKmz: function (layer, type) {
+            var zip = new JsZip();
+            zip.file("doc.kml", KmlExporter.exportLayer(layer));
+            return zip.generate({type: type || "blob", compression: "DEFLATE"});
+        }
+    };
+
+    // Intentionally undocumented. Creates KML Placemark representing the renderable or returns null if the
+    // renderable isn't supported.
+    function exportRenderable(writer, renderable) {
+        var name = renderable.displayName, styleCreator = shapeStyle, geometry;
+        if (renderable instanceof Placemark) {
+            name = renderable.label || name;
+            styleCreator = placemarkStyle;
+            geometry = function (placemark) {
+                writer.point(placemark, renderable.position, renderable.altitudeMode);
+            };
+        } else if (renderable instanceof GeographicText) {
+            name = renderable.text;
+            styleCreator = textStyle;
+            geometry = function (placemark) {
+                writer.point(placemark, renderable.position, renderable.altitudeMode);
+            };
+        } else if (renderable instanceof Path) {
+            geometry = function (placemark) {
+                writer.lineString(placemark, renderable.positions, renderable.altitudeMode, renderable.extrude,
+                    renderable.followTerrain);
+            };
+        } else if (renderable instanceof Polygon) {
+            geometry = function (placemark) {
+                writer.polygon(placemark, renderable.boundaries, renderable.altitudeMode, renderable.extrude);
+            };
+        } else if (renderable instanceof SurfacePolyline) {
+            geometry = function (placemark) {
+                writer.lineString(placemark, renderable.boundaries, WorldWind.CLAMP_TO_GROUND, false, true);
+            };
+        } else if (renderable instanceof SurfacePolygon) {
+            geometry = function (placemark) {
+                writer.polygon(placemark, renderable.boundaries, WorldWind.CLAMP_TO_GROUND, false);
+            };
+        } else if (renderable instanceof SurfaceCircle) {
+            geometry = function (placemark) {
+                writer.polygon(placemark, circleBoundary(renderable), WorldWind.CLAMP_TO_GROUND, false);
+            };
+        } else {
+            Logger.logMessage(Logger.LEVEL_WARNING, "KmlExporter", "exportRenderables",
+                "Renderable " + renderable.displayName + " isn't supported by the export.");
+            return null;
+        }
+
+        var placemark = writer.element(null, "Placemark");
+        if (name) {
+            writer.value(placemark, "name", name);
+        }
+        if (!renderable.enabled) {
+            writer.value(placemark, "visibility", "0");
+        }
+        writer.value(placemark, "styleUrl",
+            "#" + writer.style(styleCreator, renderable.attributes, renderable.highlightAttributes));
+        writer.extendedData(placemark, renderable.userProperties);
+        geometry(placemark);
+
+        return placemark;
+    }
+
+    // Intentionally undocumented. Wraps the document being created.
+    var KmlWriter = function () {
+        this.document = document.implementation.createDocument(KmlExporter.NAMESPACE, "kml", null);
+        this.root = this.document.documentElement;
+        this.styles = [];
+        this.styleIds = {};
+    };
+
+    KmlWriter.prototype.element = function (parent, name) {
+        var element = this.document.createElementNS(KmlExporter.NAMESPACE, name);
+        if (parent) {
+            parent.appendChild(element);
+        }
+        return element;
+    };
+
+    KmlWriter.prototype.value = function (parent, name, value) {
+        var element = this.element(parent, name);
+        element.appendChild(this.document.createTextNode(String(value)));
+        return element;
+    };
+
+    KmlWriter.prototype.serialize = function () {
+        return '<?xml version="1.0" encoding="UTF-8"?>' + new XMLSerializer().serializeToString(this.document);
+    };
+
+    // Creates the Style or the StyleMap for the attributes, reusing the equal one if it was already created, and
+    // returns its id.
+    KmlWriter.prototype.style = function (styleCreator, attributes, highlightAttributes) {
+        var normal = this.element(null, "Style");
+        styleCreator(this, normal, attributes);
+        var normalId = this.addStyle(normal, "style");
+        if (!highlightAttributes) {
+            return normalId;
+        }
+
+        var highlight = this.element(null, "Style");
+        styleCreator(this, highlight, highlightAttributes);
+        var highlightId = this.addStyle(highlight, "style");
+
+        var styleMap = this.element(null, "StyleMap");
+        [["normal", normalId], ["highlight", highlightId]].forEach(function (pair) {
+            var pairElement = this.element(styleMap, "Pair");
+            this.value(pairElement, "key", pair[0]);
+            this.value(pairElement, "styleUrl", "#" + pair[1]);
+        }, this);
+        return this.addStyle(styleMap, "styleMap");
+    };
+
+    KmlWriter.prototype.addStyle = function (style, prefix) {
+        var key = new XMLSerializer().serializeToString(style);
+        if (!this.styleIds[key]) {
+            this.styleIds[key] = prefix + this.styles.length;
+            style.setAttribute("id", this.styleIds[key]);
+            this.styles.push(style);
+        }
+        return this.styleIds[key];
+    };
+
+    KmlWriter.prototype.point = function (placemark, position, altitudeMode) {
+        var point = this.element(placemark, "Point");
+        this.altitudeMode(point, altitudeMode);
+        this.value(point, "coordinates", coordinates([position]));
+    };
+
+    KmlWriter.prototype.lineString = function (placemark, positions, altitudeMode, extrude, tessellate) {
+        var lineString = this.element(placemark, "LineString");
+        if (extrude) {
+            this.value(lineString, "extrude", "1");
+        }
+        if (tessellate) {
+            this.value(lineString, "tessellate", "1");
+        }
+        this.altitudeMode(lineString, altitudeMode);
+        this.value(lineString, "coordinates", coordinates(positions));
+    };
+
+    KmlWriter.prototype.polygon = function (placemark, boundaries, altitudeMode, extrude) {
+        var polygon = this.element(placemark, "Polygon");
+        if (extrude) {
+            this.value(polygon, "extrude", "1");
+        }
+        if (altitudeMode === WorldWind.CLAMP_TO_GROUND) {
+            this.value(polygon, "tessellate", "1");
+        }
+        this.altitudeMode(polygon, altitudeMode);
+
+        // The boundaries are either single list of locations or list of the lists of locations.
+        if (boundaries.length > 0 && !Array.isArray(boundaries[0])) {
+            boundaries = [boundaries];
+        }
+        boundaries.forEach(function (boundary, index) {
+            var boundaryElement = this.element(polygon, index === 0 ? "outerBoundaryIs" : "innerBoundaryIs");
+            var ring = this.element(boundaryElement, "LinearRing");
+            this.value(ring, "coordinates", coordinates(closedRing(boundary)));
+        }, this);
+    };
+
+    KmlWriter.prototype.altitudeMode = function (geometry, altitudeMode) {
+        if (altitudeMode && altitudeMode !== WorldWind.CLAMP_TO_GROUND) {
+            this.value(geometry, "altitudeMode", altitudeMode);
+        }
+    };
+
+    KmlWriter.prototype.extendedData = function (placemark, userProperties) {
+        var extendedData = null;
+        for (var key in userProperties) {
+            if (!userProperties.hasOwnProperty(key)) {
+                continue;
+            }
+
+            var value = userProperties[key];
+            if (value === null || (typeof value !== "string" && typeof value !== "number" &&
+                typeof value !== "boolean")) {
+                continue;
+            }
+
+            extendedData = extendedData || this.element(placemark, "ExtendedData");
+            var data = this.element(extendedData, "Data");
+            data.setAttribute("name", key);
+            this.value(data, "value", value);
+        }
+    };
+
+    // Intentionally undocumented. Creates the Style content for ShapeAttributes.
+    function shapeStyle(writer, style, attributes) {
+        var lineStyle = writer.element(style, "LineStyle");
+        writer.value(lineStyle, "color", kmlColor(attributes.outlineColor));
+        writer.value(lineStyle, "width", attributes.outlineWidth);
+
+        var polyStyle = writer.element(style, "PolyStyle");
+        writer.value(polyStyle, "color", kmlColor(attributes.interiorColor));
+        writer.value(polyStyle, "fill", attributes.drawInterior ? "1" : "0");
+        writer.value(polyStyle, "outline", attributes.drawOutline ? "1" : "0");
+    }
+
+    // Intentionally undocumented. Creates the Style content for PlacemarkAttributes.
+    function placemarkStyle(writer, style, attributes) {
+        var iconStyle = writer.element(style, "IconStyle");
+        writer.value(iconStyle, "color", kmlColor(attributes.imageColor));
+        writer.value(iconStyle, "scale", attributes.imageScale);
+        if (typeof attributes.imageSource === "string") {
+            var icon = writer.element(iconStyle, "Icon");
+            writer.value(icon, "href", attributes.imageSource);
+        }
+        if (attributes.imageOffset) {
+            var hotSpot = writer.element(iconStyle, "hotSpot");
+            hotSpot.setAttribute("x", attributes.imageOffset.x);
+            hotSpot.setAttribute("y", attributes.imageOffset.y);
+            hotSpot.setAttribute("xunits", attributes.imageOffset.xUnits);
+            hotSpot.setAttribute("yunits", attributes.imageOffset.yUnits);
+        }
+
+        labelStyle(writer, style, attributes.labelAttributes);
+    }
+
+    // Intentionally undocumented. Creates the Style content for TextAttributes. The text has no icon.
+    function textStyle(writer, style, attributes) {
+        var iconStyle = writer.element(style, "IconStyle");
+        writer.value(iconStyle, "scale", "0");
+
+        labelStyle(writer, style, attributes);
+    }
+
+    function labelStyle(writer, style, attributes) {
+        if (!attributes) {
+            return;
+        }
+
+        var element = writer.element(style, "LabelStyle");
+        writer.value(element, "color", kmlColor(attributes.color));
+        writer.value(element, "scale", attributes.scale);
+    }
+
+    // Intentionally undocumented. Returns the color in the aabbggrr format used by KML.
+    function kmlColor(color) {
+        return [color.alpha, color.blue, color.green, color.red].map(function (component) {
+            var hex = Math.round(component * 255).toString(16);
+            return hex.length < 2 ? "0" + hex : hex;
+        }).join("");
+    }
+
+    function coordinates(locations) {
+        return locations.map(function (location) {
+            var tuple = location.longitude + "," + location.latitude;
+            return location.altitude !== undefined ? tuple + "," + location.altitude : tuple;
+        }).join(" ");
+    }
+
+    function closedRing(boundary) {
+        var first = boundary[0], last = boundary[boundary.length - 1];
+        if (boundary.length > 0 && (first.latitude !== last.latitude || first.longitude !== last.longitude)) {
+            return boundary.concat([first]);
+        }
+        return boundary;
+    }
+
+    // Intentionally undocumented. KML doesn't support circles, therefore the circle is approximated by the
+    // polygon in the same way the SurfaceCircle computes its boundaries.
+    function circleBoundary(circle) {
+        var numLocations = 1 + Math.max(SurfaceCircle.MIN_NUM_INTERVALS, circle.intervals),
+            da = 360 / (numLocations - 1),
+            arcLength = circle.radius / WorldWind.EARTH_RADIUS,
+            boundary = [];
+
+        for (var i = 0; i < numLocations; i++) {
+            var azimuth = (i !== numLocations - 1) ? (i * da) : 0;
+            boundary.push(Location.greatCircleLocation(circle.center, azimuth, arcLength, new Location(0, 0)));
+        }
+        return boundary;
+    }
+
+    return KmlExporter;
+});
@@ -73,6 +73,7 @@ define([
         }
 
         // Default values.
+        this._url = url;
         this._controls = controls || null;
         this._fileCache = new KmlFileCache();
         this._styleResolver = new StyleResolver(this._fileCache);
@@ -139,6 +140,7 @@ define([
             shape.render(dc, {
                 lastStyle: kmlOptions.lastStyle || null,
                 lastVisibility: kmlOptions.lastVisibility || null,
+                lastOpacity: kmlOptions.lastOpacity,
                 currentTimeInterval: kmlOptions.currentTimeInterval || null,
                 regionInvisible: kmlOptions.regionInvisible || null,
                 fileCache: self._fileCache,
@@ -186,12 +188,7 @@ define([
         var id = pId.substring(pId.indexOf('#') + 1, pId.length);
         // It returns promise of the Style.
         return new Promise(function (resolve, reject) {
-            var style;
-            if (self._document.querySelector) {
-                style = self._document.querySelector("*[id='" + id + "']");
-            } else {
-                style = self._document.getElementById(id);
-            }
+            var style = self.nodeById(id);
             if (!style || style == null) {
                 reject();
             }
@@ -207,6 +204,37 @@ define([
         });
     };
 
+    /**
+     * It finds the node with given id in the document.
+     * @param id {String} Id of the node.
+     * @returns {Node|null} Node with the id or null if there is no such node.
+     */
+    KmlFile.prototype.nodeById = function (id) {
+        if (this._document.querySelector) {
+            return this._document.querySelector("*[id='" + id + "']");
+        } else {
+            return this._document.getElementById(id);
+        }
+    };
+
+    /**
+     * It makes sure that the objects representing the node are created again from the current content of the node.
+     * It must be called whenever the node of this document is modified, for example by Update.
+     * @param node {Node} Node of this document, which was modified.
+     */
+    KmlFile.prototype.invalidate = function (node) {
+        this._factory.invalidate(node);
+    };
+
+    /**
+     * It makes sure that the objects representing the children of the node correspond to the current children of
+     * the node. It must be called whenever children are added to or removed from the node of this document.
+     * @param node {Node} Node of this document, whose children were modified.
+     */
+    KmlFile.prototype.refresh = function (node) {
+        this._factory.refresh(node);
+    };
+
 	/**
      * This function returns expire time of this file in miliseconds.
      * @returns {Number} miliseconds for this file to expire.
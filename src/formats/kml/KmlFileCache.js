@@ -27,38 +27,69 @@ define([], function () {
     };
 
     /**
-     * Retrieve relevant KmlFile from the cache representing this Document.
+     * Retrieve relevant KmlFile from the cache representing this Document. The relative urls, which weren't added
+     * to the cache, represent the root file.
      * @param url {String} Url of the file to retrieve from this cache.
+     * @param baseUrl {String} Optional. Url of the file referencing the file to retrieve, against which the
+     *  relative url is resolved. The relative url is resolved against the location of the application otherwise.
      * @returns {Promise|null}
      */
-    KmlFileCache.prototype.retrieve = function (url) {
-        if (url.indexOf('#') == 0 || url == null || url.indexOf('http') != 0) {
+    KmlFileCache.prototype.retrieve = function (url, baseUrl) {
+        if (url == null || url.indexOf('#') == 0) {
+            return this._rootFile;
+        }
+
+        var urlNormalized = this.normalize(url, baseUrl);
+        if (this._map[urlNormalized]) {
+            return this._map[urlNormalized];
+        } else if (url.indexOf('http') != 0) {
             return this._rootFile;
-        } else {
-            var urlNormalized = url;
-            if (url.indexOf('#') != -1) {
-                urlNormalized = url.substr(0, url.indexOf('#') - 1);
-            }
-            // Start of the URL use to store it in the map.
-            if (this._map[urlNormalized]) {
-                return this._map[urlNormalized];
-            }
         }
 
         return null;
     };
 
     /**
-     * Adds new KmlFile to the KmlDocument represented by this Cache.
+     * Adds new KmlFile to the KmlDocument represented by this Cache. The first added file is the root file.
      * @param url {String} Url of the file for internal mapping
      * @param filePromise {Promise} Promise of the file to be stored.
      */
     KmlFileCache.prototype.add = function (url, filePromise) {
         if (!this._rootFile) {
             this._rootFile = filePromise;
-        } else {
-            this._map[url] = filePromise;
         }
+        this._map[this.normalize(url)] = filePromise;
+    };
+
+    /**
+     * FOR INTERNAL USE ONLY.
+     * It removes the fragment from the url and resolves relative url against the base url, or against the location
+     * of the application, so that the same file is always stored under the same key.
+     * @param url {String} Url to normalize.
+     * @param baseUrl {String} Optional. Url against which the relative url is resolved.
+     * @returns {String} Normalized url.
+     */
+    KmlFileCache.prototype.normalize = function (url, baseUrl) {
+        if (url.indexOf('#') != -1) {
+            url = url.substr(0, url.indexOf('#'));
+        }
+
+        var anchor = document.createElement('a');
+        if (baseUrl && !/^[a-z][a-z0-9+.\-]*:/i.test(url)) {
+            anchor.href = baseUrl;
+            var base = anchor.href;
+            if (url.indexOf('//') == 0) {
+                url = anchor.protocol + url;
+            } else if (url.indexOf('/') == 0) {
+                url = anchor.protocol + '//' + anchor.host + url;
+            } else {
+                base = base.split(/[?#]/)[0];
+                url = base.substr(0, base.lastIndexOf('/') + 1) + url;
+            }
+        }
+
+        anchor.href = url;
+        return anchor.href;
     };
 
     return KmlFileCache; // Return actually object. This is singleton used throughout the whole application.
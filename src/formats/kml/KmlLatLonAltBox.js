@@ -111,6 +111,21 @@ define([
             get: function () {
                 return this._factory.specific(this, {name: 'maxAltitude', transformer: NodeTransformers.number});
             }
+        },
+
+        /**
+         * Specifies how the minAltitude and maxAltitude are interpreted. The default clampToGround ignores the
+         * altitudes and uses the terrain of the box.
+         * @memberof KmlLatLonAltBox.prototype
+         * @readonly
+         * @type {String}
+         */
+        kmlAltitudeMode: {
+            get: function () {
+                return this._factory.specific(this, {name: 'altitudeMode', transformer: NodeTransformers.string}) ||
+                    this._factory.specific(this, {name: 'gx:altitudeMode', transformer: NodeTransformers.string}) ||
+                    WorldWind.CLAMP_TO_GROUND;
+            }
         }
     });
 
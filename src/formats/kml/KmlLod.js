@@ -99,6 +99,48 @@ define([
         }
     });
 
+    /**
+     * Indicates whether the region with the given projected size is active. The region is active when its size is at
+     * least minLodPixels and at most maxLodPixels, unless maxLodPixels is -1.
+     * @param pixels {Number} Square root of the area of the region projected on the screen in pixels.
+     * @returns {Boolean} true if the region is active.
+     */
+    KmlLod.prototype.isActive = function (pixels) {
+        var minLodPixels = this.kmlMinLodPixels || 0,
+            maxLodPixels = this.kmlMaxLodPixels;
+        if (maxLodPixels === null || maxLodPixels === undefined) {
+            maxLodPixels = -1;
+        }
+
+        return pixels >= minLodPixels && (maxLodPixels === -1 || pixels <= maxLodPixels);
+    };
+
+    /**
+     * Opacity of the region with the given projected size. The opacity grows linearly from 0 to 1 in the
+     * minFadeExtent above minLodPixels and falls back to 0 in the maxFadeExtent below maxLodPixels. Only the ground
+     * overlays of the region are drawn with this opacity.
+     * @param pixels {Number} Square root of the area of the region projected on the screen in pixels.
+     * @returns {Number} Opacity in the range [0, 1]. Inactive region has opacity 0.
+     */
+    KmlLod.prototype.opacity = function (pixels) {
+        if (!this.isActive(pixels)) {
+            return 0;
+        }
+
+        var opacity = 1,
+            minLodPixels = this.kmlMinLodPixels || 0,
+            maxLodPixels = this.kmlMaxLodPixels,
+            minFadeExtent = this.kmlMinFadeExtent || 0,
+            maxFadeExtent = this.kmlMaxFadeExtent || 0;
+        if (minFadeExtent > 0 && pixels < minLodPixels + minFadeExtent) {
+            opacity = (pixels - minLodPixels) / minFadeExtent;
+        }
+        if (maxFadeExtent > 0 && maxLodPixels > 0 && pixels > maxLodPixels - maxFadeExtent) {
+            opacity = Math.min(opacity, (maxLodPixels - pixels) / maxFadeExtent);
+        }
+        return Math.max(0, Math.min(1, opacity));
+    };
+
     /**
      * @inheritDoc
      */
@@ -38,7 +38,9 @@ define([
      * Constructs an KmlRegion. Applications usually don't call this constructor. It is called by {@link KmlFile} as
      * objects from Kml file are read. This object is already concrete implementation.
      * @alias KmlRegion
-     * @classdesc Contains the data associated with Region node.
+     * @classdesc Contains the data associated with Region node. The features with region are displayed only when
+     * the region is active, that is when it is in view and its size projected on the screen is within the limits
+     * given by its Lod.
      * @param options {Object}
      * @param options.objectNode {Node} Node representing region in the document.
      * @constructor
@@ -47,6 +49,16 @@ define([
      */
     var KmlRegion = function (options) {
         KmlObject.call(this, options);
+
+        // Intentionally not documented. Extent of the region and the globe state it was computed for.
+        this._extent = null;
+        this._extentGlobeStateKey = null;
+
+        // Intentionally not documented. Visibility and projected size of the region and the frame they were
+        // computed for.
+        this._visible = false;
+        this._projectedSize = 0;
+        this._frameTimestamp = null;
     };
 
     KmlRegion.prototype = Object.create(KmlObject.prototype);
@@ -81,19 +93,112 @@ define([
         }
     });
 
-	/**
-	 * It tests whether the region intersects the visible area.
+    /**
+     * Internal use only.
+     * Returns the bounding box of the LatLonAltBox of this region. The box is recomputed when the globe changes.
+     * @param dc {DrawContext} Draw context associated with current processing.
+     * @returns {BoundingBox} Extent of the region in model coordinates.
+     */
+    KmlRegion.prototype.extent = function (dc) {
+        if (this._extent && this._extentGlobeStateKey === dc.globeStateKey) {
+            return this._extent;
+        }
+
+        var box = this.kmlLatLonAltBox,
+            sector = new Sector(box.kmlSouth, box.kmlNorth, box.kmlWest, box.kmlEast),
+            minAltitude = box.kmlMinAltitude || 0,
+            maxAltitude = box.kmlMaxAltitude || 0,
+            altitudeMode = box.kmlAltitudeMode,
+            minElevation = minAltitude,
+            maxElevation = maxAltitude;
+        if (altitudeMode == WorldWind.CLAMP_TO_GROUND || altitudeMode == WorldWind.RELATIVE_TO_GROUND) {
+            var elevations = dc.globe.minAndMaxElevationsForSector(sector);
+            minElevation = elevations[0];
+            maxElevation = elevations[1];
+            if (altitudeMode == WorldWind.RELATIVE_TO_GROUND) {
+                minElevation += minAltitude;
+                maxElevation += maxAltitude;
+            }
+        }
+
+        this._extent = new BoundingBox();
+        this._extent.setToSector(sector, dc.globe, minElevation, maxElevation);
+        this._extentGlobeStateKey = dc.globeStateKey;
+        return this._extent;
+    };
+
+    /**
+     * It tests whether the region intersects the visible area.
      * @param dc {DrawContext} Frustum to test for intersection.
      */
     KmlRegion.prototype.intersectsVisible = function(dc) {
-        var box = this.kmlLatLonAltBox;
+        return this.extent(dc).intersectsFrustum(dc.navigatorState.frustumInModelCoordinates);
+    };
 
-        var boundingBoxForRegion = new BoundingBox();
-        boundingBoxForRegion.setToSector(new Sector(box.kmlSouth, box.kmlNorth, box.kmlWest, box.kmlEast), dc.globe, box.kmlMinAltitude, box.kmlMaxAltitude);
+    /**
+     * Size of the region projected on the screen. It is the square root of the area of the region in pixels
+     * computed at the distance of the closest point of the region to the eye, which is the quantity compared with
+     * the minLodPixels and maxLodPixels of the Lod.
+     * @param dc {DrawContext} Draw context associated with current processing.
+     * @returns {Number} Projected size in pixels.
+     */
+    KmlRegion.prototype.projectedSize = function (dc) {
+        var box = this.kmlLatLonAltBox,
+            radius = dc.globe.equatorialRadius,
+            latitude = (box.kmlNorth + box.kmlSouth) / 2 * Math.PI / 180,
+            height = Math.abs(box.kmlNorth - box.kmlSouth) * Math.PI / 180 * radius,
+            width = Math.abs(box.kmlEast - box.kmlWest) * Math.PI / 180 * radius * Math.cos(latitude),
+            distance = Math.max(this.extent(dc).distanceTo(dc.navigatorState.eyePoint), 1);
+
+        return Math.sqrt(width * height) / dc.navigatorState.pixelSizeAtDistance(distance);
+    };
+
+    /**
+     * Opacity of the features in this region. It is 0 when the region isn't visible or its projected size doesn't
+     * meet the Lod and it fades in and out within the fade extents of the Lod. Only ground overlays fade, the
+     * other features appear and disappear at the limits of the Lod.
+     * @param dc {DrawContext} Draw context associated with current processing.
+     * @returns {Number} Opacity in the range [0, 1].
+     */
+    KmlRegion.prototype.opacity = function (dc) {
+        this.assessVisibility(dc);
+        if (!this._visible) {
+            return 0;
+        }
+
+        var lod = this.kmlLod;
+        return lod ? lod.opacity(this._projectedSize) : 1;
+    };
+
+    /**
+     * Indicates whether the region is active, that is visible and with the projected size within the Lod limits.
+     * @param dc {DrawContext} Draw context associated with current processing.
+     * @returns {Boolean} true if the region is active.
+     */
+    KmlRegion.prototype.isActive = function (dc) {
+        this.assessVisibility(dc);
+        if (!this._visible) {
+            return false;
+        }
+
+        var lod = this.kmlLod;
+        return !lod || lod.isActive(this._projectedSize);
+    };
+
+    /**
+     * Internal use only.
+     * Computes the visibility and the projected size of this region once per frame, so that both
+     * [isActive]{@link KmlRegion#isActive} and [opacity]{@link KmlRegion#opacity} use the same results.
+     * @param dc {DrawContext} Draw context associated with current processing.
+     */
+    KmlRegion.prototype.assessVisibility = function (dc) {
+        if (this._frameTimestamp === dc.timestamp) {
+            return;
+        }
 
-        return boundingBoxForRegion.intersectsFrustum(dc.navigatorState.frustumInModelCoordinates)&&
-            (!box.kmlMinAltitude || dc.eyePosition.altitude > box.kmlMinAltitude) &&
-            (!box.kmlMaxAltitude || dc.eyePosition.altitude < box.kmlMaxAltitude);
+        this._visible = this.intersectsVisible(dc);
+        this._projectedSize = this._visible ? this.projectedSize(dc) : 0;
+        this._frameTimestamp = dc.timestamp;
     };
 
     /**
@@ -0,0 +1,340 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    '../../../shapes/Annotation',
+    '../../../shapes/AnnotationAttributes',
+    '../util/Attribute',
+    '../../../util/Color',
+    './KmlControls',
+    '../styles/KmlBalloonStyle',
+    '../../../geom/Position',
+    '../../../layer/RenderableLayer',
+    '../../../geom/Vec3',
+    '../../../util/WWUtil'
+], function (Annotation,
+             AnnotationAttributes,
+             Attribute,
+             Color,
+             KmlControls,
+             KmlBalloonStyle,
+             Position,
+             RenderableLayer,
+             Vec3,
+             WWUtil) {
+    "use strict";
+
+    /**
+     * This class displays balloons of the features of the KML document. When the user clicks on a feature, the
+     * text of its BalloonStyle is expanded with the values of the feature and its ExtendedData and displayed
+     * anchored to the feature. Features whose BalloonStyle has displayMode hide don't show any balloon. Clicking
+     * anywhere else closes the balloon.
+     *
+     * By default the balloon is displayed as an Annotation and the HTML of the text is reduced to plain text. With
+     * the html option the balloon is displayed as an element positioned over the WorldWindow. The text is inserted
+     * as HTML in that case, therefore only use this option with trusted KML documents.
+     * @param wwd {WorldWindow} WorldWindow displaying the document.
+     * @param options {Object}
+     * @param options.html {Boolean} Whether to display the balloons as HTML elements instead of Annotations.
+     * @param options.container {Element} Element to which the HTML balloons are added. Defaults to the parent of
+     *  the canvas of the WorldWindow. It should be positioned, so that the balloons can be placed inside of it.
+     * @constructor
+     * @augments KmlControls
+     * @alias KmlBalloons
+     * @classdesc Class for displaying balloons of the features.
+     */
+    var KmlBalloons = function (wwd, options) {
+        KmlControls.apply(this);
+
+        options = options || {};
+
+        this._wwd = wwd;
+        this._html = options.html === true;
+        this._container = options.container || wwd.canvas.parentNode;
+
+        // Intentionally not documented. Features created in the documents using this control keyed by the id of
+        // their node. The objects created again for the same node, when the document is refreshed or updated,
+        // replace the previous ones.
+        this._features = {};
+
+        // Intentionally not documented. Loaded documents and their urls. The features of the documents loaded
+        // before from the same url are removed once the first feature of a reloaded document is created, so that
+        // a reload bringing no features, such as an Update, keeps them.
+        this._documents = [];
+
+        // Intentionally not documented. Position to which the currently displayed balloon points.
+        this._anchor = null;
+
+        // Intentionally not documented. Altitude mode of the anchor.
+        this._altitudeMode = null;
+
+        // Intentionally not documented. HTML element of the currently displayed balloon.
+        this._element = null;
+
+        /**
+         * Feature whose balloon is currently displayed.
+         * @type {KmlFeature}
+         * @readonly
+         */
+        this.feature = null;
+
+        /**
+         * Layer containing the Annotations of the balloons. It is added to the WorldWindow.
+         * @type {RenderableLayer}
+         * @readonly
+         */
+        this.layer = new RenderableLayer("KML Balloons");
+        this.layer.pickEnabled = false;
+        wwd.addLayer(this.layer);
+
+        var self = this;
+        wwd.addEventListener("click", function (event) {
+            self.handleClick(event);
+        });
+
+        if (this._html) {
+            wwd.redrawCallbacks.push(function (worldWindow, stage) {
+                if (stage === WorldWind.AFTER_REDRAW) {
+                    self.placeElement();
+                }
+            });
+        }
+    };
+
+    KmlBalloons.prototype = Object.create(KmlControls.prototype);
+
+    /**
+     * @inheritDoc
+     */
+    KmlBalloons.prototype.hook = function (node, options) {
+        if (options.isFeature) {
+            this.removeReplacedDocuments(node.node.ownerDocument);
+
+            var idAttribute = new Attribute(node.node, "id");
+            if (!idAttribute.exists()) {
+                idAttribute.save(WWUtil.guid());
+            }
+            this._features[idAttribute.value()] = node;
+        } else if (node._document && node.node === node._document.documentElement) {
+            // A file is loaded. A previously loaded file from the same url still waiting for its features won't
+            // get any.
+            this._documents = this._documents.filter(function (entry) {
+                return !(entry.pending && entry.url === node._url);
+            });
+            this._documents.push({document: node._document, url: node._url, pending: true});
+        }
+    };
+
+    // Internal use only. Removes the features of the documents replaced by the given document, when it's a
+    // reloaded document whose features are created for the first time.
+    KmlBalloons.prototype.removeReplacedDocuments = function (document) {
+        var loaded = this._documents.filter(function (entry) {
+            return entry.document === document && entry.pending;
+        })[0];
+        if (!loaded) {
+            return;
+        }
+
+        loaded.pending = false;
+        var replaced = this._documents.filter(function (entry) {
+            return entry !== loaded && entry.url === loaded.url;
+        }).map(function (entry) {
+            return entry.document;
+        });
+        if (replaced.length === 0) {
+            return;
+        }
+
+        this._documents = this._documents.filter(function (entry) {
+            return replaced.indexOf(entry.document) === -1;
+        });
+        for (var id in this._features) {
+            if (this._features.hasOwnProperty(id) && replaced.indexOf(this._features[id].node.ownerDocument) !== -1) {
+                delete this._features[id];
+            }
+        }
+    };
+
+    // Internal use only. Opens the balloon of the clicked feature or closes the current one.
+    KmlBalloons.prototype.handleClick = function (event) {
+        var pickPoint = this._wwd.canvasCoordinates(event.clientX, event.clientY),
+            pickList = this._wwd.pick(pickPoint);
+
+        for (var index = 0; index < pickList.objects.length; index++) {
+            var pickedObject = pickList.objects[index];
+            if (pickedObject.isTerrain) {
+                continue;
+            }
+
+            var feature = this.featureFor(pickedObject.userObject);
+            if (feature) {
+                this.open(feature, pickedObject.position);
+                return;
+            }
+        }
+
+        if (this.feature) {
+            this.close();
+        }
+    };
+
+    /**
+     * Finds the feature displayed by the picked renderable.
+     * @param userObject {Object} Picked renderable or its pick delegate.
+     * @returns {KmlFeature|null} Feature displayed by the renderable or null if it doesn't belong to any.
+     */
+    KmlBalloons.prototype.featureFor = function (userObject) {
+        for (var id in this._features) {
+            if (!this._features.hasOwnProperty(id)) {
+                continue;
+            }
+
+            var feature = this._features[id], geometry = feature.kmlGeometry;
+            if (feature === userObject || feature._renderable === userObject ||
+                (geometry && geometry._renderable === userObject)) {
+                return feature;
+            }
+        }
+        return null;
+    };
+
+    /**
+     * Displays the balloon of the feature. Any previously displayed balloon is closed.
+     * @param feature {KmlFeature} Feature whose balloon to display.
+     * @param position {Position} Position of the click used if the feature doesn't have its own position.
+     */
+    KmlBalloons.prototype.open = function (feature, position) {
+        this.close();
+
+        var style = feature.style && feature.style.normal,
+            balloonStyle = style && style.kmlBalloonStyle;
+        if (balloonStyle && balloonStyle.kmlDisplayMode == "hide") {
+            return;
+        }
+
+        var text = balloonStyle ? balloonStyle.balloonText(feature) :
+                KmlBalloonStyle.expand(KmlBalloonStyle.DEFAULT_TEXT, feature),
+            backgroundColor = balloonStyle && balloonStyle.kmlBgColor ?
+                Color.colorFromKmlHex(balloonStyle.kmlBgColor) : Color.WHITE,
+            textColor = balloonStyle && balloonStyle.kmlTextColor ?
+                Color.colorFromKmlHex(balloonStyle.kmlTextColor) : Color.BLACK,
+            renderable = feature._renderable,
+            anchor = renderable && renderable.position || position;
+        if (!anchor) {
+            return;
+        }
+
+        this.feature = feature;
+        this._anchor = new Position(anchor.latitude, anchor.longitude, anchor.altitude);
+        this._altitudeMode = renderable && renderable.altitudeMode || WorldWind.CLAMP_TO_GROUND;
+
+        if (this._html) {
+            this._element = this.createElement(text, backgroundColor, textColor);
+            this._container.appendChild(this._element);
+        } else {
+            var attributes = new AnnotationAttributes(null);
+            attributes.backgroundColor = backgroundColor;
+            attributes.textAttributes.color = textColor;
+            attributes.width = 250;
+            attributes.height = 150;
+
+            var annotation = new Annotation(this._anchor, attributes);
+            annotation.label = KmlBalloons.plainText(text);
+            annotation.altitudeMode = this._altitudeMode;
+            this.layer.addRenderable(annotation);
+        }
+
+        this._wwd.redraw();
+    };
+
+    /**
+     * Closes the currently displayed balloon.
+     */
+    KmlBalloons.prototype.close = function () {
+        this.layer.removeAllRenderables();
+        if (this._element && this._element.parentNode) {
+            this._element.parentNode.removeChild(this._element);
+        }
+
+        this._element = null;
+        this._anchor = null;
+        this.feature = null;
+        this._wwd.redraw();
+    };
+
+    // Internal use only. Creates the HTML element of the balloon.
+    KmlBalloons.prototype.createElement = function (text, backgroundColor, textColor) {
+        var element = document.createElement("div");
+        element.className = "kml-balloon";
+        element.style.position = "absolute";
+        element.style.backgroundColor = backgroundColor.toRGBAString();
+        element.style.color = textColor.toRGBAString();
+        element.style.transform = "translate(-50%, -100%)";
+
+        var close = document.createElement("span");
+        close.className = "kml-balloon-close";
+        close.appendChild(document.createTextNode("\u00d7"));
+        close.addEventListener("click", this.close.bind(this), false);
+        element.appendChild(close);
+
+        var content = document.createElement("div");
+        content.className = "kml-balloon-content";
+        content.innerHTML = text;
+        element.appendChild(content);
+
+        return element;
+    };
+
+    // Internal use only. Moves the HTML element of the balloon to the current screen position of the anchor.
+    KmlBalloons.prototype.placeElement = function () {
+        if (!this._element) {
+            return;
+        }
+
+        var dc = this._wwd.drawContext, canvas = this._wwd.canvas, anchor = this._anchor,
+            altitude = anchor.altitude, point = new Vec3(0, 0, 0), screenPoint = new Vec3(0, 0, 0);
+        if (this._altitudeMode == WorldWind.CLAMP_TO_GROUND) {
+            altitude = dc.globe.elevationAtLocation(anchor.latitude, anchor.longitude);
+        } else if (this._altitudeMode == WorldWind.RELATIVE_TO_GROUND) {
+            altitude += dc.globe.elevationAtLocation(anchor.latitude, anchor.longitude);
+        }
+
+        dc.globe.computePointFromPosition(anchor.latitude, anchor.longitude, altitude, point);
+        if (!dc.navigatorState.project(point, screenPoint)) {
+            this._element.style.display = "none";
+            return;
+        }
+
+        // Screen coordinates start in the lower left corner of the drawing buffer.
+        var scale = canvas.clientWidth / canvas.width;
+        this._element.style.display = "block";
+        this._element.style.left = (canvas.offsetLeft + screenPoint[0] * scale) + "px";
+        this._element.style.top = (canvas.offsetTop + (canvas.height - screenPoint[1]) * scale) + "px";
+    };
+
+    /**
+     * Reduces the HTML text of the balloon to the plain text displayable by Annotation. Line breaking elements are
+     * replaced by new lines. The text is parsed as an inert document, so no scripts of the text are run.
+     * @param html {String} HTML text of the balloon.
+     * @returns {String} Plain text of the balloon.
+     */
+    KmlBalloons.plainText = function (html) {
+        var withBreaks = html.replace(/<br\s*\/?>|<\/(p|div|h[1-6]|li|tr)>/gi, "\n$&");
+        var document = new DOMParser().parseFromString(withBreaks, "text/html");
+        return (document.body.textContent || "").replace(/[ \t]+/g, " ").replace(/\s*\n\s*/g, "\n").trim();
+    };
+
+    return KmlBalloons;
+});
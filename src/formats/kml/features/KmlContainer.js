@@ -65,6 +65,7 @@ define([
             shape.render(dc, {
                 lastStyle: kmlOptions.lastStyle,
                 lastVisibility: self.enabled,
+                lastOpacity: self.opacity,
                 currentTimeInterval: kmlOptions.currentTimeInterval,
                 regionInvisible: kmlOptions.regionInvisible,
                 fileCache: kmlOptions.fileCache,
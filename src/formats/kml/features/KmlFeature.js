@@ -53,6 +53,14 @@ define([
 
         this._pStyle = null;
         this.controlledVisibility = null;
+
+        /**
+         * Opacity of this feature given by fading of the Regions of this feature and its parents. Only ground
+         * overlays are drawn with this opacity, other features are either displayed or hidden as their Regions
+         * become active or inactive.
+         * @type {Number}
+         */
+        this.opacity = 1;
     };
 
     KmlFeature.prototype = Object.create(KmlObject.prototype);
@@ -226,9 +234,93 @@ define([
                     name: KmlRegion.prototype.getTagNames()
                 });
             }
+        },
+
+        /**
+         * Custom data associated with this feature via Data and SchemaData elements of its ExtendedData. The keys
+         * are the names of the Data elements. Values of SchemaData are available both under the name of the field
+         * and under the name of the Schema followed by slash and the name of the field. Every item contains value
+         * and displayName, which falls back to the name of the field.
+         * @memberof KmlFeature.prototype
+         * @type {Object}
+         * @readonly
+         */
+        kmlExtendedData: {
+            get: function () {
+                if (!this._cache.extendedData) {
+                    var data = {};
+                    childElements(this.node, 'ExtendedData').forEach(function (extendedData) {
+                        childElements(extendedData, 'Data').forEach(function (dataNode) {
+                            var name = dataNode.getAttribute('name');
+                            data[name] = {
+                                value: childText(dataNode, 'value'),
+                                displayName: childText(dataNode, 'displayName') || name
+                            };
+                        });
+
+                        childElements(extendedData, 'SchemaData').forEach(function (schemaData) {
+                            var schema = schemaNode(schemaData), schemaName = schema && schema.getAttribute('name');
+                            childElements(schemaData, 'SimpleData').forEach(function (simpleData) {
+                                var name = simpleData.getAttribute('name'), item = {
+                                    value: simpleData.textContent,
+                                    displayName: fieldDisplayName(schema, name) || name
+                                };
+                                data[name] = item;
+                                if (schemaName) {
+                                    data[schemaName + '/' + name] = item;
+                                }
+                            });
+                        });
+                    });
+                    this._cache.extendedData = data;
+                }
+                return this._cache.extendedData;
+            }
         }
     });
 
+    // Intentionally undocumented. Element children of the node with given name.
+    function childElements(node, name) {
+        return [].filter.call(node.childNodes, function (child) {
+            return child.nodeName === name;
+        });
+    }
+
+    // Intentionally undocumented. Text content of the first child with given name or null.
+    function childText(node, name) {
+        var children = childElements(node, name);
+        return children.length ? children[0].textContent : null;
+    }
+
+    // Intentionally undocumented. Schema referenced by schemaUrl of the SchemaData in the same document.
+    function schemaNode(schemaData) {
+        var schemaUrl = schemaData.getAttribute('schemaUrl');
+        if (!schemaUrl || schemaUrl.indexOf('#') === -1) {
+            return null;
+        }
+
+        var id = schemaUrl.substr(schemaUrl.indexOf('#') + 1);
+        var schemas = schemaData.ownerDocument.getElementsByTagName('Schema');
+        for (var index = 0; index < schemas.length; index++) {
+            if (schemas[index].getAttribute('id') === id) {
+                return schemas[index];
+            }
+        }
+        return null;
+    }
+
+    // Intentionally undocumented. Display name of the SimpleField of the Schema.
+    function fieldDisplayName(schema, name) {
+        if (!schema) {
+            return null;
+        }
+
+        var fields = childElements(schema, 'SimpleField').filter(function (field) {
+            return field.getAttribute('name') === name;
+        });
+        return fields.length ? childText(fields[0], 'displayName') : null;
+    }
+
 	/**
 	 * @inheritDoc
      */
@@ -257,11 +349,11 @@ define([
      * Internal use only
      * It solves whether the feature should be visible based on the Region.
      * @param dc {DrawContext} Draw context associated with current processing.
-     * @returns {boolean} true if there is no region or the feature is in the region.
+     * @returns {boolean} true if there is no region or the region is active.
      */
     KmlFeature.prototype.solveRegion = function(dc) {
         if(this.kmlRegion) {
-            return this.kmlRegion.intersectsVisible(dc);
+            return this.kmlRegion.isActive(dc);
         } else {
             return true;
         }
@@ -269,6 +361,27 @@ define([
 
 	/**
      * Internal use only
+     * It solves the opacity of the feature based on the fading of the Region and the opacity of the parent. The
+     * opacity is applied by KmlGroundOverlay only.
+     * @param dc {DrawContext} Draw context associated with current processing.
+     * @param kmlOptions {Object}
+     * @param kmlOptions.lastOpacity {Number} Opacity of the parent feature.
+     */
+    KmlFeature.prototype.solveOpacity = function(dc, kmlOptions) {
+        var parentOpacity = typeof kmlOptions.lastOpacity === 'number' ? kmlOptions.lastOpacity : 1;
+        if(!this.enabled) {
+            this.opacity = 0;
+        } else if(this.kmlRegion) {
+            this.opacity = parentOpacity * this.kmlRegion.opacity(dc);
+        } else {
+            this.opacity = parentOpacity;
+        }
+
+        kmlOptions.lastOpacity = this.opacity;
+    };
+
+	/**
+     * Internal use only
      * It solves whether current feature should be visible. It takes into account the visibility of parent elements, Time constraints, region, visibility.
      * @param dc {DrawContext} Draw context associated with current processing.
      * @param kmlOptions {Object}
@@ -286,6 +399,8 @@ define([
         if(this._renderable) {
             this._renderable.enabled = this.enabled;
         }
+
+        this.solveOpacity(dc, kmlOptions);
     };
 
     /**
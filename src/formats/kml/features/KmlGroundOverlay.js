@@ -132,6 +132,7 @@ define([
         }
         
         if(this._renderable) {
+            this._renderable.opacity = this.opacity;
             this._renderable.render(dc);
         }
     };
@@ -18,12 +18,16 @@ define([
     './KmlFeature',
     '../KmlFile',
     '../KmlLink',
+    '../../../util/Logger',
+    '../util/NetworkLinkControl',
     '../util/NodeTransformers',
     '../util/RefreshListener'
 ], function (KmlElements,
              KmlFeature,
              KmlFile,
              KmlLink,
+             Logger,
+             NetworkLinkControl,
              NodeTransformers,
              RefreshListener) {
     "use strict";
@@ -50,6 +54,9 @@ define([
         this.resolvedFile = null;
         this.displayed = false;
         this.isDownloading = false;
+
+        // Intentionally not documented. Whether the link was active in the last frame.
+        this._regionActive = null;
     };
 
     KmlNetworkLink.prototype = Object.create(KmlFeature.prototype);
@@ -118,6 +125,13 @@ define([
     KmlNetworkLink.prototype.render = function(dc, kmlOptions) {
         KmlFeature.prototype.render.call(this, dc, kmlOptions);
 
+        // The Region of the link has just become active.
+        if(this.resolvedFile && this.enabled && this._regionActive === false &&
+            this.kmlLink.kmlViewRefreshMode == "onRegion") {
+            this.refresh(kmlOptions);
+        }
+        this._regionActive = this.enabled;
+
         // Not visible and wasn't displayed yet.
         if(!kmlOptions.lastVisibility && !this.displayed) {
             return;
@@ -127,10 +141,13 @@ define([
             this.isDownloading = true;
             var self = this;
 
-            new KmlFile(self.buildUrl()).then(function (kmlFile) {
+            var filePromise = this.loadFile(kmlOptions);
+            this.registerFile(filePromise, kmlOptions);
+            filePromise.then(function (kmlFile) {
                 self.resolvedFile = kmlFile;
                 self.isDownloading = false;
 
+                self.applyUpdates(kmlFile, kmlOptions);
                 self.fireEvent(kmlOptions);
             });
         }
@@ -147,6 +164,74 @@ define([
         return this.kmlLink.kmlHref;
     };
 
+    /**
+     * It loads the file referenced by this NetworkLink.
+     * @param kmlOptions {Object}
+     * @returns {Promise} Promise of the loaded KmlFile.
+     */
+    KmlNetworkLink.prototype.loadFile = function(kmlOptions) {
+        return new KmlFile(this.buildUrl(), this._controls);
+    };
+
+    /**
+     * It stores the file referenced by this NetworkLink in the cache of the files of the document, so that the
+     * Updates targeting it can find it.
+     * @param filePromise {Promise} Promise of the file loaded by this NetworkLink.
+     * @param kmlOptions {Object}
+     * @param kmlOptions.fileCache {KmlFileCache} Cache of the files loaded in the document.
+     */
+    KmlNetworkLink.prototype.registerFile = function(filePromise, kmlOptions) {
+        if(kmlOptions.fileCache) {
+            kmlOptions.fileCache.add(this.buildUrl(), filePromise);
+        }
+    };
+
+    /**
+     * It decides whether the loaded file has content to display besides the NetworkLinkControl. The files
+     * containing only the NetworkLinkControl update the displayed files rather than replace them.
+     * @param kmlFile {KmlFile} File loaded by this NetworkLink.
+     * @returns {Boolean} True if the file contains other elements than the NetworkLinkControl.
+     */
+    KmlNetworkLink.prototype.hasContent = function(kmlFile) {
+        return kmlFile.shapes.some(function(shape) {
+            return !(shape instanceof NetworkLinkControl);
+        });
+    };
+
+    /**
+     * It applies the Update from the NetworkLinkControl of the loaded file to the file referenced by its
+     * targetHref and requests redraw. The referenced file must have been already loaded via NetworkLink. The
+     * relative targetHref is resolved against the url of the loaded file.
+     * @param kmlFile {KmlFile} File loaded by this NetworkLink.
+     * @param kmlOptions {Object}
+     * @param kmlOptions.fileCache {KmlFileCache} Cache of the files loaded in the document.
+     */
+    KmlNetworkLink.prototype.applyUpdates = function(kmlFile, kmlOptions) {
+        var fileUrl = this.buildUrl();
+        kmlFile.shapes.forEach(function(shape) {
+            var update = shape instanceof NetworkLinkControl && shape.Update;
+            if(!update) {
+                return;
+            }
+
+            var targetFile = kmlOptions.fileCache && kmlOptions.fileCache.retrieve(update.targetHref, fileUrl);
+            if(!targetFile) {
+                Logger.logMessage(Logger.LEVEL_WARNING, "KmlNetworkLink", "applyUpdates", "The file " +
+                    update.targetHref + " to update wasn't loaded.");
+                return;
+            }
+
+            targetFile.then(function(file) {
+                update.apply(file);
+
+                // Send an event to request a redraw.
+                var e = document.createEvent('Event');
+                e.initEvent(WorldWind.REDRAW_EVENT_TYPE, true, true);
+                window.dispatchEvent(e);
+            });
+        });
+    };
+
 	/**
      * It handles refreshing strategy of the NetworkLink.
      * @param kmlOptions {Object}
@@ -158,13 +243,31 @@ define([
             return event.type == REFRESH_NETWORK_LINK_EVENT;
         });
         if(activeEvents.length > 0) {
-            var self = this;
-            new KmlFile(self.buildUrl()).then(function (kmlFile) {
+            this.refresh(kmlOptions);
+        }
+    };
+
+    /**
+     * It loads the linked file again. Its Updates are applied to the files loaded so far, including the currently
+     * displayed one. The loaded file replaces the displayed one only if it has content besides the
+     * NetworkLinkControl.
+     * @param kmlOptions {Object}
+     * @param kmlOptions.fileCache {KmlFileCache} Cache of the files loaded in the document.
+     * @param kmlOptions.listener {RefreshListener} Object which allows you to schedule events.
+     */
+    KmlNetworkLink.prototype.refresh = function(kmlOptions) {
+        var self = this;
+        var filePromise = this.loadFile(kmlOptions);
+        filePromise.then(function (kmlFile) {
+            self.applyUpdates(kmlFile, kmlOptions);
+
+            if(self.hasContent(kmlFile)) {
                 self.resolvedFile = kmlFile;
+                self.registerFile(filePromise, kmlOptions);
+            }
 
-                self.fireEvent(kmlOptions);
-            });
-        }
+            self.fireEvent(kmlOptions);
+        });
     };
 
 	/**
@@ -14,25 +14,40 @@
  * limitations under the License.
  */
 define([
+    '../../../util/Color',
     '../util/ImagePyramid',
+    '../KmlCamera',
     './../KmlElements',
+    './KmlFeature',
     './KmlOverlay',
     '../geom/KmlPoint',
     '../util/NodeTransformers',
-    '../util/ViewVolume'
-], function (ImagePyramid,
+    '../util/PhotoOverlayTile',
+    '../../../geom/Vec3',
+    '../util/ViewVolume',
+    '../../../util/WWMath'
+], function (Color,
+             ImagePyramid,
+             KmlCamera,
              KmlElements,
+             KmlFeature,
              KmlOverlay,
              KmlPoint,
              NodeTransformers,
-             ViewVolume) {
+             PhotoOverlayTile,
+             Vec3,
+             ViewVolume,
+             WWMath) {
     "use strict";
 
     /**
      * Constructs an KmlPhotoOverlay. Applications usually don't call this constructor. It is called by {@link KmlFile}
      * as objects from Kml file are read. This object is already concrete implementation.
      * @alias KmlPhotoOverlay
-     * @classdesc Contains the data associated with PhotoOverlay node.
+     * @classdesc Contains the data associated with PhotoOverlay node. The photo is displayed as a rectangle,
+     * cylinder or sphere around the position of the Camera of the overlay, or of its Point if there is no Camera,
+     * at the distance given by the near element of the ViewVolume. If the overlay contains an ImagePyramid, the
+     * tiles are retrieved based on the distance from the viewer in the same way as TiledImageLayer does.
      * @param options {Object}
      * @param options.objectNode {Node} Node representing Photo Overlay.
      * @constructor
@@ -42,6 +57,23 @@ define([
      */
     var KmlPhotoOverlay = function (options) {
         KmlOverlay.call(this, options);
+
+        /**
+         * Ratio between the size of the pixel of the photo and of the screen at which the more detailed level of
+         * the ImagePyramid is displayed.
+         * @type {Number}
+         * @default 1.75
+         */
+        this.detailControl = 1.75;
+
+        // Intentionally not documented. Origin and axes of the camera in model coordinates.
+        this._frame = null;
+
+        // Intentionally not documented. Tile on the level 0 of the pyramid.
+        this._rootTile = null;
+
+        // Intentionally not documented. Globe state for which the tiles were prepared.
+        this._globeStateKey = null;
     };
 
     KmlPhotoOverlay.prototype = Object.create(KmlOverlay.prototype);
@@ -131,6 +163,245 @@ define([
         }
     });
 
+    /**
+     * @inheritDoc
+     */
+    KmlPhotoOverlay.prototype.render = function (dc, kmlOptions) {
+        KmlFeature.prototype.render.call(this, dc, kmlOptions);
+
+        var viewVolume = this.kmlViewVolume;
+        if (!this.enabled || !this.kmlIcon || !this.kmlIcon.kmlHref || !viewVolume || !Number(viewVolume.kmlNear)) {
+            return;
+        }
+
+        if (this._globeStateKey !== dc.globeStateKey) {
+            this._frame = this.createFrame(dc);
+            this._rootTile = this.createTile(0, 0, 0);
+            this._globeStateKey = dc.globeStateKey;
+        }
+
+        if (this._frame && this._rootTile) {
+            this.renderTile(dc, this._rootTile, null);
+        }
+    };
+
+    /**
+     * Internal use only.
+     * Renders the tile or its more detailed descendants. The parts without retrieved image show the image of the
+     * closest ancestor.
+     * @param dc {DrawContext} Draw context associated with current processing.
+     * @param tile {PhotoOverlayTile} Tile to render.
+     * @param fallback {PhotoOverlayTile|null} Closest ancestor with retrieved image.
+     */
+    KmlPhotoOverlay.prototype.renderTile = function (dc, tile, fallback) {
+        if (!tile.mesh) {
+            tile.prepare(dc, this, this.levelSize(tile.level));
+        }
+
+        if (!tile.extent.intersectsFrustum(dc.navigatorState.frustumInModelCoordinates)) {
+            return;
+        }
+
+        if (tile.isTextureAvailable(dc)) {
+            fallback = tile;
+        }
+
+        if (tile.level < this.maxLevel() && tile.mustSubdivide(dc, this.detailControl)) {
+            var children = tile.subdivide(this);
+            for (var index = 0; index < children.length; index++) {
+                this.renderTile(dc, children[index], fallback);
+            }
+        } else if (fallback) {
+            tile.render(dc, fallback);
+        }
+    };
+
+    /**
+     * Internal use only.
+     * Creates the tile of the photo. Without ImagePyramid the whole image is a single tile on level 0.
+     * @param level {Number} Level of the pyramid.
+     * @param column {Number} Column of the tile.
+     * @param row {Number} Row of the tile.
+     * @returns {PhotoOverlayTile|null} Tile or null if there is no such tile.
+     */
+    KmlPhotoOverlay.prototype.createTile = function (level, column, row) {
+        var pyramid = this.kmlImagePyramid, href = this.kmlIcon.kmlHref;
+        if (!pyramid) {
+            return level === 0 && column === 0 && row === 0 ?
+                new PhotoOverlayTile(0, 0, 0, {minU: 0, maxU: 1, minV: 0, maxV: 1}, href) : null;
+        }
+
+        var bounds = pyramid.tileBounds(level, column, row);
+        if (!bounds) {
+            return null;
+        }
+
+        href = href.replace(/\$\[level\]/g, level).replace(/\$\[x\]/g, column).replace(/\$\[y\]/g, row);
+        return new PhotoOverlayTile(level, column, row, bounds, href);
+    };
+
+    /**
+     * Internal use only.
+     * Number of the most detailed level of the photo.
+     * @returns {Number} Last level of the ImagePyramid or 0 without pyramid.
+     */
+    KmlPhotoOverlay.prototype.maxLevel = function () {
+        var pyramid = this.kmlImagePyramid;
+        return pyramid ? pyramid.maxLevel() : 0;
+    };
+
+    /**
+     * Internal use only.
+     * Size in pixels of the photo on the given level. Without ImagePyramid the size of the image isn't known
+     * upfront, but as there is only one level, it isn't needed for the choice of the level.
+     * @param level {Number} Level of the pyramid.
+     * @returns {Object} Object with width and height.
+     */
+    KmlPhotoOverlay.prototype.levelSize = function (level) {
+        var pyramid = this.kmlImagePyramid;
+        return pyramid ? pyramid.levelSize(level) : {width: 256, height: 256};
+    };
+
+    /**
+     * Internal use only.
+     * Color applied to the photo.
+     * @returns {Color} Color from the color element or white.
+     */
+    KmlPhotoOverlay.prototype.color = function () {
+        return this.kmlColor && Color.colorFromKmlHex(this.kmlColor) || Color.WHITE;
+    };
+
+    /**
+     * Internal use only.
+     * Computes the position and orientation of the camera taking the photo. The Camera of the overlay is used, if
+     * present. Otherwise the photo is looking horizontally to the north from the Point of the overlay. The rotation
+     * of the photo is added to the roll of the camera.
+     * @param dc {DrawContext} Draw context associated with current processing.
+     * @returns {Object|null} Object with origin, right, up and forward vectors in model coordinates or null if the
+     * position of the photo isn't known.
+     */
+    KmlPhotoOverlay.prototype.createFrame = function (dc) {
+        var view = this.kmlAbstractView, point = this.kmlPoint, latitude, longitude, altitude, altitudeMode,
+            heading = 0, tilt = 90, roll = 0;
+        if (view instanceof KmlCamera) {
+            latitude = Number(view.kmlLatitude) || 0;
+            longitude = Number(view.kmlLongitude) || 0;
+            altitude = Number(view.kmlAltitude) || 0;
+            altitudeMode = view.kmlAltitudeMode;
+            heading = Number(view.kmlHeading) || 0;
+            tilt = Number(view.kmlTilt) || 0;
+            roll = Number(view.kmlRoll) || 0;
+        } else if (point && point.kmlPosition) {
+            latitude = Number(point.kmlPosition.latitude) || 0;
+            longitude = Number(point.kmlPosition.longitude) || 0;
+            altitude = Number(point.kmlPosition.altitude) || 0;
+            altitudeMode = point.kmlAltitudeMode;
+        } else {
+            return null;
+        }
+        roll += Number(this.kmlRotation) || 0;
+
+        if (altitudeMode == WorldWind.CLAMP_TO_GROUND) {
+            altitude = dc.globe.elevationAtLocation(latitude, longitude);
+        } else if (altitudeMode == WorldWind.RELATIVE_TO_GROUND) {
+            altitude += dc.globe.elevationAtLocation(latitude, longitude);
+        }
+
+        var origin = dc.globe.computePointFromPosition(latitude, longitude, altitude, new Vec3(0, 0, 0)),
+            up = dc.globe.surfaceNormalAtLocation(latitude, longitude, new Vec3(0, 0, 0)),
+            north = dc.globe.northTangentAtLocation(latitude, longitude, new Vec3(0, 0, 0)),
+            east = new Vec3(0, 0, 0).copy(north).cross(up);
+
+        // Axes of the camera in the local east, north, up coordinates. The camera with zero tilt looks down with
+        // its up axis pointing to the north.
+        var axes = [[1, 0, 0], [0, 1, 0], [0, 0, -1]].map(function (axis) {
+            axis = KmlPhotoOverlay.rotate(axis, 0, 1, 2, -roll);
+            axis = KmlPhotoOverlay.rotate(axis, 1, 2, 0, tilt);
+            axis = KmlPhotoOverlay.rotate(axis, 0, 1, 2, -heading);
+            return new Vec3(
+                axis[0] * east[0] + axis[1] * north[0] + axis[2] * up[0],
+                axis[0] * east[1] + axis[1] * north[1] + axis[2] * up[1],
+                axis[0] * east[2] + axis[1] * north[2] + axis[2] * up[2]
+            );
+        });
+
+        return {origin: origin, right: axes[0], up: axes[1], forward: axes[2]};
+    };
+
+    /**
+     * Internal use only.
+     * Rotates the vector in the plane given by two of its coordinates. The remaining coordinate is kept.
+     * @param vector {Number[]} Vector with three coordinates.
+     * @param first {Number} Index of the coordinate rotated towards the second one.
+     * @param second {Number} Index of the second coordinate.
+     * @param kept {Number} Index of the coordinate which isn't changed.
+     * @param angle {Number} Angle in degrees.
+     * @returns {Number[]} Rotated vector.
+     */
+    KmlPhotoOverlay.rotate = function (vector, first, second, kept, angle) {
+        var sin = Math.sin(angle * Math.PI / 180), cos = Math.cos(angle * Math.PI / 180), result = [];
+        result[first] = vector[first] * cos - vector[second] * sin;
+        result[second] = vector[first] * sin + vector[second] * cos;
+        result[kept] = vector[kept];
+        return result;
+    };
+
+    /**
+     * Internal use only.
+     * Amount of columns and rows of the mesh displaying the tile. Rectangle is flat, so one cell is enough, while
+     * the curved shapes use a cell for every 5 degrees of the field of view.
+     * @param tile {PhotoOverlayTile} Tile to display.
+     * @returns {Object} Object with columns and rows.
+     */
+    KmlPhotoOverlay.prototype.meshSize = function (tile) {
+        var shape = this.kmlShape, viewVolume = this.kmlViewVolume,
+            width = (viewVolume.kmlRightFov - viewVolume.kmlLeftFov) * (tile.maxU - tile.minU),
+            height = (viewVolume.kmlTopFov - viewVolume.kmlBottomFov) * (tile.maxV - tile.minV);
+        return {
+            columns: shape == 'cylinder' || shape == 'sphere' ? Math.max(1, Math.ceil(Math.abs(width) / 5)) : 1,
+            rows: shape == 'sphere' ? Math.max(1, Math.ceil(Math.abs(height) / 5)) : 1
+        };
+    };
+
+    /**
+     * Internal use only.
+     * Point of the photo in model coordinates. The point lies on the shape of the photo at the distance given by
+     * near of the ViewVolume.
+     * @param u {Number} Horizontal fraction of the photo from its left side.
+     * @param v {Number} Vertical fraction of the photo from its bottom side.
+     * @returns {Vec3} Point of the photo.
+     */
+    KmlPhotoOverlay.prototype.pointAt = function (u, v) {
+        var viewVolume = this.kmlViewVolume, shape = this.kmlShape, near = Number(viewVolume.kmlNear),
+            toRadians = Math.PI / 180,
+            horizontal = WWMath.interpolate(u, viewVolume.kmlLeftFov, viewVolume.kmlRightFov) * toRadians,
+            vertical = WWMath.interpolate(v, viewVolume.kmlBottomFov, viewVolume.kmlTopFov) * toRadians,
+            right, up, forward;
+        if (shape == 'sphere') {
+            right = near * Math.cos(vertical) * Math.sin(horizontal);
+            up = near * Math.sin(vertical);
+            forward = near * Math.cos(vertical) * Math.cos(horizontal);
+        } else if (shape == 'cylinder') {
+            right = near * Math.sin(horizontal);
+            up = WWMath.interpolate(v, near * Math.tan(viewVolume.kmlBottomFov * toRadians),
+                near * Math.tan(viewVolume.kmlTopFov * toRadians));
+            forward = near * Math.cos(horizontal);
+        } else {
+            right = WWMath.interpolate(u, near * Math.tan(viewVolume.kmlLeftFov * toRadians),
+                near * Math.tan(viewVolume.kmlRightFov * toRadians));
+            up = WWMath.interpolate(v, near * Math.tan(viewVolume.kmlBottomFov * toRadians),
+                near * Math.tan(viewVolume.kmlTopFov * toRadians));
+            forward = near;
+        }
+
+        var frame = this._frame;
+        return new Vec3(
+            frame.origin[0] + right * frame.right[0] + up * frame.up[0] + forward * frame.forward[0],
+            frame.origin[1] + right * frame.right[1] + up * frame.up[1] + forward * frame.forward[1],
+            frame.origin[2] + right * frame.right[2] + up * frame.up[2] + forward * frame.forward[2]
+        );
+    };
+
     /**
      * @inheritDoc
      */
@@ -138,7 +409,7 @@ define([
         return ['PhotoOverlay'];
     };
 
-    KmlElements.addKey(KmlPhotoOverlay.prototype.getTagNames[0], KmlPhotoOverlay);
+    KmlElements.addKey(KmlPhotoOverlay.prototype.getTagNames()[0], KmlPhotoOverlay);
 
     return KmlPhotoOverlay;
 });
\ No newline at end of file
@@ -20,6 +20,7 @@ define([
     './../KmlElements',
     './KmlFeature',
     '../geom/KmlGeometry',
+    '../geom/KmlTrack',
     '../styles/KmlStyle',
     '../KmlTimeSpan',
     '../KmlTimeStamp',
@@ -33,6 +34,7 @@ define([
 ], function (KmlElements,
              KmlFeature,
              KmlGeometry,
+             KmlTrack,
              KmlStyle,
              KmlTimeSpan,
              KmlTimeStamp,
@@ -102,6 +104,9 @@ define([
         if(this._renderable) {
             if (this.kmlGeometry) {
                 this.kmlGeometry.render(dc, kmlOptions);
+                if (this.kmlGeometry.positionAt) {
+                    this.moveAlongTrack(dc);
+                }
                 this._renderable.render(dc);
             }
         }
@@ -143,6 +148,33 @@ define([
         this._renderable.enableLeaderLinePicking = true;
     };
 
+    /**
+     * Moves the Placemark to the position of the track in the time chosen by the user. Without the time the
+     * Placemark is displayed at the end of the track. Outside of the time covered by the track it is hidden.
+     * @param dc {DrawContext} Draw context associated with current processing.
+     */
+    KmlPlacemark.prototype.moveAlongTrack = function (dc) {
+        var track = this.kmlGeometry, time = KmlTrack.currentTime(dc);
+        if (time === null) {
+            time = track.kmlEnd;
+        }
+
+        var position = time !== null ? track.positionAt(time) : null;
+        if (!position) {
+            this._renderable.enabled = false;
+            return;
+        }
+
+        this._renderable.position = position;
+        this._renderable.altitudeMode = track.kmlAltitudeMode;
+
+        var heading = track.headingAt(time);
+        if (heading !== null) {
+            this._renderable.imageRotation = heading;
+            this._renderable.imageRotationReference = WorldWind.RELATIVE_TO_GLOBE;
+        }
+    };
+
     /**
      * Returns tag name of this Node.
      * @returns {String[]}
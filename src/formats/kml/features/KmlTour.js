@@ -15,9 +15,13 @@
  */
 define([
     './../KmlElements',
-    './KmlFeature'
+    './KmlFeature',
+    '../tour/KmlPlaylist',
+    '../tour/KmlTourPlayer'
 ], function (KmlElements,
-             KmlFeature) {
+             KmlFeature,
+             KmlPlaylist,
+             KmlTourPlayer) {
     "use strict";
 
     /**
@@ -38,6 +42,30 @@ define([
 
     KmlTour.prototype = Object.create(KmlFeature.prototype);
 
+    Object.defineProperties(KmlTour.prototype, {
+        /**
+         * Playlist containing the primitives of this tour in the order in which they are played.
+         * @memberof KmlTour.prototype
+         * @readonly
+         * @type {KmlPlaylist}
+         */
+        kmlPlaylist: {
+            get: function () {
+                return this._factory.any(this, {name: KmlPlaylist.prototype.getTagNames()});
+            }
+        }
+    });
+
+    /**
+     * Creates the player, which plays this tour as the animation of the navigator of given WorldWindow.
+     * @param worldWindow {WorldWindow} The WorldWindow whose navigator is driven by the tour.
+     * @param kmlFile {KmlFile} Optional. The file to which the AnimatedUpdate elements of the tour are applied.
+     * @returns {KmlTourPlayer} Player allowing to play, pause, seek and stop this tour.
+     */
+    KmlTour.prototype.createPlayer = function (worldWindow, kmlFile) {
+        return new KmlTourPlayer(worldWindow, this, kmlFile);
+    };
+
     /**
      * @inheritDoc
      */
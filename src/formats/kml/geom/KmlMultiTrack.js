@@ -15,16 +15,25 @@
  */
 define([
     './../KmlElements',
-    './KmlGeometry'
+    './KmlGeometry',
+    './KmlTrack',
+    '../util/NodeTransformers',
+    '../../../geom/Position',
+    '../../../util/WWMath'
 ], function (KmlElements,
-             KmlGeometry) {
+             KmlGeometry,
+             KmlTrack,
+             NodeTransformers,
+             Position,
+             WWMath) {
     "use strict";
 
     /**
      * Constructs an KmlMultiTrack. Applications usually don't call this constructor. It is called by {@link KmlFile} as
      * objects from Kml file are read. This object is already concrete implementation.
      * @alias KmlMultiTrack
-     * @classdesc Contains the data associated with MultiTrack node.
+     * @classdesc Contains the data associated with MultiTrack node. All the tracks are displayed and the Placemark
+     * containing the MultiTrack moves along the track covering the time chosen by the user.
      * @param options {Object}
      * @param options.objectNode {Node} Node representing MultiTrack.
      * @constructor
@@ -38,6 +47,155 @@ define([
 
     KmlMultiTrack.prototype = Object.create(KmlGeometry.prototype);
 
+    Object.defineProperties(KmlMultiTrack.prototype, {
+        /**
+         * It represents different modes to count absolute altitude. If the MultiTrack doesn't specify it, the mode
+         * of the first track is used.
+         * @memberof KmlMultiTrack.prototype
+         * @readonly
+         * @type {String}
+         */
+        kmlAltitudeMode: {
+            get: function () {
+                var tracks = this.kmlTracks;
+                return this._factory.specific(this, {name: 'altitudeMode', transformer: NodeTransformers.string}) ||
+                    this._factory.specific(this, {name: 'gx:altitudeMode', transformer: NodeTransformers.string}) ||
+                    (tracks.length && tracks[0].kmlAltitudeMode) || WorldWind.CLAMP_TO_GROUND;
+            }
+        },
+
+        /**
+         * Whether the position should be interpolated between the end of one track and the start of the next one.
+         * @memberof KmlMultiTrack.prototype
+         * @readonly
+         * @type {Boolean}
+         */
+        kmlInterpolate: {
+            get: function () {
+                return this._factory.specific(this, {name: 'gx:interpolate', transformer: NodeTransformers.boolean}) ||
+                    false;
+            }
+        },
+
+        /**
+         * All tracks, which are part of this MultiTrack.
+         * @memberof KmlMultiTrack.prototype
+         * @readonly
+         * @type {KmlTrack[]}
+         */
+        kmlTracks: {
+            get: function () {
+                return this._factory.all(this).filter(function (element) {
+                    return element instanceof KmlTrack;
+                });
+            }
+        },
+
+        /**
+         * Time of the last position among all the tracks in milliseconds from the epoch.
+         * @memberof KmlMultiTrack.prototype
+         * @readonly
+         * @type {Number}
+         */
+        kmlEnd: {
+            get: function () {
+                var end = null;
+                this.kmlTracks.forEach(function (track) {
+                    if (track.kmlEnd !== null && (end === null || track.kmlEnd > end)) {
+                        end = track.kmlEnd;
+                    }
+                });
+                return end;
+            }
+        },
+
+        /**
+         * Center of all the tracks implemented as average of centers of the tracks.
+         * @memberof KmlMultiTrack.prototype
+         * @readonly
+         * @type {Position}
+         */
+        kmlCenter: {
+            get: function () {
+                var positions = this.kmlTracks.map(function (track) {
+                    return track.kmlCenter;
+                });
+                var midLatitude = 0;
+                var midLongitude = 0;
+                var midAltitude = 0;
+                positions.forEach(function (position) {
+                    midLatitude += position.latitude;
+                    midLongitude += position.longitude;
+                    midAltitude += position.altitude;
+                });
+                return new Position(
+                    midLatitude / positions.length,
+                    midLongitude / positions.length,
+                    midAltitude / positions.length
+                );
+            }
+        }
+    });
+
+    /**
+     * Position of the tracked object in the given time. If the time falls between two tracks and gx:interpolate is
+     * set, the position is interpolated between the end of the previous and the start of the next track.
+     * @param time {Number} Time in milliseconds from the epoch.
+     * @returns {Position|null} Position in given time or null if no track covers the time.
+     */
+    KmlMultiTrack.prototype.positionAt = function (time) {
+        var tracks = this.kmlTracks, position, previous = null;
+        for (var index = 0; index < tracks.length; index++) {
+            position = tracks[index].positionAt(time);
+            if (position) {
+                return position;
+            }
+
+            if (this.kmlInterpolate && previous && previous.kmlEnd < time && tracks[index].kmlBegin > time) {
+                var amount = (time - previous.kmlEnd) / (tracks[index].kmlBegin - previous.kmlEnd),
+                    first = previous.positionAt(previous.kmlEnd),
+                    second = tracks[index].positionAt(tracks[index].kmlBegin);
+                return new Position(
+                    WWMath.interpolate(amount, first.latitude, second.latitude),
+                    WWMath.interpolate(amount, first.longitude, second.longitude),
+                    WWMath.interpolate(amount, first.altitude, second.altitude)
+                );
+            }
+
+            if (tracks[index].kmlEnd !== null) {
+                previous = tracks[index];
+            }
+        }
+        return null;
+    };
+
+    /**
+     * Heading of the tracked object in the given time as specified by the track covering the time.
+     * @param time {Number} Time in milliseconds from the epoch.
+     * @returns {Number|null} Heading in degrees or null if it isn't specified for the time.
+     */
+    KmlMultiTrack.prototype.headingAt = function (time) {
+        var tracks = this.kmlTracks, heading;
+        for (var index = 0; index < tracks.length; index++) {
+            heading = tracks[index].headingAt(time);
+            if (heading !== null) {
+                return heading;
+            }
+        }
+        return null;
+    };
+
+    /**
+     * @inheritDoc
+     */
+    KmlMultiTrack.prototype.render = function (dc, kmlOptions) {
+        KmlGeometry.prototype.render.call(this, dc, kmlOptions);
+
+        this.kmlTracks.forEach(function (track) {
+            track.render(dc, kmlOptions);
+        });
+    };
+
     /**
      * @inheritDoc
      */
@@ -48,4 +206,4 @@ define([
     KmlElements.addKey(KmlMultiTrack.prototype.getTagNames()[0], KmlMultiTrack);
 
     return KmlMultiTrack;
-});
\ No newline at end of file
+});
@@ -14,17 +14,34 @@
  * limitations under the License.
  */
 define([
+    '../../../geom/Angle',
     './../KmlElements',
-    './KmlGeometry'
-], function (KmlElements,
-             KmlGeometry) {
+    './KmlGeometry',
+    '../styles/KmlStyle',
+    '../util/NodeTransformers',
+    '../../../shapes/Path',
+    '../../../geom/Position',
+    '../../../shapes/ShapeAttributes',
+    '../../../shapes/SurfacePolyline',
+    '../../../util/WWMath'
+], function (Angle,
+             KmlElements,
+             KmlGeometry,
+             KmlStyle,
+             NodeTransformers,
+             Path,
+             Position,
+             ShapeAttributes,
+             SurfacePolyline,
+             WWMath) {
     "use strict";
 
     /**
      * Constructs an KmlTrack. Applications usually don't call this constructor. It is called by {@link KmlFile} as
      * objects from Kml file are read. This object is already concrete implementation.
      * @alias KmlTrack
-     * @classdesc Contains the data associated with Track node.
+     * @classdesc Contains the data associated with Track node. The track is displayed as a Path up to the time
+     * chosen in the currentTimeInterval of the layer and the Placemark containing the track moves along it.
      * @param options {Object}
      * @param options.objectNode {Node} Node representing the Track.
      * @constructor
@@ -34,10 +51,316 @@ define([
      */
     var KmlTrack = function (options) {
         KmlGeometry.call(this, options);
+
+        // Intentionally not documented. Time used for the currently displayed positions of the Path.
+        this._displayedTime = null;
     };
 
     KmlTrack.prototype = Object.create(KmlGeometry.prototype);
 
+    Object.defineProperties(KmlTrack.prototype, {
+        /**
+         * It represents different modes to count absolute altitude. Both altitudeMode and gx:altitudeMode are
+         * accepted.
+         * @memberof KmlTrack.prototype
+         * @readonly
+         * @type {String}
+         */
+        kmlAltitudeMode: {
+            get: function () {
+                return this._factory.specific(this, {name: 'altitudeMode', transformer: NodeTransformers.string}) ||
+                    this._factory.specific(this, {name: 'gx:altitudeMode', transformer: NodeTransformers.string}) ||
+                    WorldWind.CLAMP_TO_GROUND;
+            }
+        },
+
+        /**
+         * Times of the positions of this track in milliseconds from the epoch. Every when has corresponding
+         * gx:coord.
+         * @memberof KmlTrack.prototype
+         * @readonly
+         * @type {Number[]}
+         */
+        kmlWhens: {
+            get: function () {
+                return this.childValues('when', function (node) {
+                    return NodeTransformers.date(node).getTime();
+                });
+            }
+        },
+
+        /**
+         * Positions of this track in the order of the times.
+         * @memberof KmlTrack.prototype
+         * @readonly
+         * @type {Position[]}
+         */
+        kmlCoords: {
+            get: function () {
+                return this.childValues('gx:coord', function (node) {
+                    var coordinates = NodeTransformers.string(node).trim().split(/\s+/);
+                    return new Position(Number(coordinates[1]), Number(coordinates[0]), Number(coordinates[2] || 0));
+                });
+            }
+        },
+
+        /**
+         * Orientations of the object in the positions of this track. Every item contains heading, tilt and roll
+         * in degrees. It is either empty or has the same amount of items as the coordinates.
+         * @memberof KmlTrack.prototype
+         * @readonly
+         * @type {Object[]}
+         */
+        kmlAngles: {
+            get: function () {
+                return this.childValues('gx:angles', function (node) {
+                    var angles = NodeTransformers.string(node).trim().split(/\s+/);
+                    return {
+                        heading: Number(angles[0]) || 0,
+                        tilt: Number(angles[1]) || 0,
+                        roll: Number(angles[2]) || 0
+                    };
+                });
+            }
+        },
+
+        /**
+         * Returns average of the positions, which are part of the Track.
+         * @memberof KmlTrack.prototype
+         * @readonly
+         * @type {Position}
+         */
+        kmlCenter: {
+            get: function () {
+                var positions = this.kmlCoords;
+                var midLatitude = 0;
+                var midLongitude = 0;
+                var midAltitude = 0;
+                positions.forEach(function (position) {
+                    midLatitude += position.latitude;
+                    midLongitude += position.longitude;
+                    midAltitude += position.altitude;
+                });
+                return new Position(
+                    midLatitude / positions.length,
+                    midLongitude / positions.length,
+                    midAltitude / positions.length
+                );
+            }
+        },
+
+        /**
+         * Time of the first position of the track in milliseconds from the epoch.
+         * @memberof KmlTrack.prototype
+         * @readonly
+         * @type {Number}
+         */
+        kmlBegin: {
+            get: function () {
+                var whens = this.kmlWhens;
+                return whens.length ? whens[0] : null;
+            }
+        },
+
+        /**
+         * Time of the last position of the track in milliseconds from the epoch.
+         * @memberof KmlTrack.prototype
+         * @readonly
+         * @type {Number}
+         */
+        kmlEnd: {
+            get: function () {
+                var whens = this.kmlWhens;
+                return whens.length ? whens[whens.length - 1] : null;
+            }
+        }
+    });
+
+    /**
+     * Internal use only.
+     * Transforms all the child nodes with given name and caches the result, as the tracks tend to be large.
+     * @param name {String} Name of the child nodes.
+     * @param transformer {Function} Function transforming the node to the value.
+     * @returns {Array} Values of all the child nodes with given name.
+     */
+    KmlTrack.prototype.childValues = function (name, transformer) {
+        if (!this._cache[name]) {
+            var values = [];
+            [].forEach.call(this.node.childNodes, function (node) {
+                if (node.nodeName == name) {
+                    values.push(transformer(node));
+                }
+            });
+            this._cache[name] = values;
+        }
+        return this._cache[name];
+    };
+
+    /**
+     * Index of the last position of the track, which isn't later than the time.
+     * @param time {Number} Time in milliseconds from the epoch.
+     * @returns {Number} Index of the position or -1 if the time is before the start of the track.
+     */
+    KmlTrack.prototype.indexAt = function (time) {
+        var whens = this.kmlWhens, low = 0, high = whens.length - 1, middle;
+        if (whens.length === 0 || time < whens[0]) {
+            return -1;
+        }
+
+        while (low < high) {
+            middle = Math.ceil((low + high) / 2);
+            if (whens[middle] <= time) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return low;
+    };
+
+    /**
+     * Position of the tracked object in the given time, linearly interpolated between the neighbouring positions.
+     * @param time {Number} Time in milliseconds from the epoch.
+     * @returns {Position|null} Position in given time or null if the time is outside of the track.
+     */
+    KmlTrack.prototype.positionAt = function (time) {
+        var whens = this.kmlWhens, coords = this.kmlCoords, index = this.indexAt(time);
+        if (index === -1 || time > whens[whens.length - 1] || !coords[index]) {
+            return null;
+        }
+
+        if (index === whens.length - 1 || !coords[index + 1] || whens[index + 1] === whens[index]) {
+            return new Position(coords[index].latitude, coords[index].longitude, coords[index].altitude);
+        }
+
+        var amount = (time - whens[index]) / (whens[index + 1] - whens[index]),
+            first = coords[index],
+            second = coords[index + 1];
+        return new Position(
+            WWMath.interpolate(amount, first.latitude, second.latitude),
+            WWMath.interpolate(amount, first.longitude, second.longitude),
+            WWMath.interpolate(amount, first.altitude, second.altitude)
+        );
+    };
+
+    /**
+     * Heading of the tracked object in the given time as specified by gx:angles.
+     * @param time {Number} Time in milliseconds from the epoch.
+     * @returns {Number|null} Heading in degrees or null if the track doesn't specify angles or the time is outside
+     *  of the track.
+     */
+    KmlTrack.prototype.headingAt = function (time) {
+        var whens = this.kmlWhens, angles = this.kmlAngles, index = this.indexAt(time);
+        if (index === -1 || time > whens[whens.length - 1] || !angles[index]) {
+            return null;
+        }
+
+        if (index === whens.length - 1 || !angles[index + 1] || whens[index + 1] === whens[index]) {
+            return angles[index].heading;
+        }
+
+        var amount = (time - whens[index]) / (whens[index + 1] - whens[index]);
+        return WWMath.normalizeAngle360(angles[index].heading +
+            Angle.normalizedDegrees(angles[index + 1].heading - angles[index].heading) * amount);
+    };
+
+    /**
+     * Positions of the track, which were reached up to the given time. The last one is interpolated.
+     * @param time {Number|null} Time in milliseconds from the epoch. If null, all the positions are returned.
+     * @returns {Position[]} Positions travelled up to the time.
+     */
+    KmlTrack.prototype.positionsUntil = function (time) {
+        var coords = this.kmlCoords;
+        if (time === null) {
+            return coords;
+        }
+
+        var index = this.indexAt(time);
+        if (index === -1) {
+            return [];
+        }
+
+        var positions = coords.slice(0, index + 1), current = this.positionAt(time);
+        if (current && index < coords.length - 1) {
+            positions.push(current);
+        }
+        return positions;
+    };
+
+    /**
+     * Time in which the track is displayed. It is the end of the currentTimeInterval of the layer.
+     * @param dc {DrawContext} Draw context associated with current processing.
+     * @returns {Number|null} Time in milliseconds or null if no time interval is applied.
+     */
+    KmlTrack.currentTime = function (dc) {
+        var interval = dc.currentLayer && dc.currentLayer.currentTimeInterval;
+        return interval ? interval[1] : null;
+    };
+
+    /**
+     * It creates Path representing this Track.
+     * @param styles {Object|null}
+     * @param styles.normal {KmlStyle} Style applied when item not highlighted
+     * @param styles.highlight {KmlStyle} Style applied when item is highlighted
+     * @param positions {Position[]} Positions of the path.
+     */
+    KmlTrack.prototype.createPath = function (styles, positions) {
+        if (this.kmlAltitudeMode == WorldWind.CLAMP_TO_GROUND) {
+            this._renderable = new SurfacePolyline(positions, this.prepareAttributes(styles.normal));
+        } else {
+            this._renderable = new Path(positions, this.prepareAttributes(styles.normal));
+            this._renderable.altitudeMode = this.kmlAltitudeMode;
+        }
+        if (styles.highlight) {
+            this._renderable.highlightAttributes = this.prepareAttributes(styles.highlight);
+        }
+    };
+
+    /**
+     * @inheritDoc
+     */
+    KmlTrack.prototype.render = function (dc, kmlOptions) {
+        KmlGeometry.prototype.render.call(this, dc, kmlOptions);
+
+        var time = KmlTrack.currentTime(dc);
+        if (kmlOptions.lastStyle && !this._renderable) {
+            this.createPath(kmlOptions.lastStyle, this.positionsUntil(time));
+            this._displayedTime = time;
+            dc.redrawRequested = true;
+        }
+
+        if (this._renderable) {
+            if (time !== this._displayedTime) {
+                if (this._renderable instanceof Path) {
+                    this._renderable.positions = this.positionsUntil(time);
+                } else {
+                    this._renderable.boundaries = this.positionsUntil(time);
+                }
+                this._displayedTime = time;
+            }
+
+            this._renderable.enabled = this.enabled;
+            this._renderable.render(dc);
+        }
+    };
+
+    /**
+     * @inheritDoc
+     */
+    KmlTrack.prototype.prepareAttributes = function (style) {
+        var shapeOptions = style && style.generate() || {};
+
+        shapeOptions._applyLighting = true;
+        shapeOptions._drawOutline = true;
+        shapeOptions._drawInterior = false;
+        shapeOptions._drawVerticals = false;
+        shapeOptions._outlineStippleFactor = 0;
+        shapeOptions._outlineStipplePattern = 61680;
+        shapeOptions._enableLighting = true;
+
+        return new ShapeAttributes(KmlStyle.shapeAttributes(shapeOptions));
+    };
+
     /**
      * @inheritDoc
      */
@@ -48,4 +371,4 @@ define([
     KmlElements.addKey(KmlTrack.prototype.getTagNames()[0], KmlTrack);
 
     return KmlTrack;
-});
\ No newline at end of file
+});
@@ -95,6 +95,59 @@ define([
 
     };
 
+    /**
+     * Template used for the balloons of features without BalloonStyle text.
+     * @type {String}
+     */
+    KmlBalloonStyle.DEFAULT_TEXT = "<h3>$[name]</h3>$[description]";
+
+    /**
+     * It replaces the entities in the template by the values from the feature. Supported entities are $[name],
+     * $[description], $[address], $[Snippet] and $[id] for the elements of the feature, $[field] and
+     * $[field/displayName] for the Data of the ExtendedData and $[SchemaName/field] and
+     * $[SchemaName/field/displayName] for the SchemaData. Unknown entities, such as $[geDirections], are removed.
+     * @param template {String} Text containing the entities.
+     * @param feature {KmlFeature} Feature providing the values.
+     * @returns {String} Text with the values of the entities.
+     */
+    KmlBalloonStyle.expand = function(template, feature) {
+        var extendedData = feature.kmlExtendedData || {};
+        var elements = {
+            name: feature.kmlName,
+            description: feature.kmlDescription,
+            address: feature.kmlAddress,
+            Snippet: feature.kmlSnippet,
+            id: feature.id
+        };
+
+        return template.replace(/\$\[([^\]]+)\]/g, function(entity, key) {
+            if (elements.hasOwnProperty(key)) {
+                return elements[key] || "";
+            }
+
+            if (extendedData.hasOwnProperty(key)) {
+                return extendedData[key].value || "";
+            }
+
+            var displayName = /^(.+)\/displayName$/.exec(key);
+            if (displayName && extendedData.hasOwnProperty(displayName[1])) {
+                return extendedData[displayName[1]].displayName || "";
+            }
+
+            return "";
+        });
+    };
+
+    /**
+     * Text of the balloon of the feature. It expands the text of this style, or the default template if the style
+     * doesn't specify any.
+     * @param feature {KmlFeature} Feature whose balloon is displayed.
+     * @returns {String} Text of the balloon.
+     */
+    KmlBalloonStyle.prototype.balloonText = function(feature) {
+        return KmlBalloonStyle.expand(this.kmlText || KmlBalloonStyle.DEFAULT_TEXT, feature);
+    };
+
     /**
      * @inheritDoc
      */
@@ -0,0 +1,90 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    '../KmlElements',
+    './KmlTourPrimitive',
+    '../util/NodeTransformers',
+    '../util/Update'
+], function (KmlElements,
+             KmlTourPrimitive,
+             NodeTransformers,
+             Update) {
+    "use strict";
+
+    /**
+     * Constructs an KmlAnimatedUpdate. Applications usually don't call this constructor. It is called by
+     * {@link KmlFile} as objects from Kml file are read. This object is already concrete implementation.
+     * @alias KmlAnimatedUpdate
+     * @classdesc Contains the data associated with AnimatedUpdate node. It applies the Update to the features
+     * loaded in the document, while the tour continues with the next primitive.
+     * @param options {Object}
+     * @param options.objectNode {Node} Node representing AnimatedUpdate.
+     * @constructor
+     * @throws {ArgumentError} If the node is null or undefined.
+     * @see https://developers.google.com/kml/documentation/kmlreference#gxanimatedupdate
+     * @augments KmlTourPrimitive
+     */
+    var KmlAnimatedUpdate = function (options) {
+        KmlTourPrimitive.call(this, options);
+    };
+
+    KmlAnimatedUpdate.prototype = Object.create(KmlTourPrimitive.prototype);
+
+    Object.defineProperties(KmlAnimatedUpdate.prototype, {
+        /**
+         * Number of seconds to wait, after the tour reaches this primitive, before the Update is applied.
+         * @memberof KmlAnimatedUpdate.prototype
+         * @readonly
+         * @type {Number}
+         */
+        kmlDelayedStart: {
+            get: function () {
+                return this._factory.specific(this, {name: 'gx:delayedStart', transformer: NodeTransformers.number}) || 0;
+            }
+        },
+
+        /**
+         * Update, which should be applied to the features in the document.
+         * @memberof KmlAnimatedUpdate.prototype
+         * @readonly
+         * @type {Update}
+         */
+        kmlUpdate: {
+            get: function () {
+                return this._factory.any(this, {name: Update.prototype.getTagNames()});
+            }
+        }
+    });
+
+    /**
+     * AnimatedUpdate doesn't block the tour, the next primitive starts immediately.
+     * @inheritDoc
+     */
+    KmlAnimatedUpdate.prototype.getPlaylistDuration = function () {
+        return 0;
+    };
+
+    /**
+     * @inheritDoc
+     */
+    KmlAnimatedUpdate.prototype.getTagNames = function () {
+        return ['gx:AnimatedUpdate'];
+    };
+
+    KmlElements.addKey(KmlAnimatedUpdate.prototype.getTagNames()[0], KmlAnimatedUpdate);
+
+    return KmlAnimatedUpdate;
+});
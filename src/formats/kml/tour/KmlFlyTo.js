@@ -0,0 +1,96 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    '../KmlAbstractView',
+    '../KmlElements',
+    './KmlTourPrimitive',
+    '../util/NodeTransformers'
+], function (KmlAbstractView,
+             KmlElements,
+             KmlTourPrimitive,
+             NodeTransformers) {
+    "use strict";
+
+    /**
+     * Constructs an KmlFlyTo. Applications usually don't call this constructor. It is called by {@link KmlFile} as
+     * objects from Kml file are read. This object is already concrete implementation.
+     * @alias KmlFlyTo
+     * @classdesc Contains the data associated with FlyTo node.
+     * @param options {Object}
+     * @param options.objectNode {Node} Node representing FlyTo.
+     * @constructor
+     * @throws {ArgumentError} If the node is null or undefined.
+     * @see https://developers.google.com/kml/documentation/kmlreference#gxflyto
+     * @augments KmlTourPrimitive
+     */
+    var KmlFlyTo = function (options) {
+        KmlTourPrimitive.call(this, options);
+    };
+
+    KmlFlyTo.prototype = Object.create(KmlTourPrimitive.prototype);
+
+    Object.defineProperties(KmlFlyTo.prototype, {
+        /**
+         * Specifies the method of flight to the view. Possible values are bounce (default) and smooth. Bounce
+         * flies out from the previous view and back in to this one. Smooth allows for an unbroken flight between
+         * the consecutive FlyTo elements.
+         * @memberof KmlFlyTo.prototype
+         * @readonly
+         * @type {String}
+         */
+        kmlFlyToMode: {
+            get: function () {
+                return this._factory.specific(this, {name: 'gx:flyToMode', transformer: NodeTransformers.string}) ||
+                    KmlFlyTo.BOUNCE;
+            }
+        },
+
+        /**
+         * Either Camera or LookAt which represents the view at the end of this FlyTo.
+         * @memberof KmlFlyTo.prototype
+         * @readonly
+         * @type {KmlAbstractView}
+         */
+        kmlAbstractView: {
+            get: function () {
+                return this._factory.any(this, {name: KmlAbstractView.prototype.getTagNames()});
+            }
+        }
+    });
+
+    /**
+     * Value of the flyToMode representing the flight, which goes up from the previous view and down to this one.
+     * @type {String}
+     */
+    KmlFlyTo.BOUNCE = "bounce";
+
+    /**
+     * Value of the flyToMode representing the unbroken flight between the views.
+     * @type {String}
+     */
+    KmlFlyTo.SMOOTH = "smooth";
+
+    /**
+     * @inheritDoc
+     */
+    KmlFlyTo.prototype.getTagNames = function () {
+        return ['gx:FlyTo'];
+    };
+
+    KmlElements.addKey(KmlFlyTo.prototype.getTagNames()[0], KmlFlyTo);
+
+    return KmlFlyTo;
+});
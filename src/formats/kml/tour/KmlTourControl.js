@@ -0,0 +1,83 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    '../KmlElements',
+    './KmlTourPrimitive',
+    '../util/NodeTransformers'
+], function (KmlElements,
+             KmlTourPrimitive,
+             NodeTransformers) {
+    "use strict";
+
+    /**
+     * Constructs an KmlTourControl. Applications usually don't call this constructor. It is called by
+     * {@link KmlFile} as objects from Kml file are read. This object is already concrete implementation.
+     * @alias KmlTourControl
+     * @classdesc Contains the data associated with TourControl node. It allows the tour to be paused until the
+     * user resumes it.
+     * @param options {Object}
+     * @param options.objectNode {Node} Node representing TourControl.
+     * @constructor
+     * @throws {ArgumentError} If the node is null or undefined.
+     * @see https://developers.google.com/kml/documentation/kmlreference#gxtourcontrol
+     * @augments KmlTourPrimitive
+     */
+    var KmlTourControl = function (options) {
+        KmlTourPrimitive.call(this, options);
+    };
+
+    KmlTourControl.prototype = Object.create(KmlTourPrimitive.prototype);
+
+    Object.defineProperties(KmlTourControl.prototype, {
+        /**
+         * Play mode of the tour. The only value specified by the KML reference is pause.
+         * @memberof KmlTourControl.prototype
+         * @readonly
+         * @type {String}
+         */
+        kmlPlayMode: {
+            get: function () {
+                return this._factory.specific(this, {name: 'gx:playMode', transformer: NodeTransformers.string}) ||
+                    KmlTourControl.PAUSE;
+            }
+        }
+    });
+
+    /**
+     * Value of the playMode pausing the tour.
+     * @type {String}
+     */
+    KmlTourControl.PAUSE = "pause";
+
+    /**
+     * TourControl doesn't take any time in the tour.
+     * @inheritDoc
+     */
+    KmlTourControl.prototype.getPlaylistDuration = function () {
+        return 0;
+    };
+
+    /**
+     * @inheritDoc
+     */
+    KmlTourControl.prototype.getTagNames = function () {
+        return ['gx:TourControl'];
+    };
+
+    KmlElements.addKey(KmlTourControl.prototype.getTagNames()[0], KmlTourControl);
+
+    return KmlTourControl;
+});
@@ -0,0 +1,529 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    '../../../geom/Angle',
+    '../../../error/ArgumentError',
+    './KmlAnimatedUpdate',
+    '../KmlCamera',
+    './KmlFlyTo',
+    '../KmlLookAt',
+    './KmlTourControl',
+    '../../../geom/Location',
+    '../../../util/Logger',
+    '../../../geom/Vec3',
+    '../../../util/WWMath'
+], function (Angle,
+             ArgumentError,
+             KmlAnimatedUpdate,
+             KmlCamera,
+             KmlFlyTo,
+             KmlLookAt,
+             KmlTourControl,
+             Location,
+             Logger,
+             Vec3,
+             WWMath) {
+    "use strict";
+
+    /**
+     * Constructs a player for the KML tour. Applications usually don't call this constructor. The player is created
+     * by {@link KmlTour#createPlayer}.
+     * @alias KmlTourPlayer
+     * @constructor
+     * @classdesc Plays the primitives of the gx:Tour playlist by incrementally moving the {@link Navigator} of the
+     * WorldWindow in the same way as the {@link GoToAnimator} does. FlyTo elements move the navigator to their view,
+     * Wait elements keep the navigator still, TourControl elements pause the playback and AnimatedUpdate elements
+     * are applied once the tour reaches them.
+     * @param worldWindow {WorldWindow} The WorldWindow whose navigator is driven by the tour.
+     * @param tour {KmlTour} The tour to play.
+     * @param kmlFile {KmlFile} Optional. The file to which the AnimatedUpdate elements are applied. It is usually
+     * the file containing the tour. If not specified, the AnimatedUpdate elements are ignored.
+     * @throws {ArgumentError} If either the WorldWindow or the tour is null or undefined.
+     */
+    var KmlTourPlayer = function (worldWindow, tour, kmlFile) {
+        if (!worldWindow) {
+            throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "KmlTourPlayer", "constructor",
+                "missingWorldWindow"));
+        }
+
+        if (!tour) {
+            throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "KmlTourPlayer", "constructor",
+                "The specified tour is null or undefined."));
+        }
+
+        /**
+         * The WorldWindow associated with this player.
+         * @type {WorldWindow}
+         * @readonly
+         */
+        this.wwd = worldWindow;
+
+        /**
+         * The tour played by this player.
+         * @type {KmlTour}
+         * @readonly
+         */
+        this.tour = tour;
+
+        /**
+         * The file modified by the AnimatedUpdate elements of the tour.
+         * @type {KmlFile}
+         * @readonly
+         */
+        this.kmlFile = kmlFile || null;
+
+        /**
+         * The frequency in milliseconds at which to update the navigator.
+         * @type {Number}
+         * @default 20
+         */
+        this.animationFrequency = 20;
+
+        /**
+         * Indicates whether the tour is being played at the moment.
+         * @type {Boolean}
+         * @default false
+         * @readonly
+         */
+        this.playing = false;
+
+        // Intentionally not documented. Current time of the tour in milliseconds.
+        this._currentTime = 0;
+
+        // Intentionally not documented. Primitives of the playlist with their start time and duration.
+        this._timeline = null;
+
+        // Intentionally not documented. Time ordered primitives, which are triggered when the tour passes them.
+        this._events = null;
+
+        // Intentionally not documented. Index of the next event to trigger.
+        this._nextEvent = 0;
+
+        // Intentionally not documented. View of the navigator at the moment the tour was started.
+        this._startView = null;
+
+        // Intentionally not documented. Identifier of the pending timer.
+        this._timer = null;
+    };
+
+    Object.defineProperties(KmlTourPlayer.prototype, {
+        /**
+         * Total length of the tour in seconds.
+         * @memberof KmlTourPlayer.prototype
+         * @readonly
+         * @type {Number}
+         */
+        duration: {
+            get: function () {
+                var timeline = this.timeline();
+                if (timeline.length === 0) {
+                    return 0;
+                }
+
+                var last = timeline[timeline.length - 1];
+                return (last.start + last.duration) / 1000;
+            }
+        },
+
+        /**
+         * Current position of the playback in seconds.
+         * @memberof KmlTourPlayer.prototype
+         * @readonly
+         * @type {Number}
+         */
+        currentTime: {
+            get: function () {
+                return this._currentTime / 1000;
+            }
+        }
+    });
+
+    /**
+     * Starts or resumes the playback of the tour. If the tour already reached its end, it is played from the start.
+     * @param completionCallback {Function} If not null or undefined, specifies a function to call when the tour
+     * reaches its end. The completion callback is called with a single argument, this player.
+     */
+    KmlTourPlayer.prototype.play = function (completionCallback) {
+        if (this.playing) {
+            return;
+        }
+
+        this.completionCallback = completionCallback;
+
+        if (this._currentTime >= this.duration * 1000) {
+            this.seek(0);
+        }
+
+        if (this._currentTime === 0 || !this._startView) {
+            this._startView = this.currentNavigatorView();
+        }
+
+        this.playing = true;
+        this.scheduleUpdate(Date.now());
+    };
+
+    /**
+     * Pauses the playback of the tour. The playback continues from the same place when play is called.
+     */
+    KmlTourPlayer.prototype.pause = function () {
+        this.playing = false;
+
+        if (this._timer !== null) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+    };
+
+    /**
+     * Stops the playback and rewinds the tour to its start.
+     */
+    KmlTourPlayer.prototype.stop = function () {
+        this.pause();
+
+        this._currentTime = 0;
+        this._nextEvent = 0;
+    };
+
+    /**
+     * Moves the playback to the specified time and updates the navigator accordingly. The AnimatedUpdate and
+     * TourControl elements, which were skipped, aren't triggered.
+     * @param time {Number} Time in seconds from the start of the tour. It is clamped to the duration of the tour.
+     */
+    KmlTourPlayer.prototype.seek = function (time) {
+        var events = this.events();
+
+        this._currentTime = WWMath.clamp(time * 1000, 0, this.duration * 1000);
+        this._nextEvent = events.length;
+        for (var index = 0; index < events.length; index++) {
+            if (events[index].start >= this._currentTime) {
+                this._nextEvent = index;
+                break;
+            }
+        }
+
+        if (!this._startView) {
+            this._startView = this.currentNavigatorView();
+        }
+
+        this.applyView(this.viewAt(this._currentTime));
+    };
+
+    // Intentionally not documented.
+    KmlTourPlayer.prototype.scheduleUpdate = function (lastTime) {
+        var self = this;
+        this._timer = setTimeout(function () {
+            self._timer = null;
+            if (!self.playing) {
+                return;
+            }
+
+            var now = Date.now();
+            if (self.update(self._currentTime + now - lastTime)) {
+                self.scheduleUpdate(now);
+            }
+        }, this.animationFrequency);
+    };
+
+    /**
+     * Internal use only.
+     * Moves the playback forward to the specified time, triggers the passed events and updates the navigator.
+     * @param time {Number} Time in milliseconds from the start of the tour.
+     * @returns {Boolean} true if the playback should continue.
+     */
+    KmlTourPlayer.prototype.update = function (time) {
+        var events = this.events(), event, duration = this.duration * 1000;
+
+        time = Math.min(time, duration);
+        while (this._nextEvent < events.length && events[this._nextEvent].start <= time) {
+            event = events[this._nextEvent];
+            this._nextEvent++;
+
+            if (event.primitive instanceof KmlTourControl) {
+                if (event.primitive.kmlPlayMode === KmlTourControl.PAUSE) {
+                    this._currentTime = event.start;
+                    this.applyView(this.viewAt(this._currentTime));
+                    this.pause();
+                    return false;
+                }
+            } else if (event.primitive instanceof KmlAnimatedUpdate) {
+                this.applyUpdate(event.primitive);
+            }
+        }
+
+        this._currentTime = time;
+        this.applyView(this.viewAt(time));
+
+        if (time >= duration) {
+            this.playing = false;
+            if (this.completionCallback) {
+                this.completionCallback(this);
+            }
+            return false;
+        }
+
+        return true;
+    };
+
+    /**
+     * Internal use only.
+     * Applies the Update of the AnimatedUpdate element to the file of this player. The changes to the file aren't
+     * reverted when seeking back in the tour.
+     * @param animatedUpdate {KmlAnimatedUpdate} Primitive, which was reached by the tour.
+     */
+    KmlTourPlayer.prototype.applyUpdate = function (animatedUpdate) {
+        var update = animatedUpdate.kmlUpdate;
+        if (!update) {
+            return;
+        }
+
+        if (!this.kmlFile) {
+            Logger.logMessage(Logger.LEVEL_WARNING, "KmlTourPlayer", "applyUpdate",
+                "There is no file to apply the update to.");
+            return;
+        }
+
+        update.apply(this.kmlFile);
+        this.wwd.redraw();
+    };
+
+    /**
+     * Internal use only.
+     * It returns the primitives of the playlist enriched with the time in milliseconds, in which they start and
+     * the time they take.
+     * @returns {Object[]} Timeline of the tour.
+     */
+    KmlTourPlayer.prototype.timeline = function () {
+        if (this._timeline) {
+            return this._timeline;
+        }
+
+        var playlist = this.tour.kmlPlaylist, time = 0;
+        this._timeline = [];
+        if (!playlist) {
+            return this._timeline;
+        }
+
+        var self = this;
+        playlist.kmlTourPrimitives.forEach(function (primitive) {
+            var duration = Math.max(0, primitive.getPlaylistDuration() * 1000);
+            self._timeline.push({
+                primitive: primitive,
+                start: time,
+                duration: duration
+            });
+            time += duration;
+        });
+
+        return this._timeline;
+    };
+
+    /**
+     * Internal use only.
+     * It returns the TourControl and AnimatedUpdate primitives ordered by the time in which they should be
+     * triggered.
+     * @returns {Object[]} Events of the tour.
+     */
+    KmlTourPlayer.prototype.events = function () {
+        if (this._events) {
+            return this._events;
+        }
+
+        this._events = [];
+        var self = this;
+        this.timeline().forEach(function (entry, index) {
+            if (entry.primitive instanceof KmlTourControl) {
+                self._events.push({primitive: entry.primitive, start: entry.start, index: index});
+            } else if (entry.primitive instanceof KmlAnimatedUpdate) {
+                self._events.push({
+                    primitive: entry.primitive,
+                    start: entry.start + Math.max(0, entry.primitive.kmlDelayedStart * 1000),
+                    index: index
+                });
+            }
+        });
+        this._events.sort(function (first, second) {
+            return first.start - second.start || first.index - second.index;
+        });
+
+        return this._events;
+    };
+
+    /**
+     * Internal use only.
+     * Computes the view of the navigator in the given time of the tour.
+     * @param time {Number} Time in milliseconds from the start of the tour.
+     * @returns {Object} View with the properties latitude, longitude, range, heading, tilt and roll.
+     */
+    KmlTourPlayer.prototype.viewAt = function (time) {
+        var timeline = this.timeline(), previousView = this._startView, entry, view;
+
+        for (var index = 0; index < timeline.length; index++) {
+            entry = timeline[index];
+            if (entry.start > time) {
+                break;
+            }
+
+            if (!(entry.primitive instanceof KmlFlyTo)) {
+                continue;
+            }
+
+            view = this.viewForAbstractView(entry.primitive.kmlAbstractView);
+            if (!view) {
+                continue;
+            }
+
+            if (entry.duration === 0 || time >= entry.start + entry.duration) {
+                previousView = view;
+            } else {
+                return this.interpolateViews(previousView, view, (time - entry.start) / entry.duration,
+                    entry.primitive.kmlFlyToMode);
+            }
+        }
+
+        return previousView;
+    };
+
+    /**
+     * Internal use only.
+     * Interpolates between two views. The bounce mode eases in and out of the flight and backs out in the middle
+     * of it when the views are far apart. The smooth mode interpolates linearly.
+     * @param begin {Object} View at the start of the flight.
+     * @param end {Object} View at the end of the flight.
+     * @param amount {Number} Amount of the flight already made in the range [0, 1].
+     * @param mode {String} Either bounce or smooth.
+     * @returns {Object} Interpolated view.
+     */
+    KmlTourPlayer.prototype.interpolateViews = function (begin, end, amount, mode) {
+        if (!begin) {
+            return end;
+        }
+
+        var range, location = new Location(0, 0);
+        if (mode === KmlFlyTo.SMOOTH) {
+            range = WWMath.interpolate(amount, begin.range, end.range);
+        } else {
+            // Smooth step easing.
+            amount = amount * amount * (3 - 2 * amount);
+
+            // The maximum range needed to see both of the views, like the GoToAnimator computes it.
+            var globe = this.wwd.globe,
+                pA = globe.computePointFromLocation(begin.latitude, begin.longitude, new Vec3(0, 0, 0)),
+                pB = globe.computePointFromLocation(end.latitude, end.longitude, new Vec3(0, 0, 0)),
+                maxRange = pA.distanceTo(pB);
+
+            if (maxRange > begin.range && maxRange > end.range) {
+                range = amount < 0.5 ?
+                    WWMath.interpolate(amount * 2, begin.range, maxRange) :
+                    WWMath.interpolate((amount - 0.5) * 2, maxRange, end.range);
+            } else {
+                range = WWMath.interpolate(amount, begin.range, end.range);
+            }
+        }
+
+        Location.interpolateGreatCircle(amount, new Location(begin.latitude, begin.longitude),
+            new Location(end.latitude, end.longitude), location);
+
+        return {
+            latitude: location.latitude,
+            longitude: location.longitude,
+            range: range,
+            heading: begin.heading + Angle.normalizedDegrees(end.heading - begin.heading) * amount,
+            tilt: WWMath.interpolate(amount, begin.tilt, end.tilt),
+            roll: WWMath.interpolate(amount, begin.roll, end.roll)
+        };
+    };
+
+    /**
+     * Internal use only.
+     * Transforms the Camera or LookAt to the view, which can be applied to the navigator. The Camera is transformed
+     * to the location on the ground it looks at.
+     * @param abstractView {KmlAbstractView} Either KmlCamera or KmlLookAt.
+     * @returns {Object|null} View with the properties latitude, longitude, range, heading, tilt and roll or null if
+     *  the abstractView isn't supported.
+     */
+    KmlTourPlayer.prototype.viewForAbstractView = function (abstractView) {
+        if (abstractView instanceof KmlLookAt) {
+            return {
+                latitude: abstractView.kmlLatitude || 0,
+                longitude: abstractView.kmlLongitude || 0,
+                range: abstractView.kmlRange || abstractView.kmlAltitude || 4000,
+                heading: abstractView.kmlHeading || 0,
+                tilt: abstractView.kmlTilt || 0,
+                roll: 0
+            };
+        } else if (abstractView instanceof KmlCamera) {
+            var eye = new Location(Number(abstractView.kmlLatitude) || 0, Number(abstractView.kmlLongitude) || 0),
+                altitude = Math.max(1, Number(abstractView.kmlAltitude) || 0),
+                heading = Number(abstractView.kmlHeading) || 0,
+                // The navigator looks at the ground, therefore the camera looking above the horizon is limited.
+                tilt = WWMath.clamp(Number(abstractView.kmlTilt) || 0, 0, 80),
+                tiltRadians = tilt * Angle.DEGREES_TO_RADIANS,
+                groundDistance = altitude * Math.tan(tiltRadians),
+                lookAt = Location.greatCircleLocation(eye, heading, groundDistance / this.wwd.globe.equatorialRadius,
+                    new Location(0, 0));
+
+            return {
+                latitude: lookAt.latitude,
+                longitude: lookAt.longitude,
+                range: altitude / Math.cos(tiltRadians),
+                heading: heading,
+                tilt: tilt,
+                roll: Number(abstractView.kmlRoll) || 0
+            };
+        }
+
+        return null;
+    };
+
+    /**
+     * Internal use only.
+     * @returns {Object} Current view of the navigator.
+     */
+    KmlTourPlayer.prototype.currentNavigatorView = function () {
+        var navigator = this.wwd.navigator;
+        return {
+            latitude: navigator.lookAtLocation.latitude,
+            longitude: navigator.lookAtLocation.longitude,
+            range: navigator.range,
+            heading: navigator.heading,
+            tilt: navigator.tilt,
+            roll: navigator.roll
+        };
+    };
+
+    /**
+     * Internal use only.
+     * Moves the navigator to the view and redraws the WorldWindow.
+     * @param view {Object} View to apply.
+     */
+    KmlTourPlayer.prototype.applyView = function (view) {
+        if (!view) {
+            return;
+        }
+
+        var navigator = this.wwd.navigator;
+        navigator.lookAtLocation.latitude = view.latitude;
+        navigator.lookAtLocation.longitude = view.longitude;
+        navigator.range = view.range;
+        navigator.heading = view.heading;
+        navigator.tilt = view.tilt;
+        navigator.roll = view.roll;
+
+        this.wwd.redraw();
+    };
+
+    return KmlTourPlayer;
+});
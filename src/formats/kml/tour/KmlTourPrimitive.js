@@ -0,0 +1,73 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    '../KmlObject',
+    '../util/NodeTransformers'
+], function (KmlObject,
+             NodeTransformers) {
+    "use strict";
+
+    /**
+     * Constructs an KmlTourPrimitive. Applications usually don't call this constructor. It is called by
+     * {@link KmlFile} as objects from Kml file are read. It is abstract base for all primitives, which can be
+     * part of the gx:Playlist.
+     * @alias KmlTourPrimitive
+     * @classdesc Contains the data associated with TourPrimitive node.
+     * @param options {Object}
+     * @param options.objectNode {Node} Node representing the TourPrimitive.
+     * @constructor
+     * @throws {ArgumentError} If the node is null or undefined.
+     * @see https://developers.google.com/kml/documentation/kmlreference#gxtourprimitive
+     * @augments KmlObject
+     */
+    var KmlTourPrimitive = function (options) {
+        KmlObject.call(this, options);
+    };
+
+    KmlTourPrimitive.prototype = Object.create(KmlObject.prototype);
+
+    Object.defineProperties(KmlTourPrimitive.prototype, {
+        /**
+         * Length of the primitive in seconds. It is used by the FlyTo, Wait and AnimatedUpdate primitives.
+         * @memberof KmlTourPrimitive.prototype
+         * @readonly
+         * @type {Number}
+         */
+        kmlDuration: {
+            get: function () {
+                return this._factory.specific(this, {name: 'gx:duration', transformer: NodeTransformers.number}) || 0;
+            }
+        }
+    });
+
+    /**
+     * Time in seconds, by which this primitive moves the tour forward. Primitives, which don't block the tour,
+     * return 0.
+     * @returns {Number} Time in seconds occupied by this primitive in the tour.
+     */
+    KmlTourPrimitive.prototype.getPlaylistDuration = function () {
+        return this.kmlDuration;
+    };
+
+    /**
+     * @inheritDoc
+     */
+    KmlTourPrimitive.prototype.getTagNames = function () {
+        return ['gx:FlyTo', 'gx:Wait', 'gx:AnimatedUpdate', 'gx:TourControl'];
+    };
+
+    return KmlTourPrimitive;
+});
@@ -0,0 +1,52 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    '../KmlElements',
+    './KmlTourPrimitive'
+], function (KmlElements,
+             KmlTourPrimitive) {
+    "use strict";
+
+    /**
+     * Constructs an KmlWait. Applications usually don't call this constructor. It is called by {@link KmlFile} as
+     * objects from Kml file are read. This object is already concrete implementation.
+     * @alias KmlWait
+     * @classdesc Contains the data associated with Wait node. The camera remains still for the duration of the
+     * Wait.
+     * @param options {Object}
+     * @param options.objectNode {Node} Node representing Wait.
+     * @constructor
+     * @throws {ArgumentError} If the node is null or undefined.
+     * @see https://developers.google.com/kml/documentation/kmlreference#gxwait
+     * @augments KmlTourPrimitive
+     */
+    var KmlWait = function (options) {
+        KmlTourPrimitive.call(this, options);
+    };
+
+    KmlWait.prototype = Object.create(KmlTourPrimitive.prototype);
+
+    /**
+     * @inheritDoc
+     */
+    KmlWait.prototype.getTagNames = function () {
+        return ['gx:Wait'];
+    };
+
+    KmlElements.addKey(KmlWait.prototype.getTagNames()[0], KmlWait);
+
+    return KmlWait;
+});
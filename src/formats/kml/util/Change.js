@@ -14,10 +14,18 @@
  * limitations under the License.
  */
 define([
+	'./Attribute',
+	'../features/KmlContainer',
 	'../KmlElements',
-	'../KmlObject'
-], function(KmlElements,
-			KmlObject){
+	'../KmlObject',
+	'../../../util/Logger',
+	'./NodeUtil'
+], function(Attribute,
+			KmlContainer,
+			KmlElements,
+			KmlObject,
+			Logger,
+			NodeUtil){
 	/**
 	 * @augment KmlObject
 	 * @param options
@@ -44,6 +52,47 @@ define([
 		}
 	});
 
+	/**
+	 * It applies the change to the file. Every child of the element with the targetId replaces the child with the
+	 * same name of the targeted element or is added to it, if there is no such child. The objects representing the
+	 * targeted element and the elements containing it up to the closest Folder or Document are created again.
+	 * @param targetFile {KmlFile} File, which contains the elements to change.
+	 */
+	Change.prototype.apply = function(targetFile) {
+		var containers = KmlContainer.prototype.getTagNames();
+		NodeUtil.elementChildren(this.node).forEach(function(changed) {
+			var targetId = new Attribute(changed, 'targetId').value();
+			var target = targetFile.nodeById(targetId);
+			if (!target) {
+				Logger.logMessage(Logger.LEVEL_WARNING, "Change", "apply", "There is no element with id " +
+					targetId + " to change.");
+				return;
+			}
+
+			NodeUtil.elementChildren(changed).forEach(function(value) {
+				var imported = target.ownerDocument.importNode(value, true);
+				var replaced = NodeUtil.elementChildren(target).filter(function(child) {
+					return child.nodeName == value.nodeName;
+				})[0];
+				if (replaced) {
+					target.replaceChild(imported, replaced);
+				} else {
+					target.appendChild(imported);
+				}
+			});
+
+			targetFile.refresh(target);
+			var current = target;
+			while (current.parentNode && current.parentNode.nodeType == 1) {
+				targetFile.invalidate(current);
+				if (containers.indexOf(current.parentNode.nodeName) != -1) {
+					break;
+				}
+				current = current.parentNode;
+			}
+		});
+	};
+
 	/**
 	 * @inheritDoc
 	 */
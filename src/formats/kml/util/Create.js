@@ -14,10 +14,16 @@
  * limitations under the License.
  */
 define([
-	'KmlElements',
-	'../KmlObject'
-], function(KmlElements, 
-			KmlObject){
+	'./Attribute',
+	'../KmlElements',
+	'../KmlObject',
+	'../../../util/Logger',
+	'./NodeUtil'
+], function(Attribute,
+			KmlElements,
+			KmlObject,
+			Logger,
+			NodeUtil){
 	/**
 	 *
 	 * @param options {Object}
@@ -45,6 +51,28 @@ define([
 		}
 	});
 
+	/**
+	 * It applies the creation to the file. The children of every Folder or Document with the targetId are added to
+	 * the end of the targeted Folder or Document.
+	 * @param targetFile {KmlFile} File, which contains the containers to add the elements to.
+	 */
+	Create.prototype.apply = function(targetFile) {
+		NodeUtil.elementChildren(this.node).forEach(function(container) {
+			var targetId = new Attribute(container, 'targetId').value();
+			var target = targetFile.nodeById(targetId);
+			if (!target) {
+				Logger.logMessage(Logger.LEVEL_WARNING, "Create", "apply", "There is no container with id " +
+					targetId + " to add the elements to.");
+				return;
+			}
+
+			NodeUtil.elementChildren(container).forEach(function(created) {
+				target.appendChild(target.ownerDocument.importNode(created, true));
+			});
+			targetFile.refresh(target);
+		});
+	};
+
 	/**
 	 * @inheritDoc
 	 */
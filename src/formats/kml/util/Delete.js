@@ -14,10 +14,16 @@
  * limitations under the License.
  */
 define([
+	'./Attribute',
 	'../KmlElements',
-	'../KmlObject'
-], function(KmlElements,
-			KmlObject){
+	'../KmlObject',
+	'../../../util/Logger',
+	'./NodeUtil'
+], function(Attribute,
+			KmlElements,
+			KmlObject,
+			Logger,
+			NodeUtil){
 	/**
 	 * @augments KmlObject
 	 * @param options
@@ -44,6 +50,26 @@ define([
 		}
 	});
 
+	/**
+	 * It applies the deletion to the file. Every feature with the targetId is removed from the file.
+	 * @param targetFile {KmlFile} File, which contains the features to delete.
+	 */
+	Delete.prototype.apply = function(targetFile) {
+		NodeUtil.elementChildren(this.node).forEach(function(deleted) {
+			var targetId = new Attribute(deleted, 'targetId').value();
+			var target = targetFile.nodeById(targetId);
+			if (!target || !target.parentNode) {
+				Logger.logMessage(Logger.LEVEL_WARNING, "Delete", "apply", "There is no feature with id " +
+					targetId + " to delete.");
+				return;
+			}
+
+			var parentNode = target.parentNode;
+			parentNode.removeChild(target);
+			targetFile.refresh(parentNode);
+		});
+	};
+
 	/**
 	 * @inheritDoc
 	 */
@@ -93,6 +93,62 @@ define([
         }
     });
 
+    /**
+     * Size of the tiles in pixels. If it isn't specified, 256 is used.
+     * @returns {Number} Size of the tiles.
+     */
+    ImagePyramid.prototype.tileSize = function () {
+        return this.kmlTileSize || 256;
+    };
+
+    /**
+     * Number of the most detailed level of the pyramid. The level 0 contains the whole image in a single tile and
+     * every following level doubles the resolution up to the original resolution of the image.
+     * @returns {Number} Number of the last level.
+     */
+    ImagePyramid.prototype.maxLevel = function () {
+        var ratio = Math.max(this.kmlMaxWidth, this.kmlMaxHeight) / this.tileSize();
+        return ratio > 1 ? Math.ceil(Math.log(ratio) / Math.LN2) : 0;
+    };
+
+    /**
+     * Width and height in pixels of the image on the given level.
+     * @param level {Number} Level of the pyramid.
+     * @returns {Object} Object with width and height.
+     */
+    ImagePyramid.prototype.levelSize = function (level) {
+        var scale = Math.pow(2, this.maxLevel() - level);
+        return {
+            width: Math.ceil(this.kmlMaxWidth / scale),
+            height: Math.ceil(this.kmlMaxHeight / scale)
+        };
+    };
+
+    /**
+     * Part of the image covered by the tile. The fractions start in the lower left corner of the image regardless
+     * of the gridOrigin, which is applied to the row of the tile.
+     * @param level {Number} Level of the pyramid.
+     * @param column {Number} Column of the tile, the x in the tile url.
+     * @param row {Number} Row of the tile, the y in the tile url.
+     * @returns {Object|null} Object with minU, maxU, minV and maxV as fractions of the image width and height or
+     * null if there is no such tile.
+     */
+    ImagePyramid.prototype.tileBounds = function (level, column, row) {
+        var size = this.levelSize(level), tileSize = this.tileSize();
+        if (column < 0 || row < 0 || column * tileSize >= size.width || row * tileSize >= size.height) {
+            return null;
+        }
+
+        var lower = row * tileSize / size.height, upper = Math.min(1, (row + 1) * tileSize / size.height);
+        var fromTop = this.kmlGridOrigin == 'upperLeft';
+        return {
+            minU: column * tileSize / size.width,
+            maxU: Math.min(1, (column + 1) * tileSize / size.width),
+            minV: fromTop ? 1 - upper : lower,
+            maxV: fromTop ? 1 - lower : upper
+        };
+    };
+
     /**
      * @inheritDoc
      */
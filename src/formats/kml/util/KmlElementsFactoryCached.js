@@ -15,12 +15,16 @@
  */
 define([
     './Attribute',
+    '../KmlElements',
     './KmlElementsFactory',
+    './NodeTransformers',
     './TreeKeyValueCache',
     '../../../util/WWUtil'
 ], function (
     Attribute,
+    KmlElements,
     KmlElementsFactory,
+    NodeTransformers,
     TreeKeyValueCache,
     WWUtil
 ) {
@@ -63,6 +67,9 @@ define([
             elements.forEach(function (pElement) {
                 self.cache.add(self.cacheKey(parentNode, "All"), self.cacheKey(pElement.node), pElement);
             });
+            // The children created later by refresh get the same parent and controls.
+            this.cache.add(this.cacheKey(parentNode, "Owner"), "owner",
+                {parent: element, controls: this.internalFactory.options.controls});
         }
         return elements;
     };
@@ -129,6 +136,53 @@ define([
         return result;
     };
 
+    /**
+     * It removes all the cached values of the node and replaces the object representing the node among the cached
+     * children of its parent by newly created one. It is used when the content of the node changed.
+     * @param node {Node} Node, which was changed.
+     */
+    KmlElementsFactoryCached.prototype.invalidate = function(node) {
+        var key = this.cacheKey(node);
+        this.cache.removeLevel(key);
+
+        var parentNode = node.parentNode;
+        if(parentNode && parentNode.nodeType == 1) {
+            this.cache.remove(this.cacheKey(parentNode), key);
+            this.cache.remove(this.cacheKey(parentNode, "All"), key);
+            this.refresh(parentNode);
+        }
+    };
+
+    /**
+     * It synchronizes the cached children of the node with the current children of the node. The objects for the
+     * children, which remained in place, are kept, the objects for the new children are created and the objects for
+     * the removed children are dropped. It is used when children were added or removed from the node. The new
+     * objects get the parent and the controls of the objects created for the node before.
+     * @param node {Node} Node, whose children were changed.
+     */
+    KmlElementsFactoryCached.prototype.refresh = function(node) {
+        var level = this.cacheKey(node, "All");
+        var children = this.cache.level(level);
+        if(!children) {
+            return;
+        }
+
+        var owner = this.cache.value(this.cacheKey(node, "Owner"), "owner") ||
+            {parent: null, controls: this.internalFactory.options.controls};
+
+        this.cache.removeLevel(level);
+        var self = this;
+        [].forEach.call(node.childNodes, function(childNode) {
+            if(!KmlElements.getKey(childNode.nodeName)) {
+                return;
+            }
+
+            var key = self.cacheKey(childNode);
+            var child = children[key] || NodeTransformers.kmlObject(childNode, owner.parent, owner.controls);
+            self.cache.add(level, key, child);
+        });
+    };
+
     /**
      * It creates cache key based on the node. In case the node doesn't have any id, it also creates id for this
      * element. This id is used for storing the value in the cache.
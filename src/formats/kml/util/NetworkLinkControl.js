@@ -169,7 +169,7 @@ define([
 		return ['NetworkLinkControl'];
 	};
 
-	KmlElements.addKey(ItemIcon.prototype.getTagNames()[0], NetworkLinkControl);
+	KmlElements.addKey(NetworkLinkControl.prototype.getTagNames()[0], NetworkLinkControl);
 
 	return NetworkLinkControl;
 });
\ No newline at end of file
@@ -0,0 +1,37 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([], function () {
+    "use strict";
+
+    /**
+     * Provides helper functions for the nodes of the KML documents.
+     * @exports NodeUtil
+     */
+    var NodeUtil = {
+        /**
+         * It returns the children of the node, which are elements. The text, comment and other nodes are skipped.
+         * @param node {Node} Node whose children are returned.
+         * @returns {Element[]} Element children of the node in the document order.
+         */
+        elementChildren: function(node) {
+            return [].filter.call(node.childNodes, function(child) {
+                return child.nodeType == 1;
+            });
+        }
+    };
+
+    return NodeUtil;
+});
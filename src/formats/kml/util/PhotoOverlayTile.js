@@ -0,0 +1,226 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    '../../../geom/BoundingBox',
+    '../../../shapes/GeographicMesh',
+    '../../../geom/Position',
+    '../../../shapes/ShapeAttributes',
+    '../../../geom/Vec2',
+    '../../../util/WWMath'
+], function (BoundingBox,
+             GeographicMesh,
+             Position,
+             ShapeAttributes,
+             Vec2,
+             WWMath) {
+    "use strict";
+
+    /**
+     * Constructs a tile of the PhotoOverlay. Applications usually don't call this constructor. The tiles are created
+     * by {@link KmlPhotoOverlay} as it is rendered.
+     * @alias PhotoOverlayTile
+     * @constructor
+     * @classdesc Represents a part of the image of the PhotoOverlay on one level of its ImagePyramid. The tile is
+     * displayed as a mesh following the shape of the PhotoOverlay. Until the image of the tile is retrieved, the
+     * mesh shows the corresponding part of the image of the closest retrieved ancestor.
+     * @param level {Number} Level of the tile in the ImagePyramid.
+     * @param column {Number} Column of the tile on its level.
+     * @param row {Number} Row of the tile on its level.
+     * @param bounds {Object} Part of the image covered by the tile as returned by {@link ImagePyramid#tileBounds}.
+     * @param imageSource {String} Url of the image of the tile.
+     */
+    var PhotoOverlayTile = function (level, column, row, bounds, imageSource) {
+        /**
+         * Level of the tile in the ImagePyramid.
+         * @type {Number}
+         * @readonly
+         */
+        this.level = level;
+
+        /**
+         * Column of the tile on its level.
+         * @type {Number}
+         * @readonly
+         */
+        this.column = column;
+
+        /**
+         * Row of the tile on its level.
+         * @type {Number}
+         * @readonly
+         */
+        this.row = row;
+
+        /**
+         * Horizontal and vertical fractions of the image covered by the tile starting in the lower left corner.
+         * @type {Number}
+         * @readonly
+         */
+        this.minU = bounds.minU;
+        this.maxU = bounds.maxU;
+        this.minV = bounds.minV;
+        this.maxV = bounds.maxV;
+
+        /**
+         * Url of the image of the tile.
+         * @type {String}
+         * @readonly
+         */
+        this.imageSource = imageSource;
+
+        /**
+         * Mesh displaying the tile. It is created by prepare.
+         * @type {GeographicMesh}
+         */
+        this.mesh = null;
+
+        /**
+         * Extent of the mesh in model coordinates.
+         * @type {BoundingBox}
+         */
+        this.extent = null;
+
+        /**
+         * Size in meters of one pixel of the image of the tile.
+         * @type {Number}
+         */
+        this.texelSize = 0;
+
+        // Intentionally not documented. Fractions of the image for every vertex of the mesh.
+        this._fractions = null;
+
+        // Intentionally not documented. Tile whose image is currently displayed by the mesh.
+        this._displayedTile = null;
+
+        // Intentionally not documented. Tiles of the next level covering this tile.
+        this._children = null;
+    };
+
+    /**
+     * Creates the mesh of the tile.
+     * @param dc {DrawContext} Draw context associated with current processing.
+     * @param photoOverlay {KmlPhotoOverlay} Overlay providing the shape of the photo.
+     * @param levelSize {Object} Width and height in pixels of the whole image on the level of this tile.
+     */
+    PhotoOverlayTile.prototype.prepare = function (dc, photoOverlay, levelSize) {
+        var gridSize = photoOverlay.meshSize(this), positions = [], points = [], u, v, point;
+        this._fractions = [];
+        for (var row = 0; row <= gridSize.rows; row++) {
+            v = WWMath.interpolate(row / gridSize.rows, this.minV, this.maxV);
+            positions.push([]);
+            this._fractions.push([]);
+            for (var column = 0; column <= gridSize.columns; column++) {
+                u = WWMath.interpolate(column / gridSize.columns, this.minU, this.maxU);
+                point = photoOverlay.pointAt(u, v);
+                points.push(point);
+                positions[row].push(dc.globe.computePositionFromPoint(point[0], point[1], point[2],
+                    new Position(0, 0, 0)));
+                this._fractions[row].push([u, v]);
+            }
+        }
+
+        var attributes = new ShapeAttributes(null);
+        attributes.drawOutline = false;
+        attributes.interiorColor = photoOverlay.color();
+
+        this.mesh = new GeographicMesh(positions, attributes);
+        this.mesh.altitudeMode = WorldWind.ABSOLUTE;
+        this.mesh.pickDelegate = photoOverlay;
+
+        this.extent = new BoundingBox();
+        this.extent.setToVec3Points(points);
+
+        var lowerLeft = points[0],
+            lowerRight = points[gridSize.columns],
+            upperLeft = points[gridSize.rows * (gridSize.columns + 1)];
+        this.texelSize = Math.max(
+            lowerLeft.distanceTo(lowerRight) / ((this.maxU - this.minU) * levelSize.width),
+            lowerLeft.distanceTo(upperLeft) / ((this.maxV - this.minV) * levelSize.height)
+        );
+    };
+
+    /**
+     * Indicates whether the image of the tile was already retrieved. If not, its retrieval is started.
+     * @param dc {DrawContext} Draw context associated with current processing.
+     * @returns {Boolean} true if the image of the tile is available.
+     */
+    PhotoOverlayTile.prototype.isTextureAvailable = function (dc) {
+        if (dc.gpuResourceCache.resourceForKey(this.imageSource)) {
+            return true;
+        }
+
+        dc.gpuResourceCache.retrieveTexture(dc.currentGlContext, this.imageSource);
+        return false;
+    };
+
+    /**
+     * Indicates whether the tiles of the next level should be displayed instead of this tile. It happens when the
+     * pixel of the image is larger than the pixel on the screen multiplied by the detail factor.
+     * @param dc {DrawContext} Draw context associated with current processing.
+     * @param detailFactor {Number} Ratio between the size of the pixel of the image and of the screen.
+     * @returns {Boolean} true if the tile should be subdivided.
+     */
+    PhotoOverlayTile.prototype.mustSubdivide = function (dc, detailFactor) {
+        var distance = this.extent.distanceTo(dc.navigatorState.eyePoint),
+            pixelSize = dc.navigatorState.pixelSizeAtDistance(distance);
+
+        return this.texelSize > detailFactor * pixelSize;
+    };
+
+    /**
+     * Returns the tiles of the next level covering this tile.
+     * @param photoOverlay {KmlPhotoOverlay} Overlay creating the tiles.
+     * @returns {PhotoOverlayTile[]} Tiles of the next level.
+     */
+    PhotoOverlayTile.prototype.subdivide = function (photoOverlay) {
+        if (!this._children) {
+            this._children = [];
+            for (var row = 2 * this.row; row <= 2 * this.row + 1; row++) {
+                for (var column = 2 * this.column; column <= 2 * this.column + 1; column++) {
+                    var child = photoOverlay.createTile(this.level + 1, column, row);
+                    if (child) {
+                        this._children.push(child);
+                    }
+                }
+            }
+        }
+        return this._children;
+    };
+
+    /**
+     * Renders the mesh of this tile with the image of the given tile.
+     * @param dc {DrawContext} Draw context associated with current processing.
+     * @param tile {PhotoOverlayTile} Either this tile or its ancestor whose image is available.
+     */
+    PhotoOverlayTile.prototype.render = function (dc, tile) {
+        if (this._displayedTile !== tile) {
+            this.mesh.attributes.imageSource = tile.imageSource;
+            this.mesh.textureCoordinates = this._fractions.map(function (row) {
+                return row.map(function (fraction) {
+                    return new Vec2(
+                        (fraction[0] - tile.minU) / (tile.maxU - tile.minU),
+                        (fraction[1] - tile.minV) / (tile.maxV - tile.minV)
+                    );
+                });
+            });
+            this._displayedTile = tile;
+        }
+
+        this.mesh.render(dc);
+    };
+
+    return PhotoOverlayTile;
+});
@@ -70,8 +70,8 @@ define([
             filePromise = this._fileCache.retrieve(styleUrl);
             if (!filePromise) {
                 // This is an issue of circular dependency again.
-                filePromise = new WorldWind.KmlFile({url: styleUrl});
-                this._fileCache.add(filePromise);
+                filePromise = new WorldWind.KmlFile(styleUrl);
+                this._fileCache.add(styleUrl, filePromise);
             }
         }
         return filePromise;
@@ -19,8 +19,8 @@ define([
     "use strict";
 
     /**
-     * Cache working on a basic principle of storing the data as a pair of key, value. Currently the values are
-     * never invalidated.
+     * Cache working on a basic principle of storing the data as a pair of key, value. The values are invalidated
+     * only when the underlying document changes.
      * @alias TreeKeyValueCache
      * @constructor
      * @classdesc Represents internally used cache which stores data in a tree like structure.
@@ -82,7 +82,17 @@ define([
      * @param key {Object} Anything that can be used as a key in JavaScript object
      */
     TreeKeyValueCache.prototype.remove = function(level, key) {
-        delete this.map[level][key];
+        if(this.map[level]) {
+            delete this.map[level][key];
+        }
+    };
+
+    /**
+     * It removes the whole level of the data if such level exists.
+     * @param level {Object} Anything that can be used as a key in JavaScript object
+     */
+    TreeKeyValueCache.prototype.removeLevel = function(level) {
+        delete this.map[level];
     };
 
     var applicationLevelCache = new TreeKeyValueCache();
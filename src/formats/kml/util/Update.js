@@ -41,7 +41,7 @@ define([
 		 */
 		targetHref: {
 			get: function() {
-				return this._factory.specific(this, {name: 'minRefreshPeriod', transformer: NodeTransformers.number});
+				return this._factory.specific(this, {name: 'targetHref', transformer: NodeTransformers.string});
 			}
 		},
 
@@ -92,6 +92,19 @@ define([
 		}
 	});
 
+	/**
+	 * It applies all the Change, Create and Delete elements of this Update to the file in the order in which they
+	 * are specified.
+	 * @param targetFile {KmlFile} File referenced by the targetHref.
+	 */
+	Update.prototype.apply = function(targetFile) {
+		this._factory.all(this).forEach(function(operation) {
+			if (operation instanceof Change || operation instanceof Create || operation instanceof Delete) {
+				operation.apply(targetFile);
+			}
+		});
+	};
+
 	/**
 	 * @inheritDoc
 	 */
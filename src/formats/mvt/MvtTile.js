@@ -0,0 +1,263 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports MvtTile
+ */
+define([
+        '../../error/ArgumentError',
+        '../../util/Logger',
+        './ProtobufReader'
+    ],
+    function (ArgumentError,
+              Logger,
+              ProtobufReader) {
+        "use strict";
+
+        /**
+         * Decodes a Mapbox Vector Tile.
+         * @alias MvtTile
+         * @constructor
+         * @classdesc Holds the layers and the features of a Mapbox Vector Tile decoded from its Protocol Buffers
+         * encoding as specified by version 2 of the Mapbox Vector Tile specification.
+         * <p>
+         * Each layer is an object with the following properties:
+         * <ul>
+         *     <li>name: {String} The name of the layer, which is referred to as the source layer by styles.</li>
+         *     <li>version: {Number} The version of the specification the layer conforms to.</li>
+         *     <li>extent: {Number} The width and height of the tile in the coordinates of its geometries.</li>
+         *     <li>features: {Object[]} The features of the layer.</li>
+         * </ul>
+         * Each feature is an object with the following properties:
+         * <ul>
+         *     <li>id: {Number} The optional identifier of the feature.</li>
+         *     <li>type: {Number} The geometry type: [POINT]{@link MvtTile.POINT},
+         *     [LINESTRING]{@link MvtTile.LINESTRING} or [POLYGON]{@link MvtTile.POLYGON}.</li>
+         *     <li>properties: {Object} The attributes of the feature.</li>
+         *     <li>geometry: {Number[][][]} The points, the lines or the rings of the feature, each an array of
+         *     [x, y] coordinates. The origin of the coordinates is the upper left corner of the tile. All the points
+         *     of a feature are in a single array.</li>
+         * </ul>
+         * @param {ArrayBuffer|Uint8Array} data The encoded tile.
+         * @throws {ArgumentError} If the specified data is null or undefined.
+         */
+        var MvtTile = function (data) {
+            if (!data) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "MvtTile", "constructor", "missingArray"));
+            }
+
+            /**
+             * The layers of this tile.
+             * @type {Object[]}
+             * @readonly
+             */
+            this.layers = [];
+
+            var reader = new ProtobufReader(data instanceof Uint8Array ? data : new Uint8Array(data));
+            while (reader.hasMoreFields()) {
+                if (reader.readTag() === 3) {
+                    this.layers.push(MvtTile.readLayer(reader.readMessage()));
+                } else {
+                    reader.skip();
+                }
+            }
+        };
+
+        /**
+         * The type of point features.
+         * @type {Number}
+         * @constant
+         */
+        MvtTile.POINT = 1;
+
+        /**
+         * The type of line features.
+         * @type {Number}
+         * @constant
+         */
+        MvtTile.LINESTRING = 2;
+
+        /**
+         * The type of polygon features.
+         * @type {Number}
+         * @constant
+         */
+        MvtTile.POLYGON = 3;
+
+        /**
+         * Returns the layer with a specified name.
+         * @param {String} name The name of the layer.
+         * @returns {Object} The layer or null if this tile doesn't contain it.
+         */
+        MvtTile.prototype.layer = function (name) {
+            for (var i = 0; i < this.layers.length; i++) {
+                if (this.layers[i].name === name) {
+                    return this.layers[i];
+                }
+            }
+
+            return null;
+        };
+
+        // Internal use only.
+        MvtTile.readLayer = function (reader) {
+            var layer = {name: null, version: 1, extent: 4096, features: []},
+                keys = [],
+                values = [],
+                encodedFeatures = [];
+
+            while (reader.hasMoreFields()) {
+                switch (reader.readTag()) {
+                    case 15:
+                        layer.version = reader.readVarint();
+                        break;
+                    case 1:
+                        layer.name = reader.readString();
+                        break;
+                    case 2:
+                        encodedFeatures.push(reader.readMessage());
+                        break;
+                    case 3:
+                        keys.push(reader.readString());
+                        break;
+                    case 4:
+                        values.push(MvtTile.readValue(reader.readMessage()));
+                        break;
+                    case 5:
+                        layer.extent = reader.readVarint();
+                        break;
+                    default:
+                        reader.skip();
+                }
+            }
+
+            // The features refer to the keys and the values which may follow them.
+            for (var i = 0; i < encodedFeatures.length; i++) {
+                layer.features.push(MvtTile.readFeature(encodedFeatures[i], keys, values));
+            }
+
+            return layer;
+        };
+
+        // Internal use only.
+        MvtTile.readValue = function (reader) {
+            var value = null;
+
+            while (reader.hasMoreFields()) {
+                switch (reader.readTag()) {
+                    case 1:
+                        value = reader.readString();
+                        break;
+                    case 2:
+                        value = reader.readFloat();
+                        break;
+                    case 3:
+                        value = reader.readDouble();
+                        break;
+                    case 4:
+                        value = reader.readSignedVarint();
+                        break;
+                    case 5:
+                        value = reader.readVarint();
+                        break;
+                    case 6:
+                        value = reader.readSVarint();
+                        break;
+                    case 7:
+                        value = reader.readVarint() !== 0;
+                        break;
+                    default:
+                        reader.skip();
+                }
+            }
+
+            return value;
+        };
+
+        // Internal use only.
+        MvtTile.readFeature = function (reader, keys, values) {
+            var feature = {id: null, type: 0, properties: {}, geometry: []},
+                tags = [],
+                commands = [];
+
+            while (reader.hasMoreFields()) {
+                switch (reader.readTag()) {
+                    case 1:
+                        feature.id = reader.readVarint();
+                        break;
+                    case 2:
+                        tags = tags.concat(reader.readPackedVarints(false));
+                        break;
+                    case 3:
+                        feature.type = reader.readVarint();
+                        break;
+                    case 4:
+                        commands = commands.concat(reader.readPackedVarints(false));
+                        break;
+                    default:
+                        reader.skip();
+                }
+            }
+
+            for (var i = 0; i + 1 < tags.length; i += 2) {
+                feature.properties[keys[tags[i]]] = values[tags[i + 1]];
+            }
+
+            feature.geometry = MvtTile.decodeGeometry(commands, feature.type);
+
+            return feature;
+        };
+
+        /**
+         * Decodes the geometry commands of a feature.
+         * @param {Number[]} commands The command integers and the zigzag encoded parameters.
+         * @param {Number} type The geometry type of the feature.
+         * @returns {Number[][][]} The points, the lines or the rings of the feature.
+         */
+        MvtTile.decodeGeometry = function (commands, type) {
+            var parts = [], part = null, x = 0, y = 0, i = 0;
+
+            while (i < commands.length) {
+                var command = commands[i] & 0x7,
+                    count = commands[i] >> 3;
+                i++;
+
+                if (command === 7) { // ClosePath
+                    if (part && part.length > 0) {
+                        part.push([part[0][0], part[0][1]]);
+                    }
+                    continue;
+                }
+
+                for (var c = 0; c < count && i + 1 < commands.length; c++) {
+                    x += ProtobufReader.zigzagDecode(commands[i++]);
+                    y += ProtobufReader.zigzagDecode(commands[i++]);
+
+                    // A MoveTo starts a line or a ring. The points of a feature are in a single part.
+                    if (!part || (command === 1 && type !== MvtTile.POINT)) {
+                        part = [];
+                        parts.push(part);
+                    }
+                    part.push([x, y]);
+                }
+            }
+
+            return parts;
+        };
+
+        return MvtTile;
+    }
+);
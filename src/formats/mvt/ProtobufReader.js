@@ -0,0 +1,309 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports ProtobufReader
+ */
+define([
+        '../../error/ArgumentError',
+        '../../util/Logger'
+    ],
+    function (ArgumentError,
+              Logger) {
+        "use strict";
+
+        /**
+         * Constructs a Protocol Buffers reader for a range of bytes.
+         * @alias ProtobufReader
+         * @constructor
+         * @classdesc Reads the fields of messages encoded in the Protocol Buffers wire format. The messages are read
+         * field by field: [readTag]{@link ProtobufReader#readTag} reads the field number and the wire type of the
+         * next field, then the value of the field is read by the method corresponding to the type of the field, or
+         * skipped by [skip]{@link ProtobufReader#skip}. Embedded messages are read by the reader returned by
+         * [readMessage]{@link ProtobufReader#readMessage}.
+         * @param {Uint8Array} bytes The bytes containing the message.
+         * @param {Number} start The index of the first byte of the message. Defaults to 0.
+         * @param {Number} end The index after the last byte of the message. Defaults to the length of the bytes.
+         * @throws {ArgumentError} If the specified bytes are null or undefined.
+         */
+        var ProtobufReader = function (bytes, start, end) {
+            if (!bytes) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "ProtobufReader", "constructor", "missingArray"));
+            }
+
+            /**
+             * The bytes containing the message.
+             * @type {Uint8Array}
+             * @readonly
+             */
+            this.bytes = bytes;
+
+            /**
+             * The index of the next byte to read.
+             * @type {Number}
+             */
+            this.position = start || 0;
+
+            /**
+             * The index after the last byte of the message.
+             * @type {Number}
+             * @readonly
+             */
+            this.end = end !== undefined ? end : bytes.length;
+
+            // Internal use only. The wire type of the field whose tag was read last.
+            this.wireType = 0;
+        };
+
+        /**
+         * The wire type of varints.
+         * @type {Number}
+         * @constant
+         */
+        ProtobufReader.VARINT = 0;
+
+        /**
+         * The wire type of 64-bit values.
+         * @type {Number}
+         * @constant
+         */
+        ProtobufReader.FIXED64 = 1;
+
+        /**
+         * The wire type of length-delimited values: strings, bytes, embedded messages and packed repeated fields.
+         * @type {Number}
+         * @constant
+         */
+        ProtobufReader.LENGTH_DELIMITED = 2;
+
+        /**
+         * The wire type of 32-bit values.
+         * @type {Number}
+         * @constant
+         */
+        ProtobufReader.FIXED32 = 5;
+
+        /**
+         * Indicates whether the message contains more fields.
+         * @returns {Boolean} true if there are more fields, otherwise false.
+         */
+        ProtobufReader.prototype.hasMoreFields = function () {
+            return this.position < this.end;
+        };
+
+        /**
+         * Reads the tag of the next field.
+         * @returns {Number} The field number. The wire type is available as the
+         * [wireType]{@link ProtobufReader#wireType} of this reader.
+         */
+        ProtobufReader.prototype.readTag = function () {
+            var tag = this.readVarint();
+            this.wireType = tag & 0x7;
+            return tag >>> 3;
+        };
+
+        /**
+         * Reads an unsigned varint. Values beyond 2^53 lose precision.
+         * @returns {Number} The value.
+         */
+        ProtobufReader.prototype.readVarint = function () {
+            var value = 0, multiplier = 1, b;
+
+            do {
+                if (this.position >= this.end) {
+                    throw new Error("Truncated Protocol Buffers message.");
+                }
+
+                b = this.bytes[this.position++];
+                value += (b & 0x7f) * multiplier;
+                multiplier *= 128;
+            } while (b & 0x80);
+
+            return value;
+        };
+
+        /**
+         * Reads a two's complement signed varint, the encoding of the int32 and int64 fields. Negative values are
+         * encoded as 64-bit integers. Values beyond 2^53 lose precision.
+         * @returns {Number} The value.
+         */
+        ProtobufReader.prototype.readSignedVarint = function () {
+            // The low and the high 32 bits are read separately so that the negative values keep their precision.
+            var low = 0, high = 0, index = 0, b;
+
+            do {
+                if (this.position >= this.end) {
+                    throw new Error("Truncated Protocol Buffers message.");
+                }
+
+                b = this.bytes[this.position++];
+                if (index < 4) {
+                    low |= (b & 0x7f) << (7 * index);
+                } else if (index === 4) {
+                    low |= (b & 0x0f) << 28;
+                    high |= (b & 0x7f) >> 4;
+                } else if (index < 10) {
+                    high |= (b & 0x7f) << (7 * index - 32);
+                }
+                index++;
+            } while (b & 0x80);
+
+            low >>>= 0;
+            high >>>= 0;
+
+            if (high & 0x80000000) {
+                return -((~high >>> 0) * 4294967296 + (~low >>> 0) + 1);
+            }
+
+            return high * 4294967296 + low;
+        };
+
+        /**
+         * Reads a zigzag encoded signed varint, the encoding of the sint32 and sint64 fields.
+         * @returns {Number} The value.
+         */
+        ProtobufReader.prototype.readSVarint = function () {
+            return ProtobufReader.zigzagDecode(this.readVarint());
+        };
+
+        /**
+         * Reads a 32-bit floating point value.
+         * @returns {Number} The value.
+         */
+        ProtobufReader.prototype.readFloat = function () {
+            var value = new DataView(this.bytes.buffer, this.bytes.byteOffset + this.position, 4).getFloat32(0, true);
+            this.position += 4;
+            return value;
+        };
+
+        /**
+         * Reads a 64-bit floating point value.
+         * @returns {Number} The value.
+         */
+        ProtobufReader.prototype.readDouble = function () {
+            var value = new DataView(this.bytes.buffer, this.bytes.byteOffset + this.position, 8).getFloat64(0, true);
+            this.position += 8;
+            return value;
+        };
+
+        /**
+         * Reads an UTF-8 string.
+         * @returns {String} The string.
+         */
+        ProtobufReader.prototype.readString = function () {
+            var length = this.readVarint(),
+                start = this.position;
+
+            this.position += length;
+
+            return ProtobufReader.decodeUtf8(this.bytes, start, this.position);
+        };
+
+        /**
+         * Reads an embedded message.
+         * @returns {ProtobufReader} The reader of the embedded message.
+         */
+        ProtobufReader.prototype.readMessage = function () {
+            var length = this.readVarint(),
+                start = this.position;
+
+            this.position += length;
+
+            return new ProtobufReader(this.bytes, start, this.position);
+        };
+
+        /**
+         * Reads a repeated field of varints, which is either packed or a single value.
+         * @param {Boolean} signed Whether the varints are zigzag encoded.
+         * @returns {Number[]} The values.
+         */
+        ProtobufReader.prototype.readPackedVarints = function (signed) {
+            var values = [];
+
+            if (this.wireType !== ProtobufReader.LENGTH_DELIMITED) {
+                values.push(signed ? this.readSVarint() : this.readVarint());
+                return values;
+            }
+
+            var end = this.readVarint() + this.position;
+            while (this.position < end) {
+                values.push(signed ? this.readSVarint() : this.readVarint());
+            }
+
+            return values;
+        };
+
+        /**
+         * Skips the value of the field whose tag was read last.
+         * @throws {Error} If the wire type of the field is unsupported.
+         */
+        ProtobufReader.prototype.skip = function () {
+            switch (this.wireType) {
+                case ProtobufReader.VARINT:
+                    this.readVarint();
+                    break;
+                case ProtobufReader.FIXED64:
+                    this.position += 8;
+                    break;
+                case ProtobufReader.LENGTH_DELIMITED:
+                    this.position += this.readVarint();
+                    break;
+                case ProtobufReader.FIXED32:
+                    this.position += 4;
+                    break;
+                default:
+                    throw new Error("Unsupported Protocol Buffers wire type " + this.wireType + ".");
+            }
+        };
+
+        // Internal use only.
+        ProtobufReader.zigzagDecode = function (value) {
+            return value % 2 === 1 ? (value + 1) / -2 : value / 2;
+        };
+
+        // Internal use only. Decodes the UTF-8 bytes, including the four byte sequences of the supplementary
+        // characters.
+        ProtobufReader.decodeUtf8 = function (bytes, start, end) {
+            var string = "", i = start;
+
+            while (i < end) {
+                var b0 = bytes[i++], codePoint;
+
+                if (b0 < 0x80) {
+                    codePoint = b0;
+                } else if (b0 < 0xe0) {
+                    codePoint = ((b0 & 0x1f) << 6) | (bytes[i++] & 0x3f);
+                } else if (b0 < 0xf0) {
+                    codePoint = ((b0 & 0x0f) << 12) | ((bytes[i++] & 0x3f) << 6) | (bytes[i++] & 0x3f);
+                } else {
+                    codePoint = ((b0 & 0x07) << 18) | ((bytes[i++] & 0x3f) << 12) | ((bytes[i++] & 0x3f) << 6) |
+                        (bytes[i++] & 0x3f);
+                }
+
+                if (codePoint > 0xffff) {
+                    codePoint -= 0x10000;
+                    string += String.fromCharCode(0xd800 + (codePoint >> 10), 0xdc00 + (codePoint & 0x3ff));
+                } else {
+                    string += String.fromCharCode(codePoint);
+                }
+            }
+
+            return string;
+        };
+
+        return ProtobufReader;
+    }
+);
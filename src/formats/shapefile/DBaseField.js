@@ -129,10 +129,10 @@ define(['../../error/ArgumentError',
             this.typeCode = String.fromCharCode(buffer.getByte());
             this.type = DBaseField.getFieldType(this.typeCode);
             if (this.type == null) {
-                // TODO: firgure out type of error.
-                throw new Error(
-                    Logger.log(Logger.LEVEL_SEVERE, "Shapefile dBase encountered unsupported field type: " + this.typeCode)
-                );
+                // The values of the field are skipped by the records.
+                Logger.log(Logger.LEVEL_WARNING,
+                    "Shapefile dBase encountered unsupported field type: " + this.typeCode + ". Field " + this.name +
+                    " is skipped.");
             }
 
             // Skip four byte field address.
@@ -161,6 +161,16 @@ define(['../../error/ArgumentError',
                     return DBaseField.TYPE_BOOLEAN;
                 case 'N':
                     return DBaseField.TYPE_NUMBER;
+                case 'M':
+                    return DBaseField.TYPE_MEMO;
+                case 'I':
+                    return DBaseField.TYPE_INTEGER;
+                case 'B':
+                    return DBaseField.TYPE_BINARY;
+                case '@':
+                    return DBaseField.TYPE_TIMESTAMP;
+                case 'O':
+                    return DBaseField.TYPE_DOUBLE;
                 default:
                     return null;
             }
@@ -198,6 +208,38 @@ define(['../../error/ArgumentError',
          */
         DBaseField.TYPE_BOOLEAN = "DBase.FieldTypeBoolean";
 
+        /**
+         * The description of a memo field. Its values are the numbers of the blocks of the memo file (.dbt or .fpt)
+         * containing the memos. Memo files are not read, so the text of the memos is not available.
+         * @type {String}
+         */
+        DBaseField.TYPE_MEMO = "DBase.FieldTypeMemo";
+
+        /**
+         * The description of a binary integer field.
+         * @type {String}
+         */
+        DBaseField.TYPE_INTEGER = "DBase.FieldTypeInteger";
+
+        /**
+         * The description of a binary field. Fields of eight bytes contain binary floating point numbers, others
+         * contain the numbers of the blocks of the memo file.
+         * @type {String}
+         */
+        DBaseField.TYPE_BINARY = "DBase.FieldTypeBinary";
+
+        /**
+         * The description of a timestamp field.
+         * @type {String}
+         */
+        DBaseField.TYPE_TIMESTAMP = "DBase.FieldTypeTimestamp";
+
+        /**
+         * The description of a binary floating point field.
+         * @type {String}
+         */
+        DBaseField.TYPE_DOUBLE = "DBase.FieldTypeDouble";
+
         /**
          * The length of the name field.
          * @type {Number}
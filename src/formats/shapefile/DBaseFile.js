@@ -34,7 +34,11 @@ define(['../../error/ArgumentError',
          * It is called by {@link {Shapefile} to read attributes for shapes.
          * @alias DBaseFile
          * @constructor
-         * @classdesc Parses a dBase file.
+         * @classdesc Parses a dBase file. The strings of the file are decoded using the code page identified by the
+         * language driver of its header, unless a code page is specified by {@link DBaseFile#setCodePage} or a
+         * code page file is requested by {@link DBaseFile#codePageUrl}. Memo fields are read as the numbers of
+         * the blocks of the memo file containing the memos; memo files are not read. Empty values, except those of
+         * character fields, are read as null; see {@link DBaseRecord#values}.
          * @param {String} url The location of the dBase file.
          * @throws {ArgumentError} If the specified URL is null or undefined.
          */
@@ -61,6 +65,19 @@ define(['../../error/ArgumentError',
             this.numRecordsRead = 0;
 
             this._completionCallback = null;
+
+            /**
+             * The location of the code page file (.cpg) accompanying this dBase file. When specified, the code page
+             * file is requested before the dBase file is loaded. Most dBase files don't have one, therefore none is
+             * requested by default.
+             * @type {String}
+             * @default null
+             */
+            this.codePageUrl = null;
+
+            // Internal use only. Intentionally not documented.
+            // Decoder of the strings of a file using a code page other than ASCII.
+            this._decoder = null;
         };
 
         /**
@@ -142,7 +159,38 @@ define(['../../error/ArgumentError',
         DBaseFile.prototype.load = function(completionCallback) {
             this._completionCallback = completionCallback;
 
-            this.requestUrl(this.url);
+            if (this.codePageUrl) {
+                this.requestCodePage(this.codePageUrl, (function () {
+                    this.requestUrl(this.url);
+                }).bind(this));
+            }
+            else {
+                this.requestUrl(this.url);
+            }
+        };
+
+        /**
+         * Internal use only.
+         * Request the code page file accompanying the dBase file. Its absence isn't reported, the code page
+         * identified by the header is then used.
+         * @param {String} url The URL of the code page file.
+         * @param {Function} callback The function called once the code page file is read or found missing.
+         */
+        DBaseFile.prototype.requestCodePage = function(url, callback) {
+            var xhr = new XMLHttpRequest();
+
+            xhr.open("GET", url, true);
+            xhr.onreadystatechange = (function () {
+                if (xhr.readyState === 4) {
+                    if (xhr.status === 200) {
+                        this.setCodePage(xhr.responseText);
+                    }
+
+                    callback();
+                }
+            }).bind(this);
+
+            xhr.send(null);
         };
 
         /**
@@ -158,9 +206,7 @@ define(['../../error/ArgumentError',
             xhr.onreadystatechange = (function () {
                 if (xhr.readyState === 4) {
                     if (xhr.status === 200) {
-                        this._buffer = new ByteBuffer(xhr.response);
-
-                        this.parse();
+                        this.parseArrayBuffer(xhr.response);
 
                         if (!!this._completionCallback) {
                             this._completionCallback(this);
@@ -196,6 +242,39 @@ define(['../../error/ArgumentError',
             xhr.send(null);
         };
 
+        /**
+         * Specifies the code page of the strings of the dBase file, as specified by the content of the code page
+         * file (.cpg) accompanying it. Code pages not supported by the browser are ignored with a warning, as are
+         * all code pages in browsers lacking TextDecoder. The strings are then read one character per byte.
+         * @param {String} codePage The code page, e.g. "UTF-8", "1252" or "ISO 8859-1".
+         */
+        DBaseFile.prototype.setCodePage = function(codePage) {
+            var label = DBaseFile.codePageLabel(codePage);
+            if (label && typeof TextDecoder === "undefined") {
+                Logger.log(Logger.LEVEL_WARNING, "DBaseFile code page is not supported by this browser: " + codePage);
+                this._decoder = null;
+                return;
+            }
+
+            try {
+                this._decoder = label ? new TextDecoder(label) : null;
+            }
+            catch (e) {
+                Logger.log(Logger.LEVEL_WARNING, "DBaseFile code page is not supported: " + codePage);
+                this._decoder = null;
+            }
+        };
+
+        /**
+         * Parse the dBase file from its content.
+         * @param {ArrayBuffer} arrayBuffer The content of the dBase file.
+         */
+        DBaseFile.prototype.parseArrayBuffer = function(arrayBuffer) {
+            this._buffer = new ByteBuffer(arrayBuffer);
+
+            this.parse();
+        };
+
         /**
          * Parse the dBase file.
          */
@@ -216,7 +295,8 @@ define(['../../error/ArgumentError',
          *      lastModificationDate: {year: number, month: number, day: Number},
          *      numberOfRecords: Number,
          *      headerLength: Number,
-         *      recordLength: Number
+         *      recordLength: Number,
+         *      languageDriver: Number
          * }}
          */
         DBaseFile.prototype.readHeader = function(buffer) {
@@ -224,9 +304,9 @@ define(['../../error/ArgumentError',
 
             buffer.order(ByteBuffer.LITTLE_ENDIAN);
 
-            // Read file code - first byte
+            // Read file code - first byte. Its high bits flag memo and SQL tables, the low bits are the version.
             var fileCode = buffer.getByte();
-            if (fileCode > 5) {
+            if ((fileCode & 0x07) > 5) {
                 // Let the caller catch and log the message.
                 // TODO: ??? determine correct type of error
                 throw new Error("???");
@@ -247,6 +327,13 @@ define(['../../error/ArgumentError',
             // Record length
             var recordLength = buffer.getInt16();
 
+            // Language driver identifying the code page, unless it's specified by a code page file.
+            buffer.seek(pos + 29);
+            var languageDriver = buffer.getByte();
+            if (!this._decoder && DBaseFile.LANGUAGE_DRIVER_CODE_PAGES[languageDriver]) {
+                this.setCodePage(DBaseFile.LANGUAGE_DRIVER_CODE_PAGES[languageDriver]);
+            }
+
             var date = {
                 year: 1900 + yy,
                 month: mm - 1,
@@ -259,7 +346,8 @@ define(['../../error/ArgumentError',
                 'lastModificationDate': date,
                 'numberOfRecords': numRecords,
                 'headerLength': headerLength,
-                'recordLength': recordLength
+                'recordLength': recordLength,
+                'languageDriver': languageDriver
             };
 
             buffer.seek(pos + DBaseFile.FIXED_HEADER_LENGTH); // Move to end of header.
@@ -331,14 +419,22 @@ define(['../../error/ArgumentError',
                 return 0;
             }
 
-            var string = "";
+            var string = "",
+                bytes = [];
 
             for (var length = 0; length < maxLength; length += 1) {
                 var byte = buffer.getByte();
                 if (byte == 0) {
                     break;
                 }
-                string += String.fromCharCode(byte);
+                bytes.push(byte);
+            }
+
+            if (this._decoder) {
+                string = this._decoder.decode(new Uint8Array(bytes));
+            }
+            else {
+                string = String.fromCharCode.apply(null, bytes);
             }
 
             if (this.isStringEmpty(string))
@@ -377,6 +473,70 @@ define(['../../error/ArgumentError',
             return true;
         };
 
+        /**
+         * Translates the content of a code page file (.cpg) to the corresponding encoding label of TextDecoder.
+         * @param {String} codePage The code page, e.g. "UTF-8", "1252" or "ISO 8859-1".
+         * @returns {String} The encoding label, or null if no code page is specified.
+         */
+        DBaseFile.codePageLabel = function(codePage) {
+            var text = (codePage || "").trim().toUpperCase(),
+                match;
+
+            if (!text) {
+                return null;
+            }
+
+            if (/^(UTF-?8|65001)$/.test(text)) {
+                return "utf-8";
+            }
+
+            if ((match = text.match(/^(?:ISO[-_ ]?)?8859[-_ ]?(\d{1,2})$/))) {
+                return "iso-8859-" + match[1];
+            }
+
+            if ((match = text.match(/^(?:ANSI |CP|WINDOWS-)?(\d{3,4})$/))) {
+                return DBaseFile.WINDOWS_CODE_PAGES[match[1]] || "windows-" + match[1];
+            }
+
+            return text.toLowerCase();
+        };
+
+        // Internal use only. Intentionally not documented.
+        // Encoding labels of the numbered code pages not named after Windows.
+        DBaseFile.WINDOWS_CODE_PAGES = {
+            "866": "ibm866",
+            "932": "shift_jis",
+            "936": "gbk",
+            "949": "euc-kr",
+            "950": "big5"
+        };
+
+        /**
+         * Code pages identified by the language driver IDs of the dBase file header. Only the code pages supported
+         * by browsers are listed.
+         * @type {Object}
+         */
+        DBaseFile.LANGUAGE_DRIVER_CODE_PAGES = {
+            0x03: "1252",
+            0x13: "932",
+            0x26: "866",
+            0x4D: "936",
+            0x4E: "949",
+            0x4F: "950",
+            0x57: "1252",
+            0x58: "1252",
+            0x59: "1252",
+            0x65: "866",
+            0x7C: "874",
+            0x7D: "1255",
+            0x7E: "1256",
+            0xC8: "1250",
+            0xC9: "1251",
+            0xCA: "1254",
+            0xCB: "1253",
+            0xCC: "1257"
+        };
+
         /**
          * The length of a dBase file header.
          * @type {Number}
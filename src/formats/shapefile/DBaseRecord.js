@@ -65,6 +65,13 @@ define(['../../error/ArgumentError',
 
             //DateFormat dateformat = new SimpleDateFormat("yyyyMMdd");
 
+            /**
+             * The values of the fields of the record, keyed by field name. Fields left empty, or filled by "*" or
+             * "?" characters, have a null value, except the character fields whose value is the empty string. Note
+             * that empty numeric fields were read as 0, empty logical fields as false and empty dates as invalid
+             * dates by previous versions.
+             * @type {Object}
+             */
             this.values = null;
 
             this.readFromBuffer(dbaseFile, buffer, recordNumber);
@@ -97,6 +104,8 @@ define(['../../error/ArgumentError',
 
             this.recordNumber = recordNumber;
 
+            var recordStart = buffer.position;
+
             // Read deleted record flag.
             var b = buffer.getByte();
             this.deleted = (b == 0x2A);
@@ -106,40 +115,87 @@ define(['../../error/ArgumentError',
             this.values = {};
 
             for (var idx = 0, len = fields.length; idx < len; idx += 1) {
-                var field = fields[idx];
-
-                var key = field.getName();
+                var field = fields[idx],
+                    fieldStart = buffer.position;
 
-                var value = dbaseFile.readNullTerminatedString(buffer, field.getLength()).trim();
-
-                try {
-                    if (field.getType() == DBaseField.TYPE_BOOLEAN) {
-                        var firstChar = value.charAt(0);
-                        this.values[key] = firstChar == 't' || firstChar == 'T' || firstChar == 'Y' || firstChar == 'y';
-                    }
-                    else if (field.getType() == DBaseField.TYPE_CHAR) {
-                        this.values[key] = value;
+                if (field.getType() != null) {
+                    try {
+                        this.values[field.getName()] = DBaseRecord.readValue(dbaseFile, buffer, field);
                     }
-                    else if (field.getType() == DBaseField.TYPE_DATE) {
-                        this.values[key] = new Date(value);
+                    catch (e) {
+                        // Log warning but keep reading.
+                        Logger.log(Logger.LEVEL_WARNING,
+                            "Shapefile attribute parsing error:" + field.toString() + " [" + e + "]");
                     }
-                    else if (field.getType() == DBaseField.TYPE_NUMBER) {
-                        this.values[key] = +value;
-                    }
-                }
-                catch (e) {
-                    // Log warning but keep reading.
-                    Logger.log(Logger.LEVEL_WARNING,
-                        "Shapefile attribute parsing error:" +
-                        field.toString() +
-                        " -> " +
-                        value.toString() +
-                        " [" + e + "]"
-                    );
                 }
+
+                // Fields of unsupported types are skipped.
+                buffer.seek(fieldStart + field.getLength());
             }
+
+            buffer.seek(recordStart + dbaseFile.getRecordLength());
         };
 
+        /**
+         * Reads the value of a field from the buffer. Empty values are read as null, including the values of
+         * numeric (N and F) fields, which were read as 0 by previous versions.
+         * @param {DBaseFile} dbaseFile The dBase file containing the field.
+         * @param {ByteBuffer} buffer The buffer descriptor positioned at the start of the value.
+         * @param {DBaseField} field The field to read.
+         * @returns {String|Number|Boolean|Date} The value of the field.
+         */
+        DBaseRecord.readValue = function(dbaseFile, buffer, field) {
+            var type = field.getType(),
+                length = field.getLength();
+
+            if (type == DBaseField.TYPE_INTEGER) {
+                return buffer.getInt32();
+            }
+            else if (type == DBaseField.TYPE_DOUBLE || (type == DBaseField.TYPE_BINARY && length == 8)) {
+                return buffer.getDouble();
+            }
+            else if (type == DBaseField.TYPE_TIMESTAMP) {
+                // Julian day number and milliseconds since midnight.
+                var day = buffer.getInt32(),
+                    milliseconds = buffer.getInt32();
+                return day == 0 ? null : new Date((day - DBaseRecord.JULIAN_DAY_OF_EPOCH) * 86400000 + milliseconds);
+            }
+            else if (type == DBaseField.TYPE_MEMO && length == 4) {
+                var block = buffer.getInt32();
+                return block == 0 ? null : block;
+            }
+
+            var value = dbaseFile.readNullTerminatedString(buffer, length).trim();
+
+            if (type == DBaseField.TYPE_CHAR) {
+                return value;
+            }
+
+            if (!value || /^[*?]+$/.test(value)) {
+                return null;
+            }
+
+            if (type == DBaseField.TYPE_BOOLEAN) {
+                var firstChar = value.charAt(0).toUpperCase();
+                return firstChar == 'T' || firstChar == 'Y' ? true : firstChar == 'F' || firstChar == 'N' ? false : null;
+            }
+            else if (type == DBaseField.TYPE_DATE) {
+                var match = value.match(/^(\d{4})(\d{2})(\d{2})$/);
+                return match ? new Date(+match[1], +match[2] - 1, +match[3]) : null;
+            }
+            else {
+                // Numbers and the numbers of memo blocks.
+                var number = +value;
+                return isNaN(number) ? null : number;
+            }
+        };
+
+        /**
+         * The Julian day number of January 1, 1970.
+         * @type {Number}
+         */
+        DBaseRecord.JULIAN_DAY_OF_EPOCH = 2440588;
+
         return DBaseRecord;
     }
 );
\ No newline at end of file
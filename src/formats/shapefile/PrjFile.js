@@ -18,12 +18,12 @@
  */
 define(['../../error/ArgumentError',
         '../../util/Logger',
-        '../../error/NotYetImplementedError'
+        '../../util/proj4-src'
     ],
 
     function (ArgumentError,
               Logger,
-              NotYetImplementedError) {
+              Proj4) {
         "use strict";
 
         /**
@@ -112,8 +112,7 @@ define(['../../error/ArgumentError',
             xhr.onreadystatechange = (function () {
                 if (xhr.readyState === 4) {
                     if (xhr.status === 200) {
-                        var text = String.fromCharCode.apply(null, new Uint8Array(xhr.response));
-                        this._params = this.decodeOGCCoordinateSystem(text);
+                        this.parseText(String.fromCharCode.apply(null, new Uint8Array(xhr.response)));
                     }
                     else {
                         Logger.log(Logger.LEVEL_WARNING,
@@ -145,11 +144,21 @@ define(['../../error/ArgumentError',
             xhr.send(null);
         };
 
+        /**
+         * Reads the coordinate system from the text of the projection file. Applications typically do not call this
+         * method. It is called by {@link Shapefile} for projection files read from a zip archive.
+         * @param {String} text The content of the projection file.
+         */
+        PrjFile.prototype.parseText = function(text) {
+            this._params = this.decodeOGCCoordinateSystem(text);
+        };
+
         /**
          * Retrieves the coordinate system and its parameters from an OGC coordinate system encoded as well-known text. For
          * details, see to the OGC Coordinate Transform Service (CT) specification at <a
          * href="https://www.opengeospatial.org/standards/ct">https://www.opengeospatial.org/standards/ct</a>. This recognizes
-         * Geographic and UTM coordinate systems.
+         * Geographic coordinate systems and the projected coordinate systems supported by Proj4. The name, zone and
+         * hemisphere of UTM projections are also identified.
          *
          * If an exception occurs while parsing the coordinate system text, the parameter list is left unchanged.
          *
@@ -166,64 +175,52 @@ define(['../../error/ArgumentError',
                 );
             }
 
-            var params = {};
+            var params = {},
+                wkt = text.trim();
 
             // Convert the coordinate system text to upper case. The coordinate system regular expressions match against
             // upper case characters.
-            text = text.trim().toUpperCase();
+            text = wkt.toUpperCase();
 
-            if (PrjFile.GEOGCS_WKT_PATTERN.test(text)) {
-                params[PrjFile.COORDINATE_SYSTEM] = PrjFile.COORDINATE_SYSTEM_GEOGRAPHIC;
-            }
-            else {
-                var result = text.match(PrjFile.PROJCS_WKT_PATTERN);
-                if (!!result) {
-                    params[PrfFile.COORDINATE_SYSTEM] = PrjFile.COORDINATE_SYSTEM_PROJECTED;
-
-                    throw new NotYetImplementedError(Logger.log(Logger.LEVEL_SEVERE,
-                        "PrjFile implementation  for projected coordinate systems in incomplete."));
-                    // TODO: Complete the implementation; the Java implementation is summarized below.
-                    //String
-                    //csText = csMatcher.group(1);
-                    //Matcher
-                    //projMatcher = UTM_NAME_WKT_PATTERN.matcher(csText);
-                    //if (projMatcher.matches()) {
-                    //    params.setValue(AVKey.PROJECTION_NAME, AVKey.PROJECTION_UTM);
-                    //
-                    //    // Parse the UTM zone from the coordinate system name.
-                    //    String
-                    //    s = projMatcher.group(1);
-                    //    if (s != null) {
-                    //        Integer
-                    //        i = WWUtil.makeInteger(s.trim());
-                    //        if (i != null && i >= 1 && i <= 60)
-                    //            params.setValue(AVKey.PROJECTION_ZONE, i);
-                    //    }
-                    //
-                    //    if (params.getValue(AVKey.PROJECTION_ZONE) == null)
-                    //        Logging.logger().warning(Logging.getMessage("generic.ZoneIsInvalid", s));
-                    //
-                    //    // Parse the UTM hemisphere form the coordinate system name.
-                    //    s = projMatcher.group(2);
-                    //    if (s != null) {
-                    //        s = s.trim();
-                    //        if (s.startsWith("N") || s.startsWith("n"))
-                    //            params.setValue(AVKey.PROJECTION_HEMISPHERE, AVKey.NORTH);
-                    //        else if (s.startsWith("S") || s.startsWith("s"))
-                    //            params.setValue(AVKey.PROJECTION_HEMISPHERE, AVKey.SOUTH);
-                    //    }
-                    //
-                    //    if (params.getValue(AVKey.PROJECTION_HEMISPHERE) == null)
-                    //        Logging.logger().warning(Logging.getMessage("generic.HemisphereIsInvalid", s));
-                    //}
-                    //else {
-                    //    params.setValue(AVKey.PROJECTION_NAME, AVKey.PROJECTION_UNKNOWN);
-                    //}
+            if (PrjFile.PROJCS_WKT_PATTERN.test(text)) {
+                params[PrjFile.COORDINATE_SYSTEM] = PrjFile.COORDINATE_SYSTEM_PROJECTED;
+
+                var utmName = text.match(PrjFile.UTM_NAME_WKT_PATTERN);
+                if (!!utmName) {
+                    params[PrjFile.PROJECTION_NAME] = PrjFile.PROJECTION_UTM;
+
+                    var zone = parseInt(utmName[1], 10);
+                    if (zone >= 1 && zone <= 60) {
+                        params[PrjFile.PROJECTION_ZONE] = zone;
+                    }
+
+                    var hemisphere = utmName[2].trim();
+                    if (hemisphere.indexOf("N") === 0) {
+                        params[PrjFile.PROJECTION_HEMISPHERE] = PrjFile.PROJECTION_HEMISPHERE_NORTH;
+                    } else if (hemisphere.indexOf("S") === 0) {
+                        params[PrjFile.PROJECTION_HEMISPHERE] = PrjFile.PROJECTION_HEMISPHERE_SOUTH;
+                    }
                 }
                 else {
+                    params[PrjFile.PROJECTION_NAME] = PrjFile.PROJECTION_UNKNOWN;
+                }
+
+                // Proj4 reads the projection from the well-known text in its original case.
+                try {
+                    params[PrjFile.PROJECTION_CONVERTER] = Proj4(wkt, PrjFile.WGS84_DEFINITION);
+                    params[PrjFile.PROJECTION_DEFINITION] = wkt;
+                }
+                catch (e) {
+                    Logger.log(Logger.LEVEL_WARNING, "Unsupported projected coordinate system: " + wkt);
                     params[PrjFile.COORDINATE_SYSTEM] = PrjFile.COORDINATE_SYSTEM_UNKNOWN;
                 }
             }
+            else if (PrjFile.GEOGCS_WKT_PATTERN.test(text)) {
+                params[PrjFile.COORDINATE_SYSTEM] = PrjFile.COORDINATE_SYSTEM_GEOGRAPHIC;
+            }
+            else {
+                params[PrjFile.COORDINATE_SYSTEM] = PrjFile.COORDINATE_SYSTEM_UNKNOWN;
+            }
 
             return params;
         };
@@ -233,7 +230,7 @@ define(['../../error/ArgumentError',
          * @returns {Boolean} True if an unknown coordinate system was encountered.
          */
         PrjFile.prototype.isUnknownCoordinateSystem = function() {
-            return !this.params || this.params.coordinateSystem === PrjFile.COORDINATE_SYSTEM_UNKNOWN;
+            return !this.params || this.coordinateSystem === PrjFile.COORDINATE_SYSTEM_UNKNOWN;
         };
 
         /**
@@ -241,7 +238,7 @@ define(['../../error/ArgumentError',
          * @returns {Boolean} True if a known coordinate system was encountered.
          */
         PrjFile.prototype.isKnownCoordinateSystem = function() {
-            return !!this.params && this.params.coordinateSystem !== PrjFile.COORDINATE_SYSTEM_UNKNOWN;
+            return !!this.params && this.coordinateSystem !== PrjFile.COORDINATE_SYSTEM_UNKNOWN;
         };
 
         /**
@@ -249,7 +246,7 @@ define(['../../error/ArgumentError',
          * @returns {Boolean} True if a geographic coordinate system was encountered.
          */
         PrjFile.prototype.isGeographicCoordinateSystem = function() {
-            return !!this.params && this.params.coordinateSystem === PrjFile.COORDINATE_SYSTEM_GEOGRAPHIC;
+            return !!this.params && this.coordinateSystem === PrjFile.COORDINATE_SYSTEM_GEOGRAPHIC;
         };
 
         /**
@@ -257,7 +254,30 @@ define(['../../error/ArgumentError',
          * @returns {boolean} True if a projected coordinate system was encountered.
          */
         PrjFile.prototype.isProjectedCoordinateSystem = function() {
-            return !!this.params && this.params.coordinateSystem === PrjFile.COORDINATE_SYSTEM_PROJECTED;
+            return !!this.params && this.coordinateSystem === PrjFile.COORDINATE_SYSTEM_PROJECTED;
+        };
+
+        /**
+         * Converts projected coordinates of this projection file's coordinate system to geographic coordinates. The
+         * coordinates are modified in place.
+         * @param {Number[]} array Pairs of projected coordinates, where the x coordinate is the first value of the
+         * pair and the y coordinate is the second value of the pair. They are replaced by the longitude and latitude
+         * of the location in the WGS84 datum.
+         * @returns {Number[]} The specified array.
+         */
+        PrjFile.prototype.reprojectLocations = function(array) {
+            var converter = this.params && this.params[PrjFile.PROJECTION_CONVERTER];
+            if (!converter) {
+                return array;
+            }
+
+            for (var idx = 0, len = array.length; idx < len; idx += 2) {
+                var location = converter.forward([array[idx], array[idx + 1]]);
+                array[idx] = location[0];
+                array[idx + 1] = location[1];
+            }
+
+            return array;
         };
 
         /** Pattern matching the geographic coordinate system keyword in an OGC coordinate system well-known text. */
@@ -305,6 +325,30 @@ define(['../../error/ArgumentError',
          */
         PrjFile.PROJECTION_UTM = 'Projection_UTM';
 
+        /**
+         * A projection descriptor for projections other than UTM.
+         * @type {String}
+         */
+        PrjFile.PROJECTION_UNKNOWN = 'Projection_unknown';
+
+        /**
+         * The key for the well-known text of the projected coordinate system, as read by Proj4.
+         * @type {String}
+         */
+        PrjFile.PROJECTION_DEFINITION = 'Projection_definition';
+
+        /**
+         * The key for the Proj4 converter from the projected coordinate system to geographic coordinates.
+         * @type {String}
+         */
+        PrjFile.PROJECTION_CONVERTER = 'Projection_converter';
+
+        /**
+         * The Proj4 definition of the geographic coordinate system to which projected coordinates are converted.
+         * @type {String}
+         */
+        PrjFile.WGS84_DEFINITION = 'EPSG:4326';
+
         /**
          * The key for the UTM projection zone.
          * @type {String}
@@ -21,10 +21,11 @@ define([
         '../../error/ArgumentError',
         '../../util/ByteBuffer',
         '../../util/Color',
+        '../../shapes/DataDrivenStyle',
         '../../formats/shapefile/DBaseFile',
+        '../../util/jszip',
         '../../geom/Location',
         '../../util/Logger',
-        '../../error/NotYetImplementedError',
         '../../shapes/Path',
         '../../shapes/Placemark',
         '../../shapes/PlacemarkAttributes',
@@ -46,10 +47,11 @@ define([
               ArgumentError,
               ByteBuffer,
               Color,
+              DataDrivenStyle,
               DBaseFile,
+              JsZip,
               Location,
               Logger,
-              NotYetImplementedError,
               Path,
               Placemark,
               PlacemarkAttributes,
@@ -85,7 +87,13 @@ define([
          * shape. An argument to this function provides any attributes specified in an attribute file (.dbf)
          * accompanying the shapefile. That attribute file is automatically detected, retrieved and parsed along
          * with the shapefile.
-         * @param {String} url The location of the shapefile.
+         * <p>
+         * The shapefile may also be read from a zip archive containing the shapefile and its accompanying
+         * attribute (.dbf), projection (.prj) and code page (.cpg) files. The archive is specified either by its
+         * URL, which must end with ".zip", or by its content, as an ArrayBuffer or a Blob such as a File chosen by
+         * the user.
+         * @param {String|ArrayBuffer|Blob} url The location of the shapefile, or the location or the content of a zip
+         * archive containing it.
          * @throws {ArgumentError} If the specified URL is null or undefined.
          */
         var Shapefile = function (url) {
@@ -95,7 +103,11 @@ define([
             }
 
             // Documented in defineProperties below.
-            this._url = url;
+            this._url = typeof url === "string" ? url : null;
+
+            // Internal use only. Intentionally not documented.
+            // The zip archive containing the shapefile, as a URL, an ArrayBuffer or a Blob.
+            this._zipSource = Shapefile.isZipSource(url) ? url : null;
 
             // Documented in defineProperties below.
             this._shapeType = null;
@@ -112,10 +124,11 @@ define([
             this._buffer = null;
 
             // Internal use only. Intentionally not documented.
-            this.attributeFile = new DBaseFile(url.replace(".shp", ".dbf"));
+            // The attribute and projection files of a zip archive are created when the archive is read.
+            this.attributeFile = this._zipSource ? null : new DBaseFile(url.replace(".shp", ".dbf"));
 
             // Internal use only. Intentionally not documented.
-            this.projectionFile = new PrjFile(url.replace(".shp", ".prj"));
+            this.projectionFile = this._zipSource ? null : new PrjFile(url.replace(".shp", ".prj"));
 
             this.defaultPlacemarkAttributes = new PlacemarkAttributes(null);
             this.defaultShapeAttributes = new ShapeAttributes(null);
@@ -123,7 +136,8 @@ define([
 
         Object.defineProperties(Shapefile.prototype, {
             /**
-             * The shapefile URL as specified to this shapefile's constructor.
+             * The shapefile URL as specified to this shapefile's constructor. Null if the content of a zip archive
+             * was specified instead.
              * @memberof Shapefile.prototype
              * @type {String}
              * @readonly
@@ -210,15 +224,18 @@ define([
          * called, the layer containing the shapes is available via this shapefile's
          * [layer]{@link Shapefile#layer} property.
          *
-         * @param {Function} shapeConfigurationCallback An optional function called by the addRenderablesFor*
-         * methods just prior to creating a shape for the indicated shapefile record. This function
+         * @param {Function|DataDrivenStyle} shapeConfigurationCallback An optional function called by the
+         * addRenderablesFor* methods just prior to creating a shape for the indicated shapefile record. This function
          * can be used to assign attributes to newly created shapes. The callback function's first argument is an
          * object containing the properties read from the corresponding shapefile attributes file, if any.
          * This file, which has a .dbf suffix, is automatically detected, retrieved and parsed if it exists. The second
          * argument to the callback function is the {@link ShapefileRecord} currently being operated on. The return
          * value of the callback function must be either an object whose properties define attributes and other
-         * information for the shape, or null, in which case no shape is created for that record. See the following
-         * methods for descriptions of the configuration properties they recognize:
+         * information for the shape, or null, in which case no shape is created for that record. A
+         * {@link DataDrivenStyle} can be specified instead, in which case the shapes are configured by the
+         * [styledShapeConfigurationCallback]{@link Shapefile#styledShapeConfigurationCallback} and the style is
+         * assigned to the layer. See the following methods for descriptions of the configuration properties they
+         * recognize:
          * <ul>
          *     <li>[addRenderablesForPoint]{@link Shapefile#addRenderablesForPoints}</li>
          *     <li>[addRenderablesForMultiPoint]{@link Shapefile#addRenderablesForMultiPoints}</li>
@@ -235,12 +252,25 @@ define([
                 this._parserCompletionCallback = parserCompletionCallback;
             }
 
-            if (shapeConfigurationCallback) {
+            if (shapeConfigurationCallback instanceof DataDrivenStyle) {
+                this._shapeConfigurationCallback = this.styledShapeConfigurationCallback;
+            }
+            else if (shapeConfigurationCallback) {
                 this._shapeConfigurationCallback = shapeConfigurationCallback;
             }
 
             this._layer = layer || new RenderableLayer();
 
+            if (shapeConfigurationCallback instanceof DataDrivenStyle &&
+                this._layer.style !== shapeConfigurationCallback) {
+                this._layer.style = shapeConfigurationCallback;
+            }
+
+            if (this._zipSource) {
+                this.requestZip(this._zipSource);
+                return;
+            }
+
             // Load primary and secondary files in the following order:
             //      1) Projection file,
             //      2) Attribute file, and
@@ -294,7 +324,8 @@ define([
         Shapefile.prototype.defaultShapeConfigurationCallback = function (attributes, record) {
             var configuration = {};
 
-            var name = attributes.values.name || attributes.values.Name || attributes.values.NAME;
+            var values = attributes.values || {},
+                name = values.name || values.Name || values.NAME;
             if (name) {
                 configuration.name = name;
             }
@@ -307,7 +338,7 @@ define([
                 configuration.attributes = this.defaultShapeAttributes;
             } else if (record.isPolygonType()) {
                 configuration.attributes = this.defaultShapeAttributes;
-                var height = attributes.values.height || attributes.values.Height || attributes.values.HEIGHT;
+                var height = values.height || values.Height || values.HEIGHT;
                 if (height) {
                     configuration.height = height;
                 }
@@ -316,6 +347,23 @@ define([
             return configuration;
         };
 
+        /**
+         * The [shapeConfigurationCallback]{@link Shapefile#shapeConfigurationCallback} used if a
+         * {@link DataDrivenStyle} was specified to the [load]{@link Shapefile#load} method. In addition to the
+         * configuration of the [default callback]{@link Shapefile#defaultShapeConfigurationCallback}, it assigns the
+         * attribute values of the records to the userProperties of the shapes, which the style of the layer is
+         * applied to.
+         * @param {{}} attributes An object containing the attribute-value pairs found in the database file for the
+         * current record.
+         * @param {ShapefileRecord} record The current shapefile record.
+         * @returns {Object} An object with the configuration of the shape.
+         */
+        Shapefile.prototype.styledShapeConfigurationCallback = function (attributes, record) {
+            var configuration = this.defaultShapeConfigurationCallback(attributes, record);
+            configuration.userProperties = attributes.values || {};
+            return configuration;
+        };
+
         /**
          * Iterates over this shapefile's records and creates shapes for them. See the following methods for the
          * details of the shapes created and their use of the
@@ -732,6 +780,107 @@ define([
             xhr.send(null);
         };
 
+        // Intentionally not documented. Retrieves the content of the zip archive and reads the files it contains.
+        Shapefile.prototype.requestZip = function (source) {
+            if (source instanceof ArrayBuffer) {
+                this.parseZip(source);
+            }
+            else if (typeof source !== "string") {
+                var reader = new FileReader();
+                reader.onload = (function () {
+                    this.parseZip(reader.result);
+                }).bind(this);
+                reader.onerror = (function () {
+                    Logger.log(Logger.LEVEL_WARNING, "Shapefile archive can't be read: " + reader.error);
+
+                    if (!!this._parserCompletionCallback) {
+                        this._parserCompletionCallback(this);
+                    }
+                }).bind(this);
+                reader.readAsArrayBuffer(source);
+            }
+            else {
+                var xhr = new XMLHttpRequest();
+
+                xhr.open("GET", source, true);
+                xhr.responseType = 'arraybuffer';
+                xhr.onreadystatechange = (function () {
+                    if (xhr.readyState === 4) {
+                        if (xhr.status === 200) {
+                            this.parseZip(xhr.response);
+                        }
+                        else {
+                            Logger.log(Logger.LEVEL_WARNING,
+                                "Shapefile archive retrieval failed (" + xhr.statusText + "): " + source);
+
+                            if (!!this._parserCompletionCallback) {
+                                this._parserCompletionCallback(this);
+                            }
+                        }
+                    }
+                }).bind(this);
+
+                xhr.onerror = (function () {
+                    Logger.log(Logger.LEVEL_WARNING, "Shapefile archive retrieval failed: " + source);
+
+                    if (!!this._parserCompletionCallback) {
+                        this._parserCompletionCallback(this);
+                    }
+                }).bind(this);
+
+                xhr.send(null);
+            }
+        };
+
+        // Intentionally not documented. Reads the first shapefile of the zip archive together with the attribute,
+        // projection and code page files of the same name.
+        Shapefile.prototype.parseZip = function (arrayBuffer) {
+            try {
+                var zip = new JsZip(arrayBuffer),
+                    shpFile = null;
+
+                for (var key in zip.files) {
+                    if (zip.files.hasOwnProperty(key) && !zip.files[key].dir && /\.shp$/i.test(key)) {
+                        shpFile = zip.files[key];
+                        break;
+                    }
+                }
+
+                if (!shpFile) {
+                    Logger.log(Logger.LEVEL_WARNING, "Shapefile archive doesn't contain a shapefile");
+                }
+                else {
+                    var baseName = shpFile.name.slice(0, -4),
+                        dbfFile = Shapefile.zipEntry(zip, baseName + ".dbf"),
+                        prjFile = Shapefile.zipEntry(zip, baseName + ".prj"),
+                        cpgFile = Shapefile.zipEntry(zip, baseName + ".cpg");
+
+                    if (prjFile) {
+                        this.projectionFile = new PrjFile(prjFile.name);
+                        this.projectionFile.parseText(prjFile.asText());
+                    }
+
+                    if (dbfFile) {
+                        this.attributeFile = new DBaseFile(dbfFile.name);
+                        if (cpgFile) {
+                            this.attributeFile.setCodePage(cpgFile.asText());
+                        }
+                        this.attributeFile.parseArrayBuffer(dbfFile.asArrayBuffer());
+                    }
+
+                    this._buffer = new ByteBuffer(shpFile.asArrayBuffer());
+                    this.parse();
+                }
+            }
+            catch (e) {
+                Logger.log(Logger.LEVEL_WARNING, "Shapefile archive can't be read: " + e);
+            }
+
+            if (!!this._parserCompletionCallback) {
+                this._parserCompletionCallback(this);
+            }
+        };
+
         // Internal use only. Intentionally not documented.
         Shapefile.prototype.parse = function () {
             try {
@@ -850,7 +999,7 @@ define([
             if (coords[0] < -90) {
                 normalizedLat = Angle.normalizedDegreesLatitude(coords[0]);
 
-                coords[0] = 90;
+                coords[0] = -90;
                 isNormalized = true;
 
                 if (coords[1] < normalizedLat) {
@@ -883,31 +1032,30 @@ define([
 
         // Intentionally not documented.
         Shapefile.prototype.readProjectedBoundingRectangle = function (buffer) {
-            throw new NotYetImplementedError(
-                Logger.log(Logger.LEVEL_SEVERE, "Shapefile.readProjectedBoundingRectangle() not yet implemented"));
-
-            // TODO: complete the implementation; the Java implementation is summarized below.
-            //Object o = this.getValue(AVKey.PROJECTION_NAME);
-            //
-            //if (AVKey.PROJECTION_UTM.equals(o)) {
-            //    // Read the bounding rectangle coordinates in the following order: minEast, minNorth, maxEast, maxNorth.
-            //    var coords = ShapefileUtils.readDoubleArray(buffer, 4);
-            //    // Convert the UTM bounding rectangle to a geographic bounding rectangle. The zone and hemisphere parameters
-            //    // have already been validated in validateBounds.
-            //    var zone = (Integer) this.getValue(AVKey.PROJECTION_ZONE);
-            //    var hemisphere = (String) this.getValue(AVKey.PROJECTION_HEMISPHERE);
-            //    Sector sector = Sector.fromUTMRectangle(zone, hemisphere, coords[0], coords[2], coords[1], coords[3]);
-            //    // Return an array with bounding rectangle coordinates in the following order: minLon, maxLon, minLat, maxLat.
-            //    BoundingRectangle rect = new BoundingRectangle();
-            //    rect.coords = sector.toArrayDegrees();
-            //    return rect;
-            //}
-            //else {
-            //    // The Shapefile's coordinate system projection is unsupported. This should never happen because the
-            //    // projection is validated during initialization, but we check anyway. Let the caller catch and log the
-            //    // message.
-            //    throw new Error(Logger.log(Logger.LEVEL_SEVERE, "Shapefile has an unsupported projection"));
-            //}
+            // Read the bounding rectangle coordinates in the following order: minNorth, maxNorth, minEast, maxEast.
+            var coords = this.readBoundingRectangleCoordinates(buffer),
+                edgePoints = [],
+                samples = Shapefile.BOUNDING_RECTANGLE_EDGE_SAMPLES;
+
+            // The edges of the projected rectangle are usually curved in geographic coordinates, therefore points
+            // along all of its edges are converted rather than just its corners.
+            for (var i = 0; i <= samples; i++) {
+                var x = coords[2] + (coords[3] - coords[2]) * i / samples,
+                    y = coords[0] + (coords[1] - coords[0]) * i / samples;
+                edgePoints.push(x, coords[0], x, coords[1], coords[2], y, coords[3], y);
+            }
+            this.projectionFile.reprojectLocations(edgePoints);
+
+            // Return an array with bounding rectangle coordinates in the following order: minLat, maxLat, minLon, maxLon.
+            var rect = [90, -90, 180, -180];
+            for (var idx = 0, len = edgePoints.length; idx < len; idx += 2) {
+                rect[0] = Math.min(rect[0], edgePoints[idx + 1]);
+                rect[1] = Math.max(rect[1], edgePoints[idx + 1]);
+                rect[2] = Math.min(rect[2], edgePoints[idx]);
+                rect[3] = Math.max(rect[3], edgePoints[idx]);
+            }
+
+            return {'coords': rect, 'isNormalized': false};
         };
 
         // Intentionally not documented.
@@ -1176,9 +1324,30 @@ define([
             polygonM: Shapefile.POLYGON_M
         };
 
+        // Intentionally not documented. Indicates whether the source specified to the constructor is a zip archive.
+        Shapefile.isZipSource = function (source) {
+            return typeof source !== "string" || /\.zip$/i.test(source.split(/[?#]/)[0]);
+        };
+
+        // Intentionally not documented. Finds the file of the zip archive ignoring the case of its name.
+        Shapefile.zipEntry = function (zip, name) {
+            var lowerCaseName = name.toLowerCase();
+            for (var key in zip.files) {
+                if (zip.files.hasOwnProperty(key) && key.toLowerCase() === lowerCaseName) {
+                    return zip.files[key];
+                }
+            }
+
+            return null;
+        };
+
         // Intentionally not documented.
         Shapefile.FILE_CODE = 0x0000270A;
 
+        // Intentionally not documented. Number of segments of every edge of a projected bounding rectangle converted
+        // to geographic coordinates.
+        Shapefile.BOUNDING_RECTANGLE_EDGE_SAMPLES = 8;
+
         return Shapefile;
     }
 );
\ No newline at end of file
@@ -0,0 +1,640 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    '../../error/ArgumentError',
+    '../../util/jszip',
+    '../../util/Logger',
+    '../../shapes/Path',
+    '../../shapes/Placemark',
+    '../../shapes/Polygon',
+    './Shapefile',
+    '../../shapes/SurfacePolygon',
+    '../../shapes/SurfacePolyline'
+], function (ArgumentError,
+             JsZip,
+             Logger,
+             Path,
+             Placemark,
+             Polygon,
+             Shapefile,
+             SurfacePolygon,
+             SurfacePolyline) {
+    "use strict";
+
+    /**
+     * Provides export of geometries and their attributes to shapefiles. A shapefile consists of the shapes (.shp),
+     * the index of the shapes (.shx), the attributes (.dbf), the projection (.prj) and the code page of the
+     * attributes (.cpg). All the geometries of a shapefile have the same shape type. The coordinates are written
+     * as WGS84 longitudes and latitudes and the attributes are encoded as UTF-8. Numeric attributes are written
+     * with up to 8 decimals in fields of at most 19 characters. Decimals are dropped when the numbers don't fit
+     * otherwise and the numbers too large even without decimals are written empty; both are logged as warnings.
+     * <p>
+     * The renderables of layers can be exported as well. Placemarks are exported as points, Paths and
+     * SurfacePolylines as polylines and Polygons and SurfacePolygons as polygons. Other renderables are skipped.
+     * Primitive values from the userProperties of the renderable are exported as its attributes.
+     * @exports ShapefileExporter
+     */
+    var ShapefileExporter = {
+        /**
+         * Content of the projection file of the exported shapefiles.
+         * @type {String}
+         */
+        PRJ_WGS84: 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],' +
+        'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]',
+
+        /**
+         * Exports the geometries and their attributes as a shapefile.
+         * @param shapeType {String} Shape type of the geometries. One of Shapefile.POINT, Shapefile.MULTI_POINT,
+         * Shapefile.POLYLINE or Shapefile.POLYGON.
+         * @param geometries {Array} Geometries to export. A point is a Location, a multi-point is an array of
+         * Locations and polylines and polygons are either an array of Locations or an array of the arrays of
+         * Locations of their parts. The first part of a polygon is its outer boundary, the remaining parts are its
+         * holes. Null geometries are exported as null shapes.
+         * @param attributes {Object[]} Optional. Attributes of the geometries in the same order as the geometries.
+         * Every attribute is an object whose primitive values, numbers, booleans, strings and Dates, are exported.
+         * @returns {{shp: ArrayBuffer, shx: ArrayBuffer, dbf: ArrayBuffer, prj: String, cpg: String}} Content of
+         * the files of the shapefile.
+         * @throws {ArgumentError} If the shape type isn't supported or the geometries are null or undefined.
+         */
+        exportGeometries: function (shapeType, geometries, attributes) {
+            if (!ShapefileExporter.SHAPE_TYPE_CODES[shapeType]) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "ShapefileExporter", "exportGeometries",
+                        "Unsupported shape type: " + shapeType));
+            }
+
+            if (!geometries) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "ShapefileExporter", "exportGeometries",
+                        "The specified geometries are null or undefined."));
+            }
+
+            var records = geometries.map(function (geometry) {
+                return geometry ? geometryParts(shapeType, geometry) : null;
+            });
+
+            var shapes = writeShapes(ShapefileExporter.SHAPE_TYPE_CODES[shapeType], records);
+
+            return {
+                shp: shapes.shp,
+                shx: shapes.shx,
+                dbf: writeAttributes(attributes || [], geometries.length),
+                prj: ShapefileExporter.PRJ_WGS84,
+                cpg: "UTF-8"
+            };
+        },
+
+        /**
+         * Exports the geometries and their attributes as a zip archive containing the files of the shapefile.
+         * @param shapeType {String} Shape type of the geometries. See
+         * [exportGeometries]{@link ShapefileExporter#exportGeometries}.
+         * @param geometries {Array} Geometries to export.
+         * @param attributes {Object[]} Optional. Attributes of the geometries.
+         * @param name {String} Optional. Name of the files in the archive. Default is "shapes".
+         * @param type {String} Optional. Type of the generated archive as accepted by JSZip, for example blob,
+         * arraybuffer or base64. Default is blob.
+         * @returns {Blob|ArrayBuffer|String} Zip archive of the requested type.
+         * @throws {ArgumentError} If the shape type isn't supported or the geometries are null or undefined.
+         */
+        exportGeometriesToZip: function (shapeType, geometries, attributes, name, type) {
+            var zip = new JsZip();
+            addToZip(zip, name || "shapes", ShapefileExporter.exportGeometries(shapeType, geometries, attributes));
+            return zip.generate({type: type || "blob", compression: "DEFLATE"});
+        },
+
+        /**
+         * Exports the renderables as shapefiles. As a shapefile contains a single shape type, a shapefile is
+         * created for every shape type of the renderables.
+         * @param renderables {Renderable[]} Renderables to export.
+         * @returns {Object} Files of the shapefiles as returned by
+         * [exportGeometries]{@link ShapefileExporter#exportGeometries} keyed by Shapefile.POINT,
+         * Shapefile.POLYLINE and Shapefile.POLYGON. Only shape types present in the renderables are included.
+         * @throws {ArgumentError} If the renderables are null or undefined.
+         */
+        exportRenderables: function (renderables) {
+            if (!renderables) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "ShapefileExporter", "exportRenderables",
+                        "The specified renderables are null or undefined."));
+            }
+
+            var geometries = {}, attributes = {}, result = {};
+            renderables.forEach(function (renderable) {
+                var shape = renderableShape(renderable);
+                if (!shape) {
+                    Logger.logMessage(Logger.LEVEL_WARNING, "ShapefileExporter", "exportRenderables",
+                        "Renderable " + renderable.displayName + " isn't supported by the export.");
+                    return;
+                }
+
+                if (!geometries[shape.type]) {
+                    geometries[shape.type] = [];
+                    attributes[shape.type] = [];
+                }
+                geometries[shape.type].push(shape.geometry);
+                attributes[shape.type].push(renderable.userProperties || {});
+            });
+
+            for (var shapeType in geometries) {
+                if (geometries.hasOwnProperty(shapeType)) {
+                    result[shapeType] = ShapefileExporter.exportGeometries(shapeType, geometries[shapeType],
+                        attributes[shapeType]);
+                }
+            }
+
+            return result;
+        },
+
+        /**
+         * Exports the renderables of the layer as shapefiles.
+         * @param layer {RenderableLayer} Layer whose renderables are exported.
+         * @returns {Object} Files of the shapefiles keyed by shape type as returned by
+         * [exportRenderables]{@link ShapefileExporter#exportRenderables}.
+         * @throws {ArgumentError} If the layer is null or undefined.
+         */
+        exportLayer: function (layer) {
+            if (!layer) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "ShapefileExporter", "exportLayer",
+                        "The specified layer is null or undefined."));
+            }
+
+            return ShapefileExporter.exportRenderables(layer.renderables);
+        },
+
+        /**
+         * Exports the renderables of the layer as a zip archive containing a shapefile for every shape type. The
+         * files are named after the layer followed by the shape type, for example Roads_polyline.shp.
+         * @param layer {RenderableLayer} Layer whose renderables are exported.
+         * @param type {String} Optional. Type of the generated archive as accepted by JSZip, for example blob,
+         * arraybuffer or base64. Default is blob.
+         * @returns {Blob|ArrayBuffer|String} Zip archive of the requested type.
+         * @throws {ArgumentError} If the layer is null or undefined.
+         */
+        exportLayerToZip: function (layer, type) {
+            var shapefiles = ShapefileExporter.exportLayer(layer),
+                name = (layer.displayName || "layer").replace(/[^\w\-]+/g, "_"),
+                zip = new JsZip();
+
+            for (var shapeType in shapefiles) {
+                if (shapefiles.hasOwnProperty(shapeType)) {
+                    addToZip(zip, name + "_" + shapeType, shapefiles[shapeType]);
+                }
+            }
+
+            return zip.generate({type: type || "blob", compression: "DEFLATE"});
+        },
+
+        /**
+         * Shape type codes of the shapefile format keyed by the supported shape types.
+         * @type {Object}
+         */
+        SHAPE_TYPE_CODES: {}
+    };
+
+    ShapefileExporter.SHAPE_TYPE_CODES[Shapefile.POINT] = 1;
+    ShapefileExporter.SHAPE_TYPE_CODES[Shapefile.POLYLINE] = 3;
+    ShapefileExporter.SHAPE_TYPE_CODES[Shapefile.POLYGON] = 5;
+    ShapefileExporter.SHAPE_TYPE_CODES[Shapefile.MULTI_POINT] = 8;
+
+    // Intentionally not documented. Returns the shape type and the geometry of the renderable or null if the
+    // renderable isn't supported.
+    function renderableShape(renderable) {
+        if (renderable instanceof Placemark) {
+            return {type: Shapefile.POINT, geometry: renderable.position};
+        } else if (renderable instanceof Path) {
+            return {type: Shapefile.POLYLINE, geometry: renderable.positions};
+        } else if (renderable instanceof SurfacePolyline) {
+            return {type: Shapefile.POLYLINE, geometry: renderable.boundaries};
+        } else if (renderable instanceof Polygon || renderable instanceof SurfacePolygon) {
+            return {type: Shapefile.POLYGON, geometry: renderable.boundaries};
+        }
+
+        return null;
+    }
+
+    // Intentionally not documented. Converts the geometry to the arrays of longitudes and latitudes of its parts.
+    // Returns null when no part is left, polygons without rings of three locations are written as null shapes.
+    function geometryParts(shapeType, geometry) {
+        var isLocation = function (value) {
+            return value && typeof value.latitude === "number";
+        };
+        var coordinates = function (locations) {
+            var result = [];
+            locations.forEach(function (location) {
+                result.push(location.longitude, location.latitude);
+            });
+            return result;
+        };
+
+        if (shapeType === Shapefile.POINT) {
+            return [coordinates([geometry])];
+        } else if (shapeType === Shapefile.MULTI_POINT) {
+            return [coordinates(geometry)];
+        }
+
+        var parts = (geometry.length === 0 || isLocation(geometry[0]) ? [geometry] : geometry).map(coordinates);
+        if (shapeType === Shapefile.POLYGON) {
+            parts = parts.filter(function (ring) {
+                return ring.length >= 6;
+            }).map(function (ring, index) {
+                return polygonRing(ring, index === 0);
+            });
+        } else {
+            parts = parts.filter(function (part) {
+                return part.length > 0;
+            });
+        }
+
+        return parts.length > 0 ? parts : null;
+    }
+
+    // Intentionally not documented. Closes the ring and orients it clockwise for outer boundaries and
+    // counterclockwise for holes, as required by the shapefile format.
+    function polygonRing(ring, isOuter) {
+        var length = ring.length;
+        if (ring[0] !== ring[length - 2] || ring[1] !== ring[length - 1]) {
+            ring = ring.concat(ring[0], ring[1]);
+            length += 2;
+        }
+
+        var area = 0;
+        for (var i = 0; i < length - 2; i += 2) {
+            area += ring[i] * ring[i + 3] - ring[i + 2] * ring[i + 1];
+        }
+
+        // The area is positive for counterclockwise rings.
+        if ((area > 0) === isOuter) {
+            var reversed = [];
+            for (var j = length - 2; j >= 0; j -= 2) {
+                reversed.push(ring[j], ring[j + 1]);
+            }
+            ring = reversed;
+        }
+
+        return ring;
+    }
+
+    // Intentionally not documented. Computes the bounding box as minX, minY, maxX and maxY of the parts.
+    function boundingBox(parts) {
+        var box = [Infinity, Infinity, -Infinity, -Infinity];
+        parts.forEach(function (part) {
+            for (var i = 0; i < part.length; i += 2) {
+                box[0] = Math.min(box[0], part[i]);
+                box[1] = Math.min(box[1], part[i + 1]);
+                box[2] = Math.max(box[2], part[i]);
+                box[3] = Math.max(box[3], part[i + 1]);
+            }
+        });
+        return box;
+    }
+
+    // Intentionally not documented. Length in bytes of the content of the record.
+    function recordContentLength(typeCode, parts) {
+        if (!parts) {
+            return 4;
+        }
+
+        var numPoints = parts.reduce(function (sum, part) {
+            return sum + part.length / 2;
+        }, 0);
+
+        switch (typeCode) {
+            case 1:
+                return 20;
+            case 8:
+                return 40 + 16 * numPoints;
+            default:
+                return 44 + 4 * parts.length + 16 * numPoints;
+        }
+    }
+
+    // Intentionally not documented. Writes the header shared by the shape file and the index file.
+    function writeHeader(view, fileLength, typeCode, box) {
+        view.setInt32(0, Shapefile.FILE_CODE, false);
+        view.setInt32(24, fileLength / 2, false);
+        view.setInt32(28, 1000, true);
+        view.setInt32(32, typeCode, true);
+        for (var i = 0; i < 4; i++) {
+            view.setFloat64(36 + i * 8, box[i], true);
+        }
+    }
+
+    // Intentionally not documented. Writes the shape file and the index file of the records.
+    function writeShapes(typeCode, records) {
+        var shpLength = 100, shxLength = 100 + 8 * records.length;
+        records.forEach(function (parts) {
+            shpLength += 8 + recordContentLength(typeCode, parts);
+        });
+
+        var shp = new ArrayBuffer(shpLength), shpView = new DataView(shp),
+            shx = new ArrayBuffer(shxLength), shxView = new DataView(shx),
+            box = boundingBox(records.filter(function (parts) {
+                return !!parts;
+            }).reduce(function (all, parts) {
+                return all.concat(parts);
+            }, []));
+
+        if (box[0] === Infinity) {
+            box = [0, 0, 0, 0];
+        }
+
+        writeHeader(shpView, shpLength, typeCode, box);
+        writeHeader(shxView, shxLength, typeCode, box);
+
+        var offset = 100;
+        records.forEach(function (parts, index) {
+            var contentLength = recordContentLength(typeCode, parts), position = offset + 8;
+
+            shxView.setInt32(100 + index * 8, offset / 2, false);
+            shxView.setInt32(104 + index * 8, contentLength / 2, false);
+
+            shpView.setInt32(offset, index + 1, false);
+            shpView.setInt32(offset + 4, contentLength / 2, false);
+
+            if (!parts) {
+                shpView.setInt32(position, 0, true);
+            } else if (typeCode === 1) {
+                shpView.setInt32(position, typeCode, true);
+                shpView.setFloat64(position + 4, parts[0][0], true);
+                shpView.setFloat64(position + 12, parts[0][1], true);
+            } else {
+                var recordBox = boundingBox(parts);
+                shpView.setInt32(position, typeCode, true);
+                position += 4;
+                for (var i = 0; i < 4; i++) {
+                    shpView.setFloat64(position, recordBox[i], true);
+                    position += 8;
+                }
+
+                var numPoints = 0;
+                parts.forEach(function (part) {
+                    numPoints += part.length / 2;
+                });
+
+                if (typeCode !== 8) {
+                    shpView.setInt32(position, parts.length, true);
+                    position += 4;
+                }
+                shpView.setInt32(position, numPoints, true);
+                position += 4;
+
+                if (typeCode !== 8) {
+                    var partStart = 0;
+                    parts.forEach(function (part) {
+                        shpView.setInt32(position, partStart, true);
+                        position += 4;
+                        partStart += part.length / 2;
+                    });
+                }
+
+                parts.forEach(function (part) {
+                    for (var j = 0; j < part.length; j++) {
+                        shpView.setFloat64(position, part[j], true);
+                        position += 8;
+                    }
+                });
+            }
+
+            offset += 8 + contentLength;
+        });
+
+        return {shp: shp, shx: shx};
+    }
+
+    // Intentionally not documented. Determines the dBase fields needed by the primitive values of the attributes.
+    function attributeFields(attributes) {
+        var fields = [], fieldsByKey = {}, names = {};
+
+        attributes.forEach(function (values) {
+            for (var key in values) {
+                if (!values.hasOwnProperty(key)) {
+                    continue;
+                }
+
+                var value = values[key], type = fieldType(value);
+                if (!type) {
+                    continue;
+                }
+
+                var field = fieldsByKey[key];
+                if (!field) {
+                    // Field names are limited to 10 characters and must stay unique.
+                    var baseName = key.replace(/[^\w]/g, "_"), name = baseName.substring(0, 10), suffix = 1;
+                    while (names[name.toUpperCase()]) {
+                        name = baseName.substring(0, 10 - String(suffix).length) + suffix++;
+                    }
+                    names[name.toUpperCase()] = true;
+
+                    field = fieldsByKey[key] = {key: key, name: name, type: type, length: 1, decimals: 0};
+                    fields.push(field);
+                } else if (field.type !== type) {
+                    field.type = "C"; // Values of different types are written as text.
+                }
+
+                if (type === "N") {
+                    field.decimals = Math.max(field.decimals, numberDecimals(value));
+                }
+                field.length = Math.max(field.length, utf8(formatValue(field, value)).length);
+            }
+        });
+
+        fields.forEach(function (field) {
+            if (field.type === "N") {
+                fitNumberField(field, attributes);
+            } else if (field.type === "L") {
+                field.length = 1;
+            } else if (field.type === "D") {
+                field.length = 8;
+            } else {
+                field.length = Math.min(field.length, 254);
+            }
+        });
+
+        return fields;
+    }
+
+    // Intentionally not documented. Maximum length of the numeric fields.
+    var MAX_NUMBER_LENGTH = 19;
+
+    // Intentionally not documented. Sizes the numeric field to its widest value. Decimals are dropped, with a
+    // warning, until the values fit in the maximum length of numeric fields. The values still too long are written
+    // empty, with a warning as well.
+    function fitNumberField(field, attributes) {
+        var widestValue = function () {
+            return attributes.reduce(function (length, values) {
+                return Math.max(length, values ? formatValue(field, values[field.key]).length : 0);
+            }, 1);
+        };
+
+        field.length = widestValue();
+        if (field.length > MAX_NUMBER_LENGTH && field.decimals > 0) {
+            while (field.length > MAX_NUMBER_LENGTH && field.decimals > 0) {
+                field.decimals--;
+                field.length = widestValue();
+            }
+            Logger.log(Logger.LEVEL_WARNING, "The numbers of the attribute " + field.key + " are written with " +
+                field.decimals + " decimals to fit in a numeric field.");
+        }
+
+        if (field.length > MAX_NUMBER_LENGTH) {
+            field.length = MAX_NUMBER_LENGTH;
+            Logger.log(Logger.LEVEL_WARNING, "The numbers of the attribute " + field.key + " longer than " +
+                MAX_NUMBER_LENGTH + " characters are written empty.");
+        }
+    }
+
+    // Intentionally not documented. Returns the number of decimals, up to 8, needed to write the number.
+    function numberDecimals(value) {
+        var decimals = 0;
+        while (decimals < 8 && Number(value.toFixed(decimals)) !== value) {
+            decimals++;
+        }
+        return decimals;
+    }
+
+    // Intentionally not documented. Returns the dBase field type of the value or null if it isn't exported.
+    function fieldType(value) {
+        if (typeof value === "number") {
+            return isFinite(value) ? "N" : null;
+        } else if (typeof value === "boolean") {
+            return "L";
+        } else if (value instanceof Date) {
+            return "D";
+        } else if (typeof value === "string") {
+            return "C";
+        }
+        return null;
+    }
+
+    // Intentionally not documented. Formats the value as text of the field.
+    function formatValue(field, value) {
+        if (value === null || value === undefined || (field.type !== "C" && fieldType(value) !== field.type)) {
+            return "";
+        }
+
+        switch (field.type) {
+            case "N":
+                return value.toFixed(field.decimals);
+            case "L":
+                return value ? "T" : "F";
+            case "D":
+                var pad = function (number) {
+                    return (number < 10 ? "0" : "") + number;
+                };
+                return value.getFullYear() + pad(value.getMonth() + 1) + pad(value.getDate());
+            default:
+                return value instanceof Date ? value.toISOString() : String(value);
+        }
+    }
+
+    // Intentionally not documented. Encodes the text as UTF-8. When a length is specified, the encoding is cut
+    // at the last character fitting in that many bytes.
+    function utf8(text, length) {
+        var bytes = [];
+        for (var i = 0; i < text.length; i++) {
+            var code = text.charCodeAt(i), encoded;
+
+            // Combine the surrogate pairs to the code point they represent.
+            if (code >= 0xD800 && code <= 0xDBFF && i + 1 < text.length) {
+                var low = text.charCodeAt(i + 1);
+                if (low >= 0xDC00 && low <= 0xDFFF) {
+                    code = 0x10000 + ((code - 0xD800) << 10) + (low - 0xDC00);
+                    i++;
+                }
+            }
+
+            if (code < 0x80) {
+                encoded = [code];
+            } else if (code < 0x800) {
+                encoded = [0xC0 | code >> 6, 0x80 | code & 0x3F];
+            } else if (code < 0x10000) {
+                encoded = [0xE0 | code >> 12, 0x80 | code >> 6 & 0x3F, 0x80 | code & 0x3F];
+            } else {
+                encoded = [0xF0 | code >> 18, 0x80 | code >> 12 & 0x3F, 0x80 | code >> 6 & 0x3F, 0x80 | code & 0x3F];
+            }
+
+            if (length !== undefined && bytes.length + encoded.length > length) {
+                break;
+            }
+            bytes.push.apply(bytes, encoded);
+        }
+
+        return new Uint8Array(bytes);
+    }
+
+    // Intentionally not documented. Writes the dBase file of the attributes.
+    function writeAttributes(attributes, numRecords) {
+        var fields = attributeFields(attributes),
+            headerLength = 32 + 32 * fields.length + 1,
+            recordLength = fields.reduce(function (sum, field) {
+                return sum + field.length;
+            }, 1),
+            buffer = new ArrayBuffer(headerLength + recordLength * numRecords + 1),
+            view = new DataView(buffer),
+            bytes = new Uint8Array(buffer),
+            now = new Date();
+
+        view.setUint8(0, 3);
+        view.setUint8(1, now.getFullYear() - 1900);
+        view.setUint8(2, now.getMonth() + 1);
+        view.setUint8(3, now.getDate());
+        view.setInt32(4, numRecords, true);
+        view.setInt16(8, headerLength, true);
+        view.setInt16(10, recordLength, true);
+
+        fields.forEach(function (field, index) {
+            var position = 32 + index * 32;
+            bytes.set(utf8(field.name), position);
+            view.setUint8(position + 11, field.type.charCodeAt(0));
+            view.setUint8(position + 16, field.length);
+            view.setUint8(position + 17, field.decimals);
+        });
+        view.setUint8(headerLength - 1, 0x0D);
+
+        for (var i = headerLength; i < buffer.byteLength - 1; i++) {
+            bytes[i] = 0x20;
+        }
+        for (var record = 0; record < numRecords; record++) {
+            var values = attributes[record] || {}, position = headerLength + record * recordLength + 1;
+
+            fields.forEach(function (field) {
+                var text = formatValue(field, values[field.key]);
+                if (field.type === "N" && text.length > field.length) {
+                    text = ""; // Numbers are never cut.
+                }
+
+                var encoded = utf8(text, field.length);
+
+                // Numbers are aligned to the right, other values to the left.
+                bytes.set(encoded, field.type === "N" ? position + field.length - encoded.length : position);
+                position += field.length;
+            });
+        }
+        view.setUint8(buffer.byteLength - 1, 0x1A);
+
+        return buffer;
+    }
+
+    // Intentionally not documented. Adds the files of the shapefile to the zip archive.
+    function addToZip(zip, name, files) {
+        ["shp", "shx", "dbf", "prj", "cpg"].forEach(function (extension) {
+            zip.file(name + "." + extension, files[extension]);
+        });
+    }
+
+    return ShapefileExporter;
+});
@@ -319,7 +319,7 @@ define([
             this._lastPartNumber = this._numberOfParts - 1;
             this._numberOfPoints = 1;
 
-            this._parts = [this._buffer.getDoubleArray(2)];
+            this._parts = [this.readLocations(1)];
 
             var latitude = this._parts[0][1];
             var longitude = this._parts[0][0];
@@ -363,7 +363,7 @@ define([
 
                     // Add the record's points to the Shapefile's point buffer, and record this record's part offset in the
                     // Shapefile's point buffer.
-                    this._parts[partNumber] = this._buffer.getDoubleArray(numPointsInPart * 2);
+                    this._parts[partNumber] = this.readLocations(numPointsInPart);
                     ShapefileRecord.normalizeLocations(this._parts[partNumber]);
                 }
             }
@@ -393,7 +393,7 @@ define([
             this._numberOfParts = 1;
             this._numberOfPoints = this._buffer.getInt32();
 
-            this._parts = [this._buffer.getDoubleArray(this._numberOfPoints * 2)];
+            this._parts = [this.readLocations(this._numberOfPoints)];
             ShapefileRecord.normalizeLocations(this._parts[0]);
 
             // Read the optional Z value.
@@ -407,6 +407,19 @@ define([
             }
         };
 
+        // Internal use only. Intentionally not documented. Reads the locations of the specified number of points.
+        // Locations of a projected shapefile are converted to geographic coordinates.
+        ShapefileRecord.prototype.readLocations = function(numberOfPoints) {
+            var locations = this._buffer.getDoubleArray(numberOfPoints * 2),
+                projectionFile = this.shapefile.projectionFile;
+
+            if (projectionFile && projectionFile.isProjectedCoordinateSystem()) {
+                projectionFile.reprojectLocations(locations);
+            }
+
+            return locations;
+        };
+
         /**
          * Read's the shape's Z values from the record buffer.
          */
@@ -25,6 +25,7 @@ define([
         '../util/LevelSet',
         '../util/Logger',
         '../cache/MemoryCache',
+        '../cache/PersistentTileCache',
         '../geom/Sector',
         '../util/Tile',
         '../util/WWMath'],
@@ -36,6 +37,7 @@ define([
               LevelSet,
               Logger,
               MemoryCache,
+              PersistentTileCache,
               Sector,
               Tile,
               WWMath) {
@@ -162,6 +164,16 @@ define([
              */
             this.levels = new LevelSet(this.coverageSector, levelZeroDelta, numLevels, tileWidth, tileHeight);
 
+            /**
+             * The persistent cache in which this elevation model stores its retrieved elevations, making them
+             * available across page reloads and offline. Elevations are stored in memory only when this property is
+             * null. Use [seedPersistentCache]{@link ElevationModel#seedPersistentCache} to store the elevations of a
+             * region before going offline.
+             * @type {PersistentTileCache}
+             * @default null
+             */
+            this.persistentCache = null;
+
             // These are internal and intentionally not documented.
             this.currentTiles = []; // holds assembled tiles
             this.currentSector = new Sector(0, 0, 0, 0); // a scratch variable
@@ -478,6 +490,73 @@ define([
             return image;
         };
 
+        /**
+         * Retrieves this elevation model's elevations for a specified sector and range of levels and stores them in
+         * this elevation model's [persistent cache]{@link ElevationModel#persistentCache}, typically to make them
+         * available offline. Elevations already in the cache are not retrieved again. The number of elevation tiles
+         * quadruples with each level, so applications should limit the level range to the detail needed.
+         * @param {Sector} sector The sector whose elevations to retrieve.
+         * @param {Number} firstLevelNumber The number of the first level whose elevations to retrieve.
+         * @param {Number} lastLevelNumber The number of the last level whose elevations to retrieve. Levels beyond
+         * this elevation model's last level are ignored.
+         * @param {Function} progress Optional function called as each elevation tile completes, with the number of
+         * tiles completed and the total number of tiles.
+         * @returns {Promise} A promise resolved when all elevation tiles have been processed. See
+         * [PersistentTileCache.seed]{@link PersistentTileCache#seed} for its result.
+         * @throws {ArgumentError} If the specified sector is null or undefined, or if this elevation model has no
+         * persistent cache.
+         */
+        ElevationModel.prototype.seedPersistentCache = function (sector, firstLevelNumber, lastLevelNumber, progress) {
+            if (!sector) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "ElevationModel", "seedPersistentCache", "missingSector"));
+            }
+
+            if (!this.persistentCache) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "ElevationModel", "seedPersistentCache",
+                        "This elevation model has no persistent cache."));
+            }
+
+            var resources = [],
+                elevationModel = this,
+                lastLevel = Math.min(lastLevelNumber, this.levels.lastLevel().levelNumber),
+                seedSector = new Sector(0, 0, 0, 0);
+
+            if (!this.coverageSector.overlaps(sector)) {
+                return this.persistentCache.seed(resources);
+            }
+
+            seedSector.copy(sector).intersection(this.coverageSector);
+
+            for (var levelNumber = Math.max(firstLevelNumber, 0); levelNumber <= lastLevel; levelNumber++) {
+                var level = this.levels.level(levelNumber),
+                    deltaLat = level.tileDelta.latitude,
+                    deltaLon = level.tileDelta.longitude,
+                    firstRow = Tile.computeRow(deltaLat, seedSector.minLatitude),
+                    lastRow = Tile.computeLastRow(deltaLat, seedSector.maxLatitude),
+                    firstCol = Tile.computeColumn(deltaLon, seedSector.minLongitude),
+                    lastCol = Tile.computeLastColumn(deltaLon, seedSector.maxLongitude);
+
+                for (var row = firstRow; row <= lastRow; row++) {
+                    for (var col = firstCol; col <= lastCol; col++) {
+                        var tile = this.createTile(Tile.computeSector(level, row, col), level, row, col),
+                            url = this.resourceUrlForTile(tile, this.retrievalImageFormat);
+                        if (url) {
+                            resources.push({key: tile.imagePath, url: url});
+                        }
+                    }
+                }
+            }
+
+            return this.persistentCache.seed(resources, {
+                acceptsContentType: function (contentType) {
+                    return elevationModel.isElevationContentType(contentType);
+                },
+                progress: progress
+            });
+        };
+
         // Intentionally not documented.
         ElevationModel.prototype.createTile = function (sector, level, row, column) {
             var imagePath = this.cachePath + "/" + level.levelNumber + "/" + row + "/" + row + "_" + column + ".bil";
@@ -592,6 +671,51 @@ define([
 
         // Intentionally not documented.
         ElevationModel.prototype.retrieveTileImage = function (tile) {
+            if (this.currentRetrievals.indexOf(tile.imagePath) < 0) {
+                if (this.persistentCache) {
+                    this.retrievePersistentTileImage(tile);
+                } else {
+                    this.requestTileImage(tile);
+                }
+            }
+        };
+
+        // Intentionally not documented. Loads a tile's elevations from the persistent cache, or requests them from
+        // the server when the cache does not contain them.
+        ElevationModel.prototype.retrievePersistentTileImage = function (tile) {
+            var elevationModel = this;
+
+            this.currentRetrievals.push(tile.imagePath);
+
+            this.persistentCache.entryForKey(tile.imagePath).then(null, function (error) {
+                Logger.log(Logger.LEVEL_WARNING, "Tile cache read failed for " + tile.imagePath + ": " + error);
+                return null;
+            }).then(function (entry) {
+                elevationModel.removeFromCurrentRetrievals(tile.imagePath);
+
+                if (entry) {
+                    elevationModel.loadElevationImage(tile, entry.data);
+                    elevationModel.absentResourceList.unmarkResourceAbsent(tile.imagePath);
+
+                    // Send an event to request a redraw.
+                    var e = document.createEvent('Event');
+                    e.initEvent(WorldWind.REDRAW_EVENT_TYPE, true, true);
+                    window.dispatchEvent(e);
+                } else {
+                    elevationModel.requestTileImage(tile);
+                }
+            });
+        };
+
+        // Intentionally not documented.
+        ElevationModel.prototype.isElevationContentType = function (contentType) {
+            return contentType === this.retrievalImageFormat
+                || contentType === "text/plain"
+                || contentType === "application/octet-stream";
+        };
+
+        // Intentionally not documented.
+        ElevationModel.prototype.requestTileImage = function (tile) {
             if (this.currentRetrievals.indexOf(tile.imagePath) < 0) {
                 var url = this.resourceUrlForTile(tile, this.retrievalImageFormat),
                     xhr = new XMLHttpRequest(),
@@ -609,11 +733,16 @@ define([
                         var contentType = xhr.getResponseHeader("content-type");
 
                         if (xhr.status === 200) {
-                            if (contentType === elevationModel.retrievalImageFormat
-                                || contentType === "text/plain"
-                                || contentType === "application/octet-stream") {
+                            if (elevationModel.isElevationContentType(contentType)) {
                                 Logger.log(Logger.LEVEL_INFO, "Elevations retrieval succeeded: " + url);
-                                elevationModel.loadElevationImage(tile, xhr);
+                                elevationModel.loadElevationImage(tile, xhr.response);
+                                if (elevationModel.persistentCache) {
+                                    elevationModel.persistentCache.putEntry(tile.imagePath, xhr.response, contentType)
+                                        .then(null, function (error) {
+                                            Logger.log(Logger.LEVEL_WARNING,
+                                                "Tile cache write failed for " + tile.imagePath + ": " + error);
+                                        });
+                                }
                                 elevationModel.absentResourceList.unmarkResourceAbsent(tile.imagePath);
 
                                 // Send an event to request a redraw.
@@ -666,14 +795,14 @@ define([
         };
 
         // Intentionally not documented.
-        ElevationModel.prototype.loadElevationImage = function (tile, xhr) {
+        ElevationModel.prototype.loadElevationImage = function (tile, data) {
             var elevationImage = new ElevationImage(tile.imagePath, tile.sector, tile.tileWidth, tile.tileHeight);
 
             if (this.retrievalImageFormat == "application/bil16") {
-                elevationImage.imageData = new Int16Array(xhr.response);
+                elevationImage.imageData = new Int16Array(data);
                 elevationImage.size = elevationImage.imageData.length * 2;
             } else if (this.retrievalImageFormat == "application/bil32") {
-                elevationImage.imageData = new Float32Array(xhr.response);
+                elevationImage.imageData = new Float32Array(data);
                 elevationImage.size = elevationImage.imageData.length * 4;
             }
 
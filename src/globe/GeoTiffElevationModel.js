@@ -0,0 +1,359 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports GeoTiffElevationModel
+ */
+define([
+        '../error/ArgumentError',
+        '../formats/geotiff/CloudOptimizedGeoTiff',
+        '../globe/EarthElevationModel',
+        '../globe/ElevationImage',
+        '../globe/ElevationModel',
+        '../geom/Location',
+        '../util/Logger',
+        '../util/Promise',
+        '../geom/Sector',
+        '../util/Tile'
+    ],
+    function (ArgumentError,
+              CloudOptimizedGeoTiff,
+              EarthElevationModel,
+              ElevationImage,
+              ElevationModel,
+              Location,
+              Logger,
+              Promise,
+              Sector,
+              Tile) {
+        "use strict";
+
+        /**
+         * Constructs an elevation model providing the elevations of a GeoTiff digital elevation model.
+         * @alias GeoTiffElevationModel
+         * @constructor
+         * @augments ElevationModel
+         * @classdesc Provides the elevations of a GeoTiff digital elevation model composited over a base elevation
+         * model. Within the extent of the GeoTiff its elevations replace the elevations of the base model, elsewhere
+         * and in the pixels containing the no data value the elevations of the base model are used. To display a
+         * local high resolution elevation model over the default elevations of the globe use:
+         * <pre>
+         * wwd.globe.elevationModel = new WorldWind.GeoTiffElevationModel(url, wwd.globe.elevationModel);
+         * </pre>
+         * <p>
+         * The header of the file is retrieved when the elevations are first requested. When the GeoTiff is organized
+         * in internal tiles, as Cloud-Optimized GeoTiffs are, only the internal tiles of the overview matching the
+         * requested resolution are retrieved, using HTTP range requests. Otherwise the whole file is retrieved once.
+         * <p>
+         * The samples of the GeoTiff are used as elevations in meters.
+         * @param {String} url The location of the GeoTiff.
+         * @param {ElevationModel} baseModel The elevation model providing the elevations outside of the GeoTiff.
+         * Defaults to a new {@link EarthElevationModel}. Specify null to provide only the elevations of the GeoTiff.
+         * @throws {ArgumentError} If the specified URL is null or undefined.
+         */
+        var GeoTiffElevationModel = function (url, baseModel) {
+            if (!url) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "GeoTiffElevationModel", "constructor", "missingUrl"));
+            }
+
+            /**
+             * The elevation model providing the elevations outside of the GeoTiff.
+             * @type {ElevationModel}
+             * @readonly
+             */
+            this.baseModel = baseModel === undefined ? new EarthElevationModel() : baseModel;
+
+            // The coverage and the level set are replaced once the header of the file is parsed.
+            ElevationModel.call(this, new Sector(0, 0, 0, 0), new Location(45, 45), 1, "image/tiff", url, 256, 256);
+
+            this.displayName = "GeoTiff Elevations";
+
+            if (this.baseModel) {
+                this.minElevation = this.baseModel.minElevation;
+                this.maxElevation = this.baseModel.maxElevation;
+            }
+
+            /**
+             * The GeoTiff providing the elevations.
+             * @type {CloudOptimizedGeoTiff}
+             * @readonly
+             */
+            this.geoTiff = new CloudOptimizedGeoTiff(url);
+
+            // Intentionally not documented. The images providing the elevations, the full resolution image followed
+            // by the overviews. Null until the header of the file is parsed.
+            this.images = null;
+
+            // Intentionally not documented. All elevations of a GeoTiff organized in strips.
+            this.data = null;
+        };
+
+        GeoTiffElevationModel.prototype = Object.create(ElevationModel.prototype);
+
+        Object.defineProperties(GeoTiffElevationModel.prototype, {
+            /**
+             * Indicates the last time this elevation model or its base model changed, in milliseconds since midnight
+             * Jan 1, 1970.
+             * @memberof GeoTiffElevationModel.prototype
+             * @type {Number}
+             * @readonly
+             */
+            timestamp: {
+                get: function () {
+                    return this.baseModel ? Math.max(this._timestamp, this.baseModel.timestamp) : this._timestamp;
+                },
+                set: function (value) {
+                    this._timestamp = value;
+                }
+            }
+        });
+
+        // Intentionally not documented. Retrieves the header and replaces the coverage and the level set by the
+        // ones matching the extent and the resolution of the GeoTiff. The elevations of GeoTiffs organized in strips
+        // are all retrieved at once.
+        GeoTiffElevationModel.prototype.retrieveHeader = function () {
+            var elevationModel = this;
+
+            this.geoTiff.retrieveHeader(function () {
+                if (elevationModel.geoTiff.isTiled()) {
+                    elevationModel.useImages(elevationModel.geoTiff.images);
+                    return;
+                }
+
+                var reader = elevationModel.geoTiff.reader;
+                reader.readAsData(function (data) {
+                    if (!data) {
+                        elevationModel.geoTiff.retrievalFailed("GeoTiff elevations can't be read: " + reader.url);
+                        return;
+                    }
+
+                    // Only the full resolution image is read.
+                    elevationModel.data = data;
+                    elevationModel.geoTiff.images = [reader.metadata];
+                    elevationModel.useImages(elevationModel.geoTiff.images);
+                });
+            });
+        };
+
+        // Intentionally not documented. Starts providing the elevations of the images once they can be read.
+        GeoTiffElevationModel.prototype.useImages = function (images) {
+            this.images = images;
+            this.coverageSector = this.geoTiff.reader.metadata.bbox;
+            this.levels = this.createLevelSet();
+            this.tileCache.clear();
+            this.imageCache.clear();
+            this.timestamp = Date.now();
+
+            // Send an event to request a redraw.
+            var e = document.createEvent('Event');
+            e.initEvent(WorldWind.REDRAW_EVENT_TYPE, true, true);
+            window.dispatchEvent(e);
+        };
+
+        // Intentionally not documented. Creates the level set whose last level has the resolution of the GeoTiff.
+        GeoTiffElevationModel.prototype.createLevelSet = function () {
+            return this.geoTiff.createLevelSet(this.levels.tileWidth);
+        };
+
+        // Documented in superclass.
+        GeoTiffElevationModel.prototype.minAndMaxElevationsForSector = function (sector) {
+            var result = this.baseModel ? this.baseModel.minAndMaxElevationsForSector(sector) : null;
+
+            this.retrieveHeader();
+            if (!this.images || !this.coverageSector.intersects(sector)) {
+                return result;
+            }
+
+            var ownResult = ElevationModel.prototype.minAndMaxElevationsForSector.call(this, sector);
+            if (!ownResult || ownResult[0] > ownResult[1]) {
+                return result; // Only the no data value is in the sector.
+            }
+
+            if (!result) {
+                return ownResult;
+            }
+
+            return [Math.min(result[0], ownResult[0]), Math.max(result[1], ownResult[1])];
+        };
+
+        // Documented in superclass.
+        GeoTiffElevationModel.prototype.elevationAtLocation = function (latitude, longitude) {
+            this.retrieveHeader();
+            if (this.images && this.coverageSector.containsLocation(latitude, longitude)) {
+                var elevation = this.ownElevationAtLocation(latitude, longitude);
+                if (!isNaN(elevation)) {
+                    return elevation;
+                }
+            }
+
+            return this.baseModel ? this.baseModel.elevationAtLocation(latitude, longitude) : 0;
+        };
+
+        // Intentionally not documented. Returns the elevation of the GeoTiff at the location or NaN if it's not
+        // available.
+        GeoTiffElevationModel.prototype.ownElevationAtLocation = function (latitude, longitude) {
+            var level = this.levels.lastLevel(),
+                r = Tile.computeRow(level.tileDelta.latitude, latitude),
+                c = Tile.computeColumn(level.tileDelta.longitude, longitude),
+                tile,
+                image;
+
+            for (var i = level.levelNumber; i >= 0; i--) {
+                tile = this.tileCache.entryForKey(i + "." + r + "." + c);
+                image = tile && tile.image();
+                if (image) {
+                    return image.elevationAtLocation(latitude, longitude);
+                }
+
+                r = Math.floor(r / 2);
+                c = Math.floor(c / 2);
+            }
+
+            return NaN;
+        };
+
+        // Documented in superclass.
+        GeoTiffElevationModel.prototype.elevationsForGrid = function (sector, numLat, numLon, targetResolution,
+                                                                      result) {
+            var resolution = this.baseModel ?
+                this.baseModel.elevationsForGrid(sector, numLat, numLon, targetResolution, result) : 0;
+
+            this.retrieveHeader();
+            if (!this.images || !this.coverageSector.intersects(sector)) {
+                return resolution;
+            }
+
+            // Points without elevations of the GeoTiff keep the elevations of the base model.
+            var elevations = new Float64Array(numLat * numLon);
+            for (var i = 0; i < elevations.length; i++) {
+                elevations[i] = NaN;
+            }
+
+            var ownResolution = ElevationModel.prototype.elevationsForGrid.call(this, sector, numLat, numLon,
+                targetResolution, elevations);
+
+            for (var j = 0; j < elevations.length; j++) {
+                if (!isNaN(elevations[j])) {
+                    result[j] = elevations[j];
+                }
+            }
+
+            return Math.max(resolution, ownResolution);
+        };
+
+        /**
+         * Returns the image whose resolution matches the specified tile. This is the lowest resolution overview
+         * still as detailed as the tile, or the full resolution image if no overview is detailed enough.
+         * @param {ElevationTile} tile The tile whose elevations to provide.
+         * @returns {GeoTiffMetadata} The metadata of the image.
+         * @protected
+         */
+        GeoTiffElevationModel.prototype.imageForTile = function (tile) {
+            return this.geoTiff.imageForTexelSize(tile.sector.deltaLongitude() / (tile.tileWidth - 1));
+        };
+
+        /**
+         * Determines the pixel of the image providing the elevation of every point of the specified tile. The
+         * points are at the corners of the cells of the tile, as expected by {@link ElevationImage}.
+         * @param {ElevationTile} tile The tile whose elevations to provide.
+         * @param {GeoTiffMetadata} image The image providing the elevations.
+         * @returns {{blocks: Int32Array, offsets: Int32Array, indices: Number[]}} The index of the internal tile
+         * and the offset of the pixel in it for every point of the tile, ordered by rows starting in the upper left
+         * corner. The block index is -1 for the points outside of the image. Indices lists the distinct internal
+         * tiles used. Images organized in strips are treated as a single internal tile.
+         * @protected
+         */
+        GeoTiffElevationModel.prototype.mapTilePoints = function (tile, image) {
+            return this.geoTiff.mapGrid(tile.sector, tile.tileWidth, tile.tileHeight, true, image);
+        };
+
+        // Overridden from ElevationModel. Retrieves the internal tiles covering the tile and composes its elevations.
+        GeoTiffElevationModel.prototype.retrieveTileImage = function (tile) {
+            if (!this.images || this.currentRetrievals.indexOf(tile.imagePath) >= 0 ||
+                this.absentResourceList.isResourceAbsent(tile.imagePath)) {
+                return;
+            }
+
+            var image = this.imageForTile(tile),
+                mapping = this.mapTilePoints(tile, image),
+                imagePath = tile.imagePath,
+                elevationModel = this;
+
+            this.currentRetrievals.push(imagePath);
+            Promise.all(mapping.indices.map(function (index) {
+                return elevationModel.retrieveBlock(image, index);
+            })).then(function (blocks) {
+                elevationModel.removeFromCurrentRetrievals(imagePath);
+                elevationModel.loadTileElevations(tile, image, mapping, blocks);
+                elevationModel.absentResourceList.unmarkResourceAbsent(imagePath);
+
+                // Send an event to request a redraw.
+                var e = document.createEvent('Event');
+                e.initEvent(WorldWind.REDRAW_EVENT_TYPE, true, true);
+                window.dispatchEvent(e);
+            }, function () {
+                elevationModel.removeFromCurrentRetrievals(imagePath);
+                elevationModel.absentResourceList.markResourceAbsent(imagePath);
+                Logger.log(Logger.LEVEL_WARNING, "GeoTiff elevations retrieval failed: " + imagePath);
+            });
+        };
+
+        /**
+         * Retrieves and decodes an internal tile of the image. Decoded tiles are cached by the elevation model. The
+         * elevations of images organized in strips are all retrieved with the header.
+         * @param {GeoTiffMetadata} image The image containing the internal tile.
+         * @param {Number} index The index of the internal tile in the image.
+         * @returns {Promise} A promise of the samples of all pixels of the internal tile. The promise resolves to
+         * null for the tiles missing in the file.
+         * @protected
+         */
+        GeoTiffElevationModel.prototype.retrieveBlock = function (image, index) {
+            return this.data ? Promise.resolve(this.data) : this.geoTiff.retrieveBlock(image, index);
+        };
+
+        // Intentionally not documented. Creates the elevation image of the tile from the internal tiles. The points
+        // without elevations are NaN.
+        GeoTiffElevationModel.prototype.loadTileElevations = function (tile, image, mapping, blocks) {
+            var elevationImage = new ElevationImage(tile.imagePath, tile.sector, tile.tileWidth, tile.tileHeight),
+                elevations = new Float32Array(tile.tileWidth * tile.tileHeight),
+                noData = this.geoTiff.reader.metadata.noData,
+                blocksByIndex = {};
+
+            for (var i = 0; i < mapping.indices.length; i++) {
+                blocksByIndex[mapping.indices[i]] = blocks[i];
+            }
+
+            for (var k = 0, length = elevations.length; k < length; k++) {
+                var pixels = mapping.blocks[k] >= 0 ? blocksByIndex[mapping.blocks[k]] : null,
+                    value = pixels ? pixels[mapping.offsets[k]] : undefined;
+
+                if (value && value.length !== undefined) {
+                    value = value[0]; // The first sample of the pixel.
+                }
+
+                elevations[k] = value === undefined || value === null || value == noData ? NaN : value;
+            }
+
+            elevationImage.imageData = elevations;
+            elevationImage.size = elevations.length * 4;
+            elevationImage.findMinAndMaxElevation();
+
+            this.imageCache.putEntry(tile.imagePath, elevationImage, elevationImage.size);
+            this.timestamp = Date.now();
+        };
+
+        return GeoTiffElevationModel;
+    });
@@ -0,0 +1,275 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports CloudOptimizedGeoTiffLayer
+ */
+define([
+        '../error/ArgumentError',
+        '../formats/geotiff/CloudOptimizedGeoTiff',
+        '../geom/Location',
+        '../util/Logger',
+        '../util/Promise',
+        '../geom/Sector',
+        '../formats/geotiff/TiffConstants',
+        '../layer/TiledImageLayer',
+        '../error/UnsupportedOperationError'
+    ],
+    function (ArgumentError,
+              CloudOptimizedGeoTiff,
+              Location,
+              Logger,
+              Promise,
+              Sector,
+              TiffConstants,
+              TiledImageLayer,
+              UnsupportedOperationError) {
+        "use strict";
+
+        /**
+         * Constructs a layer displaying a Cloud-Optimized GeoTiff.
+         * @alias CloudOptimizedGeoTiffLayer
+         * @constructor
+         * @augments TiledImageLayer
+         * @classdesc Displays a Cloud-Optimized GeoTiff without downloading the whole file. Only the header of the
+         * file is retrieved when the layer is first displayed. The image of every visible tile of the layer is then
+         * composed from the internal tiles of the overview whose resolution matches the tile, and only these
+         * internal tiles are retrieved, using HTTP range requests. The server must therefore support range requests,
+         * and allow them by CORS when the file is hosted on a different origin.
+         * <p>
+         * The internal tiles of the GeoTiff may be uncompressed or compressed by any compression supported by
+         * {@link GeoTiffReader}.
+         * <p>
+         * The composed tile images are kept in memory only. This layer doesn't support the
+         * [persistent cache]{@link TiledImageLayer#persistentCache} of tiled image layers, which is ignored, and
+         * [seedPersistentCache]{@link CloudOptimizedGeoTiffLayer#seedPersistentCache} throws an exception.
+         * @param {String} url The location of the Cloud-Optimized GeoTiff.
+         * @param {String} displayName The display name to assign this layer. Defaults to "Cloud-Optimized GeoTiff".
+         * @throws {ArgumentError} If the specified URL is null or undefined.
+         */
+        var CloudOptimizedGeoTiffLayer = function (url, displayName) {
+            if (!url) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "CloudOptimizedGeoTiffLayer", "constructor", "missingUrl"));
+            }
+
+            // The level set is replaced once the header of the file is parsed.
+            TiledImageLayer.call(this, Sector.FULL_SPHERE, new Location(45, 45), 1, "image/png", url, 256, 256);
+
+            this.displayName = displayName || "Cloud-Optimized GeoTiff";
+
+            /**
+             * The Cloud-Optimized GeoTiff displayed by this layer.
+             * @type {CloudOptimizedGeoTiff}
+             * @readonly
+             */
+            this.geoTiff = new CloudOptimizedGeoTiff(url);
+
+            // Intentionally not documented. Indicates whether the images of the GeoTiff can be displayed.
+            this.imagesReady = false;
+
+            // Intentionally not documented. Indicates whether the unsupported persistent cache has been reported.
+            this.persistentCacheIgnored = false;
+        };
+
+        CloudOptimizedGeoTiffLayer.prototype = Object.create(TiledImageLayer.prototype);
+
+        // Documented in superclass.
+        CloudOptimizedGeoTiffLayer.prototype.doRender = function (dc) {
+            if (!this.imagesReady) {
+                this.retrieveHeader(dc);
+                return;
+            }
+
+            TiledImageLayer.prototype.doRender.call(this, dc);
+        };
+
+        // Intentionally not documented. Retrieves the header and replaces the level set by the one matching the
+        // extent and the resolution of the GeoTiff. GeoTiffs without internal tiles are refused.
+        CloudOptimizedGeoTiffLayer.prototype.retrieveHeader = function (dc) {
+            var url = this.geoTiff.reader.url;
+            if (this.absentResourceList.isResourceAbsent(url)) {
+                return;
+            }
+
+            var canvas = dc.currentGlContext.canvas,
+                layer = this;
+
+            this.geoTiff.retrieveHeader(function () {
+                if (!layer.geoTiff.isTiled()) {
+                    layer.absentResourceList.markResourceAbsentPermanently(url);
+                    Logger.log(Logger.LEVEL_SEVERE, "GeoTiff without internal tiles can't be displayed: " + url);
+                    return;
+                }
+
+                layer.levels = layer.createLevelSet();
+                layer.topLevelTiles = [];
+                layer.currentTilesInvalid = true;
+                layer.imagesReady = true;
+
+                // Send an event to request a redraw.
+                var e = document.createEvent('Event');
+                e.initEvent(WorldWind.REDRAW_EVENT_TYPE, true, true);
+                canvas.dispatchEvent(e);
+            });
+        };
+
+        // Intentionally not documented. Creates the level set whose last level has the resolution of the GeoTiff.
+        CloudOptimizedGeoTiffLayer.prototype.createLevelSet = function () {
+            return this.geoTiff.createLevelSet(this.levels.tileWidth);
+        };
+
+        /**
+         * Returns the image whose resolution matches the specified tile. This is the lowest resolution overview
+         * still as detailed as the tile, or the full resolution image if no overview is detailed enough.
+         * @param {ImageTile} tile The tile to display.
+         * @returns {GeoTiffMetadata} The metadata of the image.
+         * @protected
+         */
+        CloudOptimizedGeoTiffLayer.prototype.imageForTile = function (tile) {
+            return this.geoTiff.imageForTexelSize(tile.sector.deltaLongitude() / tile.tileWidth);
+        };
+
+        /**
+         * Determines the pixel of the image displayed by every pixel of the specified tile.
+         * @param {ImageTile} tile The tile to display.
+         * @param {GeoTiffMetadata} image The image displayed in the tile.
+         * @returns {{blocks: Int32Array, offsets: Int32Array, indices: Number[]}} The index of the internal tile
+         * and the offset of the pixel in it for every pixel of the tile, ordered by rows starting in the upper left
+         * corner. The block index is -1 for the pixels outside of the image. Indices lists the distinct internal
+         * tiles used.
+         * @protected
+         */
+        CloudOptimizedGeoTiffLayer.prototype.mapTilePixels = function (tile, image) {
+            return this.geoTiff.mapGrid(tile.sector, tile.tileWidth, tile.tileHeight, false, image);
+        };
+
+        /**
+         * Persistent caching isn't supported by this layer, this method throws an exception.
+         * @throws {UnsupportedOperationError} In any case.
+         */
+        CloudOptimizedGeoTiffLayer.prototype.seedPersistentCache = function (sector, firstLevelNumber,
+                                                                             lastLevelNumber, progress) {
+            throw new UnsupportedOperationError(
+                Logger.logMessage(Logger.LEVEL_SEVERE, "CloudOptimizedGeoTiffLayer", "seedPersistentCache",
+                    "The tiles of Cloud-Optimized GeoTiffs can't be stored in a persistent cache."));
+        };
+
+        // Overridden from TiledImageLayer. Retrieves the internal tiles covering the tile and composes its image.
+        // The persistent cache isn't used.
+        CloudOptimizedGeoTiffLayer.prototype.retrieveTileImage = function (dc, tile, suppressRedraw) {
+            if (this.persistentCache && !this.persistentCacheIgnored) {
+                this.persistentCacheIgnored = true;
+                Logger.log(Logger.LEVEL_WARNING,
+                    "The persistent cache of a Cloud-Optimized GeoTiff layer is ignored: " + this.geoTiff.reader.url);
+            }
+
+            if (this.currentRetrievals.indexOf(tile.imagePath) >= 0 ||
+                this.absentResourceList.isResourceAbsent(tile.imagePath)) {
+                return;
+            }
+
+            var image = this.imageForTile(tile),
+                mapping = this.mapTilePixels(tile, image),
+                imagePath = tile.imagePath,
+                cache = dc.gpuResourceCache,
+                canvas = dc.currentGlContext.canvas,
+                layer = this;
+
+            if (mapping.indices.length === 0) {
+                this.absentResourceList.markResourceAbsentPermanently(imagePath);
+                return;
+            }
+
+            this.currentRetrievals.push(imagePath);
+            Promise.all(mapping.indices.map(function (index) {
+                return layer.geoTiff.retrieveBlock(image, index);
+            })).then(function (blocks) {
+                var texture = layer.createTexture(dc, tile, layer.drawTile(tile, image, mapping, blocks));
+                layer.removeFromCurrentRetrievals(imagePath);
+
+                if (texture) {
+                    cache.putResource(imagePath, texture, texture.size);
+
+                    layer.currentTilesInvalid = true;
+                    layer.absentResourceList.unmarkResourceAbsent(imagePath);
+
+                    if (!suppressRedraw) {
+                        // Send an event to request a redraw.
+                        var e = document.createEvent('Event');
+                        e.initEvent(WorldWind.REDRAW_EVENT_TYPE, true, true);
+                        canvas.dispatchEvent(e);
+                    }
+                }
+            }, function () {
+                layer.removeFromCurrentRetrievals(imagePath);
+                layer.absentResourceList.markResourceAbsent(imagePath);
+                Logger.log(Logger.LEVEL_WARNING, "GeoTiff tile retrieval failed: " + imagePath);
+            });
+        };
+
+        // Intentionally not documented. Draws the pixels of the internal tiles into the canvas of the tile.
+        CloudOptimizedGeoTiffLayer.prototype.drawTile = function (tile, image, mapping, blocks) {
+            var canvas = document.createElement("canvas"),
+                ctx,
+                imageData,
+                blocksByIndex = {},
+                photometricInterpretation = image.photometricInterpretation,
+                colorMapSampleSize = image.colorMap ? Math.pow(2, image.bitsPerSample[0]) : undefined;
+
+            if (image.compression === TiffConstants.Compression.JPEG &&
+                photometricInterpretation === TiffConstants.PhotometricInterpretation.Y_Cb_Cr) {
+                // The browser converts the decoded JPEG tiles to RGB.
+                photometricInterpretation = TiffConstants.PhotometricInterpretation.RGB;
+            }
+
+            for (var i = 0; i < mapping.indices.length; i++) {
+                blocksByIndex[mapping.indices[i]] = blocks[i];
+            }
+
+            canvas.width = tile.tileWidth;
+            canvas.height = tile.tileHeight;
+            ctx = canvas.getContext("2d");
+            imageData = ctx.createImageData(canvas.width, canvas.height);
+
+            for (var k = 0, length = mapping.blocks.length; k < length; k++) {
+                var pixels = mapping.blocks[k] >= 0 ? blocksByIndex[mapping.blocks[k]] : null,
+                    pixelSamples = pixels && pixels[mapping.offsets[k]];
+                if (!pixelSamples) {
+                    continue; // Leave the pixel transparent.
+                }
+
+                var rgba = this.geoTiff.reader.getRGBAValues(
+                    pixelSamples,
+                    photometricInterpretation,
+                    image.bitsPerSample,
+                    image.samplesPerPixel,
+                    image.colorMap,
+                    colorMapSampleSize
+                );
+                imageData.data[4 * k] = rgba[0];
+                imageData.data[4 * k + 1] = rgba[1];
+                imageData.data[4 * k + 2] = rgba[2];
+                imageData.data[4 * k + 3] = Math.round(rgba[3] * 255);
+            }
+
+            ctx.putImageData(imageData, 0, 0);
+
+            return canvas;
+        };
+
+        return CloudOptimizedGeoTiffLayer;
+    }
+);
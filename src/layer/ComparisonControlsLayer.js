@@ -0,0 +1,387 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports ComparisonControlsLayer
+ */
+define([
+        '../error/ArgumentError',
+        '../shaders/BasicProgram',
+        '../util/Color',
+        '../render/ComparisonClip',
+        '../layer/Layer',
+        '../util/Logger',
+        '../geom/Matrix',
+        '../geom/Vec2',
+        '../util/WWMath'
+    ],
+    function (ArgumentError,
+              BasicProgram,
+              Color,
+              ComparisonClip,
+              Layer,
+              Logger,
+              Matrix,
+              Vec2,
+              WWMath) {
+        "use strict";
+
+        /**
+         * Constructs a comparison controls layer.
+         * @alias ComparisonControlsLayer
+         * @constructor
+         * @augments Layer
+         * @classdesc Displays and manages a swipe divider or spyglass lens used to compare a layer with the layers
+         * beneath it. The layer being compared is identified by this layer's
+         * [targetLayer]{@link ComparisonControlsLayer#targetLayer} property and is clipped by this layer's
+         * [clip]{@link ComparisonControlsLayer#clip}.
+         * <p>
+         * In [WorldWind.SWIPE]{@link WorldWind#SWIPE} mode the user drags the divider to reveal more or less of the
+         * target layer. In [WorldWind.SPYGLASS]{@link WorldWind#SPYGLASS} mode the lens follows the cursor, or the
+         * user's finger when dragged on touch devices. Add this layer after the target layer so that the divider or
+         * lens outline is drawn over it.
+         * <p>
+         * This layer listens to the pointer events of the WorldWindow in browsers supporting them, and to its mouse
+         * and touch events otherwise. It also listens to the move and up events of the window so that dragging
+         * continues outside of the WorldWindow. The events of a drag are cancelled so that the WorldWindow's
+         * navigator ignores them. Call
+         * [detach]{@link ComparisonControlsLayer#detach} to remove these listeners when this layer is no longer
+         * used.
+         * @param {WorldWindow} worldWindow The WorldWindow associated with this layer.
+         * This layer may not be associated with more than one WorldWindow.
+         * @throws {ArgumentError} If the specified WorldWindow is null or undefined.
+         */
+        var ComparisonControlsLayer = function (worldWindow) {
+            if (!worldWindow) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ComparisonControlsLayer", "constructor",
+                    "missingWorldWindow"));
+            }
+
+            Layer.call(this, "Comparison Controls");
+
+            /**
+             * The WorldWindow associated with this layer.
+             * @type {WorldWindow}
+             * @readonly
+             */
+            this.wwd = worldWindow;
+
+            /**
+             * The clip this layer manages and applies to its target layer. Set the clip's mode to switch between the
+             * swipe divider and the spyglass lens.
+             * @type {ComparisonClip}
+             * @readonly
+             */
+            this.clip = new ComparisonClip();
+
+            /**
+             * The color of the divider and the lens outline.
+             * @type {Color}
+             * @default White
+             */
+            this.color = new Color(1, 1, 1, 1);
+
+            /**
+             * The width of the divider and the lens outline, in canvas pixels.
+             * @type {Number}
+             * @default 2
+             */
+            this.lineWidth = 2;
+
+            /**
+             * The distance in canvas pixels from the divider within which the user can grab it.
+             * @type {Number}
+             * @default 8
+             */
+            this.dragTolerance = 8;
+
+            this.pickEnabled = false;
+
+            // Internal. Intentionally not documented.
+            this._targetLayer = null;
+            this.isDragging = false;
+            this.matrix = Matrix.fromIdentity();
+            this.lensPoints = new Float32Array(4 * (ComparisonControlsLayer.LENS_SEGMENTS + 1));
+            this.lensVboCacheKey = null;
+            this.eventListeners = [];
+
+            this.setupInteraction();
+        };
+
+        // Internal. Intentionally not documented.
+        ComparisonControlsLayer.LENS_SEGMENTS = 90;
+
+        ComparisonControlsLayer.prototype = Object.create(Layer.prototype);
+
+        Object.defineProperties(ComparisonControlsLayer.prototype, {
+            /**
+             * The layer being compared. This layer's clip is assigned to the target layer's
+             * [comparisonClip]{@link Layer#comparisonClip} property, and removed from the previous target layer.
+             * The divider or lens is not displayed when this property is null.
+             * @type {Layer}
+             * @default null
+             * @memberof ComparisonControlsLayer.prototype
+             */
+            targetLayer: {
+                get: function () {
+                    return this._targetLayer;
+                },
+                set: function (layer) {
+                    if (this._targetLayer && this._targetLayer.comparisonClip === this.clip) {
+                        this._targetLayer.comparisonClip = null;
+                    }
+
+                    this._targetLayer = layer;
+                    if (layer) {
+                        layer.comparisonClip = this.clip;
+                    }
+
+                    this.wwd.redraw();
+                }
+            }
+        });
+
+        /**
+         * Indicates whether a specified point is on the swipe divider or inside the spyglass lens, where dragging it
+         * moves the divider or lens.
+         * @param {Vec2} point The point to test, in canvas coordinates.
+         * @returns {Boolean} true if the point is on the control, otherwise false.
+         */
+        ComparisonControlsLayer.prototype.isOnControl = function (point) {
+            var width = this.wwd.canvas.clientWidth,
+                height = this.wwd.canvas.clientHeight;
+
+            if (this.clip.mode === WorldWind.SPYGLASS) {
+                var center = this.clip.lensCenterPoint(width, height),
+                    dx = point[0] - center.x,
+                    dy = point[1] - center.y;
+                return dx * dx + dy * dy <= this.clip.lensRadius * this.clip.lensRadius;
+            }
+
+            return Math.abs(point[0] - this.clip.dividerX(width)) <= this.dragTolerance;
+        };
+
+        /**
+         * Moves the swipe divider or the spyglass lens to a specified point and redraws the WorldWindow.
+         * @param {Vec2} point The point to move to, in canvas coordinates.
+         */
+        ComparisonControlsLayer.prototype.moveControl = function (point) {
+            if (this.clip.mode === WorldWind.SPYGLASS) {
+                this.clip.lensCenter = new Vec2(point[0], point[1]);
+            } else {
+                var width = this.wwd.canvas.clientWidth;
+                this.clip.dividerPosition = width > 0 ? WWMath.clamp(point[0] / width, 0, 1) : 0.5;
+            }
+
+            this.wwd.redraw();
+        };
+
+        /**
+         * Removes the event listeners this layer added to the WorldWindow and to the window, and removes this
+         * layer's clip from the target layer. The divider or lens can't be moved by the user afterwards.
+         */
+        ComparisonControlsLayer.prototype.detach = function () {
+            this.eventListeners.forEach(function (entry) {
+                entry.target.removeEventListener(entry.type, entry.listener);
+            });
+            this.eventListeners = [];
+            this.isDragging = false;
+
+            this.targetLayer = null;
+        };
+
+        // Documented in superclass.
+        ComparisonControlsLayer.prototype.doRender = function (dc) {
+            if (dc.pickingMode || !this._targetLayer || !this._targetLayer.enabled) {
+                return;
+            }
+
+            var gl = dc.currentGlContext,
+                program = dc.findAndBindProgram(BasicProgram);
+
+            gl.disable(gl.DEPTH_TEST);
+            gl.enableVertexAttribArray(program.vertexPointLocation);
+            try {
+                program.loadColor(gl, this.color);
+                if (this.clip.mode === WorldWind.SPYGLASS) {
+                    this.drawLens(dc, program);
+                } else {
+                    this.drawDivider(dc, program);
+                }
+            } finally {
+                gl.disableVertexAttribArray(program.vertexPointLocation);
+                gl.bindBuffer(gl.ARRAY_BUFFER, null);
+                gl.enable(gl.DEPTH_TEST);
+            }
+
+            this.inCurrentFrame = true;
+        };
+
+        // Internal. Intentionally not documented.
+        ComparisonControlsLayer.prototype.drawDivider = function (dc, program) {
+            var gl = dc.currentGlContext,
+                viewport = dc.navigatorState.viewport,
+                lineWidth = this.lineWidth * dc.pixelScale,
+                x = this.clip.dividerX(viewport.width / dc.pixelScale) * dc.pixelScale;
+
+            this.matrix.copy(dc.screenProjection);
+            this.matrix.multiplyByTranslation(viewport.x + x - lineWidth / 2, viewport.y, 0);
+            this.matrix.multiplyByScale(lineWidth, viewport.height, 1);
+            program.loadModelviewProjection(gl, this.matrix);
+
+            gl.bindBuffer(gl.ARRAY_BUFFER, dc.unitQuadBuffer3());
+            gl.vertexAttribPointer(program.vertexPointLocation, 3, gl.FLOAT, false, 0, 0);
+            gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+        };
+
+        // Internal. Intentionally not documented.
+        ComparisonControlsLayer.prototype.drawLens = function (dc, program) {
+            var gl = dc.currentGlContext,
+                viewport = dc.navigatorState.viewport,
+                scale = dc.pixelScale,
+                center = this.clip.lensCenterPoint(viewport.width / scale, viewport.height / scale),
+                cx = viewport.x + center.x * scale,
+                cy = viewport.y + viewport.height - center.y * scale,
+                outerRadius = this.clip.lensRadius * scale + this.lineWidth * scale / 2,
+                innerRadius = Math.max(outerRadius - this.lineWidth * scale, 0),
+                points = this.lensPoints,
+                segments = ComparisonControlsLayer.LENS_SEGMENTS;
+
+            // Draw the lens outline as a ring of triangles alternating between its inner and outer edges.
+            for (var i = 0, k = 0; i <= segments; i++) {
+                var angle = 2 * Math.PI * i / segments,
+                    cos = Math.cos(angle),
+                    sin = Math.sin(angle);
+                points[k++] = cx + innerRadius * cos;
+                points[k++] = cy + innerRadius * sin;
+                points[k++] = cx + outerRadius * cos;
+                points[k++] = cy + outerRadius * sin;
+            }
+
+            if (!this.lensVboCacheKey) {
+                this.lensVboCacheKey = dc.gpuResourceCache.generateCacheKey();
+            }
+
+            var vboId = dc.gpuResourceCache.resourceForKey(this.lensVboCacheKey);
+            if (!vboId) {
+                vboId = gl.createBuffer();
+                dc.gpuResourceCache.putResource(this.lensVboCacheKey, vboId, points.length * 4);
+                dc.frameStatistics.incrementVboLoadCount(1);
+            }
+
+            gl.bindBuffer(gl.ARRAY_BUFFER, vboId);
+            gl.bufferData(gl.ARRAY_BUFFER, points, gl.DYNAMIC_DRAW);
+            program.loadModelviewProjection(gl, dc.screenProjection);
+            gl.vertexAttribPointer(program.vertexPointLocation, 2, gl.FLOAT, false, 0, 0);
+            gl.drawArrays(gl.TRIANGLE_STRIP, 0, 2 * (segments + 1));
+        };
+
+        // Internal. Intentionally not documented.
+        ComparisonControlsLayer.prototype.setupInteraction = function () {
+            var wwd = this.wwd,
+                thisLayer = this;
+
+            var listen = function (target, type, listener) {
+                target.addEventListener(type, listener);
+                thisLayer.eventListeners.push({target: target, type: type, listener: listener});
+            };
+
+            var isActive = function () {
+                return thisLayer.enabled && thisLayer._targetLayer && thisLayer._targetLayer.enabled;
+            };
+
+            // Mouse events and pointer events of any pointer type, which replace both the mouse and the touch
+            // events in the browsers supporting them, like they do for the WorldWindow's gesture recognizers.
+            var handlePointerEvent = function (e) {
+                if (!isActive()) {
+                    thisLayer.isDragging = false;
+                    return;
+                }
+
+                var isMouse = !e.pointerType || e.pointerType === "mouse",
+                    point = wwd.canvasCoordinates(e.clientX, e.clientY);
+
+                if (!isMouse && !e.isPrimary) {
+                    // A second touch starts a gesture other than dragging the control.
+                    thisLayer.isDragging = false;
+                    return;
+                }
+
+                if (e.type === "mousedown" || e.type === "pointerdown") {
+                    // The spyglass lens follows the mouse, so only the swipe divider is dragged with the mouse.
+                    if (isMouse && (e.button !== 0 || thisLayer.clip.mode === WorldWind.SPYGLASS)) {
+                        return;
+                    }
+
+                    if (thisLayer.isOnControl(point)) {
+                        thisLayer.isDragging = true;
+                        e.preventDefault();
+                    }
+                } else if (e.type === "mousemove" || e.type === "pointermove") {
+                    if (thisLayer.isDragging) {
+                        thisLayer.moveControl(point);
+                        e.preventDefault();
+                    } else if (isMouse && thisLayer.clip.mode === WorldWind.SPYGLASS && e.target === wwd.canvas) {
+                        thisLayer.moveControl(point);
+                    }
+                } else if (thisLayer.isDragging) { // mouseup, pointerup or pointercancel
+                    thisLayer.isDragging = false;
+                    e.preventDefault();
+                }
+            };
+
+            if (window.PointerEvent) {
+                listen(wwd, "pointerdown", handlePointerEvent);
+                listen(window, "pointermove", handlePointerEvent);
+                listen(window, "pointerup", handlePointerEvent);
+                listen(window, "pointercancel", handlePointerEvent);
+                return;
+            }
+
+            listen(wwd, "mousedown", handlePointerEvent);
+            listen(window, "mousemove", handlePointerEvent);
+            listen(window, "mouseup", handlePointerEvent);
+
+            var handleTouchEvent = function (e) {
+                if (!isActive() || e.touches.length > 1) {
+                    thisLayer.isDragging = false;
+                    return;
+                }
+
+                if (e.type === "touchstart") {
+                    var touch = e.changedTouches.item(0),
+                        point = wwd.canvasCoordinates(touch.clientX, touch.clientY);
+                    if (thisLayer.isOnControl(point)) {
+                        thisLayer.isDragging = true;
+                        e.preventDefault();
+                    }
+                } else if (e.type === "touchmove" && thisLayer.isDragging) {
+                    touch = e.changedTouches.item(0);
+                    thisLayer.moveControl(wwd.canvasCoordinates(touch.clientX, touch.clientY));
+                    e.preventDefault();
+                } else if ((e.type === "touchend" || e.type === "touchcancel") && thisLayer.isDragging) {
+                    thisLayer.isDragging = false;
+                    e.preventDefault();
+                }
+            };
+
+            listen(wwd, "touchstart", handleTouchEvent);
+            listen(wwd, "touchmove", handleTouchEvent);
+            listen(wwd, "touchend", handleTouchEvent);
+            listen(wwd, "touchcancel", handleTouchEvent);
+        };
+
+        return ComparisonControlsLayer;
+    });
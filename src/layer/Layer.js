@@ -60,6 +60,28 @@ define([
              */
             this.opacity = 1;
 
+            /**
+             * The mode used to combine this layer's imagery with the imagery drawn before it. Must be one of
+             * [WorldWind.BLEND_NORMAL]{@link WorldWind#BLEND_NORMAL},
+             * [WorldWind.BLEND_MULTIPLY]{@link WorldWind#BLEND_MULTIPLY},
+             * [WorldWind.BLEND_SCREEN]{@link WorldWind#BLEND_SCREEN} or
+             * [WorldWind.BLEND_DIFFERENCE]{@link WorldWind#BLEND_DIFFERENCE}. Blend modes apply to layers drawing
+             * imagery on the terrain, such as {@link TiledImageLayer} and {@link WmtsLayer}. Null means
+             * [WorldWind.BLEND_NORMAL]{@link WorldWind#BLEND_NORMAL}.
+             * @type {String}
+             * @default null
+             */
+            this.blendMode = null;
+
+            /**
+             * The screen region to which this layer's imagery is clipped, typically to compare it with the layers
+             * beneath it. This layer is not clipped when this property is null. Like blend modes, clipping applies
+             * to layers drawing imagery on the terrain.
+             * @type {ComparisonClip}
+             * @default null
+             */
+            this.comparisonClip = null;
+
             /**
              * The eye altitude above which this layer is displayed, in meters.
              * @type {Number}
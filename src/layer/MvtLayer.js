@@ -0,0 +1,574 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports MvtLayer
+ */
+define([
+        '../util/AbsentResourceList',
+        '../error/ArgumentError',
+        '../util/Color',
+        '../layer/Layer',
+        '../util/LevelSet',
+        '../geom/Location',
+        '../util/Logger',
+        '../cache/MemoryCache',
+        '../formats/mvt/MvtTile',
+        '../shapes/Placemark',
+        '../geom/Position',
+        '../geom/Sector',
+        '../shapes/SurfacePolygon',
+        '../shapes/SurfacePolyline',
+        '../util/Tile',
+        '../layer/XyzTiledImageLayer'
+    ],
+    function (AbsentResourceList,
+              ArgumentError,
+              Color,
+              Layer,
+              LevelSet,
+              Location,
+              Logger,
+              MemoryCache,
+              MvtTile,
+              Placemark,
+              Position,
+              Sector,
+              SurfacePolygon,
+              SurfacePolyline,
+              Tile,
+              XyzTiledImageLayer) {
+        "use strict";
+
+        /**
+         * Constructs a Mapbox Vector Tile layer.
+         * @alias MvtLayer
+         * @constructor
+         * @augments Layer
+         * @classdesc Displays the features of Mapbox Vector Tiles styled on the client. The Web Mercator vector
+         * tiles appropriate for the view are retrieved from a tile server, decoded, and their features are
+         * displayed as surface polygons, surface polylines and placemarks. The surface shapes are drawn into the
+         * surface tiles of the terrain, therefore they stay crisp at any zoom and tilt. The tiles of the lower zoom
+         * levels are displayed until the tiles of the appropriate zoom level are retrieved, and the tiles of the
+         * maximum zoom level of the server are displayed at higher zoom levels.
+         * <p>
+         * The features are styled by the [styles]{@link MvtLayer#styles} of the layer, which map the names of the
+         * layers of the vector tiles, the source layers, to {@link DataDrivenStyle}s. The fill, line and point
+         * attributes, the filters and the labels of the styles depend on the properties of the features. The
+         * features of source layers without a style aren't displayed. Assign new styles or call
+         * [applyStyle]{@link MvtLayer#applyStyle} after changing the styles to restyle the features.
+         * @param {{}} config Specifies configuration information for the layer. Must contain the following
+         * properties:
+         * <ul>
+         *     <li>url: {String} The URL template of the tiles with the {z}, {x}, {y}, {-y}, {s} and {quadkey}
+         *     placeholders described by {@link XyzTiledImageLayer}, e.g., https://example.com/{z}/{x}/{y}.pbf.</li>
+         *     <li>title (optional): {String} The display name of the layer. Defaults to Vector Tiles.</li>
+         *     <li>subdomains (optional): {String|String[]} The subdomains replacing {s}. Defaults to abc.</li>
+         *     <li>minZoom (optional): {Number} The lowest zoom level of the server. Defaults to 0.</li>
+         *     <li>maxZoom (optional): {Number} The highest zoom level of the server. Defaults to 14.</li>
+         *     <li>sector (optional): {Sector} The bounds of the tiles. Tiles outside the bounds aren't requested.
+         *     </li>
+         *     <li>size (optional): {Number} The size in pixels at which the tiles are displayed. Defaults to 512.</li>
+         *     <li>styles (optional): {Object} The styles of the source layers as described above. If not specified,
+         *     all the features are displayed with default attributes.</li>
+         *     <li>attribution (optional): {String} The credit displayed while the layer is visible.</li>
+         * </ul>
+         * @throws {ArgumentError} If the specified configuration is null or undefined or doesn't specify the URL
+         * template, or if its maximum zoom level is less than its minimum zoom level.
+         */
+        var MvtLayer = function (config) {
+            if (!config || !config.url) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "MvtLayer", "constructor", "No URL template specified."));
+            }
+
+            var minZoom = config.minZoom || 0,
+                maxZoom = config.maxZoom !== undefined ? config.maxZoom : 14,
+                // The zoom level zero tile is displayed as the zoom level 1 tiles, like XyzTiledImageLayer does.
+                firstZoom = Math.max(minZoom, 1),
+                scale = Math.pow(2, firstZoom),
+                size = config.size || 512,
+                sector = new Sector(-85.05, 85.05, -180, 180);
+
+            if (maxZoom < firstZoom) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "MvtLayer", "constructor",
+                        "The maximum zoom level is less than the minimum zoom level."));
+            }
+
+            if (config.sector) {
+                sector.intersection(config.sector);
+            }
+
+            Layer.call(this, config.title || "Vector Tiles");
+
+            /**
+             * The URL template of the tiles.
+             * @type {String}
+             * @readonly
+             */
+            this.urlTemplate = config.url;
+
+            /**
+             * The subdomains replacing the {s} placeholder of the URL template.
+             * @type {String[]}
+             * @readonly
+             */
+            this.subdomains = typeof config.subdomains === "string" ? config.subdomains.split("") :
+                config.subdomains || ["a", "b", "c"];
+
+            /**
+             * The zoom level of the first level of this layer.
+             * @type {Number}
+             * @readonly
+             */
+            this.firstZoom = firstZoom;
+
+            /**
+             * The credit displayed while this layer is visible. May be null.
+             * @type {String}
+             */
+            this.attribution = config.attribution || null;
+
+            /**
+             * Controls the level of detail switching for this layer. The next highest zoom level is used when the
+             * size of a tile's pixels is greater than this number of screen pixels, up to the maximum zoom level of
+             * the server.
+             * @type {Number}
+             * @default 1.75
+             */
+            this.detailControl = 1.75;
+
+            // Internal use only. The styles of the source layers.
+            this._styles = config.styles || null;
+
+            // Internal use only. Incremented when the styles change, so that the shapes are restyled.
+            this.styleVersion = 0;
+
+            // Internal use only. The levels of the tiles.
+            this.levels = new LevelSet(sector, new Location(2 * 85.05 / scale, 360 / scale), maxZoom - firstZoom + 1,
+                size, size);
+
+            // Internal use only. The tiles of the first level.
+            this.topLevelTiles = [];
+
+            // Internal use only. The tiles appropriate for the current view.
+            this.currentTiles = [];
+
+            // Internal use only. The subdivided tiles.
+            this.tileCache = new MemoryCache(500000, 400000);
+
+            // Internal use only. The decoded tiles and their shapes keyed by zoom level, column and row. The sizes of
+            // the entries estimate the bytes of memory they hold, see MvtLayer.entrySize.
+            this.dataCache = new MemoryCache(50e6, 40e6);
+
+            // Internal use only. The keys of the tiles being retrieved.
+            this.currentRetrievals = {};
+
+            // Internal use only.
+            this.absentResourceList = new AbsentResourceList(3, 50e3);
+        };
+
+        MvtLayer.prototype = Object.create(Layer.prototype);
+
+        Object.defineProperties(MvtLayer.prototype, {
+            /**
+             * The styles of the source layers: an object mapping the names of the source layers to
+             * {@link DataDrivenStyle}s. The features of source layers without a style aren't displayed. If null,
+             * all the features are displayed with default attributes.
+             * @type {Object}
+             * @memberof MvtLayer.prototype
+             */
+            styles: {
+                get: function () {
+                    return this._styles;
+                },
+                set: function (styles) {
+                    this._styles = styles;
+                    this.applyStyle();
+                }
+            }
+        });
+
+        /**
+         * Restyles the features of this layer. Call this method after changing the rules of the styles of this
+         * layer.
+         */
+        MvtLayer.prototype.applyStyle = function () {
+            for (var name in this._styles) {
+                if (this._styles.hasOwnProperty(name) && this._styles[name]) {
+                    this._styles[name].attributesCache = {};
+                }
+            }
+
+            this.styleVersion++;
+        };
+
+        // Documented in superclass.
+        MvtLayer.prototype.refresh = function () {
+            this.dataCache.clear();
+        };
+
+        // Documented in superclass.
+        MvtLayer.prototype.isLayerInView = function (dc) {
+            return dc.terrain && dc.terrain.sector && dc.terrain.sector.intersects(this.levels.sector);
+        };
+
+        // Documented in superclass.
+        MvtLayer.prototype.doRender = function (dc) {
+            if (!dc.terrain) {
+                return;
+            }
+
+            this.assembleTiles(dc);
+
+            var numOrderedRenderablesAtStart = dc.orderedRenderables.length,
+                renderedEntries = {};
+
+            for (var i = 0, len = this.currentTiles.length; i < len; i++) {
+                var entry = this.entryForTile(this.currentTiles[i]);
+                if (entry && !renderedEntries[entry.key]) {
+                    renderedEntries[entry.key] = true;
+                    this.renderEntry(dc, entry);
+                }
+            }
+
+            if (dc.orderedRenderables.length > numOrderedRenderablesAtStart) {
+                this.inCurrentFrame = true;
+            }
+
+            if (this.inCurrentFrame && this.attribution) {
+                dc.screenCreditController.addStringCredit(this.attribution, Color.DARK_GRAY);
+            }
+        };
+
+        // Internal use only. Renders the shapes of a decoded tile, creating them if the styles changed.
+        MvtLayer.prototype.renderEntry = function (dc, entry) {
+            if (entry.styleVersion !== this.styleVersion) {
+                entry.shapes = this.createShapes(entry.tile, entry.z, entry.x, entry.y);
+                entry.styleVersion = this.styleVersion;
+
+                // The shapes hold more memory than the decoded tile.
+                this.dataCache.putEntry(entry.key, entry, MvtLayer.entrySize(entry));
+            }
+
+            for (var i = 0, len = entry.shapes.length; i < len; i++) {
+                try {
+                    entry.shapes[i].render(dc);
+                } catch (e) {
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "MvtLayer", "renderEntry",
+                        "Error while rendering shape " + entry.shapes[i].displayName + ".\n" + e.toString());
+                }
+            }
+
+            // The surface shapes don't add ordered renderables.
+            this.inCurrentFrame = this.inCurrentFrame || entry.shapes.length > 0;
+        };
+
+        // Internal use only. Determines the decoded tile to display for a tile: the tile itself if it has been
+        // retrieved, otherwise its closest retrieved ancestor. Initiates the retrieval of the tile.
+        MvtLayer.prototype.entryForTile = function (tile) {
+            var z = tile.level.levelNumber + this.firstZoom,
+                x = tile.column,
+                y = tile.row,
+                entry = this.dataCache.entryForKey(MvtLayer.tileKey(z, x, y));
+
+            if (!entry) {
+                this.retrieveTile(z, x, y);
+            }
+
+            while (!entry && z > this.firstZoom) {
+                z -= 1;
+                x >>= 1;
+                y >>= 1;
+                entry = this.dataCache.entryForKey(MvtLayer.tileKey(z, x, y));
+            }
+
+            return entry;
+        };
+
+        // Internal use only. Retrieves and decodes a tile.
+        MvtLayer.prototype.retrieveTile = function (z, x, y) {
+            var key = MvtLayer.tileKey(z, x, y);
+            if (this.currentRetrievals[key] || this.absentResourceList.isResourceAbsent(key)) {
+                return;
+            }
+
+            var url = XyzTiledImageLayer.urlFromTemplate(this.urlTemplate, this.subdomains, z, x, y),
+                xhr = new XMLHttpRequest(),
+                layer = this;
+
+            xhr.open("GET", url, true);
+            xhr.responseType = "arraybuffer";
+            xhr.onreadystatechange = function () {
+                if (xhr.readyState !== 4) {
+                    return;
+                }
+
+                delete layer.currentRetrievals[key];
+
+                if (xhr.status === 200 || xhr.status === 204 || xhr.status === 404) {
+                    try {
+                        // The servers of sparse tile sets respond to the requests of empty tiles without content.
+                        var data = xhr.status === 200 && xhr.response ? xhr.response : new ArrayBuffer(0);
+                        layer.addTile(z, x, y, data);
+                        layer.absentResourceList.unmarkResourceAbsent(key);
+                    } catch (e) {
+                        layer.absentResourceList.markResourceAbsentPermanently(key);
+                        Logger.log(Logger.LEVEL_WARNING, "Vector tile decoding failed (" + e.message + "): " + url);
+                        return;
+                    }
+
+                    // Send an event to request a redraw.
+                    var event = document.createEvent('Event');
+                    event.initEvent(WorldWind.REDRAW_EVENT_TYPE, true, true);
+                    window.dispatchEvent(event);
+                } else {
+                    layer.absentResourceList.markResourceAbsent(key);
+                    Logger.log(Logger.LEVEL_WARNING,
+                        "Vector tile retrieval failed (" + xhr.statusText + "): " + url);
+                }
+            };
+
+            xhr.onerror = function () {
+                delete layer.currentRetrievals[key];
+                layer.absentResourceList.markResourceAbsent(key);
+                Logger.log(Logger.LEVEL_WARNING, "Vector tile retrieval failed: " + url);
+            };
+
+            this.currentRetrievals[key] = true;
+            xhr.send(null);
+        };
+
+        /**
+         * Decodes an encoded vector tile and adds it to the tiles displayed by this layer.
+         * @param {Number} z The zoom level of the tile.
+         * @param {Number} x The column of the tile, counted from the west.
+         * @param {Number} y The row of the tile, counted from the north.
+         * @param {ArrayBuffer} data The encoded tile.
+         * @throws {Error} If the tile can't be decoded.
+         * @protected
+         */
+        MvtLayer.prototype.addTile = function (z, x, y, data) {
+            var bytes = new Uint8Array(data);
+            if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+                throw new Error("The tile is gzip compressed without a Content-Encoding header");
+            }
+
+            var key = MvtLayer.tileKey(z, x, y);
+            this.dataCache.putEntry(key, {
+                key: key,
+                z: z,
+                x: x,
+                y: y,
+                tile: new MvtTile(bytes),
+                tileSize: bytes.length * MvtLayer.DECODED_TILE_SIZE_FACTOR,
+                shapes: [],
+                styleVersion: -1
+            }, Math.max(bytes.length * MvtLayer.DECODED_TILE_SIZE_FACTOR, 1));
+        };
+
+        /**
+         * Creates the shapes for the features of a decoded tile and styles them.
+         * @param {MvtTile} tile The decoded tile.
+         * @param {Number} z The zoom level of the tile.
+         * @param {Number} x The column of the tile, counted from the west.
+         * @param {Number} y The row of the tile, counted from the north.
+         * @returns {Renderable[]} The shapes.
+         */
+        MvtLayer.prototype.createShapes = function (tile, z, x, y) {
+            var shapes = [];
+
+            for (var l = 0; l < tile.layers.length; l++) {
+                var sourceLayer = tile.layers[l],
+                    style = this._styles ? this._styles[sourceLayer.name] : null;
+
+                if (this._styles && !style) {
+                    continue;
+                }
+
+                for (var f = 0; f < sourceLayer.features.length; f++) {
+                    var featureShapes = this.createShapesForFeature(sourceLayer.features[f], sourceLayer.extent,
+                        z, x, y);
+
+                    for (var s = 0; s < featureShapes.length; s++) {
+                        if (style) {
+                            style.apply(featureShapes[s]);
+                        }
+                        shapes.push(featureShapes[s]);
+                    }
+                }
+            }
+
+            return shapes;
+        };
+
+        // Internal use only. Creates placemarks for the points, surface polylines for the lines and surface
+        // polygons for the polygons of a feature.
+        MvtLayer.prototype.createShapesForFeature = function (feature, extent, z, x, y) {
+            var shapes = [], polygons = [], numTiles = 1 << z, shape;
+
+            var toLocation = function (point) {
+                var u = (x + point[0] / extent) / numTiles,
+                    v = (y + point[1] / extent) / numTiles;
+                return new Location(MvtLayer.latitudeForY(v), u * 360 - 180);
+            };
+
+            for (var p = 0; p < feature.geometry.length; p++) {
+                var part = feature.geometry[p];
+
+                if (feature.type === MvtTile.POINT) {
+                    for (var i = 0; i < part.length; i++) {
+                        // The points in the buffer around the tile belong to the neighbouring tiles.
+                        if (part[i][0] >= 0 && part[i][0] < extent && part[i][1] >= 0 && part[i][1] < extent) {
+                            var location = toLocation(part[i]);
+                            shape = new Placemark(new Position(location.latitude, location.longitude, 0), false, null);
+                            shape.altitudeMode = WorldWind.CLAMP_TO_GROUND;
+                            shape.userProperties = feature.properties;
+                            shapes.push(shape);
+                        }
+                    }
+                } else if (feature.type === MvtTile.LINESTRING) {
+                    shape = new SurfacePolyline(part.map(toLocation), null);
+                    shape.userProperties = feature.properties;
+                    shapes.push(shape);
+                } else if (feature.type === MvtTile.POLYGON) {
+                    // The exterior rings are clockwise and have a positive area in the tile coordinates, the
+                    // interior rings following them are counterclockwise.
+                    if (polygons.length === 0 || MvtLayer.ringArea(part) > 0) {
+                        polygons.push([]);
+                    }
+                    polygons[polygons.length - 1].push(part.map(toLocation));
+                }
+            }
+
+            for (var b = 0; b < polygons.length; b++) {
+                shape = new SurfacePolygon(polygons[b], null);
+                shape.userProperties = feature.properties;
+                shapes.push(shape);
+            }
+
+            return shapes;
+        };
+
+        // Internal use only. Creates the tiles appropriate for the current view.
+        MvtLayer.prototype.assembleTiles = function (dc) {
+            this.currentTiles = [];
+
+            if (this.topLevelTiles.length === 0) {
+                this.createTopLevelTiles();
+            }
+
+            for (var i = 0, len = this.topLevelTiles.length; i < len; i++) {
+                var tile = this.topLevelTiles[i];
+                tile.update(dc);
+
+                if (this.isTileVisible(dc, tile)) {
+                    this.addTileOrDescendants(dc, tile);
+                }
+            }
+        };
+
+        // Internal use only. Creates the tiles of the first level within the bounds.
+        MvtLayer.prototype.createTopLevelTiles = function () {
+            this.topLevelTiles = [];
+            XyzTiledImageLayer.createTilesForLevel(this.levels.firstLevel(), this.firstZoom, this, this.topLevelTiles);
+        };
+
+        // Internal use only. Creates a Web Mercator tile. The tiles at the same level don't have the same sector
+        // size. Called by Tile.subdivide.
+        MvtLayer.prototype.createTile = function (sector, level, row, column) {
+            var numTiles = 1 << (level.levelNumber + this.firstZoom);
+
+            sector = new Sector(MvtLayer.latitudeForY((row + 1) / numTiles), MvtLayer.latitudeForY(row / numTiles),
+                column / numTiles * 360 - 180, (column + 1) / numTiles * 360 - 180);
+
+            return new Tile(sector, level, row, column);
+        };
+
+        // Internal use only.
+        MvtLayer.prototype.addTileOrDescendants = function (dc, tile) {
+            if (tile.level.isLastLevel() || !tile.mustSubdivide(dc, this.detailControl)) {
+                this.currentTiles.push(tile);
+                return;
+            }
+
+            var subTiles = tile.subdivideToCache(tile.level.nextLevel(), this, this.tileCache);
+            for (var i = 0, len = subTiles.length; i < len; i++) {
+                var child = subTiles[i];
+                child.update(dc);
+
+                if (this.levels.sector.intersects(child.sector) && this.isTileVisible(dc, child)) {
+                    this.addTileOrDescendants(dc, child);
+                }
+            }
+        };
+
+        // Internal use only.
+        MvtLayer.prototype.isTileVisible = function (dc, tile) {
+            return XyzTiledImageLayer.prototype.isTileVisible.call(this, dc, tile);
+        };
+
+        // Internal use only. Estimated ratio of the memory held by a decoded tile to the length of the encoded tile.
+        MvtLayer.DECODED_TILE_SIZE_FACTOR = 4;
+
+        // Internal use only. Estimated bytes of memory held by a shape, in addition to its locations.
+        MvtLayer.SHAPE_SIZE = 1000;
+
+        // Internal use only. Estimated bytes of memory held by every location of a shape, including the data the
+        // surface shapes compute from their locations.
+        MvtLayer.LOCATION_SIZE = 100;
+
+        // Internal use only. Estimates the bytes of memory held by a decoded tile and its shapes.
+        MvtLayer.entrySize = function (entry) {
+            var size = Math.max(entry.tileSize, 1);
+
+            var countLocations = function (boundaries) {
+                return boundaries.reduce(function (count, boundary) {
+                    return count + (Array.isArray(boundary) ? countLocations(boundary) : 1);
+                }, 0);
+            };
+
+            for (var i = 0, len = entry.shapes.length; i < len; i++) {
+                var boundaries = entry.shapes[i].boundaries;
+                size += MvtLayer.SHAPE_SIZE + MvtLayer.LOCATION_SIZE * (boundaries ? countLocations(boundaries) : 1);
+            }
+
+            return size;
+        };
+
+        // Internal use only.
+        MvtLayer.tileKey = function (z, x, y) {
+            return z + "/" + x + "/" + y;
+        };
+
+        // Internal use only. Determines the latitude of a Web Mercator map coordinate, which is 0 at the north and 1
+        // at the south edge of the map.
+        MvtLayer.latitudeForY = function (y) {
+            return 90 - 360 * Math.atan(Math.exp((y - 0.5) * 2 * Math.PI)) / Math.PI;
+        };
+
+        // Internal use only. Computes the signed area of a ring in tile coordinates.
+        MvtLayer.ringArea = function (ring) {
+            var area = 0;
+            for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                area += (ring[j][0] * ring[i][1]) - (ring[i][0] * ring[j][1]);
+            }
+            return area / 2;
+        };
+
+        return MvtLayer;
+    }
+);
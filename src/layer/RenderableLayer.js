@@ -43,10 +43,33 @@ define([
              * @readonly
              */
             this.renderables = [];
+
+            // Documented in defineProperties below.
+            this._style = null;
         };
 
         RenderableLayer.prototype = Object.create(Layer.prototype);
 
+        Object.defineProperties(RenderableLayer.prototype, {
+            /**
+             * The data-driven style of the renderables of this layer. Assigning a style applies it to the current
+             * renderables of this layer and to the renderables added later. Removing the style leaves the
+             * renderables with their current attributes.
+             * @memberof RenderableLayer.prototype
+             * @type {DataDrivenStyle}
+             * @default null
+             */
+            style: {
+                get: function () {
+                    return this._style;
+                },
+                set: function (value) {
+                    this._style = value;
+                    this.applyStyle();
+                }
+            }
+        });
+
         /**
          * Adds a renderable to this layer.
          * @param {Renderable} renderable The renderable to add.
@@ -58,6 +81,10 @@ define([
                     "missingRenderable"));
             }
 
+            if (this._style) {
+                this._style.apply(renderable);
+            }
+
             this.renderables.push(renderable);
         };
 
@@ -95,6 +122,16 @@ define([
             this.renderables = [];
         };
 
+        /**
+         * Applies the [style]{@link RenderableLayer#style} of this layer to its renderables again. Call this method
+         * after changing the rules of the style or the properties of the renderables.
+         */
+        RenderableLayer.prototype.applyStyle = function () {
+            if (this._style) {
+                this._style.applyToRenderables(this.renderables);
+            }
+        };
+
         // Documented in superclass.
         RenderableLayer.prototype.doRender = function (dc) {
             var numOrderedRenderablesAtStart = dc.orderedRenderables.length;
@@ -24,6 +24,9 @@ define([
         '../util/LevelSet',
         '../util/Logger',
         '../cache/MemoryCache',
+        '../cache/PersistentTileCache',
+        '../util/Promise',
+        '../render/RasterAdjustments',
         '../render/Texture',
         '../util/Tile',
         '../util/WWUtil'
@@ -35,6 +38,9 @@ define([
               LevelSet,
               Logger,
               MemoryCache,
+              PersistentTileCache,
+              Promise,
+              RasterAdjustments,
               Texture,
               Tile,
               WWUtil) {
@@ -136,6 +142,15 @@ define([
              */
             this.crossOrigin = 'anonymous';
 
+            /**
+             * The color adjustments applied to this layer's imagery as it is drawn, such as brightness, contrast,
+             * a transparent color or a color ramp for single-band imagery. Modify this object's properties to
+             * change the adjustments; they take effect the next time the layer is drawn.
+             * @type {RasterAdjustments}
+             * @default A RasterAdjustments instance that leaves imagery unchanged.
+             */
+            this.rasterAdjustments = new RasterAdjustments();
+
             /* Intentionally not documented.
              * Indicates the time at which this layer's imagery expire. Expired images are re-retrieved
              * when the current time exceeds the specified expiry time. If null, images do not expire.
@@ -143,6 +158,17 @@ define([
              */
             this.expiration = null;
 
+            /**
+             * The persistent cache in which this layer stores its retrieved images, making them available across
+             * page reloads and offline. Images are stored in memory only when this property is null. Cached images
+             * stored at or before this layer's expiration time are retrieved again. Use
+             * [seedPersistentCache]{@link TiledImageLayer#seedPersistentCache} to store the images of a region
+             * before going offline.
+             * @type {PersistentTileCache}
+             * @default null
+             */
+            this.persistentCache = null;
+
             this.currentTiles = [];
             this.currentTilesInvalid = true;
             this.tileCache = new MemoryCache(500000, 400000);
@@ -237,6 +263,101 @@ define([
             return true;
         };
 
+        /**
+         * Retrieves this layer's images for a specified sector and range of levels and stores them in this layer's
+         * [persistent cache]{@link TiledImageLayer#persistentCache}, typically to make them available offline.
+         * This extends [prePopulate]{@link TiledImageLayer#prePopulate}, which retrieves only the level 0 images
+         * and keeps them in memory. Images already in the cache and not expired are not retrieved again. The number
+         * of images quadruples with each level, so applications should limit the level range to the detail needed.
+         * @param {Sector} sector The sector whose images to retrieve.
+         * @param {Number} firstLevelNumber The number of the first level whose images to retrieve.
+         * @param {Number} lastLevelNumber The number of the last level whose images to retrieve. Levels beyond this
+         * layer's last level are ignored.
+         * @param {Function} progress Optional function called as each image completes, with the number of images
+         * completed and the total number of images.
+         * @returns {Promise} A promise resolved when all images have been processed. See
+         * [PersistentTileCache.seed]{@link PersistentTileCache#seed} for its result.
+         * @throws {ArgumentError} If the specified sector is null or undefined, or if this layer has no persistent
+         * cache.
+         */
+        TiledImageLayer.prototype.seedPersistentCache = function (sector, firstLevelNumber, lastLevelNumber,
+                                                                  progress) {
+            if (!sector) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "TiledImageLayer", "seedPersistentCache", "missingSector"));
+            }
+
+            if (!this.persistentCache) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "TiledImageLayer", "seedPersistentCache",
+                        "This layer has no persistent cache."));
+            }
+
+            var tiles = this.tilesInSector(sector, firstLevelNumber, lastLevelNumber),
+                resources = [];
+
+            for (var i = 0; i < tiles.length; i++) {
+                var url = this.resourceUrlForTile(tiles[i], this.retrievalImageFormat);
+                if (url) {
+                    resources.push({key: tiles[i].imagePath, url: url});
+                }
+            }
+
+            return this.persistentCache.seed(resources, {
+                expiration: this.expiration,
+                acceptsContentType: function (contentType) {
+                    return !!contentType && contentType.indexOf("image/") === 0;
+                },
+                withCredentials: this.crossOrigin === 'use-credentials',
+                progress: progress
+            });
+        };
+
+        /**
+         * Returns this layer's tiles that overlap a specified sector within a range of levels.
+         * @param {Sector} sector The sector of interest.
+         * @param {Number} firstLevelNumber The number of the first level whose tiles to return.
+         * @param {Number} lastLevelNumber The number of the last level whose tiles to return.
+         * @returns {ImageTile[]} The tiles, ordered from the lowest resolution to the highest.
+         * @protected
+         */
+        TiledImageLayer.prototype.tilesInSector = function (sector, firstLevelNumber, lastLevelNumber) {
+            var lastLevel = Math.min(lastLevelNumber, this.levels.lastLevel().levelNumber),
+                tiles = [],
+                result = [];
+
+            if (!this.topLevelTiles || (this.topLevelTiles.length === 0)) {
+                this.createTopLevelTiles(null);
+            }
+
+            // Subdivide the overlapping tiles breadth first so that lower resolution tiles are listed first.
+            for (var i = 0; i < this.topLevelTiles.length; i++) {
+                if (this.topLevelTiles[i].sector.overlaps(sector)) {
+                    tiles.push(this.topLevelTiles[i]);
+                }
+            }
+
+            while (tiles.length > 0) {
+                var tile = tiles.shift(),
+                    levelNumber = tile.level.levelNumber;
+
+                if (levelNumber >= firstLevelNumber) {
+                    result.push(tile);
+                }
+
+                if (levelNumber < lastLevel) {
+                    var children = tile.subdivide(this.levels.level(levelNumber + 1), this);
+                    for (var c = 0; c < children.length; c++) {
+                        if (children[c].sector.overlaps(sector)) {
+                            tiles.push(children[c]);
+                        }
+                    }
+                }
+            }
+
+            return result;
+        };
+
         // Intentionally not documented.
         TiledImageLayer.prototype.createTile = function (sector, level, row, column) {
             var path = this.cachePath + "-layer/" + level.levelNumber + "/" + row + "/" + row + "_" + column + "."
@@ -279,7 +400,8 @@ define([
             this.lastGlobeStateKey = dc.globeStateKey;
 
             if (this.currentTiles.length > 0) {
-                dc.surfaceTileRenderer.renderTiles(dc, this.currentTiles, this.opacity, dc.surfaceOpacity >= 1);
+                dc.surfaceTileRenderer.renderTiles(dc, this.currentTiles, this.opacity, dc.surfaceOpacity >= 1,
+                    this.rasterAdjustments, this.blendMode, this.comparisonClip);
                 dc.frameStatistics.incrementImageTileCount(this.currentTiles.length);
                 this.inCurrentFrame = true;
             }
@@ -460,11 +582,14 @@ define([
                     return;
                 }
 
+                if (this.persistentCache) {
+                    this.retrievePersistentTileImage(dc, tile, suppressRedraw);
+                    return;
+                }
+
                 var url = this.resourceUrlForTile(tile, this.retrievalImageFormat),
                     image = new Image(),
                     imagePath = tile.imagePath,
-                    cache = dc.gpuResourceCache,
-                    canvas = dc.currentGlContext.canvas,
                     layer = this;
 
                 if (!url) {
@@ -474,22 +599,7 @@ define([
 
                 image.onload = function () {
                     Logger.log(Logger.LEVEL_INFO, "Image retrieval succeeded: " + url);
-                    var texture = layer.createTexture(dc, tile, image);
-                    layer.removeFromCurrentRetrievals(imagePath);
-
-                    if (texture) {
-                        cache.putResource(imagePath, texture, texture.size);
-
-                        layer.currentTilesInvalid = true;
-                        layer.absentResourceList.unmarkResourceAbsent(imagePath);
-
-                        if (!suppressRedraw) {
-                            // Send an event to request a redraw.
-                            var e = document.createEvent('Event');
-                            e.initEvent(WorldWind.REDRAW_EVENT_TYPE, true, true);
-                            canvas.dispatchEvent(e);
-                        }
-                    }
+                    layer.addTileImage(dc, tile, image, suppressRedraw);
                 };
 
                 image.onerror = function () {
@@ -504,6 +614,97 @@ define([
             }
         };
 
+        // Intentionally not documented. Retrieves a tile's image from the persistent cache, or from the server and
+        // stores it in the persistent cache when the cache has no current image for the tile.
+        TiledImageLayer.prototype.retrievePersistentTileImage = function (dc, tile, suppressRedraw) {
+            var url = this.resourceUrlForTile(tile, this.retrievalImageFormat),
+                imagePath = tile.imagePath,
+                persistentCache = this.persistentCache,
+                layer = this,
+                retrieved = false;
+
+            if (!url) {
+                this.currentTilesInvalid = true;
+                return;
+            }
+
+            this.currentRetrievals.push(imagePath);
+
+            persistentCache.entryForKey(imagePath, this.expiration).then(null, function (error) {
+                Logger.log(Logger.LEVEL_WARNING, "Tile cache read failed for " + imagePath + ": " + error);
+                return null;
+            }).then(function (entry) {
+                if (entry) {
+                    return entry;
+                }
+
+                retrieved = true;
+                return PersistentTileCache.retrieve(url, layer.crossOrigin === 'use-credentials');
+            }).then(function (entry) {
+                return TiledImageLayer.decodeImage(entry.data, entry.contentType).then(function (image) {
+                    if (retrieved) {
+                        Logger.log(Logger.LEVEL_INFO, "Image retrieval succeeded: " + url);
+                        persistentCache.putEntry(imagePath, entry.data, entry.contentType).then(null, function (error) {
+                            Logger.log(Logger.LEVEL_WARNING, "Tile cache write failed for " + imagePath + ": " + error);
+                        });
+                    }
+
+                    layer.addTileImage(dc, tile, image, suppressRedraw);
+                });
+            }).then(null, function () {
+                layer.removeFromCurrentRetrievals(imagePath);
+                layer.absentResourceList.markResourceAbsent(imagePath);
+                Logger.log(Logger.LEVEL_WARNING, "Image retrieval failed: " + url);
+            });
+        };
+
+        // Intentionally not documented. Creates the texture for a retrieved tile image and requests a redraw.
+        TiledImageLayer.prototype.addTileImage = function (dc, tile, image, suppressRedraw) {
+            var imagePath = tile.imagePath,
+                texture = this.createTexture(dc, tile, image);
+
+            this.removeFromCurrentRetrievals(imagePath);
+
+            if (texture) {
+                dc.gpuResourceCache.putResource(imagePath, texture, texture.size);
+
+                this.currentTilesInvalid = true;
+                this.absentResourceList.unmarkResourceAbsent(imagePath);
+
+                if (!suppressRedraw) {
+                    // Send an event to request a redraw.
+                    var e = document.createEvent('Event');
+                    e.initEvent(WorldWind.REDRAW_EVENT_TYPE, true, true);
+                    dc.currentGlContext.canvas.dispatchEvent(e);
+                }
+            }
+        };
+
+        /**
+         * Decodes an image from its bytes.
+         * @param {ArrayBuffer} data The image's bytes.
+         * @param {String} contentType The image's MIME type.
+         * @returns {Promise} A promise resolved with the decoded Image, or rejected if the bytes cannot be decoded.
+         */
+        TiledImageLayer.decodeImage = function (data, contentType) {
+            return new Promise(function (resolve, reject) {
+                var objectUrl = URL.createObjectURL(new Blob([data], {type: contentType || ""})),
+                    image = new Image();
+
+                image.onload = function () {
+                    URL.revokeObjectURL(objectUrl);
+                    resolve(image);
+                };
+
+                image.onerror = function () {
+                    URL.revokeObjectURL(objectUrl);
+                    reject(new Error("Unable to decode image"));
+                };
+
+                image.src = objectUrl;
+            });
+        };
+
         // Intentionally not documented.
         TiledImageLayer.prototype.createTexture = function (dc, tile, image) {
             return new Texture(dc.currentGlContext, image);
@@ -0,0 +1,426 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports WfsLayer
+ */
+define([
+        '../error/ArgumentError',
+        '../formats/geojson/GeoJSONParser',
+        '../formats/gml/GmlParser',
+        '../util/Logger',
+        '../layer/RenderableLayer',
+        '../geom/Sector'
+    ],
+    function (ArgumentError,
+              GeoJSONParser,
+              GmlParser,
+              Logger,
+              RenderableLayer,
+              Sector) {
+        "use strict";
+
+        /**
+         * Constructs a WFS feature layer.
+         * @alias WfsLayer
+         * @constructor
+         * @augments RenderableLayer
+         * @classdesc Displays the features of a WFS feature type. The features within the visible sector are
+         * retrieved by GetFeature requests once the view stops changing and replace the shapes of the previously
+         * visible sector. The features are requested in pages of [pageSize]{@link WfsLayer#pageSize} features until
+         * all the features of the sector or [maxFeatures]{@link WfsLayer#maxFeatures} features are retrieved. The
+         * shapes are created by the {@link GeoJSONParser} for the GeoJSON output formats and by the
+         * {@link GmlParser} for the GML output formats.
+         * @param {{}} config Specifies configuration information for the layer. Must contain the following
+         * properties:
+         * <ul>
+         *     <li>service: {String} The URL of the GetFeature operation of the WFS server.</li>
+         *     <li>typeName: {String} The name of the feature type.</li>
+         *     <li>title (optional): {String} The display name of the layer. Defaults to the type name.</li>
+         *     <li>version (optional): {String} The WFS version. Defaults to 2.0.0.</li>
+         *     <li>outputFormat (optional): {String} The GeoJSON or GML output format of the server. Defaults to
+         *     application/json.</li>
+         *     <li>sector (optional): {Sector} The sector containing the features. Defaults to the full sphere.</li>
+         *     <li>geometryName (optional): {String} The name of the geometry property filtered by the visible
+         *     sector. If not specified, the server filters the default geometry.</li>
+         *     <li>filter (optional): {Object|Object[]} The property filter of the features in the form used by
+         *     {@link DataDrivenStyle}: an object with the property, operator and value properties or an array of
+         *     them that all must match. Filter functions aren't supported.</li>
+         *     <li>style (optional): {DataDrivenStyle|Function} The style or the shape configuration callback of the
+         *     shapes created for the features as accepted by [GeoJSONParser.load]{@link GeoJSONParser#load}.</li>
+         * </ul>
+         * The function [WfsLayer.formLayerConfiguration]{@link WfsLayer#formLayerConfiguration} will create an
+         * appropriate configuration object given a {@link WfsCapabilities} object and a feature type name.
+         * @throws {ArgumentError} If the specified configuration is null or undefined or doesn't specify the service
+         * or the type name.
+         */
+        var WfsLayer = function (config) {
+            if (!config) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WfsLayer", "constructor", "No configuration specified."));
+            }
+
+            if (!config.service || !config.typeName) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WfsLayer", "constructor",
+                        "The configuration doesn't specify the service and the type name."));
+            }
+
+            RenderableLayer.call(this, config.title || config.typeName);
+
+            /**
+             * The configuration specified to this layer's constructor.
+             * @type {{}}
+             * @readonly
+             */
+            this.config = config;
+
+            /**
+             * The sector containing the features of this layer.
+             * @type {Sector}
+             * @readonly
+             */
+            this.sector = config.sector || Sector.FULL_SPHERE;
+
+            /**
+             * The number of features requested at once.
+             * @type {Number}
+             * @default 1000
+             */
+            this.pageSize = 1000;
+
+            /**
+             * The maximum number of features retrieved for the visible sector.
+             * @type {Number}
+             * @default 10000
+             */
+            this.maxFeatures = 10000;
+
+            /**
+             * The time in milliseconds the visible sector must stay unchanged before its features are requested.
+             * @type {Number}
+             * @default 500
+             */
+            this.requestDelay = 500;
+
+            // Internal use only. The sector whose features are displayed or being retrieved.
+            this.requestedSector = null;
+
+            // Internal use only. Identifies the current retrieval, so that the responses of previous ones are dropped.
+            this.requestId = 0;
+
+            // Internal use only. The timer delaying the retrieval.
+            this.requestTimer = null;
+        };
+
+        WfsLayer.prototype = Object.create(RenderableLayer.prototype);
+
+        /**
+         * Forms a configuration object for a feature type of a WFS capabilities document. The configuration object
+         * created and returned is suitable for passing to the WfsLayer constructor.
+         * @param {WfsCapabilities} wfsCapabilities The WFS capabilities.
+         * @param {String} typeName The name of the feature type.
+         * @returns {{}} A configuration object.
+         * @throws {ArgumentError} If the specified WFS capabilities is null or undefined, or if it doesn't contain
+         * the feature type or a GetFeature operation.
+         */
+        WfsLayer.formLayerConfiguration = function (wfsCapabilities, typeName) {
+            if (!wfsCapabilities) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WfsLayer", "formLayerConfiguration",
+                        "No WFS capabilities specified."));
+            }
+
+            var featureTypes = (wfsCapabilities.featureTypeList && wfsCapabilities.featureTypeList.featureType) || [],
+                featureType = featureTypes.filter(function (featureType) {
+                    return featureType.name === typeName;
+                })[0];
+            if (!featureType) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WfsLayer", "formLayerConfiguration",
+                        "The WFS capabilities don't contain the feature type " + typeName + "."));
+            }
+
+            var getFeature = wfsCapabilities.operationsMetadata &&
+                wfsCapabilities.operationsMetadata.getOperationMetadataByName("GetFeature");
+            if (!getFeature || !getFeature.dcp || !getFeature.dcp[0].getMethods) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WfsLayer", "formLayerConfiguration",
+                        "The WFS capabilities don't specify the GetFeature operation."));
+            }
+
+            var config = {
+                service: getFeature.dcp[0].getMethods[0].url,
+                typeName: typeName,
+                title: featureType.title || typeName,
+                version: wfsCapabilities.version
+            };
+
+            var bbox = featureType.wgs84BoundingBox;
+            if (bbox && bbox.lowerCorner && bbox.upperCorner) {
+                config.sector = new Sector(bbox.lowerCorner[1], bbox.upperCorner[1], bbox.lowerCorner[0],
+                    bbox.upperCorner[0]);
+            }
+
+            var formats = featureType.outputFormats || [],
+                preferredFormats = WfsLayer.GEOJSON_FORMATS.concat(WfsLayer.GML_FORMATS);
+            for (var i = 0; i < preferredFormats.length; i++) {
+                if (formats.indexOf(preferredFormats[i]) >= 0) {
+                    config.outputFormat = preferredFormats[i];
+                    break;
+                }
+            }
+
+            return config;
+        };
+
+        /**
+         * The names of the GeoJSON output format used by WFS servers in the order of preference.
+         * @type {String[]}
+         */
+        WfsLayer.GEOJSON_FORMATS = ["application/json", "application/geo+json", "json"];
+
+        /**
+         * The names of the GML output formats used by WFS servers in the order of preference. They are used when
+         * the server doesn't support GeoJSON.
+         * @type {String[]}
+         */
+        WfsLayer.GML_FORMATS = ["application/gml+xml; version=3.2", "text/xml; subtype=gml/3.2",
+            "text/xml; subtype=gml/3.1.1", "GML3", "text/xml; subtype=gml/2.1.2", "GML2"];
+
+        // Documented in superclass.
+        WfsLayer.prototype.doRender = function (dc) {
+            if (dc.terrain && dc.terrain.sector) {
+                var sector = this.requestSector(dc.terrain.sector);
+                if (!sector.isEmpty() && !WfsLayer.sectorsEqual(sector, this.requestedSector)) {
+                    this.requestedSector = sector;
+                    this.scheduleRequest(sector);
+                }
+            }
+
+            RenderableLayer.prototype.doRender.call(this, dc);
+        };
+
+        // Documented in superclass.
+        WfsLayer.prototype.refresh = function () {
+            this.requestedSector = null;
+        };
+
+        // Internal use only. Determines the sector to request for the visible sector. The visible sector is enlarged
+        // to a grid, so that small changes of the view don't cause new requests.
+        WfsLayer.prototype.requestSector = function (visibleSector) {
+            var sector = new Sector(0, 0, 0, 0);
+            sector.copy(visibleSector);
+            sector.intersection(this.sector);
+
+            var delta = Math.max(sector.deltaLatitude(), sector.deltaLongitude()),
+                grid = Math.pow(2, Math.ceil(Math.log(Math.max(delta, 1e-6) / 4) / Math.LN2));
+
+            return new Sector(
+                Math.max(Math.floor(sector.minLatitude / grid) * grid, this.sector.minLatitude),
+                Math.min(Math.ceil(sector.maxLatitude / grid) * grid, this.sector.maxLatitude),
+                Math.max(Math.floor(sector.minLongitude / grid) * grid, this.sector.minLongitude),
+                Math.min(Math.ceil(sector.maxLongitude / grid) * grid, this.sector.maxLongitude));
+        };
+
+        // Internal use only. Retrieves the features of the sector once the view stops changing.
+        WfsLayer.prototype.scheduleRequest = function (sector) {
+            if (this.requestTimer) {
+                clearTimeout(this.requestTimer);
+            }
+
+            this.requestTimer = setTimeout((function () {
+                this.requestTimer = null;
+                this.requestId += 1;
+                this.requestFeatures(sector, 0, this.requestId);
+            }).bind(this), this.requestDelay);
+        };
+
+        // Internal use only. Retrieves the page of the features of the sector starting at the index.
+        WfsLayer.prototype.requestFeatures = function (sector, startIndex, requestId) {
+            var url = this.urlForFeatures(sector, startIndex, Math.min(this.pageSize, this.maxFeatures - startIndex)),
+                xhr = new XMLHttpRequest();
+
+            xhr.open("GET", url, true);
+            xhr.responseType = "text";
+            xhr.onreadystatechange = (function () {
+                if (xhr.readyState !== 4 || requestId !== this.requestId) {
+                    return;
+                }
+
+                if (xhr.status === 200) {
+                    if (startIndex === 0) {
+                        this.removeAllRenderables();
+                    }
+
+                    var numFeatures = this.addRenderablesForFeatures(xhr.response);
+                    if (numFeatures === this.pageSize && startIndex + numFeatures < this.maxFeatures) {
+                        this.requestFeatures(sector, startIndex + numFeatures, requestId);
+                    }
+
+                    // Send an event to request a redraw.
+                    var e = document.createEvent('Event');
+                    e.initEvent(WorldWind.REDRAW_EVENT_TYPE, true, true);
+                    window.dispatchEvent(e);
+                }
+                else {
+                    Logger.log(Logger.LEVEL_WARNING,
+                        "WFS feature retrieval failed (" + xhr.statusText + "): " + url);
+                }
+            }).bind(this);
+
+            xhr.onerror = function () {
+                Logger.log(Logger.LEVEL_WARNING, "WFS feature retrieval failed: " + url);
+            };
+
+            xhr.send(null);
+        };
+
+        /**
+         * Creates the shapes for the features of a GetFeature response and adds them to this layer.
+         * @param {String} response The GetFeature response.
+         * @returns {Number} The number of features of the response, including the features without geometry,
+         * which determines whether more pages are requested.
+         * @protected
+         */
+        WfsLayer.prototype.addRenderablesForFeatures = function (response) {
+            var isGml = /gml|xml/i.test(this.config.outputFormat || ""),
+                parser = isGml ? new GmlParser(response) : new GeoJSONParser(response);
+            parser.prepareLoad(null, this.config.style, this);
+            parser.parse(response);
+
+            if (isGml) {
+                return parser.numFeatures;
+            }
+
+            var geoJSON = parser.geoJSONObject;
+            return geoJSON && geoJSON.features ? geoJSON.features.length : 0;
+        };
+
+        /**
+         * Creates the GetFeature URL for a page of the features of a sector.
+         * @param {Sector} sector The sector containing the features.
+         * @param {Number} startIndex The index of the first feature.
+         * @param {Number} count The number of features.
+         * @returns {String} The GetFeature URL.
+         */
+        WfsLayer.prototype.urlForFeatures = function (sector, startIndex, count) {
+            var version = this.config.version || "2.0.0",
+                isVersion2 = version.charAt(0) === "2",
+                service = this.config.service,
+                sb = service + (service.indexOf("?") < 0 ? "?" : (/[?&]$/.test(service) ? "" : "&"));
+
+            sb += "SERVICE=WFS&REQUEST=GetFeature&VERSION=" + version;
+            sb += (isVersion2 ? "&TYPENAMES=" : "&TYPENAME=") + encodeURIComponent(this.config.typeName);
+            sb += "&OUTPUTFORMAT=" + encodeURIComponent(this.config.outputFormat || "application/json");
+            sb += "&SRSNAME=EPSG:4326";
+            sb += (isVersion2 ? "&COUNT=" : "&MAXFEATURES=") + count;
+            sb += "&STARTINDEX=" + startIndex;
+
+            // The BBOX and the FILTER parameters are mutually exclusive, the bounding box is part of the filter then.
+            if (this.config.filter) {
+                sb += "&FILTER=" + encodeURIComponent(this.filterForFeatures(sector, isVersion2));
+            }
+            else if (isVersion2) {
+                sb += "&BBOX=" + [sector.minLatitude, sector.minLongitude, sector.maxLatitude, sector.maxLongitude,
+                        "urn:ogc:def:crs:EPSG::4326"].join(",");
+            }
+            else {
+                sb += "&BBOX=" + [sector.minLongitude, sector.minLatitude, sector.maxLongitude, sector.maxLatitude,
+                        "EPSG:4326"].join(",");
+            }
+
+            return sb;
+        };
+
+        // Internal use only. Creates the Filter Encoding of the property filter and the sector.
+        WfsLayer.prototype.filterForFeatures = function (sector, isVersion2) {
+            var prefix = isVersion2 ? "fes:" : "ogc:",
+                reference = isVersion2 ? "ValueReference" : "PropertyName",
+                geometryName = this.config.geometryName;
+
+            var element = function (name, content) {
+                return "<" + prefix + name + ">" + content + "</" + prefix + name + ">";
+            };
+
+            var comparison = function (name, filter, value) {
+                return element(name, element(reference, WfsLayer.escapeXml(filter.property)) +
+                    element("Literal", WfsLayer.escapeXml(value)));
+            };
+
+            var operation = function (filter) {
+                var operators = {
+                    "==": "PropertyIsEqualTo", "!=": "PropertyIsNotEqualTo", "<": "PropertyIsLessThan",
+                    "<=": "PropertyIsLessThanOrEqualTo", ">": "PropertyIsGreaterThan",
+                    ">=": "PropertyIsGreaterThanOrEqualTo"
+                }, operator = filter.operator || "==";
+
+                if (operators[operator]) {
+                    return comparison(operators[operator], filter, filter.value);
+                }
+                else if (operator === "in" || operator === "!in") {
+                    var alternatives = filter.value.map(function (value) {
+                        return comparison("PropertyIsEqualTo", filter, value);
+                    }).join("");
+                    alternatives = filter.value.length > 1 ? element("Or", alternatives) : alternatives;
+                    return operator === "in" ? alternatives : element("Not", alternatives);
+                }
+                else if (operator === "has") {
+                    return element("Not", element("PropertyIsNull",
+                        element(reference, WfsLayer.escapeXml(filter.property))));
+                }
+
+                Logger.logMessage(Logger.LEVEL_WARNING, "WfsLayer", "filterForFeatures",
+                    "Unsupported filter operator: " + operator);
+                return null;
+            };
+
+            var envelope = isVersion2 ?
+                '<gml:Envelope srsName="urn:ogc:def:crs:EPSG::4326">' +
+                "<gml:lowerCorner>" + sector.minLatitude + " " + sector.minLongitude + "</gml:lowerCorner>" +
+                "<gml:upperCorner>" + sector.maxLatitude + " " + sector.maxLongitude + "</gml:upperCorner>" +
+                "</gml:Envelope>" :
+                '<gml:Envelope srsName="EPSG:4326">' +
+                "<gml:lowerCorner>" + sector.minLongitude + " " + sector.minLatitude + "</gml:lowerCorner>" +
+                "<gml:upperCorner>" + sector.maxLongitude + " " + sector.maxLatitude + "</gml:upperCorner>" +
+                "</gml:Envelope>";
+
+            var operations = [].concat(this.config.filter).map(operation).filter(function (operation) {
+                return operation !== null;
+            });
+            operations.push(element("BBOX",
+                (geometryName ? element(reference, WfsLayer.escapeXml(geometryName)) : "") + envelope));
+
+            return "<" + prefix + "Filter " + (isVersion2 ?
+                    'xmlns:fes="http://www.opengis.net/fes/2.0" xmlns:gml="http://www.opengis.net/gml/3.2">' :
+                    'xmlns:ogc="http://www.opengis.net/ogc" xmlns:gml="http://www.opengis.net/gml">') +
+                (operations.length > 1 ? element("And", operations.join("")) : operations[0]) +
+                "</" + prefix + "Filter>";
+        };
+
+        // Internal use only.
+        WfsLayer.escapeXml = function (value) {
+            return String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+                .replace(/"/g, "&quot;");
+        };
+
+        // Internal use only.
+        WfsLayer.sectorsEqual = function (a, b) {
+            return !!a && !!b && a.minLatitude === b.minLatitude && a.maxLatitude === b.maxLatitude &&
+                a.minLongitude === b.minLongitude && a.maxLongitude === b.maxLongitude;
+        };
+
+        return WfsLayer;
+    });
@@ -18,18 +18,24 @@
  */
 define([
         '../error/ArgumentError',
+        '../formats/gml/GmlParser',
         '../geom/Location',
         '../util/Logger',
         '../util/PeriodicTimeSequence',
+        '../util/Promise',
         '../geom/Sector',
+        '../util/Tile',
         '../layer/TiledImageLayer',
         '../util/WmsUrlBuilder'
     ],
     function (ArgumentError,
+              GmlParser,
               Location,
               Logger,
               PeriodicTimeSequence,
+              Promise,
               Sector,
+              Tile,
               TiledImageLayer,
               WmsUrlBuilder) {
         "use strict";
@@ -39,7 +45,8 @@ define([
          * @alias WmsLayer
          * @constructor
          * @augments TiledImageLayer
-         * @classdesc Displays a WMS image layer.
+         * @classdesc Displays a WMS image layer. The features of queryable layers at a location can be retrieved by
+         * [getFeatureInfo]{@link WmsLayer#getFeatureInfo}.
          * @param {{}} config Specifies configuration information for the layer. Must contain the following
          * properties:
          * <ul>
@@ -52,6 +59,10 @@ define([
          *     <li>size: {Number} The size in pixels of tiles for this layer.</li>
          *     <li>coordinateSystem (optional): {String} The coordinate system to use for this layer, e.g., EPSG:4326.</li>
          *     <li>styleNames (optional): {String} A comma separated list of the styles to include in this layer.</li>
+         *     <li>featureInfoService (optional): {String} The URL of the GetFeatureInfo operation of the WMS server.
+         *     Defaults to the service URL.</li>
+         *     <li>featureInfoFormat (optional): {String} The mime type of the feature information to request, e.g.,
+         *     text/html. Defaults to text/html.</li>
          * </ul>
          * The function [WmsLayer.formLayerConfiguration]{@link WmsLayer#formLayerConfiguration} will create an
          * appropriate configuration object given a {@link WmsLayerCapabilities} object.
@@ -82,12 +93,30 @@ define([
                 this.urlBuilder.crs = config.coordinateSystem;
             }
 
+            if (config.featureInfoService) {
+                this.urlBuilder.featureInfoServiceAddress = config.featureInfoService;
+            }
+
             /**
              * The time string passed to this layer's constructor.
              * @type {String}
              * @readonly
              */
             this.timeString = timeString;
+
+            /**
+             * The mime type of the feature information requested by [getFeatureInfo]{@link WmsLayer#getFeatureInfo}.
+             * @type {String}
+             * @default The featureInfoFormat of the configuration or text/html
+             */
+            this.featureInfoFormat = config.featureInfoFormat || "text/html";
+
+            /**
+             * The maximum number of features requested by [getFeatureInfo]{@link WmsLayer#getFeatureInfo}.
+             * @type {Number}
+             * @default 10
+             */
+            this.featureCount = 10;
         };
 
         WmsLayer.prototype = Object.create(TiledImageLayer.prototype);
@@ -162,6 +191,20 @@ define([
                 }
             }
 
+            // Determine the GetFeatureInfo service address and info format of queryable layers.
+            var getFeatureInfo = wmsLayerCapabilities.capability.request.getFeatureInfo;
+            if (wmsLayerCapabilities.queryable && getFeatureInfo) {
+                config.featureInfoService = getFeatureInfo.getUrl;
+
+                var infoFormats = getFeatureInfo.formats || [];
+                for (var i = 0; i < WmsLayer.FEATURE_INFO_FORMATS.length; i++) {
+                    if (infoFormats.indexOf(WmsLayer.FEATURE_INFO_FORMATS[i]) >= 0) {
+                        config.featureInfoFormat = WmsLayer.FEATURE_INFO_FORMATS[i];
+                        break;
+                    }
+                }
+            }
+
             var dimensions = WmsLayer.parseTimeDimensions(wmsLayerCapabilities);
             if (dimensions && dimensions.length > 0) {
                 config.timeSequences = dimensions;
@@ -201,5 +244,131 @@ define([
             return parsedDimensions;
         };
 
+        /**
+         * The feature info formats in the order of preference of
+         * [formLayerConfiguration]{@link WmsLayer#formLayerConfiguration}.
+         * @type {String[]}
+         */
+        WmsLayer.FEATURE_INFO_FORMATS = ["application/json", "application/geo+json", "application/geojson",
+            "application/vnd.ogc.gml/3.1.1", "application/vnd.ogc.gml", "application/gml+xml", "text/xml",
+            "text/html", "text/plain"];
+
+        /**
+         * Retrieves the information about the features of this layer at a specified location by a WMS
+         * GetFeatureInfo request. The request queries the pixel of the location within the currently displayed
+         * tile containing the location, or within the level zero tile if no displayed tile contains it. The
+         * location is typically the position of the terrain object picked by
+         * [WorldWindow.pickTerrain]{@link WorldWindow#pickTerrain}.
+         * <p>
+         * The result is an object with the following properties:
+         * <ul>
+         *     <li>format: {String} The mime type of the feature information.</li>
+         *     <li>url: {String} The GetFeatureInfo URL.</li>
+         *     <li>content: The feature information: a GeoJSON object for the JSON formats, a GeoJSON feature
+         *     collection for the GML formats, a Document for other XML formats and a String for the HTML and text
+         *     formats.</li>
+         * </ul>
+         * @param {Location} location The location to query.
+         * @param {Function} callback An optional function called with the result, or with null and an Error if the
+         * request fails.
+         * @param {String} infoFormat The mime type of the feature information to request. May be null, in which
+         * case the [featureInfoFormat]{@link WmsLayer#featureInfoFormat} is requested.
+         * @returns {Promise} A promise of the result.
+         * @throws {ArgumentError} If the specified location is null or undefined.
+         */
+        WmsLayer.prototype.getFeatureInfo = function (location, callback, infoFormat) {
+            if (!location) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WmsLayer", "getFeatureInfo", "missingLocation"));
+            }
+
+            var format = infoFormat || this.featureInfoFormat,
+                url = this.urlBuilder.urlForFeatureInfo(this.tileForLocation(location), this.retrievalImageFormat,
+                    location, format, this.featureCount);
+
+            var promise = new Promise(function (resolve, reject) {
+                var xhr = new XMLHttpRequest();
+
+                xhr.open("GET", url, true);
+                xhr.responseType = "text";
+                xhr.onreadystatechange = function () {
+                    if (xhr.readyState !== 4) {
+                        return;
+                    }
+
+                    if (xhr.status === 200) {
+                        try {
+                            resolve({
+                                format: format,
+                                url: url,
+                                content: WmsLayer.parseFeatureInfo(xhr.response, format)
+                            });
+                        } catch (e) {
+                            reject(e);
+                        }
+                    } else {
+                        reject(new Error("WMS feature info retrieval failed (" + xhr.statusText + "): " + url));
+                    }
+                };
+
+                xhr.onerror = function () {
+                    reject(new Error("WMS feature info retrieval failed: " + url));
+                };
+
+                xhr.send(null);
+            });
+
+            promise.then(function (result) {
+                if (callback) {
+                    callback(result);
+                }
+            }, function (error) {
+                Logger.log(Logger.LEVEL_WARNING, error.message);
+                if (callback) {
+                    callback(null, error);
+                }
+            });
+
+            return promise;
+        };
+
+        // Internal use only. Determines the tile whose map is queried for the location.
+        WmsLayer.prototype.tileForLocation = function (location) {
+            for (var i = 0; i < this.currentTiles.length; i++) {
+                if (this.currentTiles[i].sector.containsLocation(location.latitude, location.longitude)) {
+                    return this.currentTiles[i];
+                }
+            }
+
+            var level = this.levels.firstLevel(),
+                row = Tile.computeRow(level.tileDelta.latitude, location.latitude),
+                column = Tile.computeColumn(level.tileDelta.longitude, location.longitude);
+
+            return this.createTile(Tile.computeSector(level, row, column), level, row, column);
+        };
+
+        /**
+         * Parses the response of a GetFeatureInfo request according to its format.
+         * @param {String} response The response.
+         * @param {String} format The mime type of the response.
+         * @returns {Object|Document|String} A GeoJSON object for the JSON formats, a GeoJSON feature collection for
+         * the GML formats, a Document for other XML formats and the response for the other formats.
+         */
+        WmsLayer.parseFeatureInfo = function (response, format) {
+            if (/json/i.test(format)) {
+                return JSON.parse(response);
+            }
+
+            if (/gml|xml/i.test(format)) {
+                var document = new DOMParser().parseFromString(response, "text/xml");
+                if (/gml/i.test(format) || GmlParser.isFeatureCollection(document.documentElement)) {
+                    return new GmlParser(response).readFeatureCollection(document.documentElement);
+                }
+                return document;
+            }
+
+            return response;
+        };
+
         return WmsLayer;
     });
\ No newline at end of file
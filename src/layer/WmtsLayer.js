@@ -555,7 +555,8 @@ define([
             this.lastGlobeStateKey = dc.globeStateKey;
 
             if (this.currentTiles.length > 0) {
-                dc.surfaceTileRenderer.renderTiles(dc, this.currentTiles, this.opacity);
+                dc.surfaceTileRenderer.renderTiles(dc, this.currentTiles, this.opacity, false, null,
+                    this.blendMode, this.comparisonClip);
                 dc.frameStatistics.incrementImageTileCount(this.currentTiles.length);
                 this.inCurrentFrame = true;
             }
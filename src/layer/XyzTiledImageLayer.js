@@ -0,0 +1,288 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports XyzTiledImageLayer
+ */
+define([
+        '../error/ArgumentError',
+        '../util/Color',
+        '../geom/Location',
+        '../util/Logger',
+        '../layer/MercatorTiledImageLayer',
+        '../geom/Sector',
+        '../layer/TiledImageLayer',
+        '../util/WWMath'
+    ],
+    function (ArgumentError,
+              Color,
+              Location,
+              Logger,
+              MercatorTiledImageLayer,
+              Sector,
+              TiledImageLayer,
+              WWMath) {
+        "use strict";
+
+        /**
+         * Constructs a tiled image layer for an XYZ or TMS tile server.
+         * @alias XyzTiledImageLayer
+         * @constructor
+         * @augments MercatorTiledImageLayer
+         * @classdesc Displays the imagery of a tile server whose tiles are addressed by zoom level, column and row,
+         * such as the slippy map servers of OpenStreetMap and the TMS servers. The tile URLs are formed from a URL
+         * template containing the following placeholders:
+         * <ul>
+         *     <li>{z}: The zoom level.</li>
+         *     <li>{x}: The column of the tile, counted from the west.</li>
+         *     <li>{y}: The row of the tile, counted from the north.</li>
+         *     <li>{-y}: The row of the tile, counted from the south as specified by TMS.</li>
+         *     <li>{s}: One of the subdomains, selected by the column and the row of the tile.</li>
+         *     <li>{quadkey}: The quadkey of the tile as used by Bing Maps.</li>
+         * </ul>
+         * The tiles are in the Web Mercator projection (EPSG:3857) or the geographic projection (EPSG:4326).
+         * Web Mercator tiles are the tiles of a square map of 2^z columns and rows. Geographic tiles are the tiles of
+         * a map of 2^(z+1) columns and 2^z rows.
+         * @param {{}} config Specifies configuration information for the layer. Must contain the following
+         * properties:
+         * <ul>
+         *     <li>url: {String} The URL template of the tiles, e.g., https://{s}.example.com/{z}/{x}/{y}.png.</li>
+         *     <li>title (optional): {String} The display name of the layer. Defaults to XYZ Tiles.</li>
+         *     <li>subdomains (optional): {String|String[]} The subdomains replacing {s}. Defaults to abc.</li>
+         *     <li>projection (optional): {String} The projection of the tiles, EPSG:3857 or EPSG:4326. Defaults to
+         *     EPSG:3857.</li>
+         *     <li>minZoom (optional): {Number} The lowest zoom level of the server. Defaults to 0.</li>
+         *     <li>maxZoom (optional): {Number} The highest zoom level of the server. Defaults to 19.</li>
+         *     <li>sector (optional): {Sector} The bounds of the imagery. Tiles outside the bounds aren't requested.
+         *     Defaults to the extent of the projection.</li>
+         *     <li>format (optional): {String} The mime type of the tile images. Defaults to image/png.</li>
+         *     <li>size (optional): {Number} The size in pixels of the tiles. Defaults to 256.</li>
+         *     <li>attribution (optional): {String} The credit displayed while the layer is visible.</li>
+         * </ul>
+         * @throws {ArgumentError} If the specified configuration is null or undefined or doesn't specify the URL
+         * template, or if its maximum zoom level is less than its minimum zoom level.
+         */
+        var XyzTiledImageLayer = function (config) {
+            if (!config || !config.url) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "XyzTiledImageLayer", "constructor",
+                        "No URL template specified."));
+            }
+
+            var isGeographic = config.projection === "EPSG:4326",
+                minZoom = config.minZoom || 0,
+                maxZoom = config.maxZoom !== undefined ? config.maxZoom : 19,
+                // The Web Mercator level zero consists of a single tile which can't be displayed by the tiled
+                // image layers, so the Web Mercator layers start at zoom level 1.
+                firstZoom = isGeographic ? minZoom : Math.max(minZoom, 1),
+                scale = Math.pow(2, firstZoom),
+                fullSector = isGeographic ? new Sector(-90, 90, -180, 180) : new Sector(-85.05, 85.05, -180, 180),
+                sector = new Sector(0, 0, 0, 0),
+                levelZeroDelta;
+
+            if (maxZoom < firstZoom) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "XyzTiledImageLayer", "constructor",
+                        "The maximum zoom level is less than the minimum zoom level."));
+            }
+
+            sector.copy(fullSector);
+            if (config.sector) {
+                sector.intersection(config.sector);
+            }
+
+            levelZeroDelta = isGeographic ? new Location(180 / scale, 180 / scale) :
+                new Location(2 * 85.05 / scale, 360 / scale);
+
+            this.imageSize = config.size || 256;
+
+            MercatorTiledImageLayer.call(this, sector, levelZeroDelta, maxZoom - firstZoom + 1,
+                config.format || "image/png", config.url, this.imageSize, this.imageSize);
+
+            this.displayName = config.title || "XYZ Tiles";
+            this.pickEnabled = false;
+
+            /**
+             * The URL template of the tiles.
+             * @type {String}
+             * @readonly
+             */
+            this.urlTemplate = config.url;
+
+            /**
+             * The subdomains replacing the {s} placeholder of the URL template.
+             * @type {String[]}
+             * @readonly
+             */
+            this.subdomains = typeof config.subdomains === "string" ? config.subdomains.split("") :
+                config.subdomains || ["a", "b", "c"];
+
+            /**
+             * Indicates whether the tiles are in the geographic projection rather than in the Web Mercator
+             * projection.
+             * @type {Boolean}
+             * @readonly
+             */
+            this.isGeographic = isGeographic;
+
+            /**
+             * The zoom level of the first level of this layer.
+             * @type {Number}
+             * @readonly
+             */
+            this.firstZoom = firstZoom;
+
+            /**
+             * The credit displayed while this layer is visible. May be null.
+             * @type {String}
+             */
+            this.attribution = config.attribution || null;
+
+            this.urlBuilder = {
+                urlForTile: this.urlForTile.bind(this)
+            };
+        };
+
+        XyzTiledImageLayer.prototype = Object.create(MercatorTiledImageLayer.prototype);
+
+        // Documented in superclass.
+        XyzTiledImageLayer.prototype.doRender = function (dc) {
+            MercatorTiledImageLayer.prototype.doRender.call(this, dc);
+            if (this.inCurrentFrame && this.attribution) {
+                dc.screenCreditController.addStringCredit(this.attribution, Color.DARK_GRAY);
+            }
+        };
+
+        /**
+         * Creates the URL of a tile's image by replacing the placeholders of the URL template.
+         * @param {Tile} tile The tile.
+         * @returns {String} The URL of the tile's image.
+         */
+        XyzTiledImageLayer.prototype.urlForTile = function (tile) {
+            var z = tile.level.levelNumber + this.firstZoom,
+                // The geographic tiles are counted from the south, the Web Mercator tiles from the north.
+                y = this.isGeographic ? (1 << z) - 1 - tile.row : tile.row;
+
+            return XyzTiledImageLayer.urlFromTemplate(this.urlTemplate, this.subdomains, z, tile.column, y);
+        };
+
+        /**
+         * Replaces the placeholders of a URL template described in the class description by the values of a tile.
+         * @param {String} template The URL template.
+         * @param {String[]} subdomains The subdomains replacing the {s} placeholder.
+         * @param {Number} z The zoom level of the tile.
+         * @param {Number} x The column of the tile, counted from the west.
+         * @param {Number} y The row of the tile, counted from the north.
+         * @returns {String} The URL of the tile.
+         */
+        XyzTiledImageLayer.urlFromTemplate = function (template, subdomains, z, x, y) {
+            return template
+                .replace("{z}", z)
+                .replace("{x}", x)
+                .replace("{y}", y)
+                .replace("{-y}", (1 << z) - 1 - y)
+                .replace("{s}", subdomains[Math.abs(x + y) % subdomains.length])
+                .replace("{quadkey}", XyzTiledImageLayer.quadkey(x, y, z));
+        };
+
+        /**
+         * Computes the quadkey of a tile.
+         * @param {Number} x The column of the tile, counted from the west.
+         * @param {Number} y The row of the tile, counted from the north.
+         * @param {Number} z The zoom level of the tile.
+         * @returns {String} The quadkey.
+         */
+        XyzTiledImageLayer.quadkey = function (x, y, z) {
+            var quadkey = "";
+
+            for (var i = z; i > 0; i--) {
+                var mask = 1 << (i - 1),
+                    digit = ((x & mask) ? 1 : 0) + ((y & mask) ? 2 : 0);
+                quadkey += digit;
+            }
+
+            return quadkey;
+        };
+
+        // Overridden from MercatorTiledImageLayer. Geographic tiles are regular tiles.
+        XyzTiledImageLayer.prototype.createTile = function (sector, level, row, column) {
+            if (this.isGeographic) {
+                return TiledImageLayer.prototype.createTile.call(this, sector, level, row, column);
+            }
+
+            return MercatorTiledImageLayer.prototype.createTile.call(this, sector, level, row, column);
+        };
+
+        // Overridden from MercatorTiledImageLayer. Geographic images aren't unprojected.
+        XyzTiledImageLayer.prototype.createTexture = function (dc, tile, image) {
+            if (this.isGeographic) {
+                return TiledImageLayer.prototype.createTexture.call(this, dc, tile, image);
+            }
+
+            return MercatorTiledImageLayer.prototype.createTexture.call(this, dc, tile, image);
+        };
+
+        // Overridden from TiledImageLayer. Creates the Web Mercator tiles of the first level within the bounds.
+        XyzTiledImageLayer.prototype.createTopLevelTiles = function (dc) {
+            if (this.isGeographic) {
+                TiledImageLayer.prototype.createTopLevelTiles.call(this, dc);
+                return;
+            }
+
+            this.topLevelTiles = [];
+            XyzTiledImageLayer.createTilesForLevel(this.levels.firstLevel(), this.firstZoom, this, this.topLevelTiles);
+        };
+
+        /**
+         * Creates the Web Mercator tiles of a level within the sector of the level.
+         * @param {Level} level The level to create the tiles for.
+         * @param {Number} zoom The zoom level of the level.
+         * @param {TileFactory} tileFactory The tile factory to use for creating tiles.
+         * @param {Tile[]} result An array in which to return the results.
+         */
+        XyzTiledImageLayer.createTilesForLevel = function (level, zoom, tileFactory, result) {
+            var sector = level.sector,
+                numTiles = 1 << zoom,
+                firstRow = XyzTiledImageLayer.mercatorRow(sector.maxLatitude, numTiles),
+                lastRow = XyzTiledImageLayer.mercatorRow(sector.minLatitude, numTiles),
+                firstColumn = Math.floor((sector.minLongitude + 180) / 360 * numTiles),
+                lastColumn = Math.min(Math.floor((sector.maxLongitude + 180) / 360 * numTiles), numTiles - 1);
+
+            for (var row = firstRow; row <= lastRow; row++) {
+                for (var column = firstColumn; column <= lastColumn; column++) {
+                    result.push(tileFactory.createTile(null, level, row, column));
+                }
+            }
+        };
+
+        /**
+         * Determines the row of the Web Mercator tile containing a latitude.
+         * @param {Number} latitude The latitude.
+         * @param {Number} numTiles The number of rows of the zoom level.
+         * @returns {Number} The row, counted from the north.
+         */
+        XyzTiledImageLayer.mercatorRow = function (latitude, numTiles) {
+            var y = 0.5 - WWMath.gudermannianInverse(latitude) / 2;
+            return WWMath.clamp(Math.floor(y * numTiles), 0, numTiles - 1);
+        };
+
+        // Determines the Web Mercator map size for a specified level number.
+        XyzTiledImageLayer.prototype.mapSizeForLevel = function (levelNumber) {
+            return this.imageSize << (levelNumber + this.firstZoom);
+        };
+
+        return XyzTiledImageLayer;
+    }
+);
@@ -0,0 +1,127 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports ComparisonClip
+ */
+define([
+        '../util/WWMath'
+    ],
+    function (WWMath) {
+        "use strict";
+
+        /**
+         * Constructs a comparison clip that shows a layer to the left of a divider at the center of the WorldWindow.
+         * @alias ComparisonClip
+         * @constructor
+         * @classdesc Restricts the screen region in which a layer's imagery is drawn, so that it can be compared with
+         * the layers beneath it. In [WorldWind.SWIPE]{@link WorldWind#SWIPE} mode the layer is drawn on one side of a
+         * vertical divider. In [WorldWind.SPYGLASS]{@link WorldWind#SPYGLASS} mode the layer is drawn inside a
+         * circular lens.
+         * <p>
+         * Assign an instance of this class to a layer's [comparisonClip]{@link Layer#comparisonClip} property to
+         * clip the layer. Clipping is applied by the surface tile renderer, so it applies to layers drawing imagery,
+         * such as {@link TiledImageLayer} and {@link WmtsLayer}. A {@link ComparisonControlsLayer} lets the user
+         * drag the divider or move the lens.
+         * <p>
+         * Positions and sizes are expressed in WorldWindow canvas coordinates: CSS pixels relative to the canvas'
+         * upper left corner, as returned by [WorldWindow.canvasCoordinates]{@link WorldWindow#canvasCoordinates}.
+         */
+        var ComparisonClip = function () {
+
+            /**
+             * The clip mode, either [WorldWind.SWIPE]{@link WorldWind#SWIPE} or
+             * [WorldWind.SPYGLASS]{@link WorldWind#SPYGLASS}.
+             * @type {String}
+             * @default WorldWind.SWIPE
+             */
+            this.mode = WorldWind.SWIPE;
+
+            /**
+             * The position of the swipe divider as a fraction of the WorldWindow's width, measured from its left
+             * edge.
+             * @type {Number}
+             * @default 0.5
+             */
+            this.dividerPosition = 0.5;
+
+            /**
+             * The center of the spyglass lens in canvas coordinates. The lens is centered in the WorldWindow when
+             * this property is null.
+             * @type {Vec2}
+             * @default null
+             */
+            this.lensCenter = null;
+
+            /**
+             * The radius of the spyglass lens in canvas pixels.
+             * @type {Number}
+             * @default 150
+             */
+            this.lensRadius = 150;
+
+            /**
+             * Indicates whether the clipped region is inverted. The layer is drawn to the left of the divider or
+             * inside the lens when this property is false, and to the right of the divider or outside the lens when
+             * it is true.
+             * @type {Boolean}
+             * @default false
+             */
+            this.invert = false;
+        };
+
+        /**
+         * Computes the position of the swipe divider.
+         * @param {Number} width The width of the WorldWindow's canvas, in canvas pixels.
+         * @returns {Number} The X coordinate of the divider in canvas coordinates.
+         */
+        ComparisonClip.prototype.dividerX = function (width) {
+            return WWMath.clamp(this.dividerPosition, 0, 1) * width;
+        };
+
+        /**
+         * Computes the center of the spyglass lens.
+         * @param {Number} width The width of the WorldWindow's canvas, in canvas pixels.
+         * @param {Number} height The height of the WorldWindow's canvas, in canvas pixels.
+         * @returns {Object} The center of the lens in canvas coordinates, an object with x and y properties.
+         */
+        ComparisonClip.prototype.lensCenterPoint = function (width, height) {
+            return this.lensCenter ? {x: this.lensCenter[0], y: this.lensCenter[1]} : {x: width / 2, y: height / 2};
+        };
+
+        /**
+         * Indicates whether a specified point is in the region in which the clipped layer is drawn.
+         * @param {Vec2} point The point to test, in canvas coordinates.
+         * @param {Number} width The width of the WorldWindow's canvas, in canvas pixels.
+         * @param {Number} height The height of the WorldWindow's canvas, in canvas pixels.
+         * @returns {Boolean} true if the layer is drawn at the point, otherwise false.
+         */
+        ComparisonClip.prototype.containsPoint = function (point, width, height) {
+            var inside;
+
+            if (this.mode === WorldWind.SPYGLASS) {
+                var center = this.lensCenterPoint(width, height),
+                    dx = point[0] - center.x,
+                    dy = point[1] - center.y;
+                inside = dx * dx + dy * dy <= this.lensRadius * this.lensRadius;
+            } else {
+                inside = point[0] < this.dividerX(width);
+            }
+
+            return inside !== this.invert;
+        };
+
+        return ComparisonClip;
+    });
@@ -0,0 +1,203 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports RasterAdjustments
+ */
+define([
+        '../error/ArgumentError',
+        '../util/Logger'
+    ],
+    function (ArgumentError,
+              Logger) {
+        "use strict";
+
+        /**
+         * Constructs a set of raster adjustments with values that leave imagery unchanged.
+         * @alias RasterAdjustments
+         * @constructor
+         * @classdesc Holds the color adjustments the surface tile renderer applies to a layer's image tiles as they
+         * are drawn. The adjustments are computed on the GPU, so changing them takes effect on the next frame
+         * without re-retrieving or re-processing the layer's images. Each {@link TiledImageLayer} has an instance
+         * of this class in its [rasterAdjustments]{@link TiledImageLayer#rasterAdjustments} property.
+         * <p>
+         * The adjustments are applied to each texel in the following order: the transparent-color key, the color
+         * ramp, hue shift, saturation, contrast, brightness, gamma and finally inversion.
+         */
+        var RasterAdjustments = function () {
+
+            /**
+             * The amount added to each color component, in the range [-1, 1].
+             * @type {Number}
+             * @default 0
+             */
+            this.brightness = 0;
+
+            /**
+             * The factor by which color components are scaled about their mid value, 0.5. Values less than 1
+             * reduce contrast, values greater than 1 increase it.
+             * @type {Number}
+             * @default 1
+             */
+            this.contrast = 1;
+
+            /**
+             * The saturation factor. 0 produces a grayscale image, values greater than 1 intensify colors.
+             * @type {Number}
+             * @default 1
+             */
+            this.saturation = 1;
+
+            /**
+             * The gamma correction. Each color component is raised to the power 1 / gamma, so values greater than
+             * 1 brighten mid tones and values less than 1 darken them.
+             * @type {Number}
+             * @default 1
+             */
+            this.gamma = 1;
+
+            /**
+             * The angle in degrees by which the hue of each color is rotated.
+             * @type {Number}
+             * @default 0
+             */
+            this.hueShift = 0;
+
+            /**
+             * Indicates whether colors are inverted.
+             * @type {Boolean}
+             * @default false
+             */
+            this.invert = false;
+
+            /**
+             * A color drawn fully transparent, such as the background color of imagery served without an alpha
+             * channel. The color's alpha component is ignored. No color is keyed out when this property is null.
+             * @type {Color}
+             * @default null
+             */
+            this.transparentColor = null;
+
+            /**
+             * The distance in RGB space, with components in the range [0, 1], within which colors are considered to
+             * match the [transparentColor]{@link RasterAdjustments#transparentColor}.
+             * @type {Number}
+             * @default 0.01
+             */
+            this.transparentColorTolerance = 0.01;
+
+            /**
+             * The color ramp applied to single-band imagery, such as grayscale NDVI images. When specified, the
+             * red component of each texel, in the range [0, 1], selects the ramp color, so the remaining adjustments
+             * apply to the ramp's colors. Each stop is an object with a <code>value</code> property in the range
+             * [0, 1] and a <code>color</code> property holding a {@link Color}. Stops need not be sorted. Only the
+             * [RasterAdjustments.MAX_COLOR_RAMP_STOPS]{@link RasterAdjustments.MAX_COLOR_RAMP_STOPS} stops with the
+             * lowest values are used.
+             * No color ramp is applied when this property is null or empty.
+             * @type {Object[]}
+             * @default null
+             */
+            this.colorRamp = null;
+
+            /**
+             * Indicates whether colors are interpolated between color ramp stops. When false the ramp is applied
+             * as classes: each value takes the color of the stop with the greatest value not exceeding it.
+             * @type {Boolean}
+             * @default true
+             */
+            this.interpolateColorRamp = true;
+        };
+
+        /**
+         * The maximum number of color ramp stops the surface tile renderer supports.
+         * @type {Number}
+         * @constant
+         */
+        RasterAdjustments.MAX_COLOR_RAMP_STOPS = 16;
+
+        /**
+         * Indicates whether these adjustments leave imagery unchanged.
+         * @returns {Boolean} true if these adjustments have no effect, otherwise false.
+         */
+        RasterAdjustments.prototype.isIdentity = function () {
+            return this.brightness === 0 && this.contrast === 1 && this.saturation === 1 && this.gamma === 1 &&
+                this.hueShift % 360 === 0 && !this.invert && !this.transparentColor &&
+                !(this.colorRamp && this.colorRamp.length > 0);
+        };
+
+        /**
+         * Sets all adjustments to the values that leave imagery unchanged.
+         * @returns {RasterAdjustments} This adjustments object.
+         */
+        RasterAdjustments.prototype.reset = function () {
+            this.brightness = 0;
+            this.contrast = 1;
+            this.saturation = 1;
+            this.gamma = 1;
+            this.hueShift = 0;
+            this.invert = false;
+            this.transparentColor = null;
+            this.transparentColorTolerance = 0.01;
+            this.colorRamp = null;
+            this.interpolateColorRamp = true;
+
+            return this;
+        };
+
+        /**
+         * Writes this object's color ramp stops, sorted by value, to specified arrays in the form the surface tile
+         * renderer program loads them.
+         * @param {Float32Array} values The array in which to store the stop values. Its length must be at least
+         * [RasterAdjustments.MAX_COLOR_RAMP_STOPS]{@link RasterAdjustments.MAX_COLOR_RAMP_STOPS}.
+         * @param {Float32Array} colors The array in which to store the stop colors as consecutive, not
+         * premultiplied, RGBA components. Its length must be at least four times that of the values array.
+         * @returns {Number} The number of stops written.
+         * @throws {ArgumentError} If either array is null or undefined, or if a stop has no color.
+         */
+        RasterAdjustments.prototype.colorRampComponents = function (values, colors) {
+            if (!values || !colors) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "RasterAdjustments", "colorRampComponents",
+                        "The specified values or colors array is null or undefined."));
+            }
+
+            if (!this.colorRamp) {
+                return 0;
+            }
+
+            var stops = this.colorRamp.slice().sort(function (a, b) {
+                return a.value - b.value;
+            }).slice(0, RasterAdjustments.MAX_COLOR_RAMP_STOPS);
+
+            for (var i = 0; i < stops.length; i++) {
+                var color = stops[i].color;
+                if (!color) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "RasterAdjustments", "colorRampComponents",
+                            "missingColor"));
+                }
+
+                values[i] = stops[i].value;
+                colors[4 * i] = color.red;
+                colors[4 * i + 1] = color.green;
+                colors[4 * i + 2] = color.blue;
+                colors[4 * i + 3] = color.alpha;
+            }
+
+            return stops.length;
+        };
+
+        return RasterAdjustments;
+    });
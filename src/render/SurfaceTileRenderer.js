@@ -45,6 +45,9 @@ define([
 
             // Internal. Intentionally not documented.
             this.isSurfaceShapeTileRendering = false;
+
+            // Internal. Intentionally not documented.
+            this.isBlending = false;
         };
 
         /**
@@ -54,9 +57,17 @@ define([
          * @param {Number} opacity The opacity at which to draw the surface tiles.
          * @param {Boolean} tilesHaveOpacity If true, incoming tiles each have their own opacity property and
          * it's value is applied when the tile is drawn.
+         * @param {RasterAdjustments} rasterAdjustments Optional color adjustments to apply to the surface tiles'
+         * colors. No adjustments are applied when this argument is null or undefined.
+         * @param {String} blendMode Optional mode used to combine the surface tiles with the imagery beneath them. See
+         * [Layer.blendMode]{@link Layer#blendMode}. The tiles are drawn normally when this argument is null or
+         * undefined.
+         * @param {ComparisonClip} comparisonClip Optional screen region to which the surface tiles are clipped. The
+         * tiles are not clipped when this argument is null or undefined.
          * @throws {ArgumentError} If the specified surface tiles array is null or undefined.
          */
-        SurfaceTileRenderer.prototype.renderTiles = function (dc, surfaceTiles, opacity, tilesHaveOpacity) {
+        SurfaceTileRenderer.prototype.renderTiles = function (dc, surfaceTiles, opacity, tilesHaveOpacity, rasterAdjustments,
+                                                        blendMode, comparisonClip) {
             if (!surfaceTiles) {
                 throw new ArgumentError(
                     Logger.logMessage(Logger.LEVEL_SEVERE, "SurfaceTileRenderer", "renderTiles",
@@ -83,7 +94,7 @@ define([
             opacity *= dc.surfaceOpacity;
 
             // For each terrain tile, render it for each overlapping surface tile.
-            program = this.beginRendering(dc, opacity);
+            program = this.beginRendering(dc, opacity, rasterAdjustments, blendMode, comparisonClip);
             terrain.beginRendering(dc);
             try {
                 for (var i = 0, ttLen = terrain.surfaceGeometry.length; i < ttLen; i++) {
@@ -137,10 +148,13 @@ define([
         };
 
         // Intentionally not documented.
-        SurfaceTileRenderer.prototype.beginRendering = function (dc, opacity) {
+        SurfaceTileRenderer.prototype.beginRendering = function (dc, opacity, rasterAdjustments, blendMode,
+                                                                 comparisonClip) {
             var gl = dc.currentGlContext,
                 program = dc.findAndBindProgram(SurfaceTileRendererProgram);
             program.loadTexSampler(gl, gl.TEXTURE0);
+            program.loadRasterAdjustments(gl, rasterAdjustments);
+            program.loadComparisonClip(gl, comparisonClip, dc.navigatorState.viewport, dc.pixelScale);
 
             if (dc.pickingMode && !this.isSurfaceShapeTileRendering) {
                 program.loadModulateColor(gl, true);
@@ -149,6 +163,13 @@ define([
                 program.loadOpacity(gl, opacity);
             }
 
+            this.isBlending = !dc.pickingMode && !!blendMode && blendMode !== WorldWind.BLEND_NORMAL;
+            if (this.isBlending) {
+                this.applyBlendMode(dc, program, blendMode);
+            } else {
+                program.disableBlendDifference(gl);
+            }
+
             return program;
         };
 
@@ -156,8 +177,68 @@ define([
         SurfaceTileRenderer.prototype.endRendering = function (dc) {
             var gl = dc.currentGlContext;
             gl.bindTexture(gl.TEXTURE_2D, null);
+
+            if (this.isBlending) {
+                gl.activeTexture(gl.TEXTURE1);
+                gl.bindTexture(gl.TEXTURE_2D, null);
+                gl.activeTexture(gl.TEXTURE0);
+                gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+                this.isBlending = false;
+            }
         };
 
+        // Intentionally not documented.
+        SurfaceTileRenderer.prototype.applyBlendMode = function (dc, program, blendMode) {
+            var gl = dc.currentGlContext;
+
+            // Colors are premultiplied by alpha, so the blend functions below combine the tile color with the
+            // framebuffer color in proportion to the tile's alpha. The framebuffer's alpha is blended normally.
+            if (blendMode === WorldWind.BLEND_MULTIPLY) {
+                program.disableBlendDifference(gl);
+                gl.blendFuncSeparate(gl.DST_COLOR, gl.ONE_MINUS_SRC_ALPHA, gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+            } else if (blendMode === WorldWind.BLEND_SCREEN) {
+                program.disableBlendDifference(gl);
+                gl.blendFuncSeparate(gl.ONE, gl.ONE_MINUS_SRC_COLOR, gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+            } else if (blendMode === WorldWind.BLEND_DIFFERENCE) {
+                // The difference can't be expressed as a blend function, so the shader reads the imagery beneath
+                // the tiles from a copy of the framebuffer and draws the difference with normal blending.
+                var viewport = dc.navigatorState.viewport;
+                gl.activeTexture(gl.TEXTURE1);
+                gl.bindTexture(gl.TEXTURE_2D, this.framebufferCopy(dc, viewport.width, viewport.height));
+                gl.copyTexSubImage2D(gl.TEXTURE_2D, 0, 0, 0, viewport.x, viewport.y, viewport.width, viewport.height);
+                gl.activeTexture(gl.TEXTURE0);
+                program.loadBlendDifference(gl, gl.TEXTURE1, viewport.width, viewport.height);
+            } else {
+                program.disableBlendDifference(gl);
+            }
+        };
+
+        // Intentionally not documented. Returns a texture the size of the viewport to copy the framebuffer into.
+        SurfaceTileRenderer.prototype.framebufferCopy = function (dc, width, height) {
+            var gl = dc.currentGlContext,
+                copy = dc.gpuResourceCache.resourceForKey(SurfaceTileRenderer.framebufferCopyKey);
+
+            if (!copy || copy.width !== width || copy.height !== height) {
+                if (copy) {
+                    gl.deleteTexture(copy.textureId);
+                }
+
+                copy = {textureId: gl.createTexture(), width: width, height: height};
+                gl.bindTexture(gl.TEXTURE_2D, copy.textureId);
+                gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+                dc.gpuResourceCache.putResource(SurfaceTileRenderer.framebufferCopyKey, copy, 4 * width * height);
+            }
+
+            return copy.textureId;
+        };
+
+        // Internal. Intentionally not documented.
+        SurfaceTileRenderer.framebufferCopyKey = "SurfaceTileRenderer.framebufferCopy";
+
         // Intentionally not documented.
         SurfaceTileRenderer.prototype.applyTileState = function (dc, terrainTile, surfaceTile) {
             // Sets up the texture transform and mask that applies the texture tile to the terrain tile.
@@ -20,12 +20,14 @@ define([
         '../error/ArgumentError',
         '../util/Color',
         '../shaders/GpuProgram',
-        '../util/Logger'
+        '../util/Logger',
+        '../render/RasterAdjustments'
     ],
     function (ArgumentError,
               Color,
               GpuProgram,
-              Logger) {
+              Logger,
+              RasterAdjustments) {
         "use strict";
 
         /**
@@ -66,6 +68,32 @@ define([
                     'uniform float opacity;\n' +
                     'uniform vec4 color;\n' +
                     'uniform bool modulateColor;\n' +
+                        /* Raster adjustments. The adjustment uniforms are ignored when adjust is false. */
+                    'uniform bool adjust;\n' +
+                    'uniform float brightness;\n' +
+                    'uniform float contrast;\n' +
+                    'uniform float saturation;\n' +
+                    'uniform float gamma;\n' +
+                    'uniform float hueShift;\n' +
+                    'uniform bool invert;\n' +
+                    'uniform bool keyColorEnabled;\n' +
+                    'uniform vec3 keyColor;\n' +
+                    'uniform float keyColorTolerance;\n' +
+                    'uniform int rampCount;\n' +
+                    'uniform bool rampInterpolate;\n' +
+                    'uniform float rampValues[' + RasterAdjustments.MAX_COLOR_RAMP_STOPS + '];\n' +
+                    'uniform vec4 rampColors[' + RasterAdjustments.MAX_COLOR_RAMP_STOPS + '];\n' +
+                        /*
+                         * Comparison clip. clipMode is 0 for no clipping, 1 for a swipe divider at clipParams.x and 2
+                         * for a lens centered at clipParams.xy with radius clipParams.z, all in window coordinates.
+                         */
+                    'uniform int clipMode;\n' +
+                    'uniform bool clipInvert;\n' +
+                    'uniform vec4 clipParams;\n' +
+                        /* Difference blending, which reads the imagery beneath the tiles from a copy of the framebuffer. */
+                    'uniform bool blendDifference;\n' +
+                    'uniform sampler2D backgroundSampler;\n' +
+                    'uniform vec2 backgroundSize;\n' +
                     'varying vec2 texSamplerCoord;\n' +
                     'varying vec2 texMaskCoord;\n' +
                         /*
@@ -73,6 +101,63 @@ define([
                          */
                     'bool isInsideTextureImage(const vec2 coord) {\n' +
                     '    return coord.x >= 0.0 && coord.x <= 1.0 && coord.y >= 0.0 && coord.y <= 1.0;\n' +
+                    '}\n' +
+                        /*
+                         * Returns the color of the color ramp for a value in the range [0, 1]. Values below the first
+                         * stop take its color and values above the last stop take the last stop's color.
+                         */
+                    'vec4 rampColor(float value) {\n' +
+                    '    vec4 result = rampColors[0];\n' +
+                    '    for (int i = 1; i < ' + RasterAdjustments.MAX_COLOR_RAMP_STOPS + '; i++) {\n' +
+                    '        if (i >= rampCount) {\n' +
+                    '            break;\n' +
+                    '        }\n' +
+                    '        if (value < rampValues[i]) {\n' +
+                    '            if (rampInterpolate) {\n' +
+                    '                float range = max(rampValues[i] - rampValues[i - 1], 0.0001);\n' +
+                    '                float t = clamp((value - rampValues[i - 1]) / range, 0.0, 1.0);\n' +
+                    '                result = mix(rampColors[i - 1], rampColors[i], t);\n' +
+                    '            }\n' +
+                    '            return result;\n' +
+                    '        }\n' +
+                    '        result = rampColors[i];\n' +
+                    '    }\n' +
+                    '    return result;\n' +
+                    '}\n' +
+                        /*
+                         * Rotates a color about the gray axis of the RGB cube by the specified angle in radians.
+                         */
+                    'vec3 rotateHue(vec3 rgb, float angle) {\n' +
+                    '    const vec3 axis = vec3(0.57735);\n' +
+                    '    float cosAngle = cos(angle);\n' +
+                    '    return rgb * cosAngle + cross(axis, rgb) * sin(angle) + axis * dot(axis, rgb) * (1.0 - cosAngle);\n' +
+                    '}\n' +
+                        /*
+                         * Applies the raster adjustments to a premultiplied texture color and returns the adjusted
+                         * premultiplied color.
+                         */
+                    'vec4 adjustColor(vec4 texColor) {\n' +
+                    '    if (texColor.a <= 0.0) {\n' +
+                    '        return texColor;\n' +
+                    '    }\n' +
+                    '    vec3 rgb = texColor.rgb / texColor.a;\n' +
+                    '    float alpha = texColor.a;\n' +
+                    '    if (keyColorEnabled && distance(rgb, keyColor) <= keyColorTolerance) {\n' +
+                    '        return vec4(0.0);\n' +
+                    '    }\n' +
+                    '    if (rampCount > 0) {\n' +
+                    '        vec4 ramp = rampColor(rgb.r);\n' +
+                    '        rgb = ramp.rgb;\n' +
+                    '        alpha *= ramp.a;\n' +
+                    '    }\n' +
+                    '    rgb = rotateHue(rgb, hueShift);\n' +
+                    '    rgb = mix(vec3(dot(rgb, vec3(0.2126, 0.7152, 0.0722))), rgb, saturation);\n' +
+                    '    rgb = (rgb - 0.5) * contrast + 0.5 + brightness;\n' +
+                    '    rgb = pow(clamp(rgb, 0.0, 1.0), vec3(1.0 / gamma));\n' +
+                    '    if (invert) {\n' +
+                    '        rgb = 1.0 - rgb;\n' +
+                    '    }\n' +
+                    '    return vec4(clamp(rgb, 0.0, 1.0) * alpha, alpha);\n' +
                     '}\n' +
                         /*
                          * OpenGL ES Shading Language v1.00 fragment shader for SurfaceTileRendererProgram. Writes the value of the texture 2D
@@ -81,12 +166,27 @@ define([
                          * standard range of [0,1].
                          */
                     'void main(void) {\n' +
+                    'if (clipMode > 0) {\n' +
+                    '    bool inside = clipMode == 1 ? gl_FragCoord.x < clipParams.x :\n' +
+                    '        distance(gl_FragCoord.xy, clipParams.xy) <= clipParams.z;\n' +
+                    '    if (inside == clipInvert) {\n' +
+                    '        discard;\n' +
+                    '    }\n' +
+                    '}\n' +
                         'float mask = float(isInsideTextureImage(texMaskCoord));' +
+                    'vec4 texColor = texture2D(texSampler, texSamplerCoord);\n' +
+                    'if (adjust) {\n' +
+                    '    texColor = adjustColor(texColor);\n' +
+                    '}\n' +
+                    'if (blendDifference && texColor.a > 0.0) {\n' +
+                    '    vec3 background = texture2D(backgroundSampler, gl_FragCoord.xy / backgroundSize).rgb;\n' +
+                    '    texColor.rgb = abs(texColor.rgb / texColor.a - background) * texColor.a;\n' +
+                    '}\n' +
                     'if (modulateColor) {\n' +
-                    '    gl_FragColor = color * mask * floor(texture2D(texSampler, texSamplerCoord).a + 0.5);\n' +
+                    '    gl_FragColor = color * mask * floor(texColor.a + 0.5);\n' +
                     '} else {\n' +
                         /* Return either the sampled texture2D color multiplied by opacity or transparent black. */
-                    '    gl_FragColor = texture2D(texSampler, texSamplerCoord) * mask * opacity;\n' +
+                    '    gl_FragColor = texColor * mask * opacity;\n' +
                     '}\n' +
                     '}';
 
@@ -135,6 +235,28 @@ define([
             this.texMaskMatrixLocation = this.uniformLocation(gl, "texMaskMatrix");
             this.texSamplerLocation = this.uniformLocation(gl, "texSampler");
             this.opacityLocation = this.uniformLocation(gl, "opacity");
+            this.adjustLocation = this.uniformLocation(gl, "adjust");
+            this.brightnessLocation = this.uniformLocation(gl, "brightness");
+            this.contrastLocation = this.uniformLocation(gl, "contrast");
+            this.saturationLocation = this.uniformLocation(gl, "saturation");
+            this.gammaLocation = this.uniformLocation(gl, "gamma");
+            this.hueShiftLocation = this.uniformLocation(gl, "hueShift");
+            this.invertLocation = this.uniformLocation(gl, "invert");
+            this.keyColorEnabledLocation = this.uniformLocation(gl, "keyColorEnabled");
+            this.keyColorLocation = this.uniformLocation(gl, "keyColor");
+            this.keyColorToleranceLocation = this.uniformLocation(gl, "keyColorTolerance");
+            this.rampCountLocation = this.uniformLocation(gl, "rampCount");
+            this.rampInterpolateLocation = this.uniformLocation(gl, "rampInterpolate");
+            this.rampValuesLocation = this.uniformLocation(gl, "rampValues");
+            this.rampColorsLocation = this.uniformLocation(gl, "rampColors");
+            this.clipModeLocation = this.uniformLocation(gl, "clipMode");
+            this.clipInvertLocation = this.uniformLocation(gl, "clipInvert");
+            this.clipParamsLocation = this.uniformLocation(gl, "clipParams");
+            this.blendDifferenceLocation = this.uniformLocation(gl, "blendDifference");
+            this.backgroundSamplerLocation = this.uniformLocation(gl, "backgroundSampler");
+            this.backgroundSizeLocation = this.uniformLocation(gl, "backgroundSize");
+            this.rampValues = new Float32Array(RasterAdjustments.MAX_COLOR_RAMP_STOPS);
+            this.rampColors = new Float32Array(4 * RasterAdjustments.MAX_COLOR_RAMP_STOPS);
 
             /**
              * The WebGL location for this program's 'vertexTexCoord' attribute.
@@ -256,5 +378,94 @@ define([
             gl.uniform1i(this.modulateColorLocation, enable ? 1 : 0);
         };
 
+        /**
+         * Loads the specified raster adjustments as the values of this program's adjustment uniform variables.
+         * Adjustments are disabled when the specified adjustments are null, undefined or have no effect.
+         * @param {WebGLRenderingContext} gl The current WebGL context.
+         * @param {RasterAdjustments} adjustments The adjustments to load. May be null or undefined.
+         */
+        SurfaceTileRendererProgram.prototype.loadRasterAdjustments = function (gl, adjustments) {
+            if (!adjustments || adjustments.isIdentity()) {
+                gl.uniform1i(this.adjustLocation, 0);
+                return;
+            }
+
+            var keyColor = adjustments.transparentColor;
+
+            gl.uniform1i(this.adjustLocation, 1);
+            gl.uniform1f(this.brightnessLocation, adjustments.brightness);
+            gl.uniform1f(this.contrastLocation, adjustments.contrast);
+            gl.uniform1f(this.saturationLocation, adjustments.saturation);
+            gl.uniform1f(this.gammaLocation, adjustments.gamma > 0 ? adjustments.gamma : 1);
+            gl.uniform1f(this.hueShiftLocation, adjustments.hueShift * Math.PI / 180);
+            gl.uniform1i(this.invertLocation, adjustments.invert ? 1 : 0);
+            gl.uniform1i(this.keyColorEnabledLocation, keyColor ? 1 : 0);
+            if (keyColor) {
+                gl.uniform3f(this.keyColorLocation, keyColor.red, keyColor.green, keyColor.blue);
+                gl.uniform1f(this.keyColorToleranceLocation, adjustments.transparentColorTolerance);
+            }
+
+            var rampCount = adjustments.colorRampComponents(this.rampValues, this.rampColors);
+            gl.uniform1i(this.rampCountLocation, rampCount);
+            if (rampCount > 0) {
+                gl.uniform1i(this.rampInterpolateLocation, adjustments.interpolateColorRamp ? 1 : 0);
+                gl.uniform1fv(this.rampValuesLocation, this.rampValues);
+                gl.uniform4fv(this.rampColorsLocation, this.rampColors);
+            }
+        };
+
+        /**
+         * Loads the specified comparison clip as the value of this program's clip uniform variables. Clipping is
+         * disabled when the specified clip is null or undefined.
+         * @param {WebGLRenderingContext} gl The current WebGL context.
+         * @param {ComparisonClip} clip The clip to load. May be null or undefined.
+         * @param {Rectangle} viewport The viewport of the current WebGL framebuffer, in pixels.
+         * @param {Number} pixelScale The number of framebuffer pixels per canvas pixel.
+         */
+        SurfaceTileRendererProgram.prototype.loadComparisonClip = function (gl, clip, viewport, pixelScale) {
+            if (!clip) {
+                gl.uniform1i(this.clipModeLocation, 0);
+                return;
+            }
+
+            var width = viewport.width / pixelScale,
+                height = viewport.height / pixelScale;
+
+            if (clip.mode === WorldWind.SPYGLASS) {
+                var center = clip.lensCenterPoint(width, height);
+                gl.uniform1i(this.clipModeLocation, 2);
+                gl.uniform4f(this.clipParamsLocation, viewport.x + center.x * pixelScale,
+                    viewport.y + viewport.height - center.y * pixelScale, clip.lensRadius * pixelScale, 0);
+            } else {
+                gl.uniform1i(this.clipModeLocation, 1);
+                gl.uniform4f(this.clipParamsLocation, viewport.x + clip.dividerX(width) * pixelScale, 0, 0, 0);
+            }
+
+            gl.uniform1i(this.clipInvertLocation, clip.invert ? 1 : 0);
+        };
+
+        /**
+         * Loads the specified texture unit and framebuffer size as the values of this program's background uniform
+         * variables, and enables difference blending. The texture bound to the unit must contain a copy of the
+         * framebuffer's color buffer.
+         * @param {WebGLRenderingContext} gl The current WebGL context.
+         * @param {Number} unit The unit ID of the texture containing the framebuffer copy.
+         * @param {Number} width The width of the framebuffer, in pixels.
+         * @param {Number} height The height of the framebuffer, in pixels.
+         */
+        SurfaceTileRendererProgram.prototype.loadBlendDifference = function (gl, unit, width, height) {
+            gl.uniform1i(this.blendDifferenceLocation, 1);
+            gl.uniform1i(this.backgroundSamplerLocation, unit - WebGLRenderingContext.TEXTURE0);
+            gl.uniform2f(this.backgroundSizeLocation, width, height);
+        };
+
+        /**
+         * Disables difference blending in this program.
+         * @param {WebGLRenderingContext} gl The current WebGL context.
+         */
+        SurfaceTileRendererProgram.prototype.disableBlendDifference = function (gl) {
+            gl.uniform1i(this.blendDifferenceLocation, 0);
+        };
+
         return SurfaceTileRendererProgram;
     });
\ No newline at end of file
@@ -0,0 +1,336 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports DataDrivenStyle
+ */
+define([
+        '../util/Color',
+        '../shapes/GeographicText',
+        '../shapes/Placemark',
+        '../shapes/PlacemarkAttributes',
+        '../shapes/ShapeAttributes'
+    ],
+    function (Color,
+              GeographicText,
+              Placemark,
+              PlacemarkAttributes,
+              ShapeAttributes) {
+        "use strict";
+
+        /**
+         * Constructs a data-driven style from the specified rules.
+         * @alias DataDrivenStyle
+         * @constructor
+         * @classdesc Styles shapes by the values of their properties, which are held in the userProperties of the
+         * shapes. A style is applied to the shapes of a layer by assigning it to the
+         * [style]{@link RenderableLayer#style} of the {@link RenderableLayer}; shapes added to the layer later are
+         * styled as well. The {@link GeoJSONParser} and the {@link Shapefile} accept a style in place of the shape
+         * configuration callback of their load methods, in which case the properties of the features are assigned
+         * to the userProperties of the created shapes and the style is assigned to the layer.
+         * <p>
+         * The rules of the style are specified by the following properties:
+         * <ul>
+         *     <li><i>filter:</i> The shapes whose properties don't match the filter are disabled.</li>
+         *     <li><i>interiorColor</i>, <i>outlineColor</i> and <i>outlineWidth:</i> The attributes of shapes other
+         *     than placemarks.</li>
+         *     <li><i>imageColor</i> and <i>imageScale:</i> The attributes of placemarks.</li>
+         *     <li><i>label:</i> The name of the property whose value is the label of placemarks and the display name
+         *     of other shapes.</li>
+         * </ul>
+         * The attribute rules are either constant values or value specifications, which are objects with the
+         * following properties:
+         * <ul>
+         *     <li><i>property:</i> The name of the property determining the value.</li>
+         *     <li><i>categories:</i> Optional. An object mapping the values of the property to the values of the
+         *     attribute, for example colors of land use categories.</li>
+         *     <li><i>stops:</i> Optional. An array of [threshold, value] pairs sorted by threshold. The value of the
+         *     attribute is the value of the last stop whose threshold doesn't exceed the value of the property.</li>
+         *     <li><i>interpolate:</i> Optional. Indicates whether the values between the stops are interpolated,
+         *     producing continuous color ramps or sizes. Colors and numbers can be interpolated.</li>
+         *     <li><i>factor:</i> Optional. If neither categories nor stops are specified, the value of the attribute
+         *     is the value of the property multiplied by this factor.</li>
+         *     <li><i>defaultValue:</i> Optional. The value of the attribute if the property doesn't determine it.
+         *     If not specified, the attribute keeps the value of the template attributes.</li>
+         * </ul>
+         * A filter is either a function receiving the properties and returning a boolean, an object with the
+         * property, operator and value properties or an array of filters that all must match. The operators are
+         * "==", "!=", "<", "<=", ">", ">=", "in" and "!in", whose value is an array, and "has", which matches if
+         * the property is defined. The default operator is "==".
+         * <p>
+         * The attributes of the shapes are copies of the
+         * [shapeAttributes]{@link DataDrivenStyle#shapeAttributes} and the
+         * [placemarkAttributes]{@link DataDrivenStyle#placemarkAttributes} of the style with the values determined by
+         * the rules. Shapes with equal values share their attributes.
+         * <p>
+         * After changing the rules of the style, call [applyStyle]{@link RenderableLayer#applyStyle} of the layers
+         * using it to restyle their shapes.
+         * @param {Object} rules The rules of the style as described above.
+         */
+        var DataDrivenStyle = function (rules) {
+            rules = rules || {};
+
+            /**
+             * The filter of the shapes.
+             * @type {Function|Object|Object[]}
+             */
+            this.filter = rules.filter !== undefined ? rules.filter : null;
+
+            /**
+             * The rule of the interior color of shapes.
+             * @type {Color|Object}
+             */
+            this.interiorColor = rules.interiorColor !== undefined ? rules.interiorColor : null;
+
+            /**
+             * The rule of the outline color of shapes.
+             * @type {Color|Object}
+             */
+            this.outlineColor = rules.outlineColor !== undefined ? rules.outlineColor : null;
+
+            /**
+             * The rule of the outline width of shapes.
+             * @type {Number|Object}
+             */
+            this.outlineWidth = rules.outlineWidth !== undefined ? rules.outlineWidth : null;
+
+            /**
+             * The rule of the image color of placemarks.
+             * @type {Color|Object}
+             */
+            this.imageColor = rules.imageColor !== undefined ? rules.imageColor : null;
+
+            /**
+             * The rule of the image scale of placemarks.
+             * @type {Number|Object}
+             */
+            this.imageScale = rules.imageScale !== undefined ? rules.imageScale : null;
+
+            /**
+             * The name of the property labelling the shapes.
+             * @type {String}
+             */
+            this.label = rules.label !== undefined ? rules.label : null;
+
+            /**
+             * The template of the attributes of shapes other than placemarks.
+             * @type {ShapeAttributes}
+             */
+            this.shapeAttributes = rules.shapeAttributes || new ShapeAttributes(null);
+
+            /**
+             * The template of the attributes of placemarks.
+             * @type {PlacemarkAttributes}
+             */
+            this.placemarkAttributes = rules.placemarkAttributes || new PlacemarkAttributes(null);
+
+            // Internal use only. The attributes created by this style keyed by their values.
+            this.attributesCache = {};
+        };
+
+        /**
+         * Applies this style to the shape. Shapes other than the shapes with attributes are left intact.
+         * @param {Renderable} renderable The shape to style.
+         */
+        DataDrivenStyle.prototype.apply = function (renderable) {
+            if (!renderable.attributes || renderable instanceof GeographicText) {
+                return;
+            }
+
+            var properties = renderable.userProperties || {};
+
+            renderable.enabled = this.matches(properties);
+
+            if (renderable instanceof Placemark) {
+                renderable.attributes = this.createAttributes(PlacemarkAttributes, this.placemarkAttributes, {
+                    imageColor: DataDrivenStyle.evaluate(this.imageColor, properties),
+                    imageScale: DataDrivenStyle.evaluate(this.imageScale, properties)
+                });
+            }
+            else {
+                renderable.attributes = this.createAttributes(ShapeAttributes, this.shapeAttributes, {
+                    interiorColor: DataDrivenStyle.evaluate(this.interiorColor, properties),
+                    outlineColor: DataDrivenStyle.evaluate(this.outlineColor, properties),
+                    outlineWidth: DataDrivenStyle.evaluate(this.outlineWidth, properties)
+                });
+            }
+
+            if (this.label && properties[this.label] !== undefined && properties[this.label] !== null) {
+                if (renderable instanceof Placemark) {
+                    renderable.label = String(properties[this.label]);
+                }
+                else {
+                    renderable.displayName = String(properties[this.label]);
+                }
+            }
+        };
+
+        /**
+         * Applies this style to the shapes. The attributes created for the shapes previously styled by this style
+         * aren't reused, therefore changes of the rules and of the template attributes take effect.
+         * @param {Renderable[]} renderables The shapes to style.
+         */
+        DataDrivenStyle.prototype.applyToRenderables = function (renderables) {
+            this.attributesCache = {};
+
+            for (var i = 0, len = renderables.length; i < len; i++) {
+                this.apply(renderables[i]);
+            }
+        };
+
+        /**
+         * Indicates whether the properties match the filter of this style.
+         * @param {Object} properties The properties of a shape.
+         * @returns {Boolean} True if the properties match the filter or there is no filter.
+         */
+        DataDrivenStyle.prototype.matches = function (properties) {
+            return DataDrivenStyle.matchesFilter(this.filter, properties);
+        };
+
+        // Internal use only. Returns the attributes with the values, reusing the attributes created for equal values.
+        DataDrivenStyle.prototype.createAttributes = function (AttributesType, template, values) {
+            var key = AttributesType === PlacemarkAttributes ? "placemark" : "shape";
+            for (var name in values) {
+                if (values.hasOwnProperty(name)) {
+                    var value = values[name];
+                    key += "|" + (value instanceof Color ? value.toHexString(true) : value);
+                }
+            }
+
+            var attributes = this.attributesCache[key];
+            if (!attributes) {
+                attributes = new AttributesType(template);
+                for (name in values) {
+                    if (values.hasOwnProperty(name) && values[name] !== undefined && values[name] !== null) {
+                        attributes[name] = values[name];
+                    }
+                }
+                this.attributesCache[key] = attributes;
+            }
+
+            return attributes;
+        };
+
+        /**
+         * Determines the value of an attribute rule for the properties.
+         * @param {*} rule The constant value or the value specification described in the class description.
+         * @param {Object} properties The properties of a shape.
+         * @returns {*} The value or undefined if the rule doesn't determine one.
+         */
+        DataDrivenStyle.evaluate = function (rule, properties) {
+            if (rule === null || rule === undefined) {
+                return undefined;
+            }
+
+            if (typeof rule !== "object" || rule instanceof Color || typeof rule.property !== "string") {
+                return rule;
+            }
+
+            var value = properties[rule.property], result;
+            if (rule.categories) {
+                result = rule.categories.hasOwnProperty(value) ? rule.categories[value] : undefined;
+            }
+            else if (rule.stops) {
+                result = DataDrivenStyle.evaluateStops(rule.stops, +value, rule.interpolate);
+            }
+            else if (typeof value === "number") {
+                result = value * (rule.factor !== undefined ? rule.factor : 1);
+            }
+            else {
+                result = value;
+            }
+
+            return result !== undefined && result !== null ? result : rule.defaultValue;
+        };
+
+        // Internal use only. Determines the value of the stops for the number.
+        DataDrivenStyle.evaluateStops = function (stops, number, interpolate) {
+            if (stops.length === 0 || isNaN(number) || number < stops[0][0]) {
+                return undefined;
+            }
+
+            var index = 0;
+            while (index < stops.length - 1 && stops[index + 1][0] <= number) {
+                index++;
+            }
+
+            var lower = stops[index], upper = stops[index + 1];
+            if (!interpolate || !upper) {
+                return lower[1];
+            }
+
+            var amount = (number - lower[0]) / (upper[0] - lower[0]);
+            if (lower[1] instanceof Color) {
+                return new Color(
+                    lower[1].red + (upper[1].red - lower[1].red) * amount,
+                    lower[1].green + (upper[1].green - lower[1].green) * amount,
+                    lower[1].blue + (upper[1].blue - lower[1].blue) * amount,
+                    lower[1].alpha + (upper[1].alpha - lower[1].alpha) * amount);
+            }
+            else if (typeof lower[1] === "number") {
+                return lower[1] + (upper[1] - lower[1]) * amount;
+            }
+
+            return lower[1];
+        };
+
+        /**
+         * Indicates whether the properties match the filter.
+         * @param {Function|Object|Object[]} filter The filter described in the class description.
+         * @param {Object} properties The properties of a shape.
+         * @returns {Boolean} True if the properties match the filter or the filter is null.
+         */
+        DataDrivenStyle.matchesFilter = function (filter, properties) {
+            if (!filter) {
+                return true;
+            }
+
+            if (typeof filter === "function") {
+                return !!filter(properties);
+            }
+
+            if (Array.isArray(filter)) {
+                return filter.every(function (element) {
+                    return DataDrivenStyle.matchesFilter(element, properties);
+                });
+            }
+
+            var value = properties[filter.property];
+            switch (filter.operator || "==") {
+                case "==":
+                    return value == filter.value;
+                case "!=":
+                    return value != filter.value;
+                case "<":
+                    return value < filter.value;
+                case "<=":
+                    return value <= filter.value;
+                case ">":
+                    return value > filter.value;
+                case ">=":
+                    return value >= filter.value;
+                case "in":
+                    return filter.value.indexOf(value) >= 0;
+                case "!in":
+                    return filter.value.indexOf(value) < 0;
+                case "has":
+                    return value !== undefined && value !== null;
+                default:
+                    return false;
+            }
+        };
+
+        return DataDrivenStyle;
+    });
@@ -116,5 +116,10 @@ define([
         SurfacePolygon.prototype.computeBoundaries = function(dc) {
         };
 
+        // Documented in superclass. Polygon doesn't generate its own boundaries.
+        SurfacePolygon.prototype.computeBoundaryLocations = function (globe) {
+            return this._boundaries;
+        };
+
         return SurfacePolygon;
     });
\ No newline at end of file
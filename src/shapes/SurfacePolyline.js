@@ -115,5 +115,10 @@ define([
         SurfacePolyline.prototype.computeBoundaries = function(dc) {
         };
 
+        // Documented in superclass. Polyline doesn't generate its own boundaries.
+        SurfacePolyline.prototype.computeBoundaryLocations = function (globe) {
+            return this._boundaries;
+        };
+
         return SurfacePolyline;
     });
\ No newline at end of file
@@ -448,6 +448,36 @@ define([
                 Logger.logMessage(Logger.LEVEL_SEVERE, "SurfaceShape", "computeBoundaries", "abstractInvocation"));
         };
 
+        /**
+         * Computes the boundaries of this shape on a specified globe, as the shape computes them for drawing.
+         * Shapes defined by a center and a size, such as circles, ellipses and rectangles, generate their
+         * boundaries; other shapes return the boundaries they were given. The boundaries aren't interpolated along
+         * this shape's path type. This shape is not modified.
+         * @param {Globe} globe The globe on which to compute the boundaries.
+         * @returns {Location[]|Location[][]} The boundaries, either a list of locations or a list of lists of
+         * locations, or null if this shape has no boundaries, e.g. a circle with a radius of 0.
+         * @throws {ArgumentError} If the specified globe is null or undefined.
+         */
+        SurfaceShape.prototype.computeBoundaryLocations = function (globe) {
+            if (!globe) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "SurfaceShape", "computeBoundaryLocations", "missingGlobe"));
+            }
+
+            var boundaries = this._boundaries, result;
+
+            // The shapes generating their boundaries only use the globe of the draw context.
+            this._boundaries = null;
+            try {
+                this.computeBoundaries({globe: globe});
+                result = this._boundaries;
+            } finally {
+                this._boundaries = boundaries;
+            }
+
+            return result;
+        };
+
         // Internal. Intentionally not documented.
         SurfaceShape.prototype.intersectsFrustum = function (dc) {
             if (this.currentData && this.currentData.extent) {
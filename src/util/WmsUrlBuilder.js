@@ -28,7 +28,7 @@ define([
          * Constructs a WMS URL builder.
          * @alias WmsUrlBuilder
          * @constructor
-         * @classdesc Provides a factory to create URLs for WMS Get Map requests.
+         * @classdesc Provides a factory to create URLs for WMS Get Map and Get Feature Info requests.
          * @param {String} serviceAddress The address of the WMS server.
          * @param {String} layerNames The comma-separated list of names of the layers to retrieve.
          * @param {String} styleNames The comma-separated list of names of the styles to retrieve. May be null.
@@ -97,6 +97,14 @@ define([
              * @type {String}
              */
             this.timeString = timeString;
+
+            /**
+             * The address of the WMS server used for Get Feature Info requests. If null, the
+             * [serviceAddress]{@link WmsUrlBuilder#serviceAddress} is used.
+             * @type {String}
+             * @default null
+             */
+            this.featureInfoServiceAddress = null;
         };
 
         /**
@@ -117,8 +125,6 @@ define([
                         "The image format is null or undefined."));
             }
 
-            var sector = tile.sector;
-
             var sb = WmsUrlBuilder.fixGetMapString(this.serviceAddress);
 
             if (sb.search(/service=wms/i) < 0) {
@@ -126,6 +132,19 @@ define([
             }
 
             sb = sb + "&request=GetMap";
+            sb = sb + this.mapParameters(tile, imageFormat);
+
+            sb = sb.replace(" ", "%20");
+
+            return sb;
+        };
+
+        // Intentionally not documented. Returns the request parameters describing the map of the tile, each one
+        // preceded by a parameter separator.
+        WmsUrlBuilder.prototype.mapParameters = function (tile, imageFormat) {
+            var sector = tile.sector,
+                sb = "";
+
             sb = sb + "&version=" + this.wmsVersion;
             sb = sb + "&transparent=" + (this.transparent ? "TRUE" : "FALSE");
             sb = sb + "&layers=" + this.layerNames;
@@ -155,11 +174,84 @@ define([
                 sb = sb + sector.maxLongitude+ "," + sector.maxLatitude;
             }
 
-            sb = sb.replace(" ", "%20");
+            return sb;
+        };
+
+        /**
+         * Creates the URL string for a WMS Get Feature Info request querying the features at a location within a
+         * tile. The request describes the map of the tile and the pixel of the location within that map.
+         * @param {Tile} tile The tile containing the location.
+         * @param {String} imageFormat The image format of the map.
+         * @param {Location} location The location to query.
+         * @param {String} infoFormat The mime type of the feature information to request, e.g., text/html.
+         * @param {Number} featureCount The maximum number of features to request. May be null, in which case the
+         * server determines the number of features.
+         * @returns {String} The Get Feature Info URL.
+         * @throws {ArgumentError} If the specified tile, image format, location or info format are null or undefined.
+         */
+        WmsUrlBuilder.prototype.urlForFeatureInfo = function (tile, imageFormat, location, infoFormat, featureCount) {
+            if (!tile) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WmsUrlBuilder", "urlForFeatureInfo", "missingTile"));
+            }
+
+            if (!imageFormat) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WmsUrlBuilder", "urlForFeatureInfo",
+                        "The image format is null or undefined."));
+            }
+
+            if (!location) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WmsUrlBuilder", "urlForFeatureInfo", "missingLocation"));
+            }
+
+            if (!infoFormat) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WmsUrlBuilder", "urlForFeatureInfo",
+                        "The info format is null or undefined."));
+            }
+
+            // The parameters of the service address of the maps are not those of the feature info service.
+            var pixel = WmsUrlBuilder.pixelForLocation(tile, location),
+                sb = WmsUrlBuilder.fixGetMapString(this.featureInfoServiceAddress || this.serviceAddress);
+
+            if (sb.search(/service=wms/i) < 0) {
+                sb = sb + "service=WMS";
+            }
+
+            sb = sb + "&request=GetFeatureInfo";
+            sb = sb + this.mapParameters(tile, imageFormat).replace(" ", "%20");
+            sb = sb + "&query_layers=" + this.layerNames;
+            sb = sb + "&info_format=" + encodeURIComponent(infoFormat);
+            if (featureCount) {
+                sb = sb + "&feature_count=" + featureCount;
+            }
+
+            if (this.isWms130OrGreater) {
+                sb = sb + "&i=" + pixel[0] + "&j=" + pixel[1];
+            } else {
+                sb = sb + "&x=" + pixel[0] + "&y=" + pixel[1];
+            }
 
             return sb;
         };
 
+        /**
+         * Computes the pixel of a location within the image of a tile. The pixel's origin is the upper left corner
+         * of the image.
+         * @param {Tile} tile The tile.
+         * @param {Location} location The location.
+         * @returns {Number[]} The column and the row of the pixel.
+         */
+        WmsUrlBuilder.pixelForLocation = function (tile, location) {
+            var sector = tile.sector,
+                i = Math.floor((location.longitude - sector.minLongitude) / sector.deltaLongitude() * tile.tileWidth),
+                j = Math.floor((sector.maxLatitude - location.latitude) / sector.deltaLatitude() * tile.tileHeight);
+
+            return [Math.min(Math.max(i, 0), tile.tileWidth - 1), Math.min(Math.max(j, 0), tile.tileHeight - 1)];
+        };
+
         // Intentionally not documented.
         WmsUrlBuilder.fixGetMapString = function (serviceAddress) {
             if (!serviceAddress) {
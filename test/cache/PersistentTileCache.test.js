@@ -0,0 +1,304 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/cache/PersistentTileCache',
+    'src/util/Promise'
+], function (PersistentTileCache,
+             Promise) {
+    "use strict";
+
+    describe("PersistentTileCache", function () {
+        // In-memory stand-in for IndexedDB holding the entries of a single object store. Requests complete
+        // asynchronously and transactions complete once their requests, including those made by the request
+        // callbacks, have completed.
+        var createIndexedDB = function (records) {
+            var createTransaction = function () {
+                var transaction = {}, pending = 0;
+
+                var request = function (operation, target) {
+                    var result = target || {};
+                    pending++;
+                    setTimeout(function () {
+                        result.result = operation();
+                        if (result.onsuccess) {
+                            result.onsuccess();
+                        }
+                        if (--pending === 0 && transaction.oncomplete) {
+                            transaction.oncomplete();
+                        }
+                    }, 0);
+
+                    return result;
+                };
+
+                var openCursor = function (keys) {
+                    var result = {}, index = 0;
+
+                    var next = function () {
+                        request(function () {
+                            if (index >= keys.length) {
+                                return null;
+                            }
+
+                            var key = keys[index++];
+                            return {
+                                value: records[key],
+                                delete: function () {
+                                    delete records[key];
+                                },
+                                continue: next
+                            };
+                        }, result);
+                    };
+
+                    next();
+                    return result;
+                };
+
+                var store = {
+                    get: function (key) {
+                        return request(function () {
+                            return records[key];
+                        });
+                    },
+                    put: function (entry) {
+                        return request(function () {
+                            records[entry.key] = entry;
+                        });
+                    },
+                    delete: function (key) {
+                        return request(function () {
+                            delete records[key];
+                        });
+                    },
+                    count: function (key) {
+                        return request(function () {
+                            return records.hasOwnProperty(key) ? 1 : 0;
+                        });
+                    },
+                    clear: function () {
+                        return request(function () {
+                            Object.keys(records).forEach(function (key) {
+                                delete records[key];
+                            });
+                        });
+                    },
+                    openCursor: function () {
+                        return openCursor(Object.keys(records));
+                    },
+                    index: function () {
+                        return {
+                            openCursor: function () {
+                                return openCursor(Object.keys(records).sort(function (a, b) {
+                                    return records[a].lastUsed - records[b].lastUsed;
+                                }));
+                            }
+                        };
+                    }
+                };
+
+                transaction.objectStore = function () {
+                    return store;
+                };
+
+                return transaction;
+            };
+
+            return {
+                open: function () {
+                    var request = {result: {transaction: createTransaction}};
+                    setTimeout(function () {
+                        request.onsuccess();
+                    }, 0);
+
+                    return request;
+                }
+            };
+        };
+
+        var entry = function (key, size, time, lastUsed) {
+            return {
+                key: key,
+                data: new ArrayBuffer(size),
+                contentType: "image/png",
+                size: size,
+                time: time,
+                lastUsed: lastUsed
+            };
+        };
+
+        var indexedDB = window.indexedDB,
+            xmlHttpRequest = window.XMLHttpRequest,
+            records;
+
+        beforeEach(function () {
+            records = {};
+            window.indexedDB = createIndexedDB(records);
+        });
+
+        afterEach(function () {
+            window.indexedDB = indexedDB;
+            window.XMLHttpRequest = xmlHttpRequest;
+        });
+
+        it('validates its arguments', function () {
+            expect(function () {
+                return new PersistentTileCache(null, 100, 50);
+            }).toThrow();
+            expect(function () {
+                return new PersistentTileCache("tiles", 0, 50);
+            }).toThrow();
+            expect(function () {
+                return new PersistentTileCache("tiles", 100, 100);
+            }).toThrow();
+            expect(function () {
+                return new PersistentTileCache("tiles", 100, 0.5);
+            }).toThrow();
+
+            var cache = new PersistentTileCache("tiles", 100, 50);
+            expect(cache.capacity).toBe(100);
+            expect(cache.lowWater).toBe(50);
+            expect(cache.usedCapacity).toBe(0);
+        });
+
+        it('seeds the resources not already cached', function (done) {
+            var cache = new PersistentTileCache("tiles", 1e6, 5e5),
+                responses = {
+                    "https://example.com/b": {status: 200, contentType: "image/png"},
+                    "https://example.com/c": {status: 200, contentType: "text/xml"},
+                    "https://example.com/d": {status: 404, contentType: "text/html"}
+                },
+                stored = [],
+                progress = [];
+
+            cache.entryForKey = function (key) {
+                return Promise.resolve(key === "a" ? {data: new ArrayBuffer(1), contentType: "image/png"} : null);
+            };
+
+            cache.putEntry = function (key, data, contentType) {
+                stored.push(key + " " + contentType + " " + data.byteLength);
+                return Promise.resolve();
+            };
+
+            window.XMLHttpRequest = function () {
+                var response;
+                this.open = function (method, url) {
+                    response = responses[url];
+                };
+                this.getResponseHeader = function () {
+                    return response.contentType;
+                };
+                this.send = function () {
+                    this.readyState = 4;
+                    this.status = response.status;
+                    this.response = new ArrayBuffer(8);
+                    this.onreadystatechange();
+                };
+            };
+
+            var promise = cache.seed([
+                {key: "a", url: "https://example.com/a"},
+                {key: "b", url: "https://example.com/b"},
+                {key: "c", url: "https://example.com/c"},
+                {key: "d", url: "https://example.com/d"}
+            ], {
+                acceptsContentType: function (contentType) {
+                    return contentType.indexOf("image/") === 0;
+                },
+                progress: function (completed, total) {
+                    progress.push(completed + "/" + total);
+                }
+            });
+
+            promise.then(function (result) {
+                expect(result).toEqual({retrieved: 1, cached: 1, failed: 2});
+                expect(stored).toEqual(["b image/png 8"]);
+                expect(progress).toEqual(["1/4", "2/4", "3/4", "4/4"]);
+                done();
+            }, done.fail);
+        });
+
+        it('computes the used capacity when the database is opened', function (done) {
+            records.a = entry("a", 3, 1, 1);
+            records.b = entry("b", 5, 2, 2);
+
+            var cache = new PersistentTileCache("tiles", 100, 50);
+            cache.open().then(function () {
+                expect(cache.usedCapacity).toBe(8);
+                done();
+            }, done.fail);
+        });
+
+        it('accounts for the entries added, replaced and removed', function (done) {
+            var cache = new PersistentTileCache("tiles", 100, 50);
+
+            cache.putEntry("a", new ArrayBuffer(10), "image/png").then(function () {
+                expect(cache.usedCapacity).toBe(10);
+                return cache.putEntry("b", new ArrayBuffer(20), "image/png");
+            }).then(function () {
+                expect(cache.usedCapacity).toBe(30);
+                return cache.putEntry("a", new ArrayBuffer(4), "image/jpeg");
+            }).then(function () {
+                expect(cache.usedCapacity).toBe(24);
+                return cache.removeEntry("b");
+            }).then(function () {
+                expect(cache.usedCapacity).toBe(4);
+                return cache.containsKey("b");
+            }).then(function (contained) {
+                expect(contained).toBe(false);
+                return cache.clear();
+            }).then(function () {
+                expect(cache.usedCapacity).toBe(0);
+                expect(Object.keys(records)).toEqual([]);
+                done();
+            }, done.fail);
+        });
+
+        it('deletes expired entries rather than returning them', function (done) {
+            records.old = entry("old", 3, 1000, 1000);
+            records.recent = entry("recent", 5, 3000, 3000);
+
+            var cache = new PersistentTileCache("tiles", 100, 50),
+                expiration = new Date(2000);
+
+            cache.entryForKey("old", expiration).then(function (result) {
+                expect(result).toBeNull();
+                expect(records.hasOwnProperty("old")).toBe(false);
+                expect(cache.usedCapacity).toBe(5);
+                return cache.entryForKey("recent", expiration);
+            }).then(function (result) {
+                expect(result.contentType).toBe("image/png");
+                expect(result.time).toBe(3000);
+                expect(records.recent.lastUsed).toBeGreaterThan(3000);
+                expect(cache.usedCapacity).toBe(5);
+                done();
+            }, done.fail);
+        });
+
+        it('removes the least recently used entries when its capacity is exceeded', function (done) {
+            records.a = entry("a", 4, 1, 2);
+            records.b = entry("b", 4, 2, 1);
+
+            var cache = new PersistentTileCache("tiles", 10, 8);
+
+            cache.putEntry("c", new ArrayBuffer(4), "image/png").then(function () {
+                expect(Object.keys(records).sort()).toEqual(["a", "c"]);
+                expect(cache.usedCapacity).toBe(8);
+                done();
+            }, done.fail);
+        });
+    });
+});
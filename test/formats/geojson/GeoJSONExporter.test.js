@@ -0,0 +1,146 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/util/Color',
+    'src/formats/geojson/GeoJSONExporter',
+    'src/formats/geojson/GeoJSONParser',
+    'src/geom/Location',
+    'src/shapes/Path',
+    'src/shapes/Placemark',
+    'src/geom/Position',
+    'src/layer/RenderableLayer',
+    'src/shapes/ShapeAttributes',
+    'src/shapes/SurfaceCircle',
+    'src/shapes/SurfaceEllipse',
+    'src/shapes/SurfacePolygon',
+    'src/WorldWind'
+], function (Color,
+             GeoJSONExporter,
+             GeoJSONParser,
+             Location,
+             Path,
+             Placemark,
+             Position,
+             RenderableLayer,
+             ShapeAttributes,
+             SurfaceCircle,
+             SurfaceEllipse,
+             SurfacePolygon,
+             WorldWind) {
+    "use strict";
+
+    describe("GeoJSONExporter", function () {
+        var attributes = new ShapeAttributes(null);
+        attributes.outlineColor = new Color(1, 0, 0, 1);
+        attributes.interiorColor = new Color(0, 0, 1, 0.5);
+        attributes.outlineWidth = 3;
+
+        it('exports the renderables of layers as a FeatureCollection', function () {
+            var layer = new RenderableLayer("Annotations");
+
+            var placemark = new Placemark(new Position(50, 14, 100), false, null);
+            placemark.label = "Prague";
+            placemark.userProperties.population = 1280000;
+            placemark.userProperties.founded = new Date(Date.UTC(885, 0, 1));
+            placemark.userProperties.layer = layer;
+            layer.addRenderable(placemark);
+
+            var path = new Path([new Position(10, 20, 0), new Position(11, 21, 5)], attributes);
+            path.userProperties = {name: "Route", stops: [1, 2]};
+            layer.addRenderable(path);
+
+            layer.addRenderable(new RenderableLayer("Unsupported"));
+
+            var collection = GeoJSONExporter.exportLayer(layer);
+
+            expect(collection.type).toBe("FeatureCollection");
+            expect(collection.features.length).toBe(2);
+            expect(collection.features[0].geometry).toEqual({type: "Point", coordinates: [14, 50, 100]});
+            expect(collection.features[0].properties).toEqual({
+                population: 1280000,
+                founded: "0885-01-01T00:00:00.000Z",
+                name: "Prague"
+            });
+            expect(collection.features[1].geometry).toEqual({
+                type: "LineString",
+                coordinates: [[20, 10, 0], [21, 11, 5]]
+            });
+            expect(collection.features[1].properties).toEqual({name: "Route", stops: [1, 2]});
+        });
+
+        it('exports closed polygons following the right-hand rule', function () {
+            var polygon = new SurfacePolygon([
+                [new Location(0, 0), new Location(10, 0), new Location(10, 10), new Location(0, 10)],
+                [new Location(2, 2), new Location(2, 4), new Location(4, 4), new Location(4, 2)]
+            ], attributes);
+
+            var feature = GeoJSONExporter.exportRenderable(polygon, {simplestyle: true});
+
+            expect(feature.geometry.coordinates).toEqual([
+                [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]],
+                [[2, 2], [2, 4], [4, 4], [4, 2], [2, 2]]
+            ]);
+            expect(feature.properties).toEqual({
+                "stroke": "#ff0000",
+                "stroke-opacity": 1,
+                "stroke-width": 3,
+                "fill": "#0000ff",
+                "fill-opacity": 0.5
+            });
+        });
+
+        it('exports ellipses as polygons', function () {
+            var ellipse = new SurfaceEllipse(new Location(0, 0), 2000, 1000, 0, attributes);
+
+            var ring = GeoJSONExporter.exportRenderable(ellipse).geometry.coordinates[0];
+
+            expect(ring.length).toBe(1 + SurfaceEllipse.DEFAULT_NUM_INTERVALS);
+            expect(ring[0]).toEqual(ring[ring.length - 1]);
+            // The major axis of the ellipse without heading runs east.
+            expect(ring[0][0]).toBeCloseTo(2000 / 6378137 * 180 / Math.PI, 6);
+        });
+
+        it('computes the boundaries of the shapes on the specified globe without modifying them', function () {
+            var circle = new SurfaceCircle(new Location(0, 0), 1000, attributes),
+                globe = {
+                    radiusAt: function () {
+                        return 1000 * 180 / Math.PI;
+                    }
+                };
+
+            var ring = GeoJSONExporter.exportRenderable(circle, {globe: globe}).geometry.coordinates[0];
+
+            expect(ring[0][0]).toBeCloseTo(0, 6);
+            expect(ring[0][1]).toBeCloseTo(1, 6);
+            expect(circle._boundaries).toBeNull();
+        });
+
+        it('round-trips features through the GeoJSON parser', function () {
+            var layer = new RenderableLayer("Source");
+            var placemark = new Placemark(new Position(50, 14, 0), false, null);
+            placemark.label = "Prague";
+            layer.addRenderable(placemark);
+
+            var parser = new GeoJSONParser(JSON.stringify(GeoJSONExporter.exportLayer(layer))),
+                target = new RenderableLayer("Target");
+            parser.load(null, null, target);
+
+            expect(target.renderables.length).toBe(1);
+            expect(target.renderables[0].label).toBe("Prague");
+            expect(target.renderables[0].position.latitude).toBe(50);
+        });
+    });
+});
@@ -0,0 +1,48 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/geojson/GeoJSONGeometryPolygon'
+], function (GeoJSONGeometryPolygon) {
+    "use strict";
+
+    describe("GeoJSONGeometryPolygon", function () {
+        it("accepts closed and unclosed outer rings", function () {
+            var closed = new GeoJSONGeometryPolygon([[[0, 0], [1, 0], [1, 1], [0, 0]]], "Polygon", null);
+            expect(closed.coordinates[0].length).toBe(4);
+
+            var unclosed = new GeoJSONGeometryPolygon([[[0, 0], [1, 0], [1, 1]]], "Polygon", null);
+            expect(unclosed.coordinates[0].length).toBe(3);
+        });
+
+        it("accepts holes", function () {
+            var polygon = new GeoJSONGeometryPolygon([
+                [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]],
+                [[2, 2], [4, 2], [4, 4], [2, 2]],
+                [[6, 6], [8, 6], [8, 8]]
+            ], "Polygon", null);
+            expect(polygon.coordinates.length).toBe(3);
+        });
+
+        it("rejects holes that aren't rings of positions", function () {
+            expect(function () {
+                new GeoJSONGeometryPolygon([[[0, 0], [1, 0], [1, 1], [0, 0]], []], "Polygon", null);
+            }).toThrow();
+            expect(function () {
+                new GeoJSONGeometryPolygon([[[0, 0], [1, 0], [1, 1], [0, 0]], [1, 2]], "Polygon", null);
+            }).toThrow();
+        });
+    });
+});
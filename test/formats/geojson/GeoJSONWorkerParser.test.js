@@ -0,0 +1,275 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/geojson/GeoJSONWorkerParser',
+    'src/util/proj4-src',
+    'src/layer/RenderableLayer',
+    'src/WorldWind'
+], function (GeoJSONWorkerParser,
+             Proj4,
+             RenderableLayer,
+             WorldWind) {
+    "use strict";
+
+    describe("GeoJSONWorkerParser", function () {
+        // Runs the worker script in the page, passing the messages asynchronously like a Web Worker.
+        var createFakeWorker = function (importScripts) {
+            var worker = {terminated: false},
+                scope = {importScripts: importScripts};
+
+            var clone = function (message) {
+                return JSON.parse(JSON.stringify(message));
+            };
+
+            scope.postMessage = function (message) {
+                setTimeout(function () {
+                    if (!worker.terminated) {
+                        worker.onmessage({data: clone(message)});
+                    }
+                }, 0);
+            };
+            worker.postMessage = function (message) {
+                setTimeout(function () {
+                    scope.onmessage({data: clone(message)});
+                }, 0);
+            };
+            worker.terminate = function () {
+                worker.terminated = true;
+            };
+
+            GeoJSONWorkerParser.workerScript(scope);
+
+            return worker;
+        };
+
+        var point = function (x, y, name) {
+            return {type: "Feature", geometry: {type: "Point", coordinates: [x, y]}, properties: {name: name}};
+        };
+
+        var mercator = {
+            type: "FeatureCollection",
+            crs: {type: "name", properties: {name: "EPSG:3857"}},
+            features: [point(1113194.9, 0, "A")]
+        };
+
+        it('delivers the features in chunks', function (done) {
+            var geoJSON = {
+                    type: "FeatureCollection",
+                    features: [point(10, 20, "A"), point(11, 21, "B"), {type: "Feature", geometry: null},
+                        point(12, 22, "C"), point(13, 23, "D")]
+                },
+                parser = new GeoJSONWorkerParser(JSON.stringify(geoJSON)),
+                layer = new RenderableLayer("Points"),
+                progress = [];
+
+            parser.chunkSize = 2;
+            parser.createWorker = function () {
+                return createFakeWorker();
+            };
+            parser.progressCallback = function (loaded, total) {
+                progress.push([loaded, total, layer.renderables.length]);
+            };
+
+            parser.load(function (result) {
+                expect(result).toBe(layer);
+                expect(parser.geoJSONType).toBe("FeatureCollection");
+                expect(progress).toEqual([[2, 5, 2], [4, 5, 3], [5, 5, 4]]);
+                expect(layer.renderables[3].label).toBe("D");
+                expect(layer.renderables[3].position.latitude).toBe(23);
+                done();
+            }, null, layer);
+        });
+
+        it('reprojects the coordinates in the worker', function (done) {
+            var parser = new GeoJSONWorkerParser(JSON.stringify(mercator)), imported = [];
+            parser.createWorker = function () {
+                return createFakeWorker(function (url) {
+                    imported.push(url);
+                    this.proj4 = Proj4;
+                });
+            };
+
+            parser.load(function (layer) {
+                expect(imported.length).toBe(1);
+                expect(parser.crs).toBeNull();
+                expect(layer.renderables[0].position.longitude).toBeCloseTo(10, 6);
+                done();
+            });
+        });
+
+        it('reprojects the coordinates if the worker can\'t', function (done) {
+            var parser = new GeoJSONWorkerParser(JSON.stringify(mercator));
+            parser.createWorker = function () {
+                return createFakeWorker(function () {
+                    throw new Error("Not found");
+                });
+            };
+
+            parser.load(function (layer) {
+                expect(parser.crs.projectionString).toBe("EPSG:3857");
+                expect(layer.renderables[0].position.longitude).toBeCloseTo(10, 6);
+                done();
+            });
+        });
+
+        it('reports the failures of the worker', function (done) {
+            var parser = new GeoJSONWorkerParser("{not GeoJSON"),
+                completed = false;
+
+            parser.createWorker = function () {
+                return createFakeWorker();
+            };
+            parser.errorCallback = function (message) {
+                expect(message).toContain("Invalid GeoJSON");
+                expect(parser.worker).toBeNull();
+
+                setTimeout(function () {
+                    expect(completed).toBe(false);
+                    done();
+                }, 10);
+            };
+
+            parser.load(function () {
+                completed = true;
+            });
+        });
+
+        it('reports the errors thrown by the worker and the failure to create it', function () {
+            var parser = new GeoJSONWorkerParser("{}"),
+                worker = createFakeWorker(),
+                messages = [];
+
+            parser.errorCallback = function (message) {
+                messages.push(message);
+            };
+            parser.createWorker = function () {
+                return worker;
+            };
+            parser.load();
+            worker.onerror({message: "Script error"});
+
+            parser.createWorker = function () {
+                throw new Error("Blob URLs are not allowed");
+            };
+            parser.load();
+
+            expect(worker.terminated).toBe(true);
+            expect(messages).toEqual(["GeoJSON worker error: Script error",
+                "Unable to create the GeoJSON worker: Error: Blob URLs are not allowed"]);
+        });
+
+        describe("Worker creation", function () {
+            var Worker = window.Worker,
+                createObjectURL = window.URL.createObjectURL,
+                revokeObjectURL = window.URL.revokeObjectURL;
+
+            afterEach(function () {
+                window.Worker = Worker;
+                window.URL.createObjectURL = createObjectURL;
+                window.URL.revokeObjectURL = revokeObjectURL;
+            });
+
+            it('runs the worker script from a Blob URL and loads proj4 in the worker', function (done) {
+                var blobs = {}, revoked = [], imported = [];
+
+                window.URL.createObjectURL = function (blob) {
+                    var url = "blob:" + Object.keys(blobs).length;
+                    blobs[url] = blob;
+                    return url;
+                };
+                window.URL.revokeObjectURL = function (url) {
+                    revoked.push(url);
+                };
+
+                // Evaluates the script of the Blob in a scope posting the messages asynchronously, like a Web
+                // Worker. The scripts imported by the worker define proj4 as an AMD module.
+                window.Worker = function (url) {
+                    var worker = this,
+                        scope = {},
+                        pendingMessages = [],
+                        reader = new FileReader();
+
+                    scope.postMessage = function (message) {
+                        setTimeout(function () {
+                            worker.onmessage({data: JSON.parse(JSON.stringify(message))});
+                        }, 0);
+                    };
+                    scope.importScripts = function (scriptUrl) {
+                        imported.push(scriptUrl);
+                        scope.define([], function () {
+                            return Proj4;
+                        });
+                    };
+
+                    this.postMessage = function (message) {
+                        pendingMessages.push(message);
+                    };
+                    this.terminate = function () {
+                    };
+
+                    reader.onload = function () {
+                        new Function("self", reader.result)(scope);
+                        worker.postMessage = function (message) {
+                            setTimeout(function () {
+                                scope.onmessage({data: message});
+                            }, 0);
+                        };
+                        pendingMessages.forEach(worker.postMessage);
+                    };
+                    reader.readAsText(blobs[url]);
+                };
+
+                var parser = new GeoJSONWorkerParser(JSON.stringify(mercator));
+                parser.proj4Url = "https://example.com/proj4.js";
+                parser.errorCallback = function (message) {
+                    done.fail(message);
+                };
+
+                parser.load(function (layer) {
+                    expect(revoked).toEqual(["blob:0"]);
+                    expect(imported).toEqual(["https://example.com/proj4.js"]);
+                    expect(parser.crs).toBeNull();
+                    expect(layer.renderables[0].position.longitude).toBeCloseTo(10, 6);
+                    done();
+                });
+            });
+        });
+
+        it('stops loading when cancelled', function (done) {
+            var geoJSON = {type: "FeatureCollection", features: [point(10, 20, "A"), point(11, 21, "B")]},
+                parser = new GeoJSONWorkerParser(JSON.stringify(geoJSON)),
+                completed = false;
+
+            parser.chunkSize = 1;
+            parser.createWorker = function () {
+                return createFakeWorker();
+            };
+            parser.progressCallback = function () {
+                parser.cancel();
+            };
+
+            parser.load(function () {
+                completed = true;
+            });
+
+            setTimeout(function () {
+                expect(completed).toBe(false);
+                expect(parser.layer.renderables.length).toBe(1);
+                done();
+            }, 50);
+        });
+    });
+});
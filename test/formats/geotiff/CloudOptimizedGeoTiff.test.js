@@ -0,0 +1,74 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/geotiff/CloudOptimizedGeoTiff',
+    'src/formats/geotiff/GeoTiffMetadata',
+    'src/geom/Sector'
+], function (CloudOptimizedGeoTiff,
+             GeoTiffMetadata,
+             Sector) {
+    "use strict";
+
+    describe("CloudOptimizedGeoTiff", function () {
+        var geoTiff, image;
+
+        // Image of 512x512 pixels covering 10x10 degrees in 4 internal tiles.
+        beforeEach(function () {
+            geoTiff = new CloudOptimizedGeoTiff("cog.tif");
+            image = geoTiff.reader.metadata;
+            image.imageWidth = 512;
+            image.imageLength = 512;
+            image.tileWidth = 256;
+            image.tileLength = 256;
+            image.tileOffsets = [100, 200, 300, 400];
+            image.tileByteCounts = [100, 100, 0, 100];
+            image.bbox = new Sector(40, 50, 10, 20);
+            image.modelPixelScale = [10 / 512, 10 / 512, 0];
+            image.modelTiepoint = [0, 0, 0, 10, 50, 0];
+            geoTiff.images = [image];
+        });
+
+        it('maps the centers or the corners of the cells of the grid', function () {
+            var centers = geoTiff.mapGrid(image.bbox, 2, 2, false, image),
+                corners = geoTiff.mapGrid(image.bbox, 2, 2, true, image);
+
+            expect(Array.prototype.slice.call(centers.blocks)).toEqual([0, 1, 2, 3]);
+            expect(centers.offsets[0]).toBe(128 * 256 + 128);
+            expect(Array.prototype.slice.call(corners.blocks)).toEqual([0, 1, 2, 3]);
+            expect(corners.offsets[0]).toBe(0);
+            expect(corners.offsets[3]).toBe(256 * 256 - 1);
+        });
+
+        it('retrieves every internal tile once and skips the missing ones', function (done) {
+            var requests = 0;
+            geoTiff.reader.readTile = function (metadata, index, callback) {
+                requests++;
+                callback([[index]]);
+            };
+
+            geoTiff.retrieveBlock(image, 1).then(function () {
+                return geoTiff.retrieveBlock(image, 1);
+            }).then(function (pixels) {
+                expect(pixels).toEqual([[1]]);
+                return geoTiff.retrieveBlock(image, 2);
+            }).then(function (pixels) {
+                expect(pixels).toBeNull();
+                expect(requests).toBe(1);
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,235 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/geotiff/GeoTiffReader',
+    'src/util/Promise',
+    'src/formats/geotiff/TiffConstants',
+    'src/formats/geotiff/TiffDecompressor'
+], function (GeoTiffReader,
+             Promise,
+             TiffConstants,
+             TiffDecompressor) {
+    "use strict";
+
+    // Creates little endian tiled GeoTiff with two images. The tiles of the first image of 32x32 pixels are filled
+    // by their index increased by one, the single tile of the 16x16 overview is filled by 100.
+    var createCog = function () {
+        var tileBytes = 16 * 16, data = [], view;
+        var images = [
+            {subfileType: 0, width: 32, tiles: [1, 2, 3, 4]},
+            {subfileType: 1, width: 16, tiles: [100]}
+        ];
+
+        // Tile data follows the header, the image file directories follow the tile data.
+        var offset = 8;
+        images.forEach(function (image) {
+            image.offsets = image.tiles.map(function (value) {
+                for (var i = 0; i < tileBytes; i++) {
+                    data.push(value);
+                }
+                offset += tileBytes;
+                return offset - tileBytes;
+            });
+        });
+
+        var buffer = new ArrayBuffer(8 + data.length + 1024);
+        view = new DataView(buffer);
+        view.setUint16(0, 0x4949, true);
+        view.setUint16(2, 42, true);
+        new Uint8Array(buffer).set(data, 8);
+
+        var ifdOffset = offset;
+        view.setUint32(4, ifdOffset, true);
+        images.forEach(function (image, index) {
+            var entries = [
+                [254, 4, [image.subfileType]],
+                [256, 3, [image.width]],
+                [257, 3, [image.width]],
+                [258, 3, [8]],
+                [259, 3, [1]],
+                [262, 3, [1]],
+                [277, 3, [1]],
+                [322, 3, [16]],
+                [323, 3, [16]],
+                [324, 4, image.offsets],
+                [325, 4, image.tiles.map(function () {
+                    return tileBytes;
+                })]
+            ];
+            if (index === 0) {
+                entries.push([33550, 12, [1, 1, 0]]);
+                entries.push([33922, 12, [0, 0, 0, 10, 50, 0]]);
+                entries.push([34735, 3, [1, 1, 0, 1, 1024, 0, 1, 2]]);
+            }
+
+            var valuesOffset = ifdOffset + 2 + entries.length * 12 + 4;
+            view.setUint16(ifdOffset, entries.length, true);
+            entries.forEach(function (entry, i) {
+                var entryOffset = ifdOffset + 2 + i * 12, size = entry[1] === 12 ? 8 : entry[1] === 4 ? 4 : 2,
+                    valueOffset = size * entry[2].length > 4 ? valuesOffset : entryOffset + 8;
+                view.setUint16(entryOffset, entry[0], true);
+                view.setUint16(entryOffset + 2, entry[1], true);
+                view.setUint32(entryOffset + 4, entry[2].length, true);
+                if (valueOffset === valuesOffset) {
+                    view.setUint32(entryOffset + 8, valuesOffset, true);
+                    valuesOffset += size * entry[2].length;
+                }
+                entry[2].forEach(function (value, j) {
+                    if (size === 8) {
+                        view.setFloat64(valueOffset + j * 8, value, true);
+                    } else if (size === 4) {
+                        view.setUint32(valueOffset + j * 4, value, true);
+                    } else {
+                        view.setUint16(valueOffset + j * 2, value, true);
+                    }
+                });
+            });
+
+            var nextIfdOffset = index < images.length - 1 ? valuesOffset : 0;
+            view.setUint32(ifdOffset + 2 + entries.length * 12, nextIfdOffset, true);
+            ifdOffset = valuesOffset;
+        });
+
+        return buffer;
+    };
+
+    describe("GeoTiffReader", function () {
+        var cog = createCog(), jpeg = TiffDecompressor.jpeg, reader, requestedRanges;
+
+        beforeEach(function () {
+            reader = new GeoTiffReader("cog.tif");
+            requestedRanges = [];
+            reader.requestRange = function (url, offset, length, callback) {
+                requestedRanges.push([offset, length]);
+                callback(cog.slice(offset, offset + length));
+            };
+        });
+
+        afterEach(function () {
+            TiffDecompressor.jpeg = jpeg;
+        });
+
+        it('reads the header and the overviews by range requests', function () {
+            var originalLength = GeoTiffReader.HEADER_LENGTH, isRead = false;
+            GeoTiffReader.HEADER_LENGTH = 256;
+            reader.readHeader(function () {
+                isRead = true;
+            });
+            GeoTiffReader.HEADER_LENGTH = originalLength;
+
+            expect(isRead).toBe(true);
+            expect(requestedRanges[0]).toEqual([0, 256]);
+            expect(requestedRanges.length).toBeGreaterThan(1);
+            expect(reader.metadata.imageWidth).toBe(32);
+            expect(reader.metadata.tileOffsets.length).toBe(4);
+            expect(reader.overviews.length).toBe(1);
+            expect(reader.overviews[0].imageWidth).toBe(16);
+            expect(reader.metadata.bbox.minLatitude).toBe(18);
+            expect(reader.metadata.bbox.maxLongitude).toBe(42);
+        });
+
+        it('passes an error to the callback when the header can\'t be retrieved', function () {
+            var result;
+            reader.requestRange = function (url, offset, length, callback) {
+                callback(null);
+            };
+            reader.readHeader(function (error) {
+                result = error;
+            });
+
+            expect(result instanceof Error).toBe(true);
+        });
+
+        it('passes an error to the callback when the header can\'t be parsed', function () {
+            var result;
+            reader.requestRange = function (url, offset, length, callback) {
+                callback(new ArrayBuffer(length));
+            };
+            reader.readHeader(function (error) {
+                result = error;
+            });
+
+            expect(result).toBeDefined();
+        });
+
+        it('passes an error to the callback when the file can\'t be retrieved', function () {
+            var OriginalXMLHttpRequest = window.XMLHttpRequest, errors = [];
+            window.XMLHttpRequest = function () {
+                this.open = function () {
+                };
+                this.send = function () {
+                    this.readyState = 4;
+                    this.status = 404;
+                    this.statusText = "Not Found";
+                    this.onreadystatechange();
+                    this.onerror();
+                };
+            };
+
+            try {
+                reader.readAsData(function (data, error) {
+                    expect(data).toBeNull();
+                    errors.push(error);
+                });
+            } finally {
+                window.XMLHttpRequest = OriginalXMLHttpRequest;
+            }
+
+            expect(errors.length).toBe(1);
+            expect(errors[0] instanceof Error).toBe(true);
+        });
+
+        it('reads single tiles by range requests', function () {
+            var pixels = null;
+            reader.readHeader(function () {
+                reader.readTile(reader.metadata, 2, function (result) {
+                    pixels = result;
+                });
+            });
+
+            expect(requestedRanges[requestedRanges.length - 1]).toEqual([8 + 2 * 256, 256]);
+            expect(pixels.length).toBe(256);
+            expect(pixels[0]).toEqual([3]);
+        });
+
+        it('passes the error to the callback when the blocks can\'t be decoded', function (done) {
+            TiffDecompressor.jpeg = function () {
+                return Promise.reject(new Error("Invalid JPEG"));
+            };
+            reader.requestUrl = function (url, callback) {
+                reader.readHeader(function () {
+                    reader.metadata.compression = TiffConstants.Compression.JPEG;
+                    reader._geoTiffData = new DataView(cog);
+                    reader.prepareBlocks(callback);
+                });
+            };
+
+            reader.readAsData(function (data, error) {
+                expect(data).toBeNull();
+                expect(error.message).toBe("Invalid JPEG");
+                done();
+            });
+        });
+
+        it('translates locations to image coordinates', function () {
+            reader.readHeader(function () {
+            });
+
+            expect(reader.locationToGeoTiffImage(50, 10)).toEqual([0, 0]);
+            expect(reader.locationToGeoTiffImage(30, 20)).toEqual([10, 20]);
+        });
+    });
+});
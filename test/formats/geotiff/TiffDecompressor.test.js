@@ -0,0 +1,93 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/geotiff/TiffConstants',
+    'src/formats/geotiff/TiffDecompressor'
+], function (TiffConstants,
+             TiffDecompressor) {
+    "use strict";
+
+    describe("TiffDecompressor", function () {
+        var toArray = function (bytes) {
+            return Array.prototype.slice.call(bytes);
+        };
+
+        describe("LZW", function () {
+            it('decodes codes including the one not yet in the table', function () {
+                var compressed = new Uint8Array([128, 1, 224, 80, 48, 56, 4, 5, 6, 131, 64, 64]);
+
+                var uncompressed = TiffDecompressor.lzw(compressed, 13);
+
+                expect(toArray(uncompressed)).toEqual([7, 7, 7, 7, 7, 7, 7, 1, 2, 1, 2, 1, 2]);
+            });
+        });
+
+        describe("Deflate", function () {
+            it('decodes zlib wrapped data', function () {
+                var compressed = new Uint8Array([120, 156, 99, 96, 100, 98, 102, 97, 101, 99, 231, 224, 228, 226,
+                    230, 225, 229, 227, 103, 32, 145, 15, 0, 55, 224, 1, 225]);
+                var expected = [];
+                for (var i = 0; i < 64; i++) {
+                    expected.push(i % 16);
+                }
+
+                expect(toArray(TiffDecompressor.deflate(compressed))).toEqual(expected);
+            });
+        });
+
+        describe("PackBits", function () {
+            it('decodes literal and repeated runs', function () {
+                var compressed = new Uint8Array([2, 1, 2, 3, 253, 9, 128, 0, 4]);
+
+                var uncompressed = TiffDecompressor.packBits(compressed, 9);
+
+                expect(toArray(uncompressed)).toEqual([1, 2, 3, 9, 9, 9, 9, 4]);
+            });
+        });
+
+        describe("Predictor", function () {
+            it('reverses horizontal differencing of 8 bit samples in every row', function () {
+                var bytes = new Uint8Array([10, 20, 1, 2, 255, 0, 5, 5, 1, 1, 1, 1]);
+
+                TiffDecompressor.undoPredictor(bytes, TiffConstants.Predictor.HORIZONTAL, 3, 2, 1, true);
+
+                expect(toArray(bytes)).toEqual([10, 20, 11, 22, 10, 22, 5, 5, 6, 6, 7, 7]);
+            });
+
+            it('reverses horizontal differencing of 16 bit samples', function () {
+                var bytes = new Uint8Array([0xE8, 0x03, 0x0A, 0x00, 0xF6, 0xFF]);
+
+                TiffDecompressor.undoPredictor(bytes, TiffConstants.Predictor.HORIZONTAL, 3, 1, 2, true);
+
+                var view = new DataView(bytes.buffer);
+                expect(view.getUint16(0, true)).toBe(1000);
+                expect(view.getUint16(2, true)).toBe(1010);
+                expect(view.getUint16(4, true)).toBe(1000);
+            });
+
+            it('reverses floating point differencing of little endian samples', function () {
+                var bytes = new Uint8Array([63, 1, 128, 0, 80, 48, 192, 0, 0, 0, 0, 0]);
+
+                TiffDecompressor.undoPredictor(bytes, TiffConstants.Predictor.FLOATING_POINT, 3, 1, 4, true);
+
+                var view = new DataView(bytes.buffer);
+                expect(view.getFloat32(0, true)).toBe(1.5);
+                expect(view.getFloat32(4, true)).toBe(2.25);
+                expect(view.getFloat32(8, true)).toBe(-3);
+            });
+        });
+    });
+});
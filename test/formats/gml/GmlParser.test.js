@@ -0,0 +1,149 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/gml/GmlParser',
+    'src/layer/RenderableLayer',
+    'src/shapes/SurfacePolygon',
+    'src/shapes/SurfacePolyline',
+    'src/WorldWind'
+], function (GmlParser,
+             RenderableLayer,
+             SurfacePolygon,
+             SurfacePolyline,
+             WorldWind) {
+    "use strict";
+
+    describe("GmlParser", function () {
+        var parse = function (gml) {
+            var parser = new GmlParser(gml);
+            parser.load(null, null, new RenderableLayer("GML"));
+            return parser;
+        };
+
+        it("reads the features of a GML 3.2 WFS response with latitude first axis order", function () {
+            var parser = parse('<wfs:FeatureCollection xmlns:wfs="http://www.opengis.net/wfs/2.0" ' +
+                'xmlns:gml="http://www.opengis.net/gml/3.2" xmlns:topp="http://www.openplans.org/topp">' +
+                '<wfs:member><topp:cities gml:id="cities.1"><gml:boundedBy><gml:Envelope>' +
+                '<gml:lowerCorner>1 2</gml:lowerCorner></gml:Envelope></gml:boundedBy>' +
+                '<topp:name>Bern</topp:name><topp:population>133883</topp:population>' +
+                '<topp:location><gml:Point srsName="urn:ogc:def:crs:EPSG::4326">' +
+                '<gml:pos>46.95 7.45</gml:pos></gml:Point></topp:location></topp:cities></wfs:member>' +
+                '<wfs:member><topp:roads gml:id="roads.1"><topp:geometry>' +
+                '<gml:LineString srsName="http://www.opengis.net/def/crs/EPSG/0/4326">' +
+                '<gml:posList>46 7 47 8</gml:posList></gml:LineString></topp:geometry></topp:roads></wfs:member>' +
+                '</wfs:FeatureCollection>');
+
+            var features = parser.geoJSONObject.features;
+            expect(features.length).toBe(2);
+            expect(features[0].id).toBe("cities.1");
+            expect(features[0].properties).toEqual({name: "Bern", population: "133883"});
+            expect(features[0].geometry).toEqual({type: "Point", coordinates: [7.45, 46.95]});
+            expect(features[1].geometry.coordinates).toEqual([[7, 46], [8, 47]]);
+
+            var renderables = parser.layer.renderables;
+            expect(renderables.length).toBe(2);
+            expect(renderables[0].position.latitude).toBe(46.95);
+            expect(renderables[1] instanceof SurfacePolyline).toBe(true);
+        });
+
+        it("reads the interior rings of polygons", function () {
+            var parser = parse('<gml:Polygon xmlns:gml="http://www.opengis.net/gml/3.2" srsName="EPSG:4326">' +
+                '<gml:exterior><gml:LinearRing><gml:posList>0 0 10 0 10 10 0 10 0 0</gml:posList>' +
+                '</gml:LinearRing></gml:exterior><gml:interior><gml:LinearRing>' +
+                '<gml:pos>2 2</gml:pos><gml:pos>2 4</gml:pos><gml:pos>4 4</gml:pos><gml:pos>2 2</gml:pos>' +
+                '</gml:LinearRing></gml:interior></gml:Polygon>');
+
+            var geometry = parser.geoJSONObject.features[0].geometry;
+            expect(geometry.type).toBe("Polygon");
+            expect(geometry.coordinates.length).toBe(2);
+            expect(geometry.coordinates[0][1]).toEqual([10, 0]);
+            expect(geometry.coordinates[1][1]).toEqual([2, 4]);
+            expect(parser.layer.renderables[0] instanceof SurfacePolygon).toBe(true);
+        });
+
+        it("reads GML 2 coordinates", function () {
+            var parser = parse('<wfs:FeatureCollection xmlns:wfs="http://www.opengis.net/wfs" ' +
+                'xmlns:gml="http://www.opengis.net/gml" xmlns:topp="http://www.openplans.org/topp">' +
+                '<gml:featureMember><topp:lakes fid="lakes.1"><topp:the_geom>' +
+                '<gml:MultiPolygon srsName="http://www.opengis.net/gml/srs/epsg.xml#4326"><gml:polygonMember>' +
+                '<gml:Polygon><gml:outerBoundaryIs><gml:LinearRing>' +
+                '<gml:coordinates decimal="." cs="," ts=" ">-90,45 -89,45 -89,46 -90,45</gml:coordinates>' +
+                '</gml:LinearRing></gml:outerBoundaryIs></gml:Polygon></gml:polygonMember></gml:MultiPolygon>' +
+                '</topp:the_geom></topp:lakes></gml:featureMember></wfs:FeatureCollection>');
+
+            var feature = parser.geoJSONObject.features[0];
+            expect(feature.id).toBe("lakes.1");
+            expect(feature.geometry).toEqual({type: "MultiPolygon", coordinates: [[[[-90, 45], [-89, 45], [-89, 46],
+                [-90, 45]]]]});
+        });
+
+        it("reads curves and surfaces with linear segments", function () {
+            var parser = parse('<gml:MultiGeometry xmlns:gml="http://www.opengis.net/gml/3.2" ' +
+                'srsName="urn:ogc:def:crs:OGC:1.3:CRS84" srsDimension="3"><gml:geometryMember><gml:Curve>' +
+                '<gml:segments><gml:LineStringSegment><gml:posList>0 0 1 1 1 2</gml:posList>' +
+                '</gml:LineStringSegment><gml:LineStringSegment><gml:posList>1 1 2 2 2 3</gml:posList>' +
+                '</gml:LineStringSegment></gml:segments></gml:Curve></gml:geometryMember>' +
+                '<gml:geometryMember><gml:MultiSurface><gml:surfaceMember><gml:Surface><gml:patches>' +
+                '<gml:PolygonPatch><gml:exterior><gml:LinearRing><gml:posList srsDimension="2">' +
+                '0 0 1 0 1 1 0 0</gml:posList></gml:LinearRing></gml:exterior></gml:PolygonPatch>' +
+                '</gml:patches></gml:Surface></gml:surfaceMember></gml:MultiSurface></gml:geometryMember>' +
+                '</gml:MultiGeometry>');
+
+            var geometries = parser.geoJSONObject.features[0].geometry.geometries;
+            expect(geometries[0]).toEqual({type: "LineString", coordinates: [[0, 0, 1], [1, 1, 2], [2, 2, 3]]});
+            expect(geometries[1]).toEqual({type: "MultiPolygon", coordinates: [[[[0, 0], [1, 0], [1, 1], [0, 0]]]]});
+        });
+
+        it("skips features without geometry", function () {
+            var parser = parse('<wfs:FeatureCollection xmlns:wfs="http://www.opengis.net/wfs/2.0" ' +
+                'xmlns:gml="http://www.opengis.net/gml/3.2" xmlns:topp="http://www.openplans.org/topp">' +
+                '<wfs:member><topp:cities gml:id="cities.1"><topp:name>Bern</topp:name></topp:cities></wfs:member>' +
+                '<wfs:member><topp:cities gml:id="cities.2"><topp:name>Thun</topp:name><topp:location>' +
+                '<gml:Point srsName="urn:ogc:def:crs:EPSG::4326"><gml:pos>46.76 7.63</gml:pos></gml:Point>' +
+                '</topp:location></topp:cities></wfs:member></wfs:FeatureCollection>');
+
+            var features = parser.geoJSONObject.features;
+            expect(features.length).toBe(1);
+            expect(features[0].id).toBe("cities.2");
+            expect(parser.layer.renderables.length).toBe(1);
+        });
+
+        it("skips features in unknown coordinate reference systems", function () {
+            var parser = parse('<wfs:FeatureCollection xmlns:wfs="http://www.opengis.net/wfs/2.0" ' +
+                'xmlns:gml="http://www.opengis.net/gml/3.2" xmlns:topp="http://www.openplans.org/topp">' +
+                '<wfs:member><topp:cities gml:id="cities.1"><topp:location>' +
+                '<gml:Point srsName="urn:ogc:def:crs:EPSG::2056"><gml:pos>2600000 1200000</gml:pos></gml:Point>' +
+                '</topp:location></topp:cities></wfs:member>' +
+                '<wfs:member><topp:cities gml:id="cities.2"><topp:location>' +
+                '<gml:Point srsName="urn:ogc:def:crs:EPSG::4326"><gml:pos>46.76 7.63</gml:pos></gml:Point>' +
+                '</topp:location></topp:cities></wfs:member></wfs:FeatureCollection>');
+
+            var features = parser.geoJSONObject.features;
+            expect(features.length).toBe(1);
+            expect(features[0].id).toBe("cities.2");
+            expect(parser.layer.renderables.length).toBe(1);
+        });
+
+        it("reprojects projected coordinates", function () {
+            var parser = parse('<gml:Point xmlns:gml="http://www.opengis.net/gml/3.2" ' +
+                'srsName="urn:ogc:def:crs:EPSG::3857"><gml:pos>1113194.9079 0</gml:pos></gml:Point>');
+
+            var coordinates = parser.geoJSONObject.features[0].geometry.coordinates;
+            expect(coordinates[0]).toBeCloseTo(10, 6);
+            expect(coordinates[1]).toBeCloseTo(0, 6);
+        });
+    });
+});
@@ -0,0 +1,124 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/util/Color',
+    'src/shapes/GeographicText',
+    'src/util/jszip',
+    'src/formats/kml/KmlExporter',
+    'src/geom/Location',
+    'src/shapes/Path',
+    'src/shapes/Placemark',
+    'src/geom/Position',
+    'src/layer/RenderableLayer',
+    'src/shapes/ShapeAttributes',
+    'src/shapes/SurfaceCircle',
+    'src/shapes/SurfacePolygon',
+    'src/WorldWind',
+    'src/util/XmlDocument'
+], function (Color,
+             GeographicText,
+             JsZip,
+             KmlExporter,
+             Location,
+             Path,
+             Placemark,
+             Position,
+             RenderableLayer,
+             ShapeAttributes,
+             SurfaceCircle,
+             SurfacePolygon,
+             WorldWind,
+             XmlDocument) {
+    "use strict";
+    describe("KmlExporterTest", function () {
+        var layer = new RenderableLayer("Annotations");
+
+        var placemark = new Placemark(new Position(50, 14, 100), false, null);
+        placemark.label = "Prague";
+        placemark.altitudeMode = WorldWind.RELATIVE_TO_GROUND;
+        placemark.userProperties.population = 1280000;
+        layer.addRenderable(placemark);
+
+        var attributes = new ShapeAttributes(null);
+        attributes.outlineColor = new Color(1, 0, 0, 1);
+        attributes.interiorColor = new Color(0, 0, 1, 0.5);
+        attributes.outlineWidth = 3;
+
+        var path = new Path([new Position(10, 20, 0), new Position(11, 21, 0)], attributes);
+        path.displayName = "Route";
+        layer.addRenderable(path);
+
+        var polygon = new SurfacePolygon([new Location(0, 0), new Location(0, 1), new Location(1, 1)], attributes);
+        polygon.displayName = "Area";
+        polygon.enabled = false;
+        layer.addRenderable(polygon);
+
+        var circle = new SurfaceCircle(new Location(0, 0), 1000, attributes);
+        layer.addRenderable(circle);
+
+        layer.addRenderable(new GeographicText(new Position(1, 2, 0), "Label"));
+
+        var kml = new XmlDocument(KmlExporter.exportLayer(layer)).dom();
+        var placemarks = kml.getElementsByTagName("Placemark");
+
+        function text(element, name) {
+            return element.getElementsByTagName(name)[0].textContent;
+        }
+
+        it("should export all the supported renderables in the named document", function () {
+            expect(text(kml.documentElement, "name")).toEqual("Annotations");
+            expect(placemarks.length).toEqual(5);
+            expect(text(placemarks[0], "name")).toEqual("Prague");
+            expect(text(placemarks[4], "name")).toEqual("Label");
+        });
+
+        it("should export the geometries", function () {
+            expect(text(placemarks[0], "coordinates")).toEqual("14,50,100");
+            expect(text(placemarks[0], "altitudeMode")).toEqual("relativeToGround");
+            expect(text(placemarks[1], "coordinates")).toEqual("20,10,0 21,11,0");
+            expect(text(placemarks[2], "coordinates")).toEqual("0,0 1,0 1,1 0,0");
+            expect(text(placemarks[2], "visibility")).toEqual("0");
+            expect(text(placemarks[3], "coordinates").split(" ").length)
+                .toEqual(SurfaceCircle.DEFAULT_NUM_INTERVALS + 1);
+        });
+
+        it("should share the equal styles", function () {
+            var styles = kml.getElementsByTagName("Style");
+            expect(styles.length).toEqual(3);
+            expect(text(placemarks[1], "styleUrl")).toEqual(text(placemarks[2], "styleUrl"));
+
+            var styleId = text(placemarks[1], "styleUrl").substr(1);
+            var style = [].filter.call(styles, function (element) {
+                return element.getAttribute("id") === styleId;
+            })[0];
+            expect(text(style, "color")).toEqual("ff0000ff");
+            expect(text(style, "width")).toEqual("3");
+            expect(text(style.getElementsByTagName("PolyStyle")[0], "color")).toEqual("80ff0000");
+        });
+
+        it("should export the user properties as extended data", function () {
+            var data = placemarks[0].getElementsByTagName("Data")[0];
+            expect(data.getAttribute("name")).toEqual("population");
+            expect(text(data, "value")).toEqual("1280000");
+        });
+
+        it("should store the document in the KMZ archive", function () {
+            var kmz = new JsZip();
+            kmz.load(KmlExporter.exportLayerToKmz(layer, "uint8array"));
+            expect(kmz.file("doc.kml").asText()).toEqual(KmlExporter.exportLayer(layer));
+        });
+    });
+});
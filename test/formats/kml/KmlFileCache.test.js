@@ -0,0 +1,49 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/kml/KmlFileCache'
+], function (KmlFileCache) {
+    "use strict";
+
+    describe("KmlFileCache", function () {
+        var cache, root, target;
+
+        beforeEach(function () {
+            cache = new KmlFileCache();
+            root = {name: "root"};
+            target = {name: "target"};
+            cache.add("http://example.com/root.kml", root);
+            cache.add("http://example.com/kml/target.kml", target);
+        });
+
+        it('retrieves the files by their absolute url without fragment', function () {
+            expect(cache.retrieve("http://example.com/kml/target.kml#placemark")).toBe(target);
+            expect(cache.retrieve("http://example.com/other.kml")).toBeNull();
+        });
+
+        it('resolves the relative urls against the referencing file', function () {
+            expect(cache.retrieve("target.kml", "http://example.com/kml/update.kml")).toBe(target);
+            expect(cache.retrieve("../target.kml", "http://example.com/kml/sub/update.kml?v=1")).toBe(target);
+            expect(cache.retrieve("/kml/target.kml", "http://example.com/other/update.kml")).toBe(target);
+            expect(cache.retrieve("//example.com/kml/target.kml", "http://example.com/update.kml")).toBe(target);
+        });
+
+        it('retrieves the root file for the unknown relative urls', function () {
+            expect(cache.retrieve("#placemark")).toBe(root);
+            expect(cache.retrieve("missing.kml", "http://example.com/kml/update.kml")).toBe(root);
+        });
+    });
+});
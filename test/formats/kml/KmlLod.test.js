@@ -41,5 +41,31 @@ define([
             expect(lod.kmlMinFadeExtent).toBe(0);
             expect(lod.kmlMaxFadeExtent).toBe(0);
         });
+
+        it('should be active between the MinLodPixels and MaxLodPixels', function () {
+            expect(lod.isActive(255)).toBeFalsy();
+            expect(lod.isActive(256)).toBeTruthy();
+            expect(lod.isActive(100000)).toBeTruthy();
+        });
+
+        it('should fade in and out within the fade extents', function () {
+            var fadingKml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+                "<kml xmlns=\"http://www.opengis.net/kml/2.2\">" +
+                "<Lod>" +
+                "   <minLodPixels>100</minLodPixels>" +
+                "   <maxLodPixels>1000</maxLodPixels>" +
+                "   <minFadeExtent>100</minFadeExtent>" +
+                "   <maxFadeExtent>200</maxFadeExtent>" +
+                "</Lod>" +
+                "</kml>";
+            var fadingLod = new KmlLod({objectNode:
+                new XmlDocument(fadingKml).dom().getElementsByTagName("Lod")[0]});
+
+            expect(fadingLod.opacity(50)).toBe(0);
+            expect(fadingLod.opacity(150)).toBeCloseTo(0.5, 6);
+            expect(fadingLod.opacity(500)).toBe(1);
+            expect(fadingLod.opacity(900)).toBeCloseTo(0.5, 6);
+            expect(fadingLod.opacity(1001)).toBe(0);
+        });
     });
 });
\ No newline at end of file
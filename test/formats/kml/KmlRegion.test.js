@@ -42,6 +42,71 @@ define([
 
         });
 
+        describe("level of detail", function () {
+            var regionKml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+                "<kml xmlns=\"http://www.opengis.net/kml/2.2\">" +
+                "<Region>" +
+                "   <LatLonAltBox><north>1</north><south>0</south><east>1</east><west>0</west></LatLonAltBox>" +
+                "   <Lod><minLodPixels>256</minLodPixels><maxLodPixels>2048</maxLodPixels></Lod>" +
+                "</Region>" +
+                "</kml>";
+            var region = new KmlRegion({objectNode:
+                new XmlDocument(regionKml).dom().getElementsByTagName("Region")[0]});
+
+            // One degree of the region is roughly 111 km, so it covers 1000 pixels at the distance of 111 km.
+            var frame = 0;
+            var createContext = function (distance, visible) {
+                region._extent = {
+                    distanceTo: function () {
+                        return distance;
+                    },
+                    intersectsFrustum: function () {
+                        return visible;
+                    }
+                };
+                region._extentGlobeStateKey = "globe";
+                return {
+                    timestamp: ++frame,
+                    globeStateKey: "globe",
+                    globe: {equatorialRadius: 6378137},
+                    navigatorState: {
+                        eyePoint: null,
+                        frustumInModelCoordinates: null,
+                        pixelSizeAtDistance: function (distance) {
+                            return distance / 1000;
+                        }
+                    }
+                };
+            };
+
+            it('should compute the size of the region projected on the screen', function () {
+                expect(region.projectedSize(createContext(111319.5, true))).toBeCloseTo(1000, 0);
+            });
+
+            it('should be active only when visible and within the Lod limits', function () {
+                expect(region.isActive(createContext(111319.5, true))).toBeTruthy();
+                expect(region.isActive(createContext(111319.5, false))).toBeFalsy();
+                expect(region.isActive(createContext(1113195, true))).toBeFalsy();
+                expect(region.isActive(createContext(11131.95, true))).toBeFalsy();
+                expect(region.opacity(createContext(111319.5, true))).toBe(1);
+            });
+
+            it('should compute the visibility and the projected size once per frame', function () {
+                var dc = createContext(111319.5, true);
+                spyOn(region._extent, "intersectsFrustum").and.callThrough();
+                spyOn(region, "projectedSize").and.callThrough();
+
+                expect(region.isActive(dc)).toBeTruthy();
+                expect(region.opacity(dc)).toBe(1);
+                expect(region._extent.intersectsFrustum.calls.count()).toBe(1);
+                expect(region.projectedSize.calls.count()).toBe(1);
+
+                dc.timestamp = ++frame;
+                region.isActive(dc);
+                expect(region.projectedSize.calls.count()).toBe(2);
+            });
+        });
+
 
         });
     });
@@ -0,0 +1,88 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/kml/controls/KmlBalloons',
+    'src/formats/kml/features/KmlPlacemark',
+    'src/util/XmlDocument'
+], function (KmlBalloons,
+             KmlPlacemark,
+             XmlDocument) {
+    "use strict";
+
+    describe("KmlBalloons", function () {
+        var wwd = {
+            canvas: {parentNode: null},
+            redrawCallbacks: [],
+            addLayer: function () {
+            },
+            addEventListener: function () {
+            }
+        };
+
+        var placemarkNode = function (kml) {
+            return new XmlDocument('<kml xmlns="http://www.opengis.net/kml/2.2">' + kml + '</kml>').dom()
+                .getElementsByTagName("Placemark")[0];
+        };
+
+        it('keeps only the latest feature created for a node', function () {
+            var balloons = new KmlBalloons(wwd),
+                node = placemarkNode('<Placemark id="p1"><name>First</name></Placemark>'),
+                anonymousNode = placemarkNode('<Placemark><name>Second</name></Placemark>');
+
+            var first = new KmlPlacemark({objectNode: node, controls: [balloons]}),
+                recreated = new KmlPlacemark({objectNode: node, controls: [balloons]}),
+                anonymous = new KmlPlacemark({objectNode: anonymousNode, controls: [balloons]}),
+                anonymousRecreated = new KmlPlacemark({objectNode: anonymousNode, controls: [balloons]});
+
+            expect(Object.keys(balloons._features).length).toBe(2);
+            expect(balloons.featureFor(recreated)).toBe(recreated);
+            expect(balloons.featureFor(first)).toBeNull();
+            expect(balloons.featureFor(anonymousRecreated)).toBe(anonymousRecreated);
+            expect(balloons.featureFor(anonymous)).toBeNull();
+        });
+
+        it('removes the features of a file once it is reloaded with features', function () {
+            var balloons = new KmlBalloons(wwd);
+
+            // Hooks the file loaded from the url with the given content, like KmlFile does.
+            var loadFile = function (kml) {
+                var document = new XmlDocument('<kml xmlns="http://www.opengis.net/kml/2.2">' + kml + '</kml>').dom(),
+                    file = {_document: document, _url: "doc.kml", node: document.documentElement};
+                balloons.hook(file, {objectNode: document.documentElement});
+                return document;
+            };
+            var createPlacemarks = function (document) {
+                return Array.prototype.map.call(document.getElementsByTagName("Placemark"), function (node) {
+                    return new KmlPlacemark({objectNode: node, controls: [balloons]});
+                });
+            };
+
+            var first = createPlacemarks(loadFile('<Placemark id="p1"/><Placemark/>'));
+            expect(Object.keys(balloons._features).length).toBe(2);
+
+            // An update brings no features, so the features of the first file stay.
+            loadFile('<NetworkLinkControl/>');
+            expect(balloons.featureFor(first[1])).toBe(first[1]);
+
+            var second = createPlacemarks(loadFile('<Placemark/>'));
+            expect(Object.keys(balloons._features).length).toBe(1);
+            expect(balloons.featureFor(first[0])).toBeNull();
+            expect(balloons.featureFor(first[1])).toBeNull();
+            expect(balloons.featureFor(second[0])).toBe(second[0]);
+            expect(balloons._documents.length).toBe(1);
+        });
+    });
+});
@@ -14,13 +14,25 @@
  * limitations under the License.
  */
 define([
+    'src/formats/kml/KmlFile',
+    'src/formats/kml/KmlFileCache',
     'src/formats/kml/KmlLink',
+    'src/formats/kml/KmlObject',
     'src/formats/kml/features/KmlNetworkLink',
-    'src/util/XmlDocument'
+    'src/util/Promise',
+    'src/formats/kml/util/Update',
+    'src/util/XmlDocument',
+    'src/WorldWind'
 ], function (
+    KmlFile,
+    KmlFileCache,
     KmlLink,
+    KmlObject,
     KmlNetworkLink,
-    XmlDocument
+    Promise,
+    Update,
+    XmlDocument,
+    WorldWind
 ) {
     "use strict";
     describe("KmlNetworkLinkTest", function() {
@@ -43,5 +55,63 @@ define([
 
             });
 
+            describe("refresh", function () {
+                var linkUrl = "http://localhost/link.kml";
+
+                var createFile = function (kml) {
+                    var document = new XmlDocument(kml).dom(),
+                        file = Object.create(KmlFile.prototype);
+                    file._document = document;
+                    KmlObject.call(file, {objectNode: document.documentElement});
+                    return file;
+                };
+
+                var createLink = function () {
+                    var kml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+                        "<kml xmlns=\"http://www.opengis.net/kml/2.2\">" +
+                        "<NetworkLink><Link><href>" + linkUrl + "</href></Link></NetworkLink>" +
+                        "</kml>";
+                    return new KmlNetworkLink({objectNode:
+                        new XmlDocument(kml).dom().getElementsByTagName("NetworkLink")[0]});
+                };
+
+                it('applies the Update targeting its own file to the displayed file and keeps it', function (done) {
+                    var displayedFile = createFile("<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+                            "<kml xmlns=\"http://www.opengis.net/kml/2.2\">" +
+                            "<Placemark id=\"placemark\"><name>Original</name></Placemark>" +
+                            "</kml>"),
+                        updateFile = createFile("<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+                            "<kml xmlns=\"http://www.opengis.net/kml/2.2\">" +
+                            "<NetworkLinkControl><Update>" +
+                            "<targetHref>" + linkUrl + "</targetHref>" +
+                            "<Change><Placemark targetId=\"placemark\"><name>Changed</name></Placemark></Change>" +
+                            "</Update></NetworkLinkControl>" +
+                            "</kml>"),
+                        fileCache = new KmlFileCache(),
+                        link = createLink(),
+                        updatedFiles = [];
+
+                    fileCache.add("http://localhost/root.kml", Promise.resolve(null));
+                    fileCache.add(linkUrl, Promise.resolve(displayedFile));
+                    link.resolvedFile = displayedFile;
+                    link.loadFile = function () {
+                        return Promise.resolve(updateFile);
+                    };
+                    spyOn(Update.prototype, "apply").and.callFake(function (file) {
+                        updatedFiles.push(file);
+                    });
+
+                    link.refresh({fileCache: fileCache, listener: null});
+
+                    setTimeout(function () {
+                        expect(updatedFiles).toEqual([displayedFile]);
+                        expect(link.resolvedFile).toBe(displayedFile);
+                        fileCache.retrieve(linkUrl).then(function (file) {
+                            expect(file).toBe(displayedFile);
+                            done();
+                        });
+                    }, 10);
+                });
+            });
         });
     });
\ No newline at end of file
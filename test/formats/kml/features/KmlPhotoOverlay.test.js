@@ -18,12 +18,14 @@ define( [
     'src/formats/kml/util/ViewVolume',
     'src/formats/kml/geom/KmlPoint',
     'src/formats/kml/features/KmlPhotoOverlay',
+    'src/geom/Vec3',
     'src/util/XmlDocument'
 ], function (
     ImagePyramid,
     ViewVolume,
     KmlPoint,
     KmlPhotoOverlay,
+    Vec3,
     XmlDocument
 ) {
     "use strict";
@@ -52,6 +54,50 @@ define( [
 
             });
 
+        describe("rendering", function () {
+            var pyramidKml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+                "<kml xmlns=\"http://www.opengis.net/kml/2.2\">" +
+                "<PhotoOverlay>" +
+                "   <Icon><href>photo_$[level]_$[x]_$[y].jpg</href></Icon>" +
+                "   <ViewVolume>" +
+                "       <leftFov>-45</leftFov><rightFov>45</rightFov>" +
+                "       <bottomFov>-45</bottomFov><topFov>45</topFov>" +
+                "       <near>10</near>" +
+                "   </ViewVolume>" +
+                "   <ImagePyramid>" +
+                "       <tileSize>256</tileSize><maxWidth>1024</maxWidth><maxHeight>512</maxHeight>" +
+                "   </ImagePyramid>" +
+                "   <shape>rectangle</shape>" +
+                "</PhotoOverlay>" +
+                "</kml>";
+            var overlay = new KmlPhotoOverlay({objectNode:
+                new XmlDocument(pyramidKml).dom().getElementsByTagName("PhotoOverlay")[0]});
+            overlay._frame = {
+                origin: new Vec3(0, 0, 0),
+                right: new Vec3(1, 0, 0),
+                up: new Vec3(0, 1, 0),
+                forward: new Vec3(0, 0, -1)
+            };
+
+            it('should create the tiles of the pyramid with the level and position in the url', function () {
+                var tile = overlay.createTile(2, 3, 1);
+                expect(tile.imageSource).toEqual('photo_2_3_1.jpg');
+                expect(tile.minU).toEqual(0.75);
+                expect(tile.maxV).toEqual(1);
+                expect(overlay.createTile(2, 4, 0)).toBeNull();
+                expect(overlay.createTile(0, 0, 0).subdivide(overlay).length).toEqual(2);
+            });
+
+            it('should place the rectangle at the near distance in front of the camera', function () {
+                var lowerLeft = overlay.pointAt(0, 0), center = overlay.pointAt(0.5, 0.5);
+                expect(lowerLeft[0]).toBeCloseTo(-10, 6);
+                expect(lowerLeft[1]).toBeCloseTo(-10, 6);
+                expect(lowerLeft[2]).toBeCloseTo(-10, 6);
+                expect(center[0]).toBeCloseTo(0, 6);
+                expect(center[2]).toBeCloseTo(-10, 6);
+            });
+        });
+
 
 
         });
@@ -0,0 +1,130 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/kml/features/KmlTour',
+    'src/formats/kml/tour/KmlAnimatedUpdate',
+    'src/formats/kml/tour/KmlFlyTo',
+    'src/formats/kml/KmlLookAt',
+    'src/formats/kml/tour/KmlPlaylist',
+    'src/formats/kml/tour/KmlTourControl',
+    'src/formats/kml/tour/KmlWait',
+    'src/geom/Vec3',
+    'src/util/XmlDocument'
+], function (KmlTour,
+             KmlAnimatedUpdate,
+             KmlFlyTo,
+             KmlLookAt,
+             KmlPlaylist,
+             KmlTourControl,
+             KmlWait,
+             Vec3,
+             XmlDocument) {
+    "use strict";
+    describe("KmlTourTest", function () {
+        var validKml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+            "<kml xmlns=\"http://www.opengis.net/kml/2.2\" xmlns:gx=\"http://www.google.com/kml/ext/2.2\">" +
+            "<gx:Tour>" +
+            "   <name>Tour</name>" +
+            "   <gx:Playlist>" +
+            "       <gx:FlyTo>" +
+            "           <gx:duration>2</gx:duration>" +
+            "           <gx:flyToMode>smooth</gx:flyToMode>" +
+            "           <LookAt>" +
+            "               <longitude>10</longitude>" +
+            "               <latitude>20</latitude>" +
+            "               <range>1000</range>" +
+            "           </LookAt>" +
+            "       </gx:FlyTo>" +
+            "       <gx:AnimatedUpdate>" +
+            "           <gx:duration>5</gx:duration>" +
+            "           <Update></Update>" +
+            "       </gx:AnimatedUpdate>" +
+            "       <gx:TourControl>" +
+            "           <gx:playMode>pause</gx:playMode>" +
+            "       </gx:TourControl>" +
+            "       <gx:Wait>" +
+            "           <gx:duration>3</gx:duration>" +
+            "       </gx:Wait>" +
+            "   </gx:Playlist>" +
+            "</gx:Tour>" +
+            "</kml>";
+        var kmlRepresentation = new XmlDocument(validKml).dom();
+        var tour = new KmlTour({objectNode: kmlRepresentation.getElementsByTagName("gx:Tour")[0]});
+
+        var wwd = {
+            navigator: {
+                lookAtLocation: {latitude: 0, longitude: 0},
+                range: 5000,
+                heading: 0,
+                tilt: 0,
+                roll: 0
+            },
+            globe: {
+                equatorialRadius: 6378137,
+                computePointFromLocation: function () {
+                    return new Vec3(0, 0, 0);
+                }
+            },
+            redraw: function () {
+            }
+        };
+
+        it("should have the Playlist with the tour primitives in order", function () {
+            expect(tour.kmlPlaylist instanceof KmlPlaylist).toBeTruthy();
+
+            var primitives = tour.kmlPlaylist.kmlTourPrimitives;
+            expect(primitives.length).toEqual(4);
+            expect(primitives[0] instanceof KmlFlyTo).toBeTruthy();
+            expect(primitives[1] instanceof KmlAnimatedUpdate).toBeTruthy();
+            expect(primitives[2] instanceof KmlTourControl).toBeTruthy();
+            expect(primitives[3] instanceof KmlWait).toBeTruthy();
+        });
+
+        it("should have the Duration, FlyToMode and AbstractView properties", function () {
+            var flyTo = tour.kmlPlaylist.kmlTourPrimitives[0];
+            expect(flyTo.kmlDuration).toEqual(2);
+            expect(flyTo.kmlFlyToMode).toEqual('smooth');
+            expect(flyTo.kmlAbstractView instanceof KmlLookAt).toBeTruthy();
+        });
+
+        it("should compute the duration without the AnimatedUpdate", function () {
+            var player = tour.createPlayer(wwd);
+            expect(player.duration).toEqual(5);
+        });
+
+        it("should move the navigator when seeking", function () {
+            var player = tour.createPlayer(wwd);
+            player.seek(1);
+            expect(wwd.navigator.lookAtLocation.latitude).toBeCloseTo(10, 0);
+            expect(wwd.navigator.range).toBeCloseTo(3000, 5);
+
+            player.seek(4);
+            expect(player.currentTime).toEqual(4);
+            expect(wwd.navigator.lookAtLocation.latitude).toEqual(20);
+            expect(wwd.navigator.lookAtLocation.longitude).toEqual(10);
+            expect(wwd.navigator.range).toEqual(1000);
+        });
+
+        it("should pause on the TourControl", function () {
+            var player = tour.createPlayer(wwd);
+            player.seek(0);
+            player.playing = true;
+            expect(player.update(3000)).toBeFalsy();
+            expect(player.playing).toBeFalsy();
+            expect(player.currentTime).toEqual(2);
+        });
+    });
+});
@@ -0,0 +1,86 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/kml/geom/KmlMultiTrack',
+    'src/formats/kml/geom/KmlTrack',
+    'src/util/XmlDocument'
+], function (KmlMultiTrack,
+             KmlTrack,
+             XmlDocument) {
+    "use strict";
+    describe("KmlTrackTest", function () {
+        var validKml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+            "<kml xmlns=\"http://www.opengis.net/kml/2.2\" xmlns:gx=\"http://www.google.com/kml/ext/2.2\">" +
+            "<gx:MultiTrack>" +
+            "   <gx:interpolate>1</gx:interpolate>" +
+            "   <gx:Track>" +
+            "       <altitudeMode>absolute</altitudeMode>" +
+            "       <when>2010-05-28T02:02:09Z</when>" +
+            "       <when>2010-05-28T02:02:19Z</when>" +
+            "       <gx:coord>10 20 100</gx:coord>" +
+            "       <gx:coord>12 22 200</gx:coord>" +
+            "       <gx:angles>350 0 0</gx:angles>" +
+            "       <gx:angles>10 0 0</gx:angles>" +
+            "   </gx:Track>" +
+            "   <gx:Track>" +
+            "       <when>2010-05-28T02:02:29Z</when>" +
+            "       <when>2010-05-28T02:02:39Z</when>" +
+            "       <gx:coord>14 24 300</gx:coord>" +
+            "       <gx:coord>16 26 400</gx:coord>" +
+            "   </gx:Track>" +
+            "</gx:MultiTrack>" +
+            "</kml>";
+        var kmlRepresentation = new XmlDocument(validKml).dom();
+        var multiTrack = new KmlMultiTrack({
+            objectNode: kmlRepresentation.getElementsByTagName("gx:MultiTrack")[0]
+        });
+        var start = new Date("2010-05-28T02:02:09Z").getTime();
+
+        it("should have the Whens, Coords, Angles and AltitudeMode properties", function () {
+            var track = multiTrack.kmlTracks[0];
+            expect(track instanceof KmlTrack).toBeTruthy();
+            expect(track.kmlWhens).toEqual([start, start + 10000]);
+            expect(track.kmlCoords.length).toEqual(2);
+            expect(track.kmlCoords[1].latitude).toEqual(22);
+            expect(track.kmlCoords[1].longitude).toEqual(12);
+            expect(track.kmlCoords[1].altitude).toEqual(200);
+            expect(track.kmlAngles[0].heading).toEqual(350);
+            expect(track.kmlAltitudeMode).toEqual('absolute');
+        });
+
+        it("should interpolate the position and heading of the track", function () {
+            var track = multiTrack.kmlTracks[0];
+            var position = track.positionAt(start + 5000);
+            expect(position.latitude).toEqual(21);
+            expect(position.longitude).toEqual(11);
+            expect(position.altitude).toEqual(150);
+            expect(track.headingAt(start + 5000)).toEqual(0);
+            expect(track.positionAt(start - 1)).toBeNull();
+            expect(track.positionsUntil(start + 5000).length).toEqual(2);
+        });
+
+        it("should interpolate the position between the tracks", function () {
+            expect(multiTrack.kmlInterpolate).toBeTruthy();
+            expect(multiTrack.kmlEnd).toEqual(start + 30000);
+            expect(multiTrack.kmlAltitudeMode).toEqual('absolute');
+
+            var position = multiTrack.positionAt(start + 15000);
+            expect(position.latitude).toEqual(23);
+            expect(position.longitude).toEqual(13);
+            expect(multiTrack.positionAt(start + 40000)).toBeNull();
+        });
+    });
+});
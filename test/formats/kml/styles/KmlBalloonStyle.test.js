@@ -15,10 +15,12 @@
  */
 define([
     'src/util/XmlDocument',
-    'src/formats/kml/styles/KmlBalloonStyle'
+    'src/formats/kml/styles/KmlBalloonStyle',
+    'src/formats/kml/features/KmlPlacemark'
 ], function (
     XmlDocument,
-    KmlBalloonStyle
+    KmlBalloonStyle,
+    KmlPlacemark
 ) {
     "use strict";
 
@@ -43,5 +45,33 @@ define([
             expect(balloonStyle.kmlTextColor).toEqual('ff000000');
             expect(balloonStyle.kmlDisplayMode).toEqual('default');
         });
+
+        it('should expand the entities of the text with the values of the feature', function () {
+            var featureKml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+                "<kml xmlns=\"http://www.opengis.net/kml/2.2\"><Document>" +
+                "<Schema name=\"TrailHeadType\" id=\"TrailHeadTypeId\">" +
+                "   <SimpleField type=\"int\" name=\"TrailLength\"><displayName>Length</displayName></SimpleField>" +
+                "</Schema>" +
+                "<Placemark id=\"trail\">" +
+                "   <name>Easy trail</name>" +
+                "   <description>Nice views</description>" +
+                "   <ExtendedData>" +
+                "       <Data name=\"holeNumber\"><displayName>Hole</displayName><value>1</value></Data>" +
+                "       <SchemaData schemaUrl=\"#TrailHeadTypeId\">" +
+                "           <SimpleData name=\"TrailLength\">3</SimpleData>" +
+                "       </SchemaData>" +
+                "   </ExtendedData>" +
+                "</Placemark>" +
+                "</Document></kml>";
+            var placemark = new KmlPlacemark({objectNode:
+                new XmlDocument(featureKml).dom().getElementsByTagName("Placemark")[0]});
+
+            expect(KmlBalloonStyle.expand("$[name]: $[description] ($[id])", placemark))
+                .toEqual("Easy trail: Nice views (trail)");
+            expect(KmlBalloonStyle.expand("$[holeNumber/displayName] $[holeNumber]", placemark)).toEqual("Hole 1");
+            expect(KmlBalloonStyle.expand("$[TrailHeadType/TrailLength/displayName] $[TrailHeadType/TrailLength]" +
+                " $[TrailLength]$[geDirections]", placemark)).toEqual("Length 3 3");
+            expect(balloonStyle.balloonText(placemark)).toEqual("TextToTest");
+        });
     });
 });
\ No newline at end of file
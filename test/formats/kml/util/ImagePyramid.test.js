@@ -61,4 +61,31 @@ define([
 
 
         });
+
+    describe("KmlImagePyramidTilesTest", function () {
+        var pyramidKml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+            "<kml xmlns=\"http://www.opengis.net/kml/2.2\">" +
+            "<ImagePyramid>" +
+            "   <tileSize>256</tileSize>" +
+            "   <maxWidth>1000</maxWidth>" +
+            "   <maxHeight>500</maxHeight>" +
+            "   <gridOrigin>upperLeft</gridOrigin>" +
+            "</ImagePyramid>" +
+            "</kml>";
+        var pyramid = new ImagePyramid({objectNode:
+            new XmlDocument(pyramidKml).dom().getElementsByTagName("ImagePyramid")[0]});
+
+        it('should halve the resolution on every level up to the whole image in one tile', function () {
+            expect(pyramid.maxLevel()).toEqual(2);
+            expect(pyramid.levelSize(2)).toEqual({width: 1000, height: 500});
+            expect(pyramid.levelSize(0)).toEqual({width: 250, height: 125});
+        });
+
+        it('should compute the part of the image covered by the tile from the upper left corner', function () {
+            expect(pyramid.tileBounds(0, 0, 0)).toEqual({minU: 0, maxU: 1, minV: 0, maxV: 1});
+            expect(pyramid.tileBounds(1, 1, 0)).toEqual({minU: 256 / 500, maxU: 1, minV: 0, maxV: 1});
+            expect(pyramid.tileBounds(1, 2, 0)).toBeNull();
+            expect(pyramid.tileBounds(1, 0, 1)).toBeNull();
+        });
     });
+});
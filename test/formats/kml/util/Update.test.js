@@ -0,0 +1,137 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * 
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+	'src/formats/kml/features/KmlDocument',
+	'src/formats/kml/KmlFile',
+	'src/formats/kml/KmlObject',
+	'src/formats/kml/features/KmlPlacemark',
+	'src/formats/kml/geom/KmlPoint',
+	'src/formats/kml/util/NetworkLinkControl',
+	'src/formats/kml/util/Update',
+	'src/util/XmlDocument'
+], function (KmlDocument,
+			 KmlFile,
+			 KmlObject,
+			 KmlPlacemark,
+			 KmlPoint,
+			 NetworkLinkControl,
+			 Update,
+			 XmlDocument) {
+	"use strict";
+	describe("UpdateTest", function () {
+		var targetKml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+			"<kml xmlns=\"http://www.opengis.net/kml/2.2\">" +
+			"<Document id=\"updatedDocument\">" +
+			"   <Placemark id=\"changedPlacemark\">" +
+			"       <name>Original</name>" +
+			"       <Point id=\"changedPoint\">" +
+			"           <coordinates>10,20,0</coordinates>" +
+			"       </Point>" +
+			"   </Placemark>" +
+			"   <Placemark id=\"deletedPlacemark\">" +
+			"       <name>Deleted</name>" +
+			"   </Placemark>" +
+			"</Document>" +
+			"</kml>";
+		var updateKml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+			"<kml xmlns=\"http://www.opengis.net/kml/2.2\">" +
+			"<NetworkLinkControl>" +
+			"   <Update>" +
+			"       <targetHref>http://localhost/target.kml</targetHref>" +
+			"       <Change>" +
+			"           <Placemark targetId=\"changedPlacemark\">" +
+			"               <name>Changed</name>" +
+			"           </Placemark>" +
+			"           <Point targetId=\"changedPoint\">" +
+			"               <coordinates>30,40,0</coordinates>" +
+			"           </Point>" +
+			"       </Change>" +
+			"       <Create>" +
+			"           <Document targetId=\"updatedDocument\">" +
+			"               <Placemark id=\"createdPlacemark\">" +
+			"                   <name>Created</name>" +
+			"               </Placemark>" +
+			"           </Document>" +
+			"       </Create>" +
+			"       <Delete>" +
+			"           <Placemark targetId=\"deletedPlacemark\"/>" +
+			"       </Delete>" +
+			"   </Update>" +
+			"</NetworkLinkControl>" +
+			"</kml>";
+
+		var targetFile, networkLinkControl, document, originalPlacemark, originalLatitude, placemarks, hooked = [];
+		var control = {
+			hook: function (object, options) {
+				hooked.push({object: object, parent: options.parent});
+			}
+		};
+		beforeAll(function () {
+			var targetDocument = new XmlDocument(targetKml).dom();
+			targetFile = Object.create(KmlFile.prototype);
+			targetFile._document = targetDocument;
+			KmlObject.call(targetFile, {objectNode: targetDocument.documentElement, controls: [control]});
+
+			var updateDocument = new XmlDocument(updateKml).dom();
+			networkLinkControl = new NetworkLinkControl({
+				objectNode: updateDocument.getElementsByTagName("NetworkLinkControl")[0]
+			});
+
+			document = targetFile.shapes[0];
+			originalPlacemark = document.kmlShapes[0];
+			originalLatitude = originalPlacemark.kmlGeometry.kmlPosition.latitude;
+
+			networkLinkControl.Update.apply(targetFile);
+			placemarks = document.kmlShapes;
+		});
+
+		it('should parse the Update with the targetHref', function () {
+			expect(networkLinkControl.Update instanceof Update).toBeTruthy();
+			expect(networkLinkControl.Update.targetHref).toEqual("http://localhost/target.kml");
+		});
+
+		it('should change the values of the targeted elements', function () {
+			expect(originalLatitude).toEqual('20');
+			expect(placemarks[0] instanceof KmlPlacemark).toBeTruthy();
+			expect(placemarks[0]).not.toBe(originalPlacemark);
+			expect(placemarks[0].kmlName).toEqual("Changed");
+			expect(placemarks[0].kmlGeometry.kmlPosition.latitude).toEqual('40');
+			expect(placemarks[0].kmlGeometry.kmlPosition.longitude).toEqual('30');
+		});
+
+		it('should add the created features to the container', function () {
+			expect(placemarks[1].kmlName).toEqual("Created");
+		});
+
+		it('should create the new features with the parent and the controls of the container', function () {
+			var created = hooked.filter(function (entry) {
+				return entry.object === placemarks[1];
+			});
+			expect(created.length).toEqual(1);
+			expect(created[0].parent).toBe(document);
+		});
+
+		it('should remove the deleted features', function () {
+			expect(placemarks.length).toEqual(2);
+			expect(targetFile.nodeById("deletedPlacemark")).toBeNull();
+		});
+
+		it('should keep the targeted container', function () {
+			expect(targetFile.shapes[0]).toBe(document);
+			expect(document instanceof KmlDocument).toBeTruthy();
+		});
+	});
+});
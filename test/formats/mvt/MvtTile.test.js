@@ -0,0 +1,138 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/mvt/MvtTile'
+], function (MvtTile) {
+    "use strict";
+
+    describe("MvtTile", function () {
+        // Encodes the Protocol Buffers fields.
+        var varint = function (value) {
+            var bytes = [];
+            while (value >= 0x80) {
+                bytes.push((value & 0x7f) | 0x80);
+                value = Math.floor(value / 128);
+            }
+            bytes.push(value);
+            return bytes;
+        };
+
+        var field = function (number, wireType, bytes) {
+            return varint(number * 8 + wireType).concat(bytes);
+        };
+
+        var message = function (number, bytes) {
+            return field(number, 2, varint(bytes.length).concat(bytes));
+        };
+
+        var string = function (number, text) {
+            var utf8 = unescape(encodeURIComponent(text)), bytes = [];
+            for (var i = 0; i < utf8.length; i++) {
+                bytes.push(utf8.charCodeAt(i));
+            }
+            return message(number, bytes);
+        };
+
+        var packed = function (number, values) {
+            var bytes = [];
+            values.forEach(function (value) {
+                bytes = bytes.concat(varint(value));
+            });
+            return message(number, bytes);
+        };
+
+        var zigzag = function (value) {
+            return value < 0 ? -2 * value - 1 : 2 * value;
+        };
+
+        var encodeTile = function () {
+            var polygon = [].concat(
+                field(1, 0, varint(7)),
+                packed(2, [0, 0, 1, 1]),
+                field(3, 0, varint(MvtTile.POLYGON)),
+                packed(4, [9, zigzag(0), zigzag(0),
+                    26, zigzag(10), zigzag(0), zigzag(0), zigzag(10), zigzag(-10), zigzag(0),
+                    15])),
+                points = [].concat(
+                    packed(2, [0, 2]),
+                    field(3, 0, varint(MvtTile.POINT)),
+                    packed(4, [17, zigzag(5), zigzag(5), zigzag(3), zigzag(3)])),
+                layer = [].concat(
+                    field(15, 0, varint(2)),
+                    string(1, "water"),
+                    message(2, polygon),
+                    message(2, points),
+                    field(9, 0, varint(300)),
+                    string(3, "name"),
+                    string(3, "depth"),
+                    message(4, string(1, "Lac Léman 🌊")),
+                    message(4, field(6, 0, varint(zigzag(-310)))),
+                    message(4, field(7, 0, varint(1))),
+                    field(5, 0, varint(4096)));
+
+            return new Uint8Array(message(3, layer)).buffer;
+        };
+
+        it('decodes the layers and the feature properties', function () {
+            var tile = new MvtTile(encodeTile()),
+                layer = tile.layer("water");
+
+            expect(tile.layers.length).toBe(1);
+            expect(layer.version).toBe(2);
+            expect(layer.extent).toBe(4096);
+            expect(layer.features.length).toBe(2);
+            expect(layer.features[0].id).toBe(7);
+            expect(layer.features[0].properties).toEqual({name: "Lac Léman 🌊", depth: -310});
+            expect(layer.features[1].properties).toEqual({name: true});
+            expect(tile.layer("roads")).toBeNull();
+        });
+
+        it('decodes negative int64 values', function () {
+            // Negative int64 values are encoded as the varints of their 64-bit two's complement.
+            var minusOne = [0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0x01],
+                minus300 = [0xd4, 0xfd, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0x01],
+                layer = [].concat(
+                    string(1, "values"),
+                    message(2, [].concat(field(3, 0, varint(MvtTile.POINT)), packed(2, [0, 0, 1, 1, 2, 2]))),
+                    string(3, "a"),
+                    string(3, "b"),
+                    string(3, "c"),
+                    message(4, field(4, 0, minusOne)),
+                    message(4, field(4, 0, minus300)),
+                    message(4, field(4, 0, varint(300))));
+
+            var properties = new MvtTile(new Uint8Array(message(3, layer)).buffer).layer("values").features[0]
+                .properties;
+
+            expect(properties).toEqual({a: -1, b: -300, c: 300});
+        });
+
+        it('decodes the geometry commands', function () {
+            var features = new MvtTile(encodeTile()).layer("water").features;
+
+            expect(features[0].type).toBe(MvtTile.POLYGON);
+            expect(features[0].geometry).toEqual([[[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]]]);
+            expect(features[1].geometry).toEqual([[[5, 5], [8, 8]]]);
+        });
+
+        it('starts a line for each move', function () {
+            var geometry = MvtTile.decodeGeometry([9, zigzag(2), zigzag(2), 10, zigzag(1), zigzag(0),
+                9, zigzag(5), zigzag(5), 10, zigzag(0), zigzag(-1)], MvtTile.LINESTRING);
+
+            expect(geometry).toEqual([[[2, 2], [3, 2]], [[8, 7], [8, 6]]]);
+        });
+    });
+});
@@ -0,0 +1,182 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/shapefile/DBaseFile'
+], function (DBaseFile) {
+    "use strict";
+
+    describe("DBaseFile", function () {
+        // dBase file with a single record of the specified fields, each given by name, type code, length and bytes.
+        var createDBaseFile = function (fields, languageDriver) {
+            var recordLength = 1 + fields.reduce(function (sum, field) {
+                    return sum + field.length;
+                }, 0),
+                headerLength = 32 + 32 * fields.length + 1,
+                buffer = new ArrayBuffer(headerLength + recordLength),
+                view = new DataView(buffer),
+                bytes = new Uint8Array(buffer),
+                offset = headerLength + 1;
+
+            view.setUint8(0, 0x83);
+            view.setInt32(4, 1, true);
+            view.setInt16(8, headerLength, true);
+            view.setInt16(10, recordLength, true);
+            view.setUint8(29, languageDriver || 0);
+            fields.forEach(function (field, index) {
+                var descriptor = 32 + 32 * index;
+                bytes.set(field.name.split("").map(function (c) {
+                    return c.charCodeAt(0);
+                }), descriptor);
+                view.setUint8(descriptor + 11, field.type.charCodeAt(0));
+                view.setUint8(descriptor + 16, field.length);
+                for (var index = offset; index < offset + field.length; index++) {
+                    bytes[index] = 0x20;
+                }
+                bytes.set(field.bytes, offset);
+                offset += field.length;
+            });
+            view.setUint8(headerLength - 1, 0x0D);
+            view.setUint8(headerLength, 0x20);
+
+            return buffer;
+        };
+
+        var ascii = function (text) {
+            return text.split("").map(function (c) {
+                return c.charCodeAt(0);
+            });
+        };
+
+        var littleEndian = function (length, write) {
+            var view = new DataView(new ArrayBuffer(length));
+            write(view);
+            return Array.prototype.slice.call(new Uint8Array(view.buffer));
+        };
+
+        it('decodes the common field types', function () {
+            var dbaseFile = new DBaseFile("test.dbf");
+            dbaseFile.parseArrayBuffer(createDBaseFile([
+                {name: "DATE", type: "D", length: 8, bytes: ascii("20170315")},
+                {name: "FLAG", type: "L", length: 1, bytes: ascii("Y")},
+                {name: "UNSET", type: "L", length: 1, bytes: ascii("?")},
+                {name: "COUNT", type: "N", length: 6, bytes: ascii("   -42")},
+                {name: "EMPTY", type: "N", length: 6, bytes: ascii("      ")},
+                {name: "RATIO", type: "F", length: 8, bytes: ascii("   0.125")},
+                {name: "MEMO", type: "M", length: 10, bytes: ascii("        17")},
+                {name: "SHAPE", type: "G", length: 4, bytes: ascii("abcd")},
+                {name: "INT", type: "I", length: 4, bytes: littleEndian(4, function (view) {
+                    view.setInt32(0, -70000, true);
+                })},
+                {name: "DOUBLE", type: "O", length: 8, bytes: littleEndian(8, function (view) {
+                    view.setFloat64(0, 2.5, true);
+                })},
+                {name: "STAMP", type: "@", length: 8, bytes: littleEndian(8, function (view) {
+                    view.setInt32(0, 2440589, true);
+                    view.setInt32(4, 3600000, true);
+                })}
+            ]));
+
+            var values = dbaseFile.nextRecord().values;
+
+            expect(values.DATE).toEqual(new Date(2017, 2, 15));
+            expect(values.FLAG).toBe(true);
+            expect(values.UNSET).toBeNull();
+            expect(values.COUNT).toBe(-42);
+            expect(values.EMPTY).toBeNull();
+            expect(values.RATIO).toBe(0.125);
+            expect(values.MEMO).toBe(17);
+            expect(values.INT).toBe(-70000);
+            expect(values.DOUBLE).toBe(2.5);
+            expect(values.STAMP.getTime()).toBe(86400000 + 3600000);
+            expect(values.hasOwnProperty("SHAPE")).toBe(false);
+        });
+
+        it('decodes text by the language driver of the header', function () {
+            var dbaseFile = new DBaseFile("test.dbf");
+            dbaseFile.parseArrayBuffer(createDBaseFile([
+                {name: "NAME", type: "C", length: 10, bytes: [0xCC, 0xEE, 0xF1, 0xEA, 0xE2, 0xE0]}
+            ], 0xC9));
+
+            expect(dbaseFile.header.languageDriver).toBe(0xC9);
+            expect(dbaseFile.nextRecord().values.NAME).toBe("Москва");
+        });
+
+        it('reads a byte per character in browsers lacking TextDecoder', function () {
+            var textDecoder = window.TextDecoder;
+            window.TextDecoder = undefined;
+            try {
+                var dbaseFile = new DBaseFile("test.dbf");
+                dbaseFile.setCodePage("UTF-8");
+                dbaseFile.parseArrayBuffer(createDBaseFile([
+                    {name: "NAME", type: "C", length: 10, bytes: [0x5A, 0xC3, 0xBC]}
+                ]));
+
+                expect(dbaseFile.nextRecord().values.NAME).toBe("Z\u00c3\u00bc");
+            }
+            finally {
+                window.TextDecoder = textDecoder;
+            }
+        });
+
+        describe("Loading", function () {
+            var xmlHttpRequest = window.XMLHttpRequest, requestedUrls;
+
+            beforeEach(function () {
+                requestedUrls = [];
+                window.XMLHttpRequest = function () {
+                    this.open = function (method, url) {
+                        this.url = url;
+                    };
+                    this.send = function () {
+                        requestedUrls.push(this.url);
+                        this.readyState = 4;
+                        this.status = /\.cpg$/.test(this.url) ? 200 : 404;
+                        this.responseText = "UTF-8";
+                        this.onreadystatechange();
+                    };
+                };
+            });
+
+            afterEach(function () {
+                window.XMLHttpRequest = xmlHttpRequest;
+            });
+
+            it('requests no code page file by default', function () {
+                new DBaseFile("data/test.dbf").load(function () {
+                });
+
+                expect(requestedUrls).toEqual(["data/test.dbf"]);
+            });
+
+            it('requests the code page file when specified', function () {
+                var dbaseFile = new DBaseFile("data/test.dbf");
+                dbaseFile.codePageUrl = "data/test.cpg";
+                dbaseFile.load(function () {
+                });
+
+                expect(requestedUrls).toEqual(["data/test.cpg", "data/test.dbf"]);
+                expect(dbaseFile._decoder.encoding).toBe("utf-8");
+            });
+        });
+
+        it('maps code page files to encoding labels', function () {
+            expect(DBaseFile.codePageLabel("UTF-8")).toBe("utf-8");
+            expect(DBaseFile.codePageLabel("88591")).toBe("iso-8859-1");
+            expect(DBaseFile.codePageLabel("ANSI 1251")).toBe("windows-1251");
+            expect(DBaseFile.codePageLabel("936")).toBe("gbk");
+        });
+    });
+});
@@ -0,0 +1,70 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/shapefile/PrjFile'
+], function (PrjFile) {
+    "use strict";
+
+    describe("PrjFile", function () {
+        var utm = 'PROJCS["WGS_1984_UTM_Zone_33N",GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",' +
+            'SPHEROID["WGS_1984",6378137,298.257223563]],PRIMEM["Greenwich",0],UNIT["Degree",0.017453292519943295]],' +
+            'PROJECTION["Transverse_Mercator"],PARAMETER["False_Easting",500000],PARAMETER["False_Northing",0],' +
+            'PARAMETER["Central_Meridian",15],PARAMETER["Scale_Factor",0.9996],PARAMETER["Latitude_Of_Origin",0],' +
+            'UNIT["Meter",1]]';
+
+        var geographic = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137,298.257223563]],' +
+            'PRIMEM["Greenwich",0],UNIT["Degree",0.017453292519943295]]';
+
+        var createPrjFile = function (text) {
+            var prjFile = new PrjFile("test.prj");
+            prjFile._params = prjFile.decodeOGCCoordinateSystem(text);
+            return prjFile;
+        };
+
+        it('recognizes geographic coordinate systems', function () {
+            var prjFile = createPrjFile(geographic);
+
+            expect(prjFile.isGeographicCoordinateSystem()).toBe(true);
+            expect(prjFile.isProjectedCoordinateSystem()).toBe(false);
+        });
+
+        it('recognizes UTM projections', function () {
+            var prjFile = createPrjFile(utm);
+
+            expect(prjFile.isProjectedCoordinateSystem()).toBe(true);
+            expect(prjFile.params[PrjFile.PROJECTION_NAME]).toBe(PrjFile.PROJECTION_UTM);
+            expect(prjFile.params[PrjFile.PROJECTION_ZONE]).toBe(33);
+            expect(prjFile.params[PrjFile.PROJECTION_HEMISPHERE]).toBe(PrjFile.PROJECTION_HEMISPHERE_NORTH);
+            expect(prjFile.params[PrjFile.PROJECTION_DEFINITION]).toBe(utm);
+        });
+
+        it('reprojects locations to geographic coordinates', function () {
+            var locations = createPrjFile(utm).reprojectLocations([500000, 0, 500000, 5000000]);
+
+            expect(locations[0]).toBeCloseTo(15, 6);
+            expect(locations[1]).toBeCloseTo(0, 6);
+            expect(locations[2]).toBeCloseTo(15, 6);
+            expect(locations[3]).toBeCloseTo(45.153, 3);
+        });
+
+        it('treats unsupported projections as unknown coordinate systems', function () {
+            var prjFile = createPrjFile('PROJCS["Unsupported",PROJECTION["Unknown"]]');
+
+            expect(prjFile.isProjectedCoordinateSystem()).toBe(false);
+            expect(prjFile.isUnknownCoordinateSystem()).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,135 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/util/ByteBuffer',
+    'src/util/jszip',
+    'src/formats/shapefile/Shapefile',
+    'src/WorldWind'
+], function (ByteBuffer,
+             JsZip,
+             Shapefile,
+             WorldWind) {
+    "use strict";
+
+    describe("Shapefile", function () {
+        var utm = 'PROJCS["WGS_1984_UTM_Zone_33N",GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",' +
+            'SPHEROID["WGS_1984",6378137,298.257223563]],PRIMEM["Greenwich",0],UNIT["Degree",0.017453292519943295]],' +
+            'PROJECTION["Transverse_Mercator"],PARAMETER["False_Easting",500000],PARAMETER["False_Northing",0],' +
+            'PARAMETER["Central_Meridian",15],PARAMETER["Scale_Factor",0.9996],PARAMETER["Latitude_Of_Origin",0],' +
+            'UNIT["Meter",1]]';
+
+        // Polyline shapefile with a single record of the specified points given as x and y pairs.
+        var createPolylineShapefile = function (points) {
+            var contentLength = 44 + 4 + points.length * 8,
+                buffer = new ArrayBuffer(100 + 8 + contentLength),
+                view = new DataView(buffer),
+                xs = points.filter(function (value, index) {
+                    return index % 2 === 0;
+                }),
+                ys = points.filter(function (value, index) {
+                    return index % 2 === 1;
+                }),
+                box = [Math.min.apply(null, xs), Math.min.apply(null, ys),
+                    Math.max.apply(null, xs), Math.max.apply(null, ys)];
+
+            view.setInt32(0, Shapefile.FILE_CODE, false);
+            view.setInt32(24, buffer.byteLength / 2, false);
+            view.setInt32(28, 1000, true);
+            view.setInt32(32, 3, true);
+            box.forEach(function (value, index) {
+                view.setFloat64(36 + index * 8, value, true);
+            });
+
+            view.setInt32(100, 1, false);
+            view.setInt32(104, contentLength / 2, false);
+            view.setInt32(108, 3, true);
+            box.forEach(function (value, index) {
+                view.setFloat64(112 + index * 8, value, true);
+            });
+            view.setInt32(144, 1, true);
+            view.setInt32(148, points.length / 2, true);
+            view.setInt32(152, 0, true);
+            points.forEach(function (value, index) {
+                view.setFloat64(156 + index * 8, value, true);
+            });
+
+            return buffer;
+        };
+
+        // dBase file with a single character field NAME of 10 bytes and a single record.
+        var createDBaseFile = function (nameBytes) {
+            var buffer = new ArrayBuffer(32 + 32 + 1 + 11),
+                view = new DataView(buffer),
+                bytes = new Uint8Array(buffer);
+
+            view.setUint8(0, 3);
+            view.setInt32(4, 1, true);
+            view.setInt16(8, 32 + 32 + 1, true);
+            view.setInt16(10, 11, true);
+            bytes.set([78, 65, 77, 69], 32);
+            view.setUint8(43, 67);
+            view.setUint8(48, 10);
+            view.setUint8(64, 0x0D);
+            for (var index = 65; index < bytes.length; index++) {
+                bytes[index] = 0x20;
+            }
+            bytes.set(nameBytes, 66);
+
+            return buffer;
+        };
+
+        it('reads shapefiles from zip archives', function (done) {
+            var zip = new JsZip();
+            zip.file("bundle/Roads.SHP", createPolylineShapefile([400000, 5000000, 600000, 5100000]));
+            zip.file("bundle/Roads.dbf", createDBaseFile([90, 195, 188, 114, 105, 99, 104]));
+            zip.file("bundle/Roads.cpg", "UTF-8");
+            zip.file("bundle/Roads.prj", utm);
+
+            var shapefile = new Shapefile(zip.generate({type: "arraybuffer"}));
+            shapefile.load(function () {
+                var record = shapefile.next();
+
+                expect(shapefile.url).toBeNull();
+                expect(record.attributes.values.NAME).toBe("Z\u00fcrich");
+                expect(record.pointBuffer(0)[0]).toBeCloseTo(13.7280, 3);
+                done();
+            });
+        });
+
+        it('reprojects the records of projected shapefiles', function () {
+            var shapefile = new Shapefile("test.shp");
+            shapefile.attributeFile = null;
+            shapefile.projectionFile._params = shapefile.projectionFile.decodeOGCCoordinateSystem(utm);
+            shapefile._buffer = new ByteBuffer(createPolylineShapefile([400000, 5000000, 600000, 5100000]));
+            shapefile.parse();
+
+            var record = shapefile.next(), points = record.pointBuffer(0);
+
+            expect(shapefile.shapeType).toBe(Shapefile.POLYLINE);
+            expect(points[0]).toBeCloseTo(13.7280, 3);
+            expect(points[1]).toBeCloseTo(45.1464, 3);
+            expect(points[2]).toBeCloseTo(16.2925, 3);
+            expect(points[3]).toBeCloseTo(46.0463, 3);
+
+            // The bounds include the curved edges of the projected rectangle.
+            var rect = record.boundingRectangle;
+            expect(rect[0]).toBeCloseTo(points[1], 6);
+            expect(rect[1]).toBeGreaterThan(points[3]);
+            expect(rect[2]).toBeLessThan(points[0]);
+            expect(rect[3]).toBeCloseTo(points[2], 6);
+        });
+    });
+});
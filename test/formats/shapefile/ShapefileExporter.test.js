@@ -0,0 +1,152 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/geom/Location',
+    'src/util/Logger',
+    'src/shapes/Placemark',
+    'src/geom/Position',
+    'src/layer/RenderableLayer',
+    'src/formats/shapefile/Shapefile',
+    'src/formats/shapefile/ShapefileExporter',
+    'src/shapes/SurfacePolyline',
+    'src/WorldWind'
+], function (Location,
+             Logger,
+             Placemark,
+             Position,
+             RenderableLayer,
+             Shapefile,
+             ShapefileExporter,
+             SurfacePolyline,
+             WorldWind) {
+    "use strict";
+
+    describe("ShapefileExporter", function () {
+        var outer = [new Location(0, 0), new Location(0, 10), new Location(10, 10), new Location(10, 0)],
+            hole = [new Location(2, 2), new Location(4, 2), new Location(4, 4), new Location(2, 4)];
+
+        var readShapefile = function (zip, callback) {
+            var shapefile = new Shapefile(zip);
+            shapefile.load(function () {
+                var records = [];
+                for (var record = shapefile.next(); !!record; record = shapefile.next()) {
+                    records.push(record);
+                }
+                callback(shapefile, records);
+            });
+        };
+
+        it('writes polygons with clockwise outer boundaries and counterclockwise holes', function (done) {
+            var zip = ShapefileExporter.exportGeometriesToZip(Shapefile.POLYGON, [[outer, hole]],
+                [{name: "Straße", area: 12.5, visited: true}], "parcels", "arraybuffer");
+
+            readShapefile(zip, function (shapefile, records) {
+                var outerRing = records[0].pointBuffer(0);
+
+                expect(shapefile.shapeType).toBe(Shapefile.POLYGON);
+                expect(records.length).toBe(1);
+                expect(records[0].numberOfParts).toBe(2);
+                expect(records[0].boundingRectangle).toEqual([0, 10, 0, 10]);
+                expect(Array.prototype.slice.call(outerRing)).toEqual([0, 0, 0, 10, 10, 10, 10, 0, 0, 0]);
+                expect(Array.prototype.slice.call(records[0].pointBuffer(1), 0, 4)).toEqual([2, 2, 4, 2]);
+                expect(records[0].attributes.values.name).toBe("Straße");
+                expect(records[0].attributes.values.area).toBe(12.5);
+                done();
+            });
+        });
+
+        it('writes the index of the records', function () {
+            var files = ShapefileExporter.exportGeometries(Shapefile.POINT, [new Location(1, 2), null,
+                new Location(3, 4)]);
+            var shx = new DataView(files.shx);
+
+            expect(files.shp.byteLength).toBe(100 + 28 + 12 + 28);
+            expect(shx.getInt32(24, false) * 2).toBe(100 + 3 * 8);
+            expect(shx.getInt32(100, false)).toBe(50);
+            expect(shx.getInt32(108, false)).toBe(64);
+            expect(shx.getInt32(116, false)).toBe(70);
+            expect(shx.getInt32(120, false)).toBe(10);
+        });
+
+        it('writes polygons without rings of three locations as null shapes', function () {
+            var files = ShapefileExporter.exportGeometries(Shapefile.POLYGON,
+                [[[new Location(0, 0), new Location(1, 1)]]]);
+            var shp = new DataView(files.shp);
+
+            expect(files.shp.byteLength).toBe(100 + 8 + 4);
+            expect(shp.getInt32(108, true)).toBe(0);
+            expect(shp.getFloat64(36, true)).toBe(0);
+        });
+
+        it('writes the decimals of small numbers and cuts long texts at character boundaries', function () {
+            var text = "a" + new Array(301).join("\u00e9"),
+                files = ShapefileExporter.exportGeometries(Shapefile.POINT, [new Location(1, 2)],
+                    [{text: text, tiny: 1e-7}]),
+                dbf = new DataView(files.dbf),
+                record = 32 + 2 * 32 + 1 + 1;
+
+            expect(dbf.getUint8(32 + 16)).toBe(254);
+            expect(dbf.getUint8(64 + 17)).toBe(7);
+            expect(dbf.getUint8(record)).toBe(0x61);
+            expect(dbf.getUint8(record + 251)).toBe(0xC3);
+            expect(dbf.getUint8(record + 252)).toBe(0xA9);
+            expect(dbf.getUint8(record + 253)).toBe(0x20);
+            expect(dbf.getUint8(64 + 16)).toBe(9);
+            expect(String.fromCharCode(dbf.getUint8(record + 254 + 8))).toBe("1");
+            expect(String.fromCharCode(dbf.getUint8(record + 254))).toBe("0");
+        });
+
+        it('sizes numeric fields by their values and never cuts numbers', function (done) {
+            spyOn(Logger, "log");
+            var zip = ShapefileExporter.exportGeometriesToZip(Shapefile.POINT, [new Location(1, 2),
+                new Location(3, 4), new Location(5, 6)], [
+                {count: 12, ratio: 123456789012.5, huge: 12345678901234567890},
+                {count: -3456, ratio: 0.00000125, huge: 1},
+                {count: 7}
+            ], "numbers", "arraybuffer");
+
+            readShapefile(zip, function (shapefile, records) {
+                var dbf = shapefile.attributeFile;
+
+                expect(dbf.fields.map(function (field) {
+                    return [field.getName(), field.getLength(), field.getDecimals()];
+                })).toEqual([["count", 5, 0], ["ratio", 19, 6], ["huge", 19, 0]]);
+                expect(records[0].attributes.values.ratio).toBe(123456789012.5);
+                expect(records[1].attributes.values.ratio).toBe(0.000001);
+                expect(records[0].attributes.values.huge).toBeNull();
+                expect(records[1].attributes.values.huge).toBe(1);
+                expect(records[2].attributes.values.count).toBe(7);
+                expect(Logger.log.calls.count()).toBe(2);
+                done();
+            });
+        });
+
+        it('exports the renderables of the layer by shape type', function () {
+            var layer = new RenderableLayer("Edits"),
+                placemark = new Placemark(new Position(45, 7, 0)),
+                polyline = new SurfacePolyline([new Location(45, 7), new Location(46, 8)], null);
+            placemark.userProperties = {id: 1};
+            layer.addRenderable(placemark);
+            layer.addRenderable(polyline);
+
+            var shapefiles = ShapefileExporter.exportLayer(layer);
+
+            expect(Object.keys(shapefiles).sort()).toEqual([Shapefile.POINT, Shapefile.POLYLINE]);
+            expect(new DataView(shapefiles[Shapefile.POINT].shp).getFloat64(112, true)).toBe(7);
+            expect(new DataView(shapefiles[Shapefile.POLYLINE].shp).getInt32(32, true)).toBe(3);
+        });
+    });
+});
@@ -0,0 +1,85 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/globe/ElevationModel',
+    'src/geom/Location',
+    'src/util/Promise',
+    'src/geom/Sector',
+    'src/WorldWind'
+], function (ElevationModel,
+             Location,
+             Promise,
+             Sector,
+             WorldWind) {
+    "use strict";
+
+    describe("ElevationModel", function () {
+        var createModel = function () {
+            var model = new ElevationModel(new Sector(-45, 45, -90, 90), new Location(45, 45), 5, "application/bil16",
+                "Test", 4, 4);
+            model.urlBuilder = {
+                urlForTile: function (tile) {
+                    return "https://example.com/" + tile.level.levelNumber + "/" + tile.row + "/" + tile.column;
+                }
+            };
+            return model;
+        };
+
+        it('seeds the persistent cache with the elevations of a sector', function (done) {
+            var model = createModel(),
+                seeded = null;
+
+            model.persistentCache = {
+                seed: function (resources, options) {
+                    seeded = {resources: resources, options: options};
+                    return Promise.resolve({retrieved: resources.length, cached: 0, failed: 0});
+                }
+            };
+
+            // The sector is clipped to the model's coverage.
+            model.seedPersistentCache(new Sector(0, 60, 0, 30), 0, 1).then(function (result) {
+                expect(result.retrieved).toBe(5);
+                expect(seeded.resources[0]).toEqual({key: "Test/0/2/2_4.bil", url: "https://example.com/0/2/4"});
+                expect(seeded.options.acceptsContentType("application/bil16")).toBe(true);
+                expect(seeded.options.acceptsContentType("text/xml")).toBe(false);
+                done();
+            });
+        });
+
+        it('loads elevations from the persistent cache', function (done) {
+            var model = createModel(),
+                tile = model.createTile(new Sector(0, 45, 0, 45), model.levels.level(0), 2, 4),
+                entry = Promise.resolve({data: new Int16Array([1, 2, 3, 40]).buffer, contentType: "application/bil16"});
+
+            model.persistentCache = {
+                entryForKey: function () {
+                    return entry;
+                }
+            };
+
+            model.retrieveTileImage(tile);
+            expect(model.currentRetrievals).toEqual(["Test/0/2/2_4.bil"]);
+
+            entry.then(function () {
+                return Promise.resolve();
+            }).then(function () {
+                expect(model.isTileImageInMemory(tile)).toBeTruthy();
+                expect(model.currentRetrievals.length).toBe(0);
+                done();
+            });
+        });
+    });
+});
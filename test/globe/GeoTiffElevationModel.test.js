@@ -0,0 +1,168 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/globe/GeoTiffElevationModel',
+    'src/formats/geotiff/GeoTiffMetadata',
+    'src/geom/Sector'
+], function (GeoTiffElevationModel,
+             GeoTiffMetadata,
+             Sector) {
+    "use strict";
+
+    describe("GeoTiffElevationModel", function () {
+        var model;
+
+        // Base model with elevation 7 everywhere.
+        var baseModel = {
+            minElevation: -100,
+            maxElevation: 100,
+            timestamp: 1,
+            elevationAtLocation: function () {
+                return 7;
+            },
+            elevationsForGrid: function (sector, numLat, numLon, targetResolution, result) {
+                for (var i = 0; i < numLat * numLon; i++) {
+                    result[i] = 7;
+                }
+                return targetResolution;
+            },
+            minAndMaxElevationsForSector: function () {
+                return [5, 10];
+            }
+        };
+
+        // Elevations of 1024x1024 pixels covering 10x10 degrees in 16 internal tiles. The pixels of every internal
+        // tile have the index of the tile plus one as elevation, except the first one containing no data.
+        beforeEach(function () {
+            model = new GeoTiffElevationModel("dem.tif", baseModel);
+            model.geoTiff.headerRequested = true;
+
+            var metadata = model.geoTiff.reader.metadata;
+            metadata.imageWidth = 1024;
+            metadata.imageLength = 1024;
+            metadata.tileWidth = 256;
+            metadata.tileLength = 256;
+            metadata.tileOffsets = [];
+            metadata.noData = "-1";
+            metadata.bbox = new Sector(40, 50, 10, 20);
+            metadata.modelPixelScale = [10 / 1024, 10 / 1024, 0];
+            metadata.modelTiepoint = [0, 0, 0, 10, 50, 0];
+
+            model.geoTiff.images = model.images = [metadata];
+            model.coverageSector = metadata.bbox;
+            model.levels = model.createLevelSet();
+        });
+
+        var loadLevelZero = function () {
+            var tile = model.tileForLevel(0, 13, 19),
+                mapping = model.mapTilePoints(tile, model.images[0]);
+
+            model.loadTileElevations(tile, model.images[0], mapping, mapping.indices.map(function (index) {
+                var pixels = [];
+                for (var i = 0; i < 256 * 256; i++) {
+                    pixels.push([index === 0 ? -1 : index + 1]);
+                }
+                return pixels;
+            }));
+        };
+
+        it('maps the points of the tile to the pixels of the image', function () {
+            var mapping = model.mapTilePoints(model.tileForLevel(0, 13, 19), model.images[0]);
+
+            expect(mapping.indices.length).toBe(16);
+            expect(mapping.blocks[0]).toBe(0);
+            expect(mapping.offsets[0]).toBe(0);
+            expect(mapping.blocks[256 * 256 - 1]).toBe(15);
+            expect(mapping.offsets[256 * 256 - 1]).toBe(256 * 256 - 1);
+        });
+
+        it('composites its elevations over the base model', function () {
+            var result = new Array(4);
+            loadLevelZero();
+
+            model.elevationsForGrid(new Sector(40, 50, 10, 20), 2, 2, 1, result);
+
+            // The upper left corner contains no data.
+            expect(result).toEqual([13, 16, 7, 4]);
+        });
+
+        it('uses the base model outside of its coverage', function () {
+            var result = new Array(4);
+            loadLevelZero();
+
+            model.elevationsForGrid(new Sector(0, 10, 0, 10), 2, 2, 1, result);
+
+            expect(result).toEqual([7, 7, 7, 7]);
+            expect(model.elevationAtLocation(0, 0)).toBe(7);
+            expect(model.elevationAtLocation(40, 19.99)).toBe(16);
+        });
+
+        it('includes the base model in the extreme elevations', function () {
+            loadLevelZero();
+
+            expect(model.minAndMaxElevationsForSector(new Sector(40, 50, 10, 20))).toEqual([2, 16]);
+            expect(model.minAndMaxElevationsForSector(new Sector(40, 45, 10, 15))).toEqual([2, 16]);
+            expect(model.minAndMaxElevationsForSector(new Sector(0, 10, 0, 10))).toEqual([5, 10]);
+        });
+
+        it('retries the header retrieval after a failure', function () {
+            var requests = 0;
+            model = new GeoTiffElevationModel("dem.tif", baseModel);
+            model.geoTiff.reader.readHeader = function (callback) {
+                requests++;
+                callback(new Error("Not found"));
+            };
+
+            expect(model.elevationAtLocation(45, 15)).toBe(7);
+            expect(model.elevationAtLocation(45, 15)).toBe(7);
+            expect(requests).toBe(1);
+            expect(model.geoTiff.headerRequested).toBe(false);
+
+            model.geoTiff.absentResourceList.minCheckInterval = 0;
+            model.elevationAtLocation(45, 15);
+            expect(requests).toBe(2);
+        });
+
+        it('retries the header retrieval after the failure of the elevations of strips', function () {
+            var requests = 0;
+            model = new GeoTiffElevationModel("dem.tif", baseModel);
+            model.geoTiff.reader.readHeader = function (callback) {
+                requests++;
+                callback();
+            };
+            model.geoTiff.reader.requestUrl = function (url, callback) {
+                callback(new Error("Not found"));
+            };
+
+            expect(model.elevationAtLocation(45, 15)).toBe(7);
+            expect(requests).toBe(1);
+            expect(model.geoTiff.headerRequested).toBe(false);
+            expect(model.geoTiff.absentResourceList.isResourceAbsent("dem.tif")).toBe(true);
+
+            model.geoTiff.absentResourceList.minCheckInterval = 0;
+            model.elevationAtLocation(45, 15);
+            expect(requests).toBe(2);
+        });
+
+        it('changes with the base model', function () {
+            var timestamp = model.timestamp;
+            baseModel.timestamp = timestamp + 1000;
+
+            expect(model.timestamp).toBe(timestamp + 1000);
+            baseModel.timestamp = 1;
+        });
+    });
+});
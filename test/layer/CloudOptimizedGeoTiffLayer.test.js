@@ -0,0 +1,121 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/layer/CloudOptimizedGeoTiffLayer',
+    'src/formats/geotiff/GeoTiffMetadata',
+    'src/util/Level',
+    'src/geom/Location',
+    'src/geom/Sector',
+    'src/util/Tile',
+    'src/error/UnsupportedOperationError'
+], function (CloudOptimizedGeoTiffLayer,
+             GeoTiffMetadata,
+             Level,
+             Location,
+             Sector,
+             Tile,
+             UnsupportedOperationError) {
+    "use strict";
+
+    describe("CloudOptimizedGeoTiffLayer", function () {
+        var layer;
+
+        // Image of 1024x1024 pixels covering 10x10 degrees with one overview of half the resolution.
+        var createImage = function (size) {
+            var image = new GeoTiffMetadata();
+            image.imageWidth = size;
+            image.imageLength = size;
+            image.tileWidth = 256;
+            image.tileLength = 256;
+            return image;
+        };
+
+        beforeEach(function () {
+            layer = new CloudOptimizedGeoTiffLayer("cog.tif");
+            var metadata = layer.geoTiff.reader.metadata;
+            metadata.imageWidth = 1024;
+            metadata.imageLength = 1024;
+            metadata.bbox = new Sector(40, 50, 10, 20);
+            metadata.modelPixelScale = [10 / 1024, 10 / 1024, 0];
+            metadata.modelTiepoint = [0, 0, 0, 10, 50, 0];
+            layer.geoTiff.images = [createImage(1024), createImage(512)];
+        });
+
+        var createTile = function (sector, levelNumber) {
+            var level = new Level(levelNumber, new Location(sector.deltaLatitude(), sector.deltaLongitude()),
+                layer.levels);
+            return new Tile(sector, level, 0, 0);
+        };
+
+        it('creates levels up to the resolution of the image', function () {
+            var levels = layer.createLevelSet();
+
+            expect(levels.sector).toBe(layer.geoTiff.reader.metadata.bbox);
+            expect(levels.numLevels).toBe(3);
+            expect(levels.lastLevel().tileDelta.latitude * 1024 / 256).toBe(10);
+        });
+
+        it('selects the lowest resolution image detailed enough', function () {
+            layer.levels = layer.createLevelSet();
+
+            expect(layer.imageForTile(createTile(new Sector(40, 50, 10, 20), 0))).toBe(layer.geoTiff.images[1]);
+            expect(layer.imageForTile(createTile(new Sector(45, 50, 15, 20), 1))).toBe(layer.geoTiff.images[1]);
+            expect(layer.imageForTile(createTile(new Sector(47.5, 50, 17.5, 20), 2))).toBe(layer.geoTiff.images[0]);
+        });
+
+        it('maps the pixels of the tile to the internal tiles', function () {
+            layer.levels = layer.createLevelSet();
+
+            var mapping = layer.mapTilePixels(createTile(new Sector(47.5, 52.5, 17.5, 22.5), 1),
+                layer.geoTiff.images[0]);
+
+            // Only the lower left quarter of the tile is inside of the image.
+            expect(mapping.indices).toEqual([3]);
+            expect(mapping.blocks[0]).toBe(-1);
+            expect(mapping.blocks[255 * 256]).toBe(3);
+            expect(mapping.offsets[255 * 256]).toBe(255 * 256 + 1);
+        });
+
+        it('refuses GeoTiffs without internal tiles', function () {
+            var dc = {currentGlContext: {canvas: document.createElement("canvas")}};
+            layer.geoTiff.reader.readHeader = function (callback) {
+                layer.geoTiff.reader.metadata.stripOffsets = [8];
+                callback();
+            };
+
+            layer.retrieveHeader(dc);
+
+            expect(layer.imagesReady).toBe(false);
+            expect(layer.absentResourceList.isResourceAbsent("cog.tif")).toBe(true);
+        });
+
+        it('refuses to seed a persistent cache', function () {
+            var error = null;
+            layer.persistentCache = {
+                seed: function () {
+                }
+            };
+
+            try {
+                layer.seedPersistentCache(new Sector(40, 50, 10, 20), 0, 1);
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error instanceof UnsupportedOperationError).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,153 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/layer/ComparisonControlsLayer',
+    'src/layer/Layer',
+    'src/geom/Vec2',
+    'src/WorldWind'
+], function (ComparisonControlsLayer,
+             Layer,
+             Vec2,
+             WorldWind) {
+    "use strict";
+
+    describe("ComparisonControlsLayer", function () {
+        var worldWindow = {
+            canvas: {clientWidth: 800, clientHeight: 600},
+            addEventListener: function () {
+            },
+            removeEventListener: function () {
+            },
+            redraw: function () {
+            }
+        };
+
+        it('applies its clip to the target layer', function () {
+            var controls = new ComparisonControlsLayer(worldWindow),
+                first = new Layer("First"),
+                second = new Layer("Second");
+
+            expect(first.blendMode).toBeNull();
+            expect(first.comparisonClip).toBeNull();
+
+            controls.targetLayer = first;
+            expect(first.comparisonClip).toBe(controls.clip);
+
+            controls.targetLayer = second;
+            expect(first.comparisonClip).toBeNull();
+            expect(second.comparisonClip).toBe(controls.clip);
+        });
+
+        it('drags the swipe divider', function () {
+            var controls = new ComparisonControlsLayer(worldWindow);
+
+            expect(controls.isOnControl(new Vec2(395, 10))).toBe(true);
+            expect(controls.isOnControl(new Vec2(300, 10))).toBe(false);
+
+            controls.moveControl(new Vec2(200, 10));
+            expect(controls.clip.dividerPosition).toBe(0.25);
+
+            controls.moveControl(new Vec2(900, 10));
+            expect(controls.clip.dividerPosition).toBe(1);
+        });
+
+        it('moves the spyglass lens', function () {
+            var controls = new ComparisonControlsLayer(worldWindow);
+            controls.clip.mode = WorldWind.SPYGLASS;
+
+            expect(controls.isOnControl(new Vec2(420, 320))).toBe(true);
+
+            controls.moveControl(new Vec2(100, 50));
+            expect(controls.clip.lensCenter[0]).toBe(100);
+            expect(controls.clip.lensCenter[1]).toBe(50);
+            expect(controls.isOnControl(new Vec2(420, 320))).toBe(false);
+        });
+
+        it('drags the swipe divider with pointer events', function () {
+            var OriginalPointerEvent = window.PointerEvent,
+                listeners = {},
+                pointerWindow = {
+                    canvas: worldWindow.canvas,
+                    addEventListener: function (type, listener) {
+                        listeners[type] = listener;
+                    },
+                    canvasCoordinates: function (x, y) {
+                        return new Vec2(x, y);
+                    },
+                    redraw: function () {
+                    }
+                };
+            spyOn(window, "addEventListener").and.callFake(function (type, listener) {
+                listeners[type] = listener;
+            });
+
+            window.PointerEvent = function () {
+            };
+            try {
+                var controls = new ComparisonControlsLayer(pointerWindow);
+            } finally {
+                window.PointerEvent = OriginalPointerEvent;
+            }
+            controls.targetLayer = new Layer("Target");
+
+            var createEvent = function (type, x) {
+                return {
+                    type: type, pointerType: "mouse", isPrimary: true, button: 0, clientX: x, clientY: 10,
+                    preventDefault: jasmine.createSpy("preventDefault")
+                };
+            };
+
+            expect(Object.keys(listeners).sort()).toEqual(["pointercancel", "pointerdown", "pointermove", "pointerup"]);
+
+            var down = createEvent("pointerdown", 398);
+            listeners.pointerdown(down);
+            expect(down.preventDefault).toHaveBeenCalled();
+            expect(controls.isDragging).toBe(true);
+
+            var move = createEvent("pointermove", 200);
+            listeners.pointermove(move);
+            expect(move.preventDefault).toHaveBeenCalled();
+            expect(controls.clip.dividerPosition).toBe(0.25);
+
+            var up = createEvent("pointerup", 200);
+            listeners.pointerup(up);
+            expect(up.preventDefault).toHaveBeenCalled();
+            expect(controls.isDragging).toBe(false);
+
+            var away = createEvent("pointerdown", 600);
+            listeners.pointerdown(away);
+            expect(away.preventDefault).not.toHaveBeenCalled();
+            expect(controls.isDragging).toBe(false);
+        });
+
+        it('removes its event listeners when detached', function () {
+            spyOn(window, "removeEventListener").and.callThrough();
+            spyOn(worldWindow, "removeEventListener");
+
+            var controls = new ComparisonControlsLayer(worldWindow),
+                target = new Layer("Target");
+            controls.targetLayer = target;
+            controls.detach();
+
+            var windowTypes = window.removeEventListener.calls.allArgs().map(function (args) {
+                return args[0];
+            });
+            expect(windowTypes).toEqual(["mousemove", "mouseup"]);
+            expect(worldWindow.removeEventListener.calls.count()).toBe(5);
+            expect(target.comparisonClip).toBeNull();
+        });
+    });
+});
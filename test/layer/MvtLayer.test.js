@@ -0,0 +1,155 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/util/Color',
+    'src/shapes/DataDrivenStyle',
+    'src/layer/MvtLayer',
+    'src/formats/mvt/MvtTile',
+    'src/shapes/Placemark',
+    'src/shapes/SurfacePolygon',
+    'src/shapes/SurfacePolyline',
+    'src/WorldWind'
+], function (Color,
+             DataDrivenStyle,
+             MvtLayer,
+             MvtTile,
+             Placemark,
+             SurfacePolygon,
+             SurfacePolyline,
+             WorldWind) {
+    "use strict";
+
+    describe("MvtLayer", function () {
+        var tile = {
+            layers: [{
+                name: "water",
+                extent: 4096,
+                features: [{
+                    type: MvtTile.POLYGON,
+                    properties: {kind: "lake"},
+                    geometry: [
+                        [[0, 0], [4096, 0], [4096, 4096], [0, 4096], [0, 0]],
+                        [[100, 100], [100, 200], [200, 200], [100, 100]],
+                        [[300, 300], [400, 300], [400, 400], [300, 300]]
+                    ]
+                }]
+            }, {
+                name: "roads",
+                extent: 4096,
+                features: [{type: MvtTile.LINESTRING, properties: {}, geometry: [[[0, 0], [10, 10]]]}]
+            }, {
+                name: "places",
+                extent: 4096,
+                features: [{
+                    type: MvtTile.POINT,
+                    properties: {name: "Null Island"},
+                    geometry: [[[0, 4096], [-10, 100], [0, 0]]]
+                }]
+            }]
+        };
+
+        it('creates styled shapes for the features of the styled source layers', function () {
+            var layer = new MvtLayer({
+                    url: "https://example.com/{z}/{x}/{y}.pbf",
+                    styles: {
+                        water: new DataDrivenStyle({interiorColor: Color.BLUE}),
+                        places: new DataDrivenStyle({label: "name"})
+                    }
+                }),
+                shapes = layer.createShapes(tile, 1, 1, 1);
+
+            expect(shapes.length).toBe(3);
+            expect(shapes[0] instanceof SurfacePolygon).toBe(true);
+            expect(shapes[0].boundaries.length).toBe(2);
+            expect(shapes[0].attributes.interiorColor).toEqual(Color.BLUE);
+            expect(shapes[0].userProperties.kind).toBe("lake");
+            expect(shapes[1].boundaries.length).toBe(1);
+
+            // The points on the edges and in the buffer of the tile belong to the neighbouring tiles.
+            expect(shapes[2] instanceof Placemark).toBe(true);
+            expect(shapes[2].label).toBe("Null Island");
+            expect(shapes[2].position.latitude).toBeCloseTo(0, 9);
+            expect(shapes[2].position.longitude).toBeCloseTo(0, 9);
+        });
+
+        it('creates unstyled shapes for all the source layers without styles', function () {
+            var layer = new MvtLayer({url: "https://example.com/{z}/{x}/{y}.pbf"}),
+                shapes = layer.createShapes(tile, 1, 1, 0);
+
+            expect(shapes.length).toBe(4);
+            expect(shapes[2] instanceof SurfacePolyline).toBe(true);
+            expect(shapes[2].boundaries[0].latitude).toBeCloseTo(85.05, 2);
+        });
+
+        it('creates Web Mercator tiles', function () {
+            var layer = new MvtLayer({url: "https://example.com/{z}/{x}/{y}.pbf", minZoom: 2, maxZoom: 10});
+
+            layer.createTopLevelTiles();
+
+            expect(layer.levels.numLevels).toBe(9);
+            expect(layer.topLevelTiles.length).toBe(16);
+            expect(layer.topLevelTiles[5].sector.maxLatitude).toBeCloseTo(66.51, 2);
+            expect(layer.topLevelTiles[5].sector.minLatitude).toBe(0);
+            expect(layer.topLevelTiles[5].sector.minLongitude).toBe(-90);
+        });
+
+        it('displays the closest retrieved ancestor until the tile is retrieved', function () {
+            var layer = new MvtLayer({url: "https://example.com/{z}/{x}/{y}.pbf"}),
+                retrievals = [];
+
+            layer.retrieveTile = function (z, x, y) {
+                retrievals.push(MvtLayer.tileKey(z, x, y));
+            };
+            layer.addTile(1, 1, 0, new ArrayBuffer(0));
+
+            var level = layer.levels.level(2),
+                entry = layer.entryForTile(layer.createTile(null, level, 1, 5));
+
+            expect(retrievals).toEqual(["3/5/1"]);
+            expect(entry.key).toBe("1/1/0");
+            expect(entry.tile.layers).toEqual([]);
+        });
+
+        it('sizes the cached tiles by the memory held by their shapes', function () {
+            var layer = new MvtLayer({url: "https://example.com/{z}/{x}/{y}.pbf"}),
+                dc = {orderedRenderables: []};
+
+            layer.addTile(1, 1, 0, new ArrayBuffer(0));
+            var entry = layer.dataCache.entryForKey("1/1/0");
+            expect(layer.dataCache.usedCapacity).toBe(1);
+
+            entry.tile = tile;
+            spyOn(SurfacePolygon.prototype, "render");
+            spyOn(SurfacePolyline.prototype, "render");
+            spyOn(Placemark.prototype, "render");
+            layer.renderEntry(dc, entry);
+
+            // Polygons of 13 locations in all, a polyline of 2 locations and a placemark.
+            expect(entry.shapes.length).toBe(4);
+            expect(layer.dataCache.usedCapacity).toBe(1 + 4 * MvtLayer.SHAPE_SIZE + 16 * MvtLayer.LOCATION_SIZE);
+            expect(layer.dataCache.entryForKey("1/1/0")).toBe(entry);
+        });
+
+        it('restyles the shapes when the styles change', function () {
+            var layer = new MvtLayer({url: "https://example.com/{z}/{x}/{y}.pbf"}),
+                styleVersion = layer.styleVersion;
+
+            layer.styles = {water: new DataDrivenStyle({})};
+
+            expect(layer.styleVersion).toBe(styleVersion + 1);
+        });
+    });
+});
@@ -0,0 +1,75 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/geom/Location',
+    'src/util/Promise',
+    'src/geom/Sector',
+    'src/layer/TiledImageLayer',
+    'src/WorldWind'
+], function (Location,
+             Promise,
+             Sector,
+             TiledImageLayer,
+             WorldWind) {
+    "use strict";
+
+    describe("TiledImageLayer", function () {
+        var createLayer = function () {
+            var layer = new TiledImageLayer(Sector.FULL_SPHERE, new Location(45, 45), 5, "image/png", "Test", 256, 256);
+            layer.urlBuilder = {
+                urlForTile: function (tile) {
+                    return "https://example.com/" + tile.level.levelNumber + "/" + tile.row + "/" + tile.column;
+                }
+            };
+            return layer;
+        };
+
+        it('lists the tiles of a sector from low to high resolution', function () {
+            var tiles = createLayer().tilesInSector(new Sector(0, 30, 0, 30), 0, 2);
+
+            expect(tiles.length).toBe(14);
+            expect(tiles[0].level.levelNumber).toBe(0);
+            expect(tiles[13].level.levelNumber).toBe(2);
+
+            // Levels beyond the last level are ignored.
+            expect(createLayer().tilesInSector(new Sector(0, 1, 0, 1), 4, 10).length).toBe(1);
+        });
+
+        it('seeds the persistent cache with the images of a sector', function (done) {
+            var layer = createLayer(),
+                seeded = null;
+
+            expect(function () {
+                layer.seedPersistentCache(new Sector(0, 30, 0, 30), 1, 2);
+            }).toThrow();
+
+            layer.persistentCache = {
+                seed: function (resources, options) {
+                    seeded = {resources: resources, options: options};
+                    return Promise.resolve({retrieved: resources.length, cached: 0, failed: 0});
+                }
+            };
+
+            layer.seedPersistentCache(new Sector(0, 30, 0, 30), 1, 2).then(function (result) {
+                expect(result.retrieved).toBe(13);
+                expect(seeded.resources[0]).toEqual({key: "Test-layer/1/4/4_8.png", url: "https://example.com/1/4/8"});
+                expect(seeded.options.acceptsContentType("image/png")).toBe(true);
+                expect(seeded.options.acceptsContentType("application/vnd.ogc.se_xml")).toBe(false);
+                done();
+            });
+        });
+    });
+});
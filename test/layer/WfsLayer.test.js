@@ -0,0 +1,181 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/shapes/DataDrivenStyle',
+    'src/geom/Sector',
+    'src/ogc/WfsCapabilities',
+    'src/layer/WfsLayer',
+    'src/WorldWind'
+], function (DataDrivenStyle,
+             Sector,
+             WfsCapabilities,
+             WfsLayer,
+             WorldWind) {
+    "use strict";
+
+    describe("WfsLayer", function () {
+        var capabilities = '<?xml version="1.0" encoding="UTF-8"?>' +
+            '<wfs:WFS_Capabilities version="2.0.0" xmlns:wfs="http://www.opengis.net/wfs/2.0" ' +
+            'xmlns:ows="http://www.opengis.net/ows/1.1" xmlns:xlink="http://www.w3.org/1999/xlink">' +
+            '<ows:OperationsMetadata><ows:Operation name="GetFeature"><ows:DCP><ows:HTTP>' +
+            '<ows:Get xlink:href="https://example.com/geoserver/wfs"/>' +
+            '</ows:HTTP></ows:DCP></ows:Operation></ows:OperationsMetadata>' +
+            '<wfs:FeatureTypeList><wfs:FeatureType><wfs:Name>topp:states</wfs:Name><wfs:Title>States</wfs:Title>' +
+            '<wfs:OutputFormats><wfs:Format>application/gml+xml; version=3.2</wfs:Format>' +
+            '<wfs:Format>application/json</wfs:Format></wfs:OutputFormats>' +
+            '<wfs:MetadataURL xlink:href="https://example.com/states.xml"/>' +
+            '<ows:WGS84BoundingBox><ows:LowerCorner>-124.7 24.9</ows:LowerCorner>' +
+            '<ows:UpperCorner>-66.9 49.4</ows:UpperCorner></ows:WGS84BoundingBox>' +
+            '</wfs:FeatureType></wfs:FeatureTypeList></wfs:WFS_Capabilities>';
+
+        var parameters = function (url) {
+            var result = {};
+            url.split("?")[1].split("&").forEach(function (parameter) {
+                var pair = parameter.split("=");
+                result[pair[0]] = decodeURIComponent(pair[1]);
+            });
+            return result;
+        };
+
+        it('forms the configuration from the capabilities', function () {
+            var wfsCapabilities = new WfsCapabilities(new DOMParser().parseFromString(capabilities, "text/xml")),
+                config = WfsLayer.formLayerConfiguration(wfsCapabilities, "topp:states");
+
+            expect(wfsCapabilities.featureTypeList.featureType[0].metadataUrl.url)
+                .toBe("https://example.com/states.xml");
+            expect(config.service).toBe("https://example.com/geoserver/wfs");
+            expect(config.title).toBe("States");
+            expect(config.version).toBe("2.0.0");
+            expect(config.outputFormat).toBe("application/json");
+            expect(config.sector.minLatitude).toBe(24.9);
+            expect(config.sector.maxLongitude).toBe(-66.9);
+        });
+
+        it('requests pages of the features of the sector', function () {
+            var layer = new WfsLayer({service: "https://example.com/wfs", typeName: "topp:states"}),
+                query = parameters(layer.urlForFeatures(new Sector(10, 20, 30, 40), 100, 50));
+
+            expect(query.REQUEST).toBe("GetFeature");
+            expect(query.TYPENAMES).toBe("topp:states");
+            expect(query.OUTPUTFORMAT).toBe("application/json");
+            expect(query.COUNT).toBe("50");
+            expect(query.STARTINDEX).toBe("100");
+            expect(query.BBOX).toBe("10,30,20,40,urn:ogc:def:crs:EPSG::4326");
+        });
+
+        it('combines the property filter with the sector', function () {
+            var layer = new WfsLayer({
+                    service: "https://example.com/wfs?map=states",
+                    typeName: "topp:states",
+                    version: "1.1.0",
+                    filter: [{property: "STATE_NAME", value: "A&M"}, {property: "PERSONS", operator: ">", value: 5}]
+                }),
+                query = parameters(layer.urlForFeatures(new Sector(10, 20, 30, 40), 0, 50));
+
+            expect(query.map).toBe("states");
+            expect(query.TYPENAME).toBe("topp:states");
+            expect(query.MAXFEATURES).toBe("50");
+            expect(query.BBOX).toBeUndefined();
+            expect(query.FILTER).toBe('<ogc:Filter xmlns:ogc="http://www.opengis.net/ogc" ' +
+                'xmlns:gml="http://www.opengis.net/gml"><ogc:And>' +
+                '<ogc:PropertyIsEqualTo><ogc:PropertyName>STATE_NAME</ogc:PropertyName>' +
+                '<ogc:Literal>A&amp;M</ogc:Literal></ogc:PropertyIsEqualTo>' +
+                '<ogc:PropertyIsGreaterThan><ogc:PropertyName>PERSONS</ogc:PropertyName>' +
+                '<ogc:Literal>5</ogc:Literal></ogc:PropertyIsGreaterThan>' +
+                '<ogc:BBOX><gml:Envelope srsName="EPSG:4326"><gml:lowerCorner>30 10</gml:lowerCorner>' +
+                '<gml:upperCorner>40 20</gml:upperCorner></gml:Envelope></ogc:BBOX>' +
+                '</ogc:And></ogc:Filter>');
+        });
+
+        it('enlarges the visible sector to a grid', function () {
+            var layer = new WfsLayer({
+                    service: "https://example.com/wfs",
+                    typeName: "topp:states",
+                    sector: new Sector(0, 50, 0, 50)
+                }),
+                sector = layer.requestSector(new Sector(10.3, 17.9, -5, 14.1));
+
+            expect([sector.minLatitude, sector.maxLatitude, sector.minLongitude, sector.maxLongitude])
+                .toEqual([8, 20, 0, 16]);
+        });
+
+        it('creates shapes for the features of the responses', function () {
+            var style = new DataDrivenStyle({label: "STATE_NAME"}),
+                layer = new WfsLayer({service: "https://example.com/wfs", typeName: "topp:states", style: style}),
+                response = JSON.stringify({
+                    type: "FeatureCollection",
+                    crs: {type: "name", properties: {name: "urn:ogc:def:crs:EPSG::4326"}},
+                    features: [{
+                        type: "Feature",
+                        geometry: {type: "Point", coordinates: [-100, 40]},
+                        properties: {STATE_NAME: "Kansas"}
+                    }]
+                });
+
+            expect(layer.addRenderablesForFeatures(response)).toBe(1);
+            expect(layer.style).toBe(style);
+            expect(layer.renderables[0].label).toBe("Kansas");
+            expect(layer.renderables[0].position.longitude).toBe(-100);
+        });
+
+        it('keeps paging when a full GML page contains features without geometry', function () {
+            var layer = new WfsLayer({
+                    service: "https://example.com/wfs",
+                    typeName: "topp:states",
+                    outputFormat: "application/gml+xml; version=3.2"
+                }),
+                xmlHttpRequest = window.XMLHttpRequest,
+                requestedPages = [];
+
+            var feature = function (name, point) {
+                return '<wfs:member><topp:states gml:id="' + name + '"><topp:STATE_NAME>' + name +
+                    '</topp:STATE_NAME>' + (point ? '<topp:the_geom><gml:Point srsName="EPSG:4326">' +
+                    '<gml:pos>40 -100</gml:pos></gml:Point></topp:the_geom>' : '') + '</topp:states></wfs:member>';
+            };
+            var pages = [
+                [feature("Kansas", true), feature("Unlocated", false)],
+                [feature("Ohio", true)]
+            ];
+
+            window.XMLHttpRequest = function () {
+                this.open = function (method, url) {
+                    this.url = url;
+                };
+                this.send = function () {
+                    var page = pages[parameters(this.url).STARTINDEX / 2];
+                    requestedPages.push(parameters(this.url).STARTINDEX);
+                    this.readyState = 4;
+                    this.status = 200;
+                    this.response = '<wfs:FeatureCollection xmlns:wfs="http://www.opengis.net/wfs/2.0" ' +
+                        'xmlns:gml="http://www.opengis.net/gml/3.2" xmlns:topp="http://www.openplans.org/topp">' +
+                        page.join("") + '</wfs:FeatureCollection>';
+                    this.onreadystatechange();
+                };
+            };
+
+            try {
+                layer.pageSize = 2;
+                layer.requestFeatures(new Sector(30, 50, -110, -90), 0, layer.requestId);
+            }
+            finally {
+                window.XMLHttpRequest = xmlHttpRequest;
+            }
+
+            expect(requestedPages).toEqual(["0", "2"]);
+            expect(layer.renderables.length).toBe(2);
+        });
+    });
+});
@@ -0,0 +1,174 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/geom/Location',
+    'src/geom/Sector',
+    'src/ogc/wms/WmsCapabilities',
+    'src/layer/WmsLayer',
+    'src/WorldWind'
+], function (Location,
+             Sector,
+             WmsCapabilities,
+             WmsLayer,
+             WorldWind) {
+    "use strict";
+
+    describe("WmsLayer", function () {
+        var capabilities = '<?xml version="1.0" encoding="UTF-8"?>' +
+            '<WMS_Capabilities version="1.3.0" xmlns="http://www.opengis.net/wms" ' +
+            'xmlns:xlink="http://www.w3.org/1999/xlink"><Capability><Request>' +
+            '<GetMap><Format>image/png</Format><DCPType><HTTP><Get>' +
+            '<OnlineResource xlink:href="https://example.com/wms?"/></Get></HTTP></DCPType></GetMap>' +
+            '<GetFeatureInfo><Format>text/html</Format><Format>application/vnd.ogc.gml</Format>' +
+            '<DCPType><HTTP><Get><OnlineResource xlink:href="https://example.com/info?"/></Get></HTTP></DCPType>' +
+            '</GetFeatureInfo></Request>' +
+            '<Layer queryable="1"><Title>Root</Title><CRS>EPSG:4326</CRS>' +
+            '<Layer><Name>topp:states</Name><Title>States</Title></Layer></Layer>' +
+            '</Capability></WMS_Capabilities>';
+
+        var parameters = function (url) {
+            var result = {};
+            url.split("?")[1].split("&").forEach(function (parameter) {
+                var pair = parameter.split("=");
+                result[pair[0]] = decodeURIComponent(pair[1]);
+            });
+            return result;
+        };
+
+        var createLayer = function (version) {
+            return new WmsLayer({
+                service: "https://example.com/wms",
+                layerNames: "topp:states",
+                sector: Sector.FULL_SPHERE,
+                levelZeroDelta: new Location(36, 36),
+                numLevels: 19,
+                format: "image/png",
+                size: 256,
+                version: version,
+                featureInfoService: "https://example.com/info?",
+                featureInfoFormat: "application/json"
+            });
+        };
+
+        it('forms the feature info configuration from the capabilities', function () {
+            var wmsCapabilities = new WmsCapabilities(new DOMParser().parseFromString(capabilities, "text/xml")),
+                config = WmsLayer.formLayerConfiguration(wmsCapabilities.getNamedLayer("topp:states"));
+
+            expect(config.featureInfoService).toBe("https://example.com/info?");
+            expect(config.featureInfoFormat).toBe("application/vnd.ogc.gml");
+        });
+
+        it('requests the pixel of the location within the tile', function () {
+            var layer = createLayer("1.3.0"),
+                tile = layer.tileForLocation(new Location(10, 20)),
+                query = parameters(layer.urlBuilder.urlForFeatureInfo(tile, "image/png", new Location(10, 20),
+                    "application/json", 5));
+
+            expect(query.request).toBe("GetFeatureInfo");
+            expect(query.query_layers).toBe("topp:states");
+            expect(query.info_format).toBe("application/json");
+            expect(query.feature_count).toBe("5");
+            expect(query.bbox).toBe("-18,0,18,36");
+            expect(query.i).toBe("142");
+            expect(query.j).toBe("56");
+        });
+
+        it('requests the x and y pixel of WMS 1.1.1', function () {
+            var layer = createLayer("1.1.1"),
+                tile = layer.tileForLocation(new Location(-10, -20)),
+                url = layer.urlBuilder.urlForFeatureInfo(tile, "image/png", new Location(-10, -20), "text/html"),
+                query = parameters(url);
+
+            expect(url.indexOf("https://example.com/info?")).toBe(0);
+            expect(query.srs).toBe("EPSG:4326");
+            expect(query.bbox).toBe("-36,-18,0,18");
+            expect(query.x).toBe("113");
+            expect(query.y).toBe("199");
+            expect(query.i).toBeUndefined();
+        });
+
+        it('keeps the parameters of the map service address out of the feature info request', function () {
+            var layer = new WmsLayer({
+                    service: "https://example.com/mapserv?map=/maps/states.map",
+                    layerNames: "topp:states",
+                    sector: Sector.FULL_SPHERE,
+                    levelZeroDelta: new Location(36, 36),
+                    numLevels: 19,
+                    format: "image/png",
+                    size: 256,
+                    version: "1.3.0",
+                    featureInfoService: "https://example.com/info?key=abc"
+                }),
+                tile = layer.tileForLocation(new Location(10, 20)),
+                url = layer.urlBuilder.urlForFeatureInfo(tile, "image/png", new Location(10, 20), "text/html");
+
+            expect(url.indexOf("https://example.com/info?key=abc&service=WMS&request=GetFeatureInfo&")).toBe(0);
+            expect(url.indexOf("map=")).toBe(-1);
+            expect(url.split("key=").length).toBe(2);
+
+            layer.urlBuilder.featureInfoServiceAddress = null;
+            url = layer.urlBuilder.urlForFeatureInfo(tile, "image/png", new Location(10, 20), "text/html");
+            expect(url.split("map=").length).toBe(2);
+            expect(parameters(url).request).toBe("GetFeatureInfo");
+        });
+
+        it('parses the feature info formats', function () {
+            var gml = '<wfs:FeatureCollection xmlns:wfs="http://www.opengis.net/wfs" ' +
+                'xmlns:gml="http://www.opengis.net/gml" xmlns:topp="http://www.openplans.org/topp">' +
+                '<gml:featureMember><topp:states fid="states.1"><topp:STATE_NAME>Kansas</topp:STATE_NAME>' +
+                '</topp:states></gml:featureMember></wfs:FeatureCollection>';
+
+            expect(WmsLayer.parseFeatureInfo('{"type": "FeatureCollection", "features": []}', "application/json"))
+                .toEqual({type: "FeatureCollection", features: []});
+            expect(WmsLayer.parseFeatureInfo(gml, "application/vnd.ogc.gml").features[0].properties)
+                .toEqual({STATE_NAME: "Kansas"});
+            expect(WmsLayer.parseFeatureInfo(gml, "text/xml").features[0].id).toBe("states.1");
+            expect(WmsLayer.parseFeatureInfo("<p>Kansas</p>", "text/html")).toBe("<p>Kansas</p>");
+        });
+
+        it('delivers the feature info by the callback and the promise', function (done) {
+            var layer = createLayer("1.3.0"),
+                originalXhr = window.XMLHttpRequest,
+                requestedUrl = null;
+
+            window.XMLHttpRequest = function () {
+                this.open = function (method, url) {
+                    requestedUrl = url;
+                };
+                this.send = function () {
+                    this.readyState = 4;
+                    this.status = 200;
+                    this.response = '{"type": "FeatureCollection", "features": []}';
+                    this.onreadystatechange();
+                };
+            };
+
+            var callbackResult = null,
+                promise = layer.getFeatureInfo(new Location(10, 20), function (result) {
+                    callbackResult = result;
+                });
+            window.XMLHttpRequest = originalXhr;
+
+            promise.then(function (result) {
+                expect(result.url).toBe(requestedUrl);
+                expect(result.format).toBe("application/json");
+                expect(result.content.type).toBe("FeatureCollection");
+                expect(callbackResult).toBe(result);
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,73 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/geom/Sector',
+    'src/util/Tile',
+    'src/layer/XyzTiledImageLayer',
+    'src/WorldWind'
+], function (Sector,
+             Tile,
+             XyzTiledImageLayer,
+             WorldWind) {
+    "use strict";
+
+    describe("XyzTiledImageLayer", function () {
+        var tileAt = function (layer, levelNumber, row, column) {
+            var level = layer.levels.level(levelNumber);
+            return layer.createTile(Tile.computeSector(level, row, column), level, row, column);
+        };
+
+        it('replaces the placeholders of Web Mercator tiles', function () {
+            var layer = new XyzTiledImageLayer({
+                    url: "https://{s}.example.com/{z}/{x}/{y}/{-y}/{quadkey}.png",
+                    subdomains: "ab"
+                }),
+                tile = tileAt(layer, 2, 1, 6);
+
+            expect(layer.urlForTile(tile)).toBe("https://b.example.com/3/6/1/6/112.png");
+            expect(tile.sector.maxLongitude).toBe(135);
+            expect(tile.sector.maxLatitude).toBeCloseTo(79.17, 2);
+        });
+
+        it('replaces the placeholders of geographic tiles', function () {
+            var layer = new XyzTiledImageLayer({url: "{z}/{x}/{y}/{-y}", projection: "EPSG:4326"}),
+                tile = tileAt(layer, 1, 0, 3);
+
+            expect(layer.levels.firstLevel().tileDelta.latitude).toBe(180);
+            expect(layer.urlForTile(tile)).toBe("1/3/1/0");
+            expect(tile.sector.minLatitude).toBe(-90);
+            expect(tile.sector.maxLongitude).toBe(180);
+        });
+
+        it('starts at the minimum zoom level and stops at the maximum zoom level', function () {
+            var layer = new XyzTiledImageLayer({url: "{z}/{x}/{y}", minZoom: 3, maxZoom: 10});
+
+            expect(layer.levels.numLevels).toBe(8);
+            expect(layer.urlForTile(tileAt(layer, 0, 2, 5))).toBe("3/5/2");
+            expect(layer.mapSizeForLevel(1)).toBe(256 << 4);
+        });
+
+        it('creates the first level tiles within the bounds', function () {
+            var layer = new XyzTiledImageLayer({url: "{z}/{x}/{y}", minZoom: 2, sector: new Sector(10, 60, 10, 100)});
+
+            layer.createTopLevelTiles(null);
+
+            expect(layer.topLevelTiles.map(function (tile) {
+                return tile.row + "/" + tile.column;
+            })).toEqual(["1/2", "1/3"]);
+        });
+    });
+});
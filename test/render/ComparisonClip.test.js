@@ -0,0 +1,53 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/render/ComparisonClip',
+    'src/geom/Vec2',
+    'src/WorldWind'
+], function (ComparisonClip,
+             Vec2,
+             WorldWind) {
+    "use strict";
+
+    describe("ComparisonClip", function () {
+        it('contains the points left of the swipe divider', function () {
+            var clip = new ComparisonClip();
+            clip.dividerPosition = 0.25;
+
+            expect(clip.dividerX(800)).toBe(200);
+            expect(clip.containsPoint(new Vec2(150, 300), 800, 600)).toBe(true);
+            expect(clip.containsPoint(new Vec2(250, 300), 800, 600)).toBe(false);
+
+            clip.invert = true;
+            expect(clip.containsPoint(new Vec2(150, 300), 800, 600)).toBe(false);
+            expect(clip.containsPoint(new Vec2(250, 300), 800, 600)).toBe(true);
+        });
+
+        it('contains the points inside the spyglass lens', function () {
+            var clip = new ComparisonClip();
+            clip.mode = WorldWind.SPYGLASS;
+            clip.lensRadius = 100;
+
+            // The lens is centered in the window by default.
+            expect(clip.containsPoint(new Vec2(450, 350), 800, 600)).toBe(true);
+            expect(clip.containsPoint(new Vec2(100, 100), 800, 600)).toBe(false);
+
+            clip.lensCenter = new Vec2(100, 100);
+            expect(clip.containsPoint(new Vec2(150, 150), 800, 600)).toBe(true);
+            expect(clip.containsPoint(new Vec2(450, 350), 800, 600)).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,83 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/util/Color',
+    'src/render/RasterAdjustments'
+], function (Color,
+             RasterAdjustments) {
+    "use strict";
+
+    describe("RasterAdjustments", function () {
+        it('leaves imagery unchanged by default', function () {
+            var adjustments = new RasterAdjustments();
+
+            expect(adjustments.isIdentity()).toBe(true);
+
+            adjustments.hueShift = 360;
+            expect(adjustments.isIdentity()).toBe(true);
+
+            adjustments.colorRamp = [];
+            expect(adjustments.isIdentity()).toBe(true);
+        });
+
+        it('detects and resets adjustments', function () {
+            var adjustments = new RasterAdjustments();
+
+            adjustments.contrast = 1.5;
+            expect(adjustments.isIdentity()).toBe(false);
+
+            adjustments.reset();
+            adjustments.transparentColor = Color.WHITE;
+            expect(adjustments.isIdentity()).toBe(false);
+
+            expect(adjustments.reset().isIdentity()).toBe(true);
+        });
+
+        it('writes the color ramp sorted by value', function () {
+            var adjustments = new RasterAdjustments(),
+                values = new Float32Array(RasterAdjustments.MAX_COLOR_RAMP_STOPS),
+                colors = new Float32Array(4 * RasterAdjustments.MAX_COLOR_RAMP_STOPS);
+
+            expect(adjustments.colorRampComponents(values, colors)).toBe(0);
+
+            adjustments.colorRamp = [
+                {value: 1, color: new Color(0, 0.5, 0, 1)},
+                {value: 0, color: new Color(0.5, 0.25, 0, 0.5)}
+            ];
+
+            expect(adjustments.colorRampComponents(values, colors)).toBe(2);
+            expect(Array.prototype.slice.call(values, 0, 2)).toEqual([0, 1]);
+            expect(Array.prototype.slice.call(colors, 0, 8)).toEqual([0.5, 0.25, 0, 0.5, 0, 0.5, 0, 1]);
+        });
+
+        it('ignores color ramp stops beyond the maximum', function () {
+            var adjustments = new RasterAdjustments(),
+                values = new Float32Array(RasterAdjustments.MAX_COLOR_RAMP_STOPS),
+                colors = new Float32Array(4 * RasterAdjustments.MAX_COLOR_RAMP_STOPS);
+
+            // The stops are given from the highest value.
+            adjustments.colorRamp = [];
+            for (var i = RasterAdjustments.MAX_COLOR_RAMP_STOPS + 3; i >= 0; i--) {
+                adjustments.colorRamp.push({value: i / 20, color: Color.BLACK});
+            }
+
+            expect(adjustments.colorRampComponents(values, colors)).toBe(RasterAdjustments.MAX_COLOR_RAMP_STOPS);
+            expect(values[0]).toBe(0);
+            expect(values[RasterAdjustments.MAX_COLOR_RAMP_STOPS - 1]).toBeCloseTo(
+                (RasterAdjustments.MAX_COLOR_RAMP_STOPS - 1) / 20, 6);
+        });
+    });
+});
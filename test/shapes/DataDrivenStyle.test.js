@@ -0,0 +1,146 @@
+/*
+ * Copyright 2015-2017 WorldWind Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/util/Color',
+    'src/shapes/DataDrivenStyle',
+    'src/formats/geojson/GeoJSONParser',
+    'src/geom/Location',
+    'src/shapes/Placemark',
+    'src/geom/Position',
+    'src/layer/RenderableLayer',
+    'src/shapes/SurfacePolygon',
+    'src/WorldWind'
+], function (Color,
+             DataDrivenStyle,
+             GeoJSONParser,
+             Location,
+             Placemark,
+             Position,
+             RenderableLayer,
+             SurfacePolygon,
+             WorldWind) {
+    "use strict";
+
+    describe("DataDrivenStyle", function () {
+        var createPlacemark = function (properties) {
+            var placemark = new Placemark(new Position(0, 0, 0), false, null);
+            placemark.userProperties = properties;
+            return placemark;
+        };
+
+        var createPolygon = function (properties) {
+            var polygon = new SurfacePolygon([new Location(0, 0), new Location(0, 1), new Location(1, 1)], null);
+            polygon.userProperties = properties;
+            return polygon;
+        };
+
+        it('evaluates categorized and graduated rules', function () {
+            var categories = {property: "landuse", categories: {forest: Color.GREEN}, defaultValue: Color.WHITE},
+                stops = {property: "population", stops: [[0, 1], [100, 2], [1000, 4]]},
+                ramp = {property: "population", stops: [[0, Color.BLUE], [100, Color.RED]], interpolate: true};
+
+            expect(DataDrivenStyle.evaluate(categories, {landuse: "forest"})).toBe(Color.GREEN);
+            expect(DataDrivenStyle.evaluate(categories, {landuse: "water"})).toBe(Color.WHITE);
+            expect(DataDrivenStyle.evaluate(stops, {population: 500})).toBe(2);
+            expect(DataDrivenStyle.evaluate(stops, {population: -1})).toBeUndefined();
+            expect(DataDrivenStyle.evaluate(stops, {population: 5000})).toBe(4);
+            expect(DataDrivenStyle.evaluate(ramp, {population: 25})).toEqual(new Color(0.25, 0, 0.75, 1));
+            expect(DataDrivenStyle.evaluate({property: "magnitude", factor: 0.5}, {magnitude: 3})).toBe(1.5);
+            expect(DataDrivenStyle.evaluate(3, {})).toBe(3);
+        });
+
+        it('matches filters', function () {
+            var properties = {type: "city", population: 500};
+
+            expect(DataDrivenStyle.matchesFilter(null, properties)).toBe(true);
+            expect(DataDrivenStyle.matchesFilter({property: "type", value: "city"}, properties)).toBe(true);
+            expect(DataDrivenStyle.matchesFilter([
+                {property: "type", operator: "in", value: ["city", "town"]},
+                {property: "population", operator: ">=", value: 1000}
+            ], properties)).toBe(false);
+            expect(DataDrivenStyle.matchesFilter({property: "name", operator: "has"}, properties)).toBe(false);
+            expect(DataDrivenStyle.matchesFilter(function (p) {
+                return p.population < 1000;
+            }, properties)).toBe(true);
+        });
+
+        it('styles and restyles the renderables of layers', function () {
+            var layer = new RenderableLayer("Cities"),
+                small = createPlacemark({name: "Small", population: 10}),
+                large = createPlacemark({name: "Large", population: 1000}),
+                other = createPlacemark({name: "Other", population: 10});
+            layer.addRenderable(small);
+
+            var style = new DataDrivenStyle({
+                filter: {property: "population", operator: ">", value: 0},
+                imageScale: {property: "population", stops: [[0, 1], [100, 3]]},
+                label: "name"
+            });
+            layer.style = style;
+            layer.addRenderable(large);
+            layer.addRenderable(other);
+
+            expect(small.label).toBe("Small");
+            expect(small.attributes.imageScale).toBe(1);
+            expect(large.attributes.imageScale).toBe(3);
+            expect(other.attributes).toBe(small.attributes);
+            expect(small.enabled).toBe(true);
+
+            style.filter.value = 100;
+            layer.applyStyle();
+
+            expect(small.enabled).toBe(false);
+            expect(large.enabled).toBe(true);
+        });
+
+        it('styles shapes other than placemarks', function () {
+            var layer = new RenderableLayer("Areas"),
+                polygon = createPolygon({landuse: "forest", width: 3});
+
+            layer.style = new DataDrivenStyle({
+                interiorColor: {property: "landuse", categories: {forest: Color.GREEN}},
+                outlineWidth: {property: "width"}
+            });
+            layer.addRenderable(polygon);
+
+            expect(polygon.attributes.interiorColor).toBe(Color.GREEN);
+            expect(polygon.attributes.outlineWidth).toBe(3);
+            expect(polygon.attributes.outlineColor).toEqual(layer.style.shapeAttributes.outlineColor);
+        });
+
+        it('is applied by the GeoJSON parser', function () {
+            var geoJSON = {
+                    type: "FeatureCollection",
+                    features: [
+                        {type: "Feature", geometry: {type: "Point", coordinates: [1, 2]}, properties: {kind: "a"}},
+                        {type: "Feature", geometry: {type: "Point", coordinates: [3, 4]}, properties: {kind: "b"}}
+                    ]
+                },
+                layer = new RenderableLayer("Features");
+
+            new GeoJSONParser(JSON.stringify(geoJSON)).load(null, new DataDrivenStyle({
+                filter: {property: "kind", value: "a"},
+                imageColor: Color.RED
+            }), layer);
+
+            expect(layer.renderables.length).toBe(2);
+            expect(layer.renderables[0].userProperties.kind).toBe("a");
+            expect(layer.renderables[0].enabled).toBe(true);
+            expect(layer.renderables[0].attributes.imageColor).toBe(Color.RED);
+            expect(layer.renderables[1].enabled).toBe(false);
+        });
+    });
+});